@@ -0,0 +1,83 @@
+// Comparison picker: remembers up to four Pokemon picked from the cards
+// and shows a link to /compare with them.
+(function () {
+  var STORAGE_KEY = 'pokedex-compare';
+  var MAX_COMPARE = 4;
+
+  // UI strings in the page language, embedded by the header partial
+  var messages = JSON.parse(document.getElementById('client-messages').textContent);
+
+  function message(key, params) {
+    return messages[key].replace(/\{(\w+)\}/g, function (match, name) {
+      return params && name in params ? params[name] : match;
+    });
+  }
+
+  function load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function save(selection) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(selection));
+  }
+
+  function render(selection) {
+    document.querySelectorAll('[data-compare]').forEach(function (button) {
+      var selected = selection.indexOf(button.dataset.compare) !== -1;
+      button.classList.toggle('selected', selected);
+      button.textContent = selected ? message('comparing') : message('compare');
+    });
+
+    var bar = document.getElementById('compare-bar');
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = 'compare-bar';
+      bar.className = 'compare-bar';
+      document.body.appendChild(bar);
+    }
+
+    bar.hidden = selection.length === 0;
+    bar.innerHTML =
+      '<span>' + selection.join(', ') + '</span>' +
+      (selection.length >= 2
+        ? '<a href="/compare?ids=' + encodeURIComponent(selection.join(',')) + '">' + message('compareCount', { count: selection.length }) + '</a>'
+        : '<span>' + message('pickAtLeast') + '</span>') +
+      '<button type="button" id="compare-clear">' + message('clear') + '</button>';
+
+    document.getElementById('compare-clear').onclick = function () {
+      save([]);
+      render([]);
+    };
+  }
+
+  document.addEventListener('click', function (event) {
+    var button = event.target.closest('[data-compare]');
+    if (!button) {
+      return;
+    }
+
+    var selection = load();
+    var name = button.dataset.compare;
+    var index = selection.indexOf(name);
+
+    if (index !== -1) {
+      selection.splice(index, 1);
+    } else if (selection.length < MAX_COMPARE) {
+      selection.push(name);
+    } else {
+      alert(message('maxCompare', { max: MAX_COMPARE }));
+      return;
+    }
+
+    save(selection);
+    render(selection);
+  });
+
+  document.addEventListener('DOMContentLoaded', function () {
+    render(load());
+  });
+})();
@@ -0,0 +1,56 @@
+// API docs page: sends each "Try it" form to its endpoint and shows the response.
+(function () {
+  function buildUrl(form) {
+    var path = form.dataset.path;
+    var query = new URLSearchParams();
+
+    form.querySelectorAll('input[data-in]').forEach(function (input) {
+      if (input.dataset.in === 'path') {
+        path = path.replace('{' + input.name + '}', encodeURIComponent(input.value));
+      } else if (input.value !== '') {
+        query.append(input.name, input.value);
+      }
+    });
+
+    var search = query.toString();
+    return search ? path + '?' + search : path;
+  }
+
+  function show(output, text) {
+    output.hidden = false;
+    output.textContent = text;
+  }
+
+  document.querySelectorAll('.docs-try').forEach(function (form) {
+    form.addEventListener('submit', function (event) {
+      event.preventDefault();
+
+      var output = form.querySelector('.docs-response');
+      var method = form.dataset.method.toUpperCase();
+      var url = buildUrl(form);
+      var options = { method: method, headers: {} };
+
+      if (form.elements.body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = form.elements.body.value;
+      }
+
+      show(output, method + ' ' + url + '\n\nLoading...');
+      fetch(url, options)
+        .then(function (response) {
+          return response.text().then(function (text) {
+            var body = text;
+            try {
+              body = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (e) {
+              // Not JSON (e.g. 204 No Content) - show it as is
+            }
+            show(output, method + ' ' + url + '\n' + response.status + ' ' + response.statusText + '\n\n' + body);
+          });
+        })
+        .catch(function (error) {
+          show(output, method + ' ' + url + '\n\n' + error.message);
+        });
+    });
+  });
+})();
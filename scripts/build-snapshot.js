@@ -0,0 +1,157 @@
+/**
+ * Build a local PokeAPI snapshot for offline mode (POKEAPI_SOURCE=snapshot)
+ *
+ * Usage:
+ *   npm run snapshot -- [--base-url <url>] [--from-dir <dir>] [--out <dir>] [--limit <n>]
+ *
+ *   --base-url  Running PokeAPI to copy from (default: POKEAPI_BASE_URL)
+ *   --from-dir  Local stand-in instead of an API: a PokeAPI/api-data checkout (the api/v2 folder)
+ *   --out       Snapshot directory to write (default: POKEAPI_SNAPSHOT_DIR)
+ *   --limit     Only copy the first N pokemon and their species (default: all)
+ */
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import { config } from '../src/config/index.js';
+import { createRemoteSource } from '../src/repositories/sources/remoteSource.js';
+import { idFromUrl } from '../src/repositories/sources/snapshotSource.js';
+
+const CONCURRENCY = 8;
+
+const { values: options } = parseArgs({
+  options: {
+    'base-url': { type: 'string', default: config.pokeapi.baseUrl },
+    'from-dir': { type: 'string' },
+    out: { type: 'string', default: config.pokeapi.snapshotDir },
+    limit: { type: 'string' }
+  }
+});
+
+/**
+ * Source that reads the api-data layout:
+ *   <dir>/<resource>/index.json and <dir>/<resource>/<id>/index.json
+ */
+const createDirectorySource = (dir) => ({
+  async get(path, params = {}) {
+    const data = JSON.parse(await readFile(join(dir, path, 'index.json'), 'utf8'));
+    if (!data.results) {
+      return data;
+    }
+    const offset = Number(params.offset) || 0;
+    const limit = Number(params.limit) || data.results.length;
+    return { ...data, results: data.results.slice(offset, offset + limit) };
+  }
+});
+
+const from = options['from-dir']
+  ? createDirectorySource(options['from-dir'])
+  : createRemoteSource({ baseUrl: options['base-url'] });
+
+const writeJson = (file, data) => writeFile(file, JSON.stringify(data));
+
+/**
+ * Run a task for every item, at most CONCURRENCY at a time
+ */
+const forEachLimited = async (items, task) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+};
+
+/**
+ * Copy every listed entry of a resource plus its index file
+ */
+const copyResource = async (resource, entries, onData = () => {}) => {
+  const dir = join(options.out, resource);
+  await mkdir(dir, { recursive: true });
+
+  let done = 0;
+  await forEachLimited(entries, async (entry) => {
+    const id = idFromUrl(entry.url);
+    const data = await from.get(`/${resource}/${id}`);
+    onData(data);
+    await writeJson(join(dir, `${id}.json`), data);
+
+    done += 1;
+    if (done % 100 === 0 || done === entries.length) {
+      console.log(`  ${resource}: ${done}/${entries.length}`);
+    }
+  });
+
+  const results = [...entries].sort((a, b) => idFromUrl(a.url) - idFromUrl(b.url));
+  await writeJson(join(dir, 'index.json'), { count: results.length, results });
+};
+
+const main = async () => {
+  const limit = parseInt(options.limit, 10) || 100000;
+  console.log(`Building snapshot in ${options.out}`);
+
+  // Pokemon, remembering which species and forms they have
+  const pokemonList = await from.get('/pokemon', { limit, offset: 0 });
+  const species = new Map();
+  const forms = [];
+  await copyResource('pokemon', pokemonList.results, (pokemon) => {
+    species.set(pokemon.species.name, pokemon.species);
+    forms.push(...pokemon.forms);
+  });
+
+  // Where to find each of them
+  await forEachLimited(pokemonList.results, async (entry) => {
+    const id = idFromUrl(entry.url);
+    const encounters = await from.get(`/pokemon/${id}/encounters`);
+    await mkdir(join(options.out, 'pokemon', id), { recursive: true });
+    await writeJson(join(options.out, 'pokemon', id, 'encounters.json'), encounters);
+  });
+  console.log(`  pokemon encounters: ${pokemonList.results.length}`);
+
+  // Species and forms of the copied pokemon, then the species' evolution chains
+  const chains = new Map();
+  await copyResource('pokemon-species', [...species.values()], ({ evolution_chain: chain }) => {
+    if (chain) {
+      chains.set(chain.url, chain);
+    }
+  });
+  await copyResource('pokemon-form', forms);
+  await copyResource('evolution-chain', [...chains.values()]);
+
+  // All types
+  const typeList = await from.get('/type', { limit: 100, offset: 0 });
+  await copyResource('type', typeList.results);
+
+  // Generations and regional Pokedexes, for browsing
+  const generationList = await from.get('/generation', { limit: 100, offset: 0 });
+  await copyResource('generation', generationList.results);
+  const pokedexList = await from.get('/pokedex', { limit: 100, offset: 0 });
+  await copyResource('pokedex', pokedexList.results);
+
+  // Moves, for move pages and move search
+  const moveList = await from.get('/move', { limit: 100000, offset: 0 });
+  await copyResource('move', moveList.results);
+
+  // Abilities, for ability pages and the filter's ability criterion
+  const abilityList = await from.get('/ability', { limit: 100000, offset: 0 });
+  await copyResource('ability', abilityList.results);
+
+  // Items, item categories and berries
+  const itemList = await from.get('/item', { limit, offset: 0 });
+  await copyResource('item', itemList.results);
+  const itemCategoryList = await from.get('/item-category', { limit: 100, offset: 0 });
+  await copyResource('item-category', itemCategoryList.results);
+  const berryList = await from.get('/berry', { limit: 100, offset: 0 });
+  await copyResource('berry', berryList.results);
+
+  // Natures, for the stat calculator
+  const natureList = await from.get('/nature', { limit: 100, offset: 0 });
+  await copyResource('nature', natureList.results);
+
+  console.log('Snapshot complete');
+};
+
+main().catch((error) => {
+  console.error(`Snapshot failed: ${error.message}`);
+  process.exit(1);
+});
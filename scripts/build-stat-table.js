@@ -0,0 +1,22 @@
+/**
+ * Build the stat table (base stats, height and weight of every Pokemon)
+ * ahead of time, so stat sorts and percentiles work from the first request
+ *
+ * Usage:
+ *   npm run stat-table
+ *
+ * Reads the configured source (POKEAPI_SOURCE), so an offline snapshot
+ * works too, and writes stat-table.json to DATA_DIR.
+ */
+import { refreshStatTable } from '../src/services/statTable.js';
+
+const main = async () => {
+  console.log('Building stat table');
+  const table = await refreshStatTable();
+  console.log(`Stat table complete: ${table.pokemon.length} Pokemon`);
+};
+
+main().catch((error) => {
+  console.error(`Stat table failed: ${error.message}`);
+  process.exit(1);
+});
@@ -3,6 +3,9 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { config } from './config/index.js';
 import routes from './routes/index.js';
+import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { language } from './middleware/language.js';
+import { session } from './middleware/session.js';
 
 // ES Modules don't have __dirname by default
 const __filename = fileURLToPath(import.meta.url);
@@ -16,6 +19,9 @@ const { port: PORT, nodeEnv } = config;
 // MIDDLEWARE
 // ============================================
 
+// Pick the language (?lang=, cookie or Accept-Language) before anything can fail
+app.use(language);
+
 // Parse JSON request bodies
 app.use(express.json());
 
@@ -25,6 +31,10 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files (CSS, images) from public folder
 app.use(express.static(join(__dirname, '../public')));
 
+// Load the logged in user, if any, from the session cookie (after static
+// files, which don't need it)
+app.use(session);
+
 // ============================================
 // VIEW ENGINE
 // ============================================
@@ -47,20 +57,10 @@ app.use('/', routes);
 // ============================================
 
 // 404 - Not Found
-app.use((req, res) => {
-  res.status(404).render('error', {
-    message: 'Page not found',
-    error: 'The page you are looking for does not exist.'
-  });
-});
+app.use(notFoundHandler);
 
-// 500 - Server Error
-app.use((err, _req, res, _next) => {
-  res.status(500).render('error', {
-    message: 'Something went wrong',
-    error: err.message
-  });
-});
+// Typed errors → status code, JSON error body for /api/*, error page otherwise
+app.use(errorHandler);
 
 // ============================================
 // START SERVER
@@ -0,0 +1,72 @@
+import { mkdir, readFile, readdir, rm, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join } from 'path';
+
+/**
+ * File-backed cache store
+ *
+ * Each entry is written to its own JSON file so cached responses survive
+ * server restarts. Keys are hashed to keep file names short and safe.
+ */
+export const createFileStore = ({ dir }) => {
+  let ready = null;
+
+  // Create the cache directory once, on first use
+  const ensureDir = () => {
+    if (!ready) {
+      ready = mkdir(dir, { recursive: true });
+    }
+    return ready;
+  };
+
+  const pathFor = (key) => join(dir, `${createHash('sha1').update(key).digest('hex')}.json`);
+
+  const remove = (key) => rm(pathFor(key), { force: true });
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await readFile(pathFor(key), 'utf8'));
+      } catch {
+        // Missing or unreadable entries are treated as a miss
+        return undefined;
+      }
+
+      if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+        await remove(key);
+        return undefined;
+      }
+
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await ensureDir();
+      const entry = {
+        key,
+        expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null,
+        value
+      };
+      await writeFile(pathFor(key), JSON.stringify(entry));
+    },
+
+    delete: remove,
+
+    async clear() {
+      await rm(dir, { recursive: true, force: true });
+      ready = null;
+    },
+
+    async size() {
+      try {
+        const files = await readdir(dir);
+        return files.filter((file) => file.endsWith('.json')).length;
+      } catch {
+        return 0;
+      }
+    }
+  };
+};
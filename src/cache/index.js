@@ -0,0 +1,99 @@
+import { config } from '../config/index.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createFileStore } from './fileStore.js';
+
+/**
+ * Create a cache around a store
+ *
+ * A store only needs get/set/delete/clear/size. Methods may be sync (memory)
+ * or async (file); every call is awaited here.
+ */
+export const createCache = ({ store, enabled = true }) => {
+  const stats = { hits: 0, misses: 0, errors: 0 };
+
+  // Loads in progress by key, so concurrent misses share one upstream call
+  const inFlight = new Map();
+
+  const load = async (key, ttlSeconds, loader) => {
+    try {
+      const cached = await store.get(key);
+      if (cached !== undefined) {
+        stats.hits += 1;
+        return cached;
+      }
+    } catch {
+      // A broken store should never break the request
+      stats.errors += 1;
+    }
+
+    stats.misses += 1;
+    const value = await loader();
+
+    if (value !== null && value !== undefined) {
+      try {
+        await store.set(key, value, ttlSeconds);
+      } catch {
+        stats.errors += 1;
+      }
+    }
+
+    return value;
+  };
+
+  return {
+    /**
+     * Return the cached value for a key, or load, store and return it.
+     * null/undefined results (e.g. "not found") are never cached. Callers
+     * asking for a key that is already loading share that load (and count
+     * as hits).
+     */
+    wrap(key, ttlSeconds, loader) {
+      if (!enabled) {
+        return loader();
+      }
+
+      if (inFlight.has(key)) {
+        stats.hits += 1;
+        return inFlight.get(key);
+      }
+
+      const pending = load(key, ttlSeconds, loader).finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+      return pending;
+    },
+
+    async getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        enabled,
+        store: store.name,
+        size: await store.size(),
+        ...stats,
+        hitRate: lookups > 0 ? stats.hits / lookups : 0
+      };
+    },
+
+    async clear() {
+      await store.clear();
+      stats.hits = 0;
+      stats.misses = 0;
+      stats.errors = 0;
+    }
+  };
+};
+
+/**
+ * Build the store selected in config.cache
+ */
+export const createStore = ({ store, maxEntries, dir }) => {
+  if (store === 'file') {
+    return createFileStore({ dir });
+  }
+  return createMemoryStore({ maxEntries });
+};
+
+// Shared cache used by the repositories
+export const cache = createCache({
+  store: createStore(config.cache),
+  enabled: config.cache.enabled
+});
@@ -0,0 +1,57 @@
+/**
+ * In-memory LRU cache store
+ *
+ * A Map keeps insertion order, so re-inserting a key on every read moves it
+ * to the end and the first key is always the least recently used one.
+ */
+export const createMemoryStore = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  const isExpired = (entry) => entry.expiresAt !== null && entry.expiresAt <= Date.now();
+
+  return {
+    name: 'memory',
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return undefined;
+      }
+
+      // Mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null
+      });
+
+      // Evict least recently used entries
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    clear() {
+      entries.clear();
+    },
+
+    size() {
+      return entries.size;
+    }
+  };
+};
@@ -10,12 +10,90 @@ export const config = {
 
   // PokeAPI settings
   pokeapi: {
-    baseUrl: process.env.POKEAPI_BASE_URL || 'https://pokeapi.co/api/v2'
+    baseUrl: process.env.POKEAPI_BASE_URL || 'https://pokeapi.co/api/v2',
+    // 'remote' calls baseUrl, 'snapshot' reads JSON files from snapshotDir (offline mode)
+    source: process.env.POKEAPI_SOURCE || 'remote',
+    snapshotDir: process.env.POKEAPI_SNAPSHOT_DIR || 'data/snapshot'
+  },
+
+  // Outgoing HTTP settings for the remote PokeAPI source (times are in ms)
+  http: {
+    timeout: parseInt(process.env.HTTP_TIMEOUT, 10) || 10000,
+    // Extra attempts after a 429, 5xx or timeout, with exponential backoff
+    retries: process.env.HTTP_RETRIES ? parseInt(process.env.HTTP_RETRIES, 10) : 2,
+    retryBaseDelay: parseInt(process.env.HTTP_RETRY_DELAY, 10) || 200,
+    retryMaxDelay: parseInt(process.env.HTTP_RETRY_MAX_DELAY, 10) || 5000,
+    // Requests in flight at once, so list fan-outs don't trip upstream rate limits
+    maxConcurrent: parseInt(process.env.HTTP_MAX_CONCURRENT, 10) || 10,
+    circuitBreaker: {
+      enabled: process.env.HTTP_CIRCUIT_BREAKER !== 'false',
+      // Consecutive failures before failing fast, and how long to fail fast for
+      failureThreshold: parseInt(process.env.HTTP_CIRCUIT_THRESHOLD, 10) || 5,
+      resetTimeout: parseInt(process.env.HTTP_CIRCUIT_RESET, 10) || 30000
+    }
   },
 
   // Pagination settings
   pagination: {
     defaultLimit: parseInt(process.env.DEFAULT_PAGE_LIMIT, 10) || 20,
-    maxSearchLimit: parseInt(process.env.MAX_SEARCH_LIMIT, 10) || 1000
+    // Larger "?limit=" values are clamped down to this
+    maxLimit: parseInt(process.env.MAX_PAGE_LIMIT, 10) || 100
+  },
+
+  // Search index settings
+  search: {
+    // Upper bound on names loaded into the index (covers the whole national dex)
+    indexLimit: parseInt(process.env.SEARCH_INDEX_LIMIT, 10) || 100000,
+    refreshInterval: parseInt(process.env.SEARCH_REFRESH_INTERVAL, 10) || 86400, // seconds
+    maxDistance: parseInt(process.env.SEARCH_MAX_DISTANCE, 10) || 2 // typos allowed
+  },
+
+  // Advanced filter settings
+  filter: {
+    // Most Pokemon a filter may inspect in detail before asking the user to narrow it down
+    maxCandidates: parseInt(process.env.FILTER_MAX_CANDIDATES, 10) || 500
+  },
+
+  // Base stats of every Pokemon, for stat sorts and percentiles (see services/statTable.js)
+  statTable: {
+    // A saved table older than this is rebuilt in the background
+    maxAge: parseInt(process.env.STAT_TABLE_MAX_AGE, 10) || 2592000 // seconds (30 days)
+  },
+
+  // GraphQL endpoint settings
+  graphql: {
+    // Deepest field nesting a query may use (each level can fan out upstream)
+    maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH, 10) || 10,
+    // Highest estimated number of lookups a query may make (see maxCostRule)
+    maxCost: parseInt(process.env.GRAPHQL_MAX_COST, 10) || 1000
+  },
+
+  // Local storage for user data (teams, accounts, ...)
+  storage: {
+    dataDir: process.env.DATA_DIR || 'data'
+  },
+
+  // User accounts
+  auth: {
+    sessionTtl: parseInt(process.env.SESSION_TTL, 10) || 2592000 // seconds (30 days)
+  },
+
+  // Response cache settings (TTLs are in seconds)
+  cache: {
+    // Disabled under test so mocked API calls are never served from cache
+    enabled: process.env.CACHE_ENABLED
+      ? process.env.CACHE_ENABLED === 'true'
+      : process.env.NODE_ENV !== 'test',
+    store: process.env.CACHE_STORE || 'memory', // 'memory' or 'file'
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 1000,
+    dir: process.env.CACHE_DIR || '.cache/pokeapi',
+    ttl: {
+      pokemonList: parseInt(process.env.CACHE_TTL_POKEMON_LIST, 10) || 3600,
+      pokemon: parseInt(process.env.CACHE_TTL_POKEMON, 10) || 86400,
+      species: parseInt(process.env.CACHE_TTL_SPECIES, 10) || 86400,
+      types: parseInt(process.env.CACHE_TTL_TYPES, 10) || 86400,
+      // Other static game data (generations, abilities, ...)
+      resources: parseInt(process.env.CACHE_TTL_RESOURCES, 10) || 86400
+    }
   }
 };
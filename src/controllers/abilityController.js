@@ -0,0 +1,52 @@
+import * as abilityService from '../services/abilityService.js';
+import { NotFoundError } from '../errors/index.js';
+
+// ============================================
+// VIEW CONTROLLERS (Return HTML via EJS)
+// ============================================
+
+/**
+ * Single ability page with every Pokemon that has it
+ */
+export const getAbilityDetails = async (req, res) => {
+  const { name } = req.params;
+  const ability = await abilityService.getAbilityDetails(name);
+
+  if (!ability) {
+    throw new NotFoundError('Ability', name);
+  }
+
+  res.render('ability', { ability });
+};
+
+// ============================================
+// API CONTROLLERS (Return JSON)
+// ============================================
+
+/**
+ * API: Get single ability details
+ */
+export const apiGetAbilityDetails = async (req, res) => {
+  const { name } = req.params;
+  const ability = await abilityService.getAbilityDetails(name);
+
+  if (!ability) {
+    throw new NotFoundError('Ability', name);
+  }
+
+  res.json({ success: true, data: ability });
+};
+
+/**
+ * API: Get Pokemon with an ability, split into normal and hidden
+ */
+export const apiGetPokemonByAbility = async (req, res) => {
+  const { name } = req.params;
+  const data = await abilityService.getPokemonByAbility(name);
+
+  if (!data) {
+    throw new NotFoundError('Ability', name);
+  }
+
+  res.json({ success: true, data });
+};
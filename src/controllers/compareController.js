@@ -0,0 +1,59 @@
+import * as compareService from '../services/compareService.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+const { MAX_COMPARE } = compareService;
+
+// ============================================
+// VIEW CONTROLLERS (Return HTML via EJS)
+// ============================================
+
+/**
+ * Side-by-side comparison page
+ */
+export const getComparePage = async (req, res) => {
+  const { ids } = req.query;
+
+  if (ids.length > MAX_COMPARE) {
+    throw new ValidationError(`You can compare at most ${MAX_COMPARE} Pokemon at once`, {
+      field: 'ids'
+    });
+  }
+
+  // Nothing to compare yet - show the empty page with instructions
+  if (ids.length < 2) {
+    return res.render('compare', { ids, comparison: null });
+  }
+
+  const comparison = await compareService.comparePokemon(ids, { lang: req.lang });
+
+  if (!comparison) {
+    throw new NotFoundError('Pokemon', ids.join(', '));
+  }
+
+  res.render('compare', { ids, comparison });
+};
+
+// ============================================
+// API CONTROLLERS (Return JSON)
+// ============================================
+
+/**
+ * API: Compare two to four Pokemon
+ */
+export const apiComparePokemon = async (req, res) => {
+  const { ids } = req.query;
+
+  if (ids.length < 2 || ids.length > MAX_COMPARE) {
+    throw new ValidationError(`Provide between 2 and ${MAX_COMPARE} Pokemon in ids`, {
+      field: 'ids'
+    });
+  }
+
+  const comparison = await compareService.comparePokemon(ids, { lang: req.lang });
+
+  if (!comparison) {
+    throw new NotFoundError('Pokemon', ids.join(', '));
+  }
+
+  res.json({ success: true, data: comparison });
+};
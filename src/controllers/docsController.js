@@ -0,0 +1,27 @@
+import { listOperations, openapiDocument } from '../openapi/index.js';
+
+// ============================================
+// VIEW CONTROLLERS (Return HTML via EJS)
+// ============================================
+
+/**
+ * API docs page: every operation, with a form to try it out
+ */
+export const getDocsPage = (req, res) => {
+  res.render('docs', {
+    info: openapiDocument.info,
+    basePath: openapiDocument.servers[0].url,
+    operations: listOperations()
+  });
+};
+
+// ============================================
+// API CONTROLLERS (Return JSON)
+// ============================================
+
+/**
+ * API: The OpenAPI document itself (not wrapped in the { success, data } envelope)
+ */
+export const apiGetOpenApiDocument = (req, res) => {
+  res.json(openapiDocument);
+};
@@ -0,0 +1,15 @@
+import { executeGraphQL } from '../graphql/index.js';
+
+// ============================================
+// API CONTROLLERS (Return JSON)
+// ============================================
+
+/**
+ * GraphQL: run a query from the POST body or the GET query string, in the
+ * request's language (?lang=, cookie or Accept-Language). Responds with the GraphQL { data, errors } body rather than the REST envelope.
+ */
+export const handleGraphQL = async (req, res) => {
+  const params = req.method === 'GET' ? req.query : req.body;
+  const { status, body } = await executeGraphQL(params, { lang: req.lang });
+  res.status(status).json(body);
+};
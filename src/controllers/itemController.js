@@ -0,0 +1,107 @@
+import * as itemService from '../services/itemService.js';
+import { NotFoundError } from '../errors/index.js';
+import { setPageLinks } from '../middleware/pageLinks.js';
+
+// ============================================
+// VIEW CONTROLLERS (Return HTML via EJS)
+// ============================================
+
+/**
+ * Item catalog, optionally filtered by category
+ */
+export const getItemsPage = async (req, res) => {
+  const { category, page } = req.query;
+  const [data, categories] = await Promise.all([
+    itemService.getItems({ category, page }),
+    itemService.getItemCategories()
+  ]);
+
+  if (!data) {
+    throw new NotFoundError('Item category', category);
+  }
+
+  res.render('items', { ...data, categories });
+};
+
+/**
+ * Single item details page
+ */
+export const getItemDetails = async (req, res) => {
+  const { name } = req.params;
+  const item = await itemService.getItemDetails(name, { lang: req.lang });
+
+  if (!item) {
+    throw new NotFoundError('Item', name);
+  }
+
+  res.render('item', { item });
+};
+
+/**
+ * Single berry details page
+ */
+export const getBerryDetails = async (req, res) => {
+  const { name } = req.params;
+  const berry = await itemService.getBerryDetails(name, { lang: req.lang });
+
+  if (!berry) {
+    throw new NotFoundError('Berry', name);
+  }
+
+  res.render('berry', { berry });
+};
+
+// ============================================
+// API CONTROLLERS (Return JSON)
+// ============================================
+
+/**
+ * API: List items (?category=healing), with Link headers to the pages either side
+ */
+export const apiGetItems = async (req, res) => {
+  const { category, page, cursor, limit } = req.query;
+  const data = await itemService.getItems({ category, page, limit, offset: cursor });
+
+  if (!data) {
+    throw new NotFoundError('Item category', category);
+  }
+
+  setPageLinks(req, res, data);
+  res.json({ success: true, data });
+};
+
+/**
+ * API: Get every item category
+ */
+export const apiGetItemCategories = async (req, res) => {
+  const categories = await itemService.getItemCategories();
+  res.json({ success: true, data: categories });
+};
+
+/**
+ * API: Get single item details
+ */
+export const apiGetItemDetails = async (req, res) => {
+  const { name } = req.params;
+  const item = await itemService.getItemDetails(name, { lang: req.lang });
+
+  if (!item) {
+    throw new NotFoundError('Item', name);
+  }
+
+  res.json({ success: true, data: item });
+};
+
+/**
+ * API: Get single berry details
+ */
+export const apiGetBerryDetails = async (req, res) => {
+  const { name } = req.params;
+  const berry = await itemService.getBerryDetails(name, { lang: req.lang });
+
+  if (!berry) {
+    throw new NotFoundError('Berry', name);
+  }
+
+  res.json({ success: true, data: berry });
+};
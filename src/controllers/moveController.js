@@ -0,0 +1,59 @@
+import * as moveService from '../services/moveService.js';
+import { NotFoundError } from '../errors/index.js';
+import { setPageLinks } from '../middleware/pageLinks.js';
+
+// ============================================
+// VIEW CONTROLLERS (Return HTML via EJS)
+// ============================================
+
+/**
+ * Move search page
+ */
+export const getMovesPage = async (req, res) => {
+  const { q, page } = req.query;
+  const data = await moveService.searchMoves(q, page);
+
+  res.render('moves', { ...data, searchQuery: q || '' });
+};
+
+/**
+ * Single move details page
+ */
+export const getMoveDetails = async (req, res) => {
+  const { name } = req.params;
+  const move = await moveService.getMoveDetails(name);
+
+  if (!move) {
+    throw new NotFoundError('Move', name);
+  }
+
+  res.render('move', { move });
+};
+
+// ============================================
+// API CONTROLLERS (Return JSON)
+// ============================================
+
+/**
+ * API: Search moves by name, with Link headers to the pages either side
+ */
+export const apiSearchMoves = async (req, res) => {
+  const { q, page, cursor, limit } = req.query;
+  const data = await moveService.searchMoves(q, page, limit, { offset: cursor });
+  setPageLinks(req, res, data);
+  res.json({ success: true, data });
+};
+
+/**
+ * API: Get single move details
+ */
+export const apiGetMoveDetails = async (req, res) => {
+  const { name } = req.params;
+  const move = await moveService.getMoveDetails(name);
+
+  if (!move) {
+    throw new NotFoundError('Move', name);
+  }
+
+  res.json({ success: true, data: move });
+};
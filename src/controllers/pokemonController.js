@@ -1,117 +1,250 @@
+import { config } from '../config/index.js';
 import * as pokemonService from '../services/pokemonService.js';
+import * as statService from '../services/statService.js';
+import { MAX_BASE_STAT } from '../services/statCalculator.js';
+import { FILTER_SORT_FIELDS, parseFilterCriteria } from '../services/filterCriteria.js';
+import { needsSpeciesFields, pickFields } from '../services/fieldSelection.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+import { setPageLinks } from '../middleware/pageLinks.js';
+
+/**
+ * Run a loader whose data is optional, resolving to null if it fails
+ */
+const optional = (load) =>
+  Promise.resolve()
+    .then(load)
+    .catch(() => null);
+
+/**
+ * List API endpoints return summaries unless "?full=true" (or a species field
+ * in "?fields=") asks for species data too. The route schemas have already
+ * validated the query and decoded any cursor into its offset.
+ */
+const listOptions = (req) => ({
+  full: req.query.full || needsSpeciesFields(req.query.fields),
+  offset: req.query.cursor,
+  lang: req.lang
+});
+
+/**
+ * Send a page of Pokemon with only the requested fields of each one, and
+ * Link headers pointing at the next and previous pages
+ */
+const sendPokemonPage = (req, res, data) => {
+  setPageLinks(req, res, data);
+
+  const pokemon = data.pokemon.map((entry) => pickFields(entry, req.query.fields));
+  res.json({ success: true, data: { ...data, pokemon } });
+};
 
 // ============================================
 // VIEW CONTROLLERS (Return HTML via EJS)
 // ============================================
 
+/**
+ * Render a page of Pokemon with the home page's type, generation and
+ * Pokedex links (the last two are left out if they fail to load)
+ */
+const renderIndex = async (
+  req,
+  res,
+  data,
+  { searchQuery = '', selectedType = '', browse = null } = {}
+) => {
+  const [types, generations, pokedexes] = await Promise.all([
+    pokemonService.getPokemonTypes({ lang: req.lang }),
+    optional(() => pokemonService.getGenerations({ lang: req.lang })),
+    optional(() => pokemonService.getPokedexes())
+  ]);
+
+  res.render('index', {
+    ...data,
+    types,
+    generations: generations || [],
+    pokedexes: pokedexes || [],
+    searchQuery,
+    selectedType,
+    browse
+  });
+};
+
 /**
  * Home page - List all Pokemon with pagination
  */
 export const getHomePage = async (req, res) => {
-  try {
-    // Get pagination parameters from query string
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+  // Pagination parameters, validated and defaulted by the route schema
+  const { page, limit } = req.query;
 
-    // Fetch data from services
-    const data = await pokemonService.getAllPokemon(page, limit);
-    const types = await pokemonService.getPokemonTypes();
+  // Fetch data from services
+  const data = await pokemonService.getAllPokemon(page, limit, { lang: req.lang });
 
-    // Render the index template
-    res.render('index', {
-      ...data,
-      types,
-      searchQuery: '',
-      selectedType: ''
-    });
-  } catch (error) {
-    res.status(500).render('error', {
-      message: 'Failed to load Pokemon',
-      error: error.message
-    });
-  }
+  // Render the index template
+  await renderIndex(req, res, data);
 };
 
 /**
  * Pokemon detail page
  */
 export const getPokemonDetails = async (req, res) => {
-  try {
-    const { nameOrId } = req.params;
-    const pokemon = await pokemonService.getPokemonDetails(nameOrId);
-
-    if (!pokemon) {
-      return res.status(404).render('error', {
-        message: 'Pokemon not found',
-        error: `No Pokemon found with name or ID: ${nameOrId}`
-      });
-    }
+  const { nameOrId } = req.params;
+  const pokemon = await pokemonService.getPokemonDetails(nameOrId, { lang: req.lang });
 
-    res.render('pokemon', { pokemon });
-  } catch (error) {
-    res.status(500).render('error', {
-      message: 'Failed to load Pokemon details',
-      error: error.message
-    });
+  if (!pokemon) {
+    throw new NotFoundError('Pokemon', nameOrId);
   }
+
+  // Optional sections load side by side; the page renders without any that fail.
+  // They use the resolved name, since a species name ("deoxys") may have been asked for.
+  // The stat calculator hides like the other sections, but a bad input is reported
+  const { level, nature, ivs, evs } = req.query;
+  const calculate = () =>
+    statService
+      .calculateStats(pokemon.name, { level, nature, ivs, evs, lang: req.lang })
+      .catch((error) => {
+        if (error instanceof ValidationError) {
+          throw error;
+        }
+        return null;
+      });
+
+  const [evolution, matchups, moves, forms, encounters, calculator, natures, highestStats] =
+    await Promise.all([
+      optional(() => pokemonService.getEvolutionChain(pokemon.name, { lang: req.lang })),
+      optional(() => pokemonService.getTypeMatchups(pokemon.types)),
+      optional(() => pokemonService.getPokemonMoves(pokemon.name)),
+      optional(() => pokemonService.getPokemonForms(pokemon.name, { lang: req.lang })),
+      optional(() => pokemonService.getPokemonEncounters(pokemon.name)),
+      calculate(),
+      optional(() => statService.getNatures({ lang: req.lang })),
+      optional(() => statService.getHighestBaseStats())
+    ]);
+
+  // Show the requested version group's learnset, defaulting to the newest one
+  const versionGroups = moves?.versionGroups || [];
+  const selectedVersion = versionGroups.some((vg) => vg.name === req.query.version)
+    ? req.query.version
+    : versionGroups[versionGroups.length - 1]?.name || null;
+
+  res.render('pokemon', {
+    pokemon,
+    evolution,
+    matchups,
+    moves,
+    forms,
+    encounters,
+    calculator,
+    natures: natures || [],
+    // Stat bars are scaled to the highest base of each stat among all Pokemon
+    statScale: highestStats || pokemon.stats.map(() => MAX_BASE_STAT),
+    selectedVersion
+  });
 };
 
 /**
  * Search results page
  */
 export const searchPokemon = async (req, res) => {
-  try {
-    const { q } = req.query;
-    const types = await pokemonService.getPokemonTypes();
-    const data = await pokemonService.searchPokemon(q);
-
-    res.render('index', {
-      ...data,
-      types,
-      currentPage: 1,
-      totalPages: 1,
-      hasNextPage: false,
-      hasPrevPage: false,
-      searchQuery: q || '',
-      selectedType: ''
-    });
-  } catch (error) {
-    res.status(500).render('error', {
-      message: 'Search failed',
-      error: error.message
-    });
-  }
+  const { q, page } = req.query;
+  const data = await pokemonService.searchPokemon(q, page, config.pagination.defaultLimit, {
+    lang: req.lang
+  });
+
+  await renderIndex(req, res, data, { searchQuery: q || '' });
 };
 
 /**
  * Filter by type page
  */
 export const getPokemonByType = async (req, res) => {
-  try {
-    const { type } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const types = await pokemonService.getPokemonTypes();
-    const data = await pokemonService.getPokemonByType(type, page);
-
-    if (!data) {
-      return res.status(404).render('error', {
-        message: 'Type not found',
-        error: `No Pokemon type found: ${type}`
-      });
-    }
+  const { type } = req.params;
+  const { page } = req.query;
+  const data = await pokemonService.getPokemonByType(type, page, config.pagination.defaultLimit, {
+    lang: req.lang
+  });
+
+  if (!data) {
+    throw new NotFoundError('Type', type);
+  }
+
+  await renderIndex(req, res, data, { selectedType: type });
+};
+
+/**
+ * Pokemon introduced in a generation
+ */
+export const getPokemonByGeneration = async (req, res) => {
+  const { id } = req.params;
+  const { page } = req.query;
+  const data = await pokemonService.getPokemonByGeneration(
+    id,
+    page,
+    config.pagination.defaultLimit,
+    { lang: req.lang }
+  );
 
-    res.render('index', {
-      ...data,
-      types,
-      searchQuery: '',
-      selectedType: type
-    });
-  } catch (error) {
-    res.status(500).render('error', {
-      message: 'Failed to load Pokemon by type',
-      error: error.message
-    });
+  if (!data) {
+    throw new NotFoundError('Generation', id);
   }
+
+  const { generation } = data;
+  await renderIndex(req, res, data, {
+    browse: { kind: 'generation', path: `/generation/${generation.id}`, ...generation }
+  });
+};
+
+/**
+ * Pokemon of a regional Pokedex, numbered as in that Pokedex
+ */
+export const getPokemonByPokedex = async (req, res) => {
+  const { name } = req.params;
+  const { page } = req.query;
+  const data = await pokemonService.getPokemonByPokedex(
+    name,
+    page,
+    config.pagination.defaultLimit,
+    { lang: req.lang }
+  );
+
+  if (!data) {
+    throw new NotFoundError('Pokedex', name);
+  }
+
+  const { pokedex } = data;
+  await renderIndex(req, res, data, {
+    browse: { kind: 'pokedex', path: `/pokedex/${pokedex.name}`, ...pokedex }
+  });
+};
+
+/**
+ * Advanced filter page
+ */
+export const getFilterPage = async (req, res) => {
+  const criteria = parseFilterCriteria(req.query);
+  const { page } = req.query;
+  const types = await pokemonService.getPokemonTypes({ lang: req.lang });
+  const data = await pokemonService.filterPokemon(criteria, page, config.pagination.defaultLimit, {
+    lang: req.lang
+  });
+
+  if (!data) {
+    throw new NotFoundError('Type, generation or ability');
+  }
+
+  // Keep the current filters when moving between pages
+  const pageUrl = (targetPage) => {
+    const params = new URLSearchParams(req.query);
+    params.set('page', targetPage);
+    return `/filter?${params}`;
+  };
+
+  res.render('filter', {
+    ...data,
+    types,
+    criteria,
+    sortFields: FILTER_SORT_FIELDS,
+    statsInput: criteria.stats.map((s) => `${s.stat}${s.operator}${s.value}`).join(', '),
+    pageUrl
+  });
 };
 
 // ============================================
@@ -122,80 +255,236 @@ export const getPokemonByType = async (req, res) => {
  * API: Get all Pokemon
  */
 export const apiGetAllPokemon = async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const data = await pokemonService.getAllPokemon(page, limit);
-    res.json({ success: true, data });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
+  const { page, limit, sort, order } = req.query;
+  const data = await pokemonService.getAllPokemon(page, limit, {
+    ...listOptions(req),
+    sort,
+    order
+  });
+  sendPokemonPage(req, res, data);
 };
 
 /**
  * API: Get Pokemon by name or ID
  */
 export const apiGetPokemonDetails = async (req, res) => {
-  try {
-    const { nameOrId } = req.params;
-    const pokemon = await pokemonService.getPokemonDetails(nameOrId);
-
-    if (!pokemon) {
-      return res.status(404).json({
-        success: false,
-        error: `Pokemon not found: ${nameOrId}`
-      });
-    }
+  const { nameOrId } = req.params;
+  const pokemon = await pokemonService.getPokemonDetails(nameOrId, { lang: req.lang });
+
+  if (!pokemon) {
+    throw new NotFoundError('Pokemon', nameOrId);
+  }
+
+  res.json({ success: true, data: pickFields(pokemon, req.query.fields) });
+};
+
+/**
+ * API: Get the evolution tree of a Pokemon
+ */
+export const apiGetEvolutionChain = async (req, res) => {
+  const { nameOrId } = req.params;
+  const evolution = await pokemonService.getEvolutionChain(nameOrId, { lang: req.lang });
+
+  if (!evolution) {
+    // Tell a Pokemon that doesn't exist from one whose chain is missing
+    const pokemon = await pokemonService.getPokemonSummary(nameOrId);
+    throw pokemon
+      ? new NotFoundError('Evolution chain', pokemon.name)
+      : new NotFoundError('Pokemon', nameOrId);
+  }
+
+  res.json({ success: true, data: evolution });
+};
+
+/**
+ * API: Get the varieties (regional forms, megas, gigantamax...) and forms of a Pokemon
+ */
+export const apiGetPokemonForms = async (req, res) => {
+  const { nameOrId } = req.params;
+  const forms = await pokemonService.getPokemonForms(nameOrId, { lang: req.lang });
+
+  if (!forms) {
+    throw new NotFoundError('Pokemon', nameOrId);
+  }
+
+  res.json({ success: true, data: forms });
+};
 
-    res.json({ success: true, data: pokemon });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+/**
+ * API: Calculate a Pokemon's stats for a level, nature, IVs and EVs
+ */
+export const apiCalculateStats = async (req, res) => {
+  const { nameOrId } = req.params;
+  const { level, nature, ivs, evs } = req.query;
+  const stats = await statService.calculateStats(nameOrId, {
+    level,
+    nature,
+    ivs,
+    evs,
+    lang: req.lang
+  });
+
+  if (!stats) {
+    throw new NotFoundError('Pokemon', nameOrId);
   }
+
+  res.json({ success: true, data: stats });
+};
+
+/**
+ * API: Get every nature with the stats it raises and lowers
+ */
+export const apiGetNatures = async (req, res) => {
+  const natures = await statService.getNatures({ lang: req.lang });
+  res.json({ success: true, data: natures });
+};
+
+/**
+ * API: Get where to find a Pokemon, by game version and location area (?version=red)
+ */
+export const apiGetPokemonEncounters = async (req, res) => {
+  const { nameOrId } = req.params;
+  const { version } = req.query;
+  const encounters = await pokemonService.getPokemonEncounters(nameOrId, { version });
+
+  if (!encounters) {
+    throw new NotFoundError('Pokemon', nameOrId);
+  }
+
+  res.json({ success: true, data: encounters });
+};
+
+/**
+ * API: Get the moves a Pokemon learns, by version group and learn method
+ */
+export const apiGetPokemonMoves = async (req, res) => {
+  const { nameOrId } = req.params;
+  const moves = await pokemonService.getPokemonMoves(nameOrId);
+
+  if (!moves) {
+    throw new NotFoundError('Pokemon', nameOrId);
+  }
+
+  res.json({ success: true, data: moves });
 };
 
 /**
  * API: Search Pokemon
  */
 export const apiSearchPokemon = async (req, res) => {
-  try {
-    const { q } = req.query;
-    const data = await pokemonService.searchPokemon(q);
-    res.json({ success: true, data });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+  const { q, page, limit } = req.query;
+  const data = await pokemonService.searchPokemon(q, page, limit, listOptions(req));
+  sendPokemonPage(req, res, data);
+};
+
+/**
+ * API: Filter Pokemon by multiple criteria
+ */
+export const apiFilterPokemon = async (req, res) => {
+  const criteria = parseFilterCriteria(req.query);
+
+  const { page, limit } = req.query;
+  const data = await pokemonService.filterPokemon(criteria, page, limit, listOptions(req));
+
+  if (!data) {
+    throw new NotFoundError('Type, generation or ability');
   }
+
+  sendPokemonPage(req, res, data);
 };
 
 /**
  * API: Get all types
  */
 export const apiGetTypes = async (req, res) => {
-  try {
-    const types = await pokemonService.getPokemonTypes();
-    res.json({ success: true, data: types });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+  const types = await pokemonService.getPokemonTypes({ lang: req.lang });
+  res.json({ success: true, data: types });
+};
+
+/**
+ * API: Get the defensive matchup chart of a type or dual type ("fire,flying")
+ */
+export const apiGetTypeMatchups = async (req, res) => {
+  const { type } = req.params;
+  const types = type.split(/[,+]/).filter(Boolean);
+  const matchups = await pokemonService.getTypeMatchups(types);
+
+  if (!matchups) {
+    throw new NotFoundError('Type', type);
   }
+
+  res.json({ success: true, data: matchups });
 };
 
 /**
  * API: Get Pokemon by type
  */
 export const apiGetPokemonByType = async (req, res) => {
-  try {
-    const { type } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const data = await pokemonService.getPokemonByType(type, page);
-
-    if (!data) {
-      return res.status(404).json({
-        success: false,
-        error: `Type not found: ${type}`
-      });
-    }
+  const { type } = req.params;
+  const { page, limit, sort, order } = req.query;
+  const data = await pokemonService.getPokemonByType(type, page, limit, {
+    ...listOptions(req),
+    sort,
+    order
+  });
+
+  if (!data) {
+    throw new NotFoundError('Type', type);
+  }
+
+  sendPokemonPage(req, res, data);
+};
+
+/**
+ * API: Get every generation
+ */
+export const apiGetGenerations = async (req, res) => {
+  const generations = await pokemonService.getGenerations({ lang: req.lang });
+  res.json({ success: true, data: generations });
+};
+
+/**
+ * API: Get the Pokemon introduced in a generation
+ */
+export const apiGetPokemonByGeneration = async (req, res) => {
+  const { id } = req.params;
+  const { page, limit } = req.query;
+  const data = await pokemonService.getPokemonByGeneration(id, page, limit, listOptions(req));
 
-    res.json({ success: true, data });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+  if (!data) {
+    throw new NotFoundError('Generation', id);
   }
+
+  sendPokemonPage(req, res, data);
+};
+
+/**
+ * API: Get every Pokedex
+ */
+export const apiGetPokedexes = async (req, res) => {
+  const pokedexes = await pokemonService.getPokedexes();
+  res.json({ success: true, data: pokedexes });
+};
+
+/**
+ * API: Get the Pokemon of a Pokedex with their entry numbers there
+ */
+export const apiGetPokemonByPokedex = async (req, res) => {
+  const { name } = req.params;
+  const { page, limit } = req.query;
+  const data = await pokemonService.getPokemonByPokedex(name, page, limit, listOptions(req));
+
+  if (!data) {
+    throw new NotFoundError('Pokedex', name);
+  }
+
+  sendPokemonPage(req, res, data);
+};
+
+/**
+ * API: Get response cache statistics
+ */
+export const apiGetCacheStats = async (req, res) => {
+  const stats = await pokemonService.getCacheStats();
+  res.json({ success: true, data: stats });
 };
@@ -0,0 +1,155 @@
+import * as teamService from '../services/teamService.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+// ============================================
+// VIEW CONTROLLERS (Return HTML via EJS)
+// ============================================
+
+/**
+ * Team list page with a create form
+ */
+export const getTeamsPage = async (req, res) => {
+  const teams = await teamService.getAllTeams();
+  res.render('teams', { teams, error: null, form: {} });
+};
+
+/**
+ * Create a team from the form, then go to its page
+ */
+export const createTeam = async (req, res) => {
+  try {
+    const team = await teamService.createTeam(req.body);
+    res.redirect(`/teams/${team.id}`);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    // Show the form again with what was typed
+    const teams = await teamService.getAllTeams();
+    res.status(400).render('teams', { teams, error: error.message, form: req.body });
+  }
+};
+
+/**
+ * Team page with coverage analysis
+ */
+export const getTeamPage = async (req, res) => {
+  const { id } = req.params;
+  const analysis = await teamService.analyzeTeam(id, { lang: req.lang });
+
+  if (!analysis) {
+    throw new NotFoundError('Team', id);
+  }
+
+  res.render('team', { ...analysis, error: null });
+};
+
+/**
+ * Update a team from the edit form
+ */
+export const updateTeam = async (req, res) => {
+  const { id } = req.params;
+  let team;
+
+  try {
+    team = await teamService.updateTeam(id, req.body);
+  } catch (error) {
+    const analysis =
+      error instanceof ValidationError && (await teamService.analyzeTeam(id, { lang: req.lang }));
+    if (!analysis) {
+      throw error;
+    }
+    // Show the team again with the validation message
+    return res.status(400).render('team', { ...analysis, error: error.message });
+  }
+
+  if (!team) {
+    throw new NotFoundError('Team', id);
+  }
+
+  res.redirect(`/teams/${id}`);
+};
+
+/**
+ * Delete a team, then go back to the list
+ */
+export const deleteTeam = async (req, res) => {
+  await teamService.deleteTeam(req.params.id);
+  res.redirect('/teams');
+};
+
+// ============================================
+// API CONTROLLERS (Return JSON)
+// ============================================
+
+/**
+ * API: List teams
+ */
+export const apiGetTeams = async (req, res) => {
+  const teams = await teamService.getAllTeams();
+  res.json({ success: true, data: teams });
+};
+
+/**
+ * API: Get one team
+ */
+export const apiGetTeam = async (req, res) => {
+  const { id } = req.params;
+  const team = await teamService.getTeam(id);
+
+  if (!team) {
+    throw new NotFoundError('Team', id);
+  }
+
+  res.json({ success: true, data: team });
+};
+
+/**
+ * API: Create a team
+ */
+export const apiCreateTeam = async (req, res) => {
+  const team = await teamService.createTeam(req.body);
+  res.status(201).json({ success: true, data: team });
+};
+
+/**
+ * API: Replace a team's name and members
+ */
+export const apiUpdateTeam = async (req, res) => {
+  const { id } = req.params;
+  const team = await teamService.updateTeam(id, req.body);
+
+  if (!team) {
+    throw new NotFoundError('Team', id);
+  }
+
+  res.json({ success: true, data: team });
+};
+
+/**
+ * API: Delete a team
+ */
+export const apiDeleteTeam = async (req, res) => {
+  const { id } = req.params;
+  const deleted = await teamService.deleteTeam(id);
+
+  if (!deleted) {
+    throw new NotFoundError('Team', id);
+  }
+
+  res.status(204).end();
+};
+
+/**
+ * API: Analyze a team's weaknesses, coverage and stats
+ */
+export const apiAnalyzeTeam = async (req, res) => {
+  const { id } = req.params;
+  const analysis = await teamService.analyzeTeam(id, { lang: req.lang });
+
+  if (!analysis) {
+    throw new NotFoundError('Team', id);
+  }
+
+  res.json({ success: true, data: analysis });
+};
@@ -0,0 +1,143 @@
+import * as userService from '../services/userService.js';
+import * as collectionService from '../services/collectionService.js';
+import { endSession, startSession } from '../middleware/session.js';
+import { NotFoundError, ValidationError } from '../errors/index.js';
+
+/**
+ * A local path to go to after a form, or the fallback (never another site)
+ */
+const localPath = (path, fallback) =>
+  typeof path === 'string' && /^\/(?![/\\])/.test(path) ? path : fallback;
+
+// ============================================
+// VIEW CONTROLLERS (Return HTML via EJS)
+// ============================================
+
+/**
+ * Signup form
+ */
+export const getSignupPage = (req, res) => {
+  res.render('signup', { error: null, form: {}, next: localPath(req.query.next, '') });
+};
+
+/**
+ * Create an account from the form, log in and go on
+ */
+export const signup = async (req, res) => {
+  const { username, next } = req.body;
+  let user;
+
+  try {
+    user = await userService.signup(req.body);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    // Show the form again with the username that was typed
+    return res
+      .status(400)
+      .render('signup', { error: error.message, form: { username }, next: localPath(next, '') });
+  }
+
+  await startSession(req, res, user);
+  res.redirect(localPath(next, '/progress'));
+};
+
+/**
+ * Login form
+ */
+export const getLoginPage = (req, res) => {
+  res.render('login', { error: null, form: {}, next: localPath(req.query.next, '') });
+};
+
+/**
+ * Log in from the form and go on
+ */
+export const login = async (req, res) => {
+  const { username, next } = req.body;
+  const user = await userService.login(req.body);
+
+  if (!user) {
+    return res.status(401).render('login', {
+      error: res.locals.t('account.invalidCredentials'),
+      form: { username },
+      next: localPath(next, '')
+    });
+  }
+
+  await startSession(req, res, user);
+  res.redirect(localPath(next, '/progress'));
+};
+
+/**
+ * Log out, then go home
+ */
+export const logout = async (req, res) => {
+  await endSession(req, res);
+  res.redirect('/');
+};
+
+/**
+ * Progress page: seen and caught counts, favorites, caught and seen Pokemon
+ */
+export const getProgressPage = async (req, res) => {
+  const progress = await collectionService.getProgress(req.user, { lang: req.lang });
+  res.render('progress', progress);
+};
+
+/**
+ * Set marks on a Pokemon from the buttons on cards and detail pages, then go back
+ */
+export const markPokemon = async (req, res) => {
+  const { nameOrId } = req.params;
+  const entry = await collectionService.setMarks(req.user, nameOrId, req.body);
+
+  if (!entry) {
+    throw new NotFoundError('Pokemon', nameOrId);
+  }
+
+  res.redirect(localPath(req.body.next, `/pokemon/${entry.name}`));
+};
+
+// ============================================
+// API CONTROLLERS (Return JSON)
+// ============================================
+
+/**
+ * API: The logged in user's collection
+ */
+export const apiGetCollection = (req, res) => {
+  const collection = collectionService.getCollection(req.user, { status: req.query.status });
+  res.json({ success: true, data: collection });
+};
+
+/**
+ * API: Set favorite/seen/caught on a Pokemon
+ */
+export const apiUpdateCollectionEntry = async (req, res) => {
+  const { nameOrId } = req.params;
+  const entry = await collectionService.setMarks(req.user, nameOrId, req.body);
+
+  if (!entry) {
+    throw new NotFoundError('Pokemon', nameOrId);
+  }
+
+  res.json({ success: true, data: entry });
+};
+
+/**
+ * API: Take a Pokemon out of the collection
+ */
+export const apiDeleteCollectionEntry = async (req, res) => {
+  const { nameOrId } = req.params;
+  const removed = await collectionService.removeFromCollection(req.user, nameOrId);
+
+  if (removed === null) {
+    throw new NotFoundError('Pokemon', nameOrId);
+  }
+  if (!removed) {
+    throw new NotFoundError('Collection entry', nameOrId);
+  }
+
+  res.status(204).end();
+};
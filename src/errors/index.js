@@ -0,0 +1,100 @@
+/**
+ * Typed application errors.
+ *
+ * Conventions:
+ * - Lookups (repositories and services) return null for missing resources;
+ *   controllers turn that into a NotFoundError.
+ * - Invalid input raises a ValidationError wherever it is detected.
+ * - Routes for logged in users raise an UnauthorizedError without a session.
+ * - Failed upstream calls raise RateLimitedError or UpstreamUnavailableError
+ *   from the repository.
+ *
+ * The error middleware maps each one to its status and, for /api/* routes,
+ * to the JSON error body { success: false, error: { code, message, details? } }.
+ */
+export class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * 404 - a Pokemon, type, team, ... doesn't exist
+ */
+export class NotFoundError extends AppError {
+  constructor(resource, id) {
+    super(id === undefined ? `${resource} not found` : `${resource} not found: ${id}`, {
+      status: 404,
+      code: 'NOT_FOUND',
+      details: id === undefined ? { resource } : { resource, id: String(id) }
+    });
+    this.resource = resource;
+  }
+}
+
+/**
+ * 400 - invalid input. field names the offending parameter, when there is one.
+ */
+export class ValidationError extends AppError {
+  constructor(message, { field, ...details } = {}) {
+    super(message, {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      details: field === undefined ? undefined : { field, ...details }
+    });
+    this.field = field;
+  }
+}
+
+/**
+ * 401 - the route needs a logged in user and there isn't one
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Log in to continue') {
+    super(message, { status: 401, code: 'UNAUTHORIZED' });
+  }
+}
+
+/**
+ * 429 - PokeAPI rate limited us. retryAfter is in seconds, when known.
+ */
+export class RateLimitedError extends AppError {
+  constructor(message, { retryAfter, cause } = {}) {
+    super(message, {
+      status: 429,
+      code: 'RATE_LIMITED',
+      details: retryAfter ? { retryAfter } : undefined,
+      cause
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * 503 - PokeAPI timed out, failed or the circuit breaker is open
+ */
+export class UpstreamUnavailableError extends AppError {
+  constructor(message, { cause } = {}) {
+    super(message, { status: 503, code: 'UPSTREAM_UNAVAILABLE', cause });
+  }
+}
+
+/**
+ * Wrap an error from the PokeAPI source in the matching typed error
+ */
+export const toUpstreamError = (error, context) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const message = `${context}: ${error.message}`;
+  if (error.response?.status === 429) {
+    const retryAfter = Number(error.response.headers?.['retry-after']) || undefined;
+    return new RateLimitedError(message, { retryAfter, cause: error });
+  }
+  return new UpstreamUnavailableError(message, { cause: error });
+};
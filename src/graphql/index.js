@@ -0,0 +1,287 @@
+import {
+  GraphQLError,
+  Kind,
+  buildSchema,
+  execute,
+  getNamedType,
+  getNullableType,
+  isListType,
+  parse,
+  specifiedRules,
+  validate
+} from 'graphql';
+import { config } from '../config/index.js';
+import { AppError } from '../errors/index.js';
+import { DEFAULT_LANGUAGE } from '../i18n/index.js';
+import { typeDefs } from './typeDefs.js';
+import { resolvers } from './resolvers.js';
+import { createLoaders } from './loaders.js';
+
+/**
+ * Build the executable schema: SDL types with the resolvers attached
+ */
+const buildExecutableSchema = () => {
+  const schema = buildSchema(typeDefs);
+
+  Object.entries(resolvers).forEach(([typeName, fields]) => {
+    const typeFields = schema.getType(typeName).getFields();
+    Object.entries(fields).forEach(([fieldName, resolve]) => {
+      typeFields[fieldName].resolve = resolve;
+    });
+  });
+
+  return schema;
+};
+
+export const schema = buildExecutableSchema();
+
+/**
+ * Fragment definitions of the document being validated, by name
+ */
+const fragmentsByName = (context) =>
+  Object.fromEntries(
+    context
+      .getDocument()
+      .definitions.filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+      .map((definition) => [definition.name.value, definition])
+  );
+
+/**
+ * Deepest field nesting in a selection set, following fragments
+ */
+const selectionDepth = (selectionSet, fragments, visited = new Set()) => {
+  if (!selectionSet) {
+    return 0;
+  }
+
+  return Math.max(
+    0,
+    ...selectionSet.selections.map((selection) => {
+      if (selection.kind === Kind.FIELD) {
+        return 1 + selectionDepth(selection.selectionSet, fragments, visited);
+      }
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        return selectionDepth(selection.selectionSet, fragments, visited);
+      }
+
+      // Fragment spread; cycles are reported by the standard NoFragmentCycles rule
+      const fragment = fragments[selection.name.value];
+      if (!fragment || visited.has(fragment)) {
+        return 0;
+      }
+      return selectionDepth(fragment.selectionSet, fragments, new Set([...visited, fragment]));
+    })
+  );
+};
+
+/**
+ * Validation rule rejecting queries nested deeper than maxDepth fields,
+ * since every level (evolutions → pokemon → evolutions...) can fan out upstream
+ */
+const maxDepthRule = (maxDepth) => (context) => ({
+  OperationDefinition(node) {
+    const fragments = fragmentsByName(context);
+    const depth = selectionDepth(node.selectionSet, fragments);
+    if (depth > maxDepth) {
+      context.reportError(
+        new GraphQLError(`Query is nested ${depth} levels deep; the maximum is ${maxDepth}`, {
+          nodes: [node]
+        })
+      );
+    }
+  }
+});
+
+// Types loaded through a service call (cached per request) when a field returns them;
+// the rest are built from data already loaded
+const LOADED_TYPES = new Set([
+  'Pokemon',
+  'Species',
+  'EvolutionChain',
+  'Move',
+  'Ability',
+  'TypeMatchups',
+  'PokemonPage',
+  'MoveSearchPage'
+]);
+
+// Lists without a limit argument (types, learnsets, evolvesTo...) are counted as this many items
+const ASSUMED_LIST_SIZE = 10;
+
+/**
+ * The page size a field asks for, as the resolvers will clamp it. Variables
+ * aren't known during validation, so they count as the largest page.
+ */
+const requestedLimit = (field) => {
+  const value = field.arguments.find((argument) => argument.name.value === 'limit')?.value;
+  if (!value || value.kind === Kind.NULL) {
+    return config.pagination.defaultLimit;
+  }
+  if (value.kind === Kind.INT) {
+    return Math.min(Math.max(parseInt(value.value, 10), 1), config.pagination.maxLimit);
+  }
+  return config.pagination.maxLimit;
+};
+
+/**
+ * Estimated number of loads a selection set makes: every field returning a
+ * loaded type counts once per item, and a list multiplies everything below
+ * it by its size. A field with a limit argument either is that list
+ * (learnedBy) or returns a page whose list holds that many items (pageLimit).
+ */
+const selectionCost = (selectionSet, parentType, context, pageLimit) => {
+  if (!selectionSet) {
+    return 0;
+  }
+
+  return selectionSet.selections.reduce((total, selection) => {
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition
+        ? context.schema.getType(selection.typeCondition.name.value)
+        : parentType;
+      return total + selectionCost(selection.selectionSet, type, context, pageLimit);
+    }
+
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      // Cycles are reported by the standard NoFragmentCycles rule
+      const fragment = context.fragments[selection.name.value];
+      if (!fragment || context.visited.has(fragment)) {
+        return total;
+      }
+      const type = context.schema.getType(fragment.typeCondition.name.value);
+      const visited = new Set([...context.visited, fragment]);
+      return total + selectionCost(fragment.selectionSet, type, { ...context, visited }, pageLimit);
+    }
+
+    const field = parentType?.getFields?.()[selection.name.value];
+    if (!field || !selection.selectionSet) {
+      return total; // Scalars, __typename and unknown fields (reported elsewhere)
+    }
+
+    const hasLimit = field.args.some((argument) => argument.name === 'limit');
+    const isList = isListType(getNullableType(field.type));
+    const limit = hasLimit ? requestedLimit(selection) : undefined;
+
+    const size = isList ? (limit ?? pageLimit ?? ASSUMED_LIST_SIZE) : 1;
+    const childPageLimit = hasLimit && !isList ? limit : undefined;
+    const type = getNamedType(field.type);
+    const children = selectionCost(selection.selectionSet, type, context, childPageLimit);
+
+    return total + size * ((LOADED_TYPES.has(type.name) ? 1 : 0) + children);
+  }, 0);
+};
+
+/**
+ * Validation rule rejecting queries estimated to make more than maxCost
+ * loads, each of which can mean an upstream call. Limits how wide a query
+ * fans out, where maxDepthRule limits how deep.
+ */
+const maxCostRule = (maxCost) => (context) => ({
+  OperationDefinition(node) {
+    const schema = context.getSchema();
+    const cost = selectionCost(node.selectionSet, schema.getRootType(node.operation), {
+      schema,
+      fragments: fragmentsByName(context),
+      visited: new Set()
+    });
+    if (cost > maxCost) {
+      context.reportError(
+        new GraphQLError(
+          `Query would make about ${cost} lookups; the maximum is ${maxCost}. Ask for smaller pages or fewer nested lists`,
+          { nodes: [node] }
+        )
+      );
+    }
+  }
+});
+
+const rules = [
+  ...specifiedRules,
+  maxDepthRule(config.graphql.maxDepth),
+  maxCostRule(config.graphql.maxCost)
+];
+
+/**
+ * Serialize a GraphQL error, adding the same error codes the REST API uses
+ * (code is used for errors that didn't come from our own code)
+ */
+const formatError = (error, code) => {
+  const original = error.originalError;
+  const isAppError = original instanceof AppError;
+
+  return {
+    ...error.toJSON(),
+    extensions: {
+      code: isAppError ? original.code : code,
+      ...(isAppError && original.details && { details: original.details })
+    }
+  };
+};
+
+const badRequest = (message) => ({
+  status: 400,
+  body: { errors: [{ message, extensions: { code: 'BAD_REQUEST' } }] }
+});
+
+/**
+ * Run a GraphQL request ({ query, variables, operationName }, from a POST
+ * body or GET query string) in the request's language. Resolves to the HTTP
+ * status and JSON body: 400 when the query can't run at all, 200 otherwise
+ * (with any field errors listed next to the partial data).
+ */
+export const executeGraphQL = async (
+  { query, variables, operationName } = {},
+  { lang = DEFAULT_LANGUAGE } = {}
+) => {
+  if (typeof query !== 'string' || query.trim() === '') {
+    return badRequest('A query string is required');
+  }
+
+  // GET requests send variables as a JSON string
+  let variableValues = variables;
+  if (typeof variables === 'string') {
+    try {
+      variableValues = JSON.parse(variables);
+    } catch {
+      return badRequest('variables must be valid JSON');
+    }
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { status: 400, body: { errors: [formatError(error, 'GRAPHQL_PARSE_FAILED')] } };
+  }
+
+  const validationErrors = validate(schema, document, rules);
+  if (validationErrors.length > 0) {
+    return {
+      status: 400,
+      body: {
+        errors: validationErrors.map((error) => formatError(error, 'GRAPHQL_VALIDATION_FAILED'))
+      }
+    };
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues,
+    operationName,
+    contextValue: { lang, loaders: createLoaders({ lang }) }
+  });
+
+  return {
+    status: 200,
+    body: {
+      data: result.data,
+      ...(result.errors && {
+        // Errors without an original error are bad input, e.g. a variable of the wrong type
+        errors: result.errors.map((error) =>
+          formatError(error, error.originalError ? 'INTERNAL_ERROR' : 'BAD_REQUEST')
+        )
+      })
+    }
+  };
+};
@@ -0,0 +1,28 @@
+import * as pokemonService from '../services/pokemonService.js';
+import * as moveService from '../services/moveService.js';
+import * as abilityService from '../services/abilityService.js';
+import { createBatchLoader, loadEach } from '../services/batchLoader.js';
+
+/**
+ * Per-request loaders for the GraphQL resolvers
+ *
+ * Resolvers at the same depth run in the same tick, so their loads are
+ * batched; cache keeps every result for the rest of the request, so a
+ * Pokemon reached twice in one query (e.g. through an evolution chain and a
+ * list) is only loaded once. A new set is created for every request, in
+ * that request's language.
+ */
+export const createLoaders = ({ lang } = {}) => {
+  const loader = (loadOne) => createBatchLoader(loadEach(loadOne), { cache: true });
+
+  return {
+    pokemon: loader((nameOrId) => pokemonService.getPokemonSummary(nameOrId, { lang })),
+    species: loader((nameOrId) => pokemonService.getPokemonSpecies(nameOrId, { lang })),
+    evolutions: loader((nameOrId) => pokemonService.getEvolutionChain(nameOrId, { lang })),
+    learnsets: loader(pokemonService.getPokemonMoves),
+    move: loader(moveService.getMoveDetails),
+    ability: loader(abilityService.getAbilityDetails),
+    // Keyed by the sorted, comma separated type names
+    matchups: loader((key) => pokemonService.getTypeMatchups(key.split(',')))
+  };
+};
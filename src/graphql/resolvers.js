@@ -0,0 +1,153 @@
+import * as pokemonService from '../services/pokemonService.js';
+import * as moveService from '../services/moveService.js';
+import { ValidationError } from '../errors/index.js';
+import { typeName } from '../i18n/index.js';
+import { name, text } from '../validation/rules.js';
+import { limit, page } from '../validation/pokemonSchemas.js';
+
+/**
+ * GraphQL resolvers, keyed by type and field
+ *
+ * Fields not listed here resolve to the property of the same name. Root
+ * fields call the services directly; nested fields go through the
+ * per-request loaders in context.loaders so sibling lookups are batched.
+ * Names are localized to context.lang.
+ */
+
+// GraphQL passes explicit nulls; the validation rules treat undefined as "not given"
+const arg = (rule, value, field) => rule(value ?? undefined, field);
+
+const pageArgs = (args) => [arg(page, args.page, 'page'), arg(limit, args.limit, 'limit')];
+
+const toType = (type, lang) => ({ name: type, displayName: typeName(type, lang) });
+
+// "level-up" ↔ LEVEL_UP
+const toLearnMethodEnum = (method) => method.toUpperCase().replace(/-/g, '_');
+const fromLearnMethodEnum = (value) => value.toLowerCase().replace(/_/g, '-');
+
+const matchupsKey = (types) =>
+  [...new Set(types.map((type) => type.toLowerCase()))].sort().join(',');
+
+export const resolvers = {
+  Query: {
+    pokemon: (_, args, { loaders }) => loaders.pokemon.load(arg(name(), args.nameOrId, 'nameOrId')),
+
+    pokemonList: (_, args, { lang }) => pokemonService.getAllPokemon(...pageArgs(args), { lang }),
+
+    searchPokemon: (_, args, { lang }) =>
+      pokemonService.searchPokemon(arg(text(), args.query, 'query'), ...pageArgs(args), { lang }),
+
+    types: (_, __, { lang }) => pokemonService.getPokemonTypes({ lang }),
+
+    type: async (_, args, { lang }) => {
+      const typeSlug = arg(name(), args.name, 'name');
+      const types = await pokemonService.getPokemonTypes({ lang });
+      return types.find((type) => type.name === typeSlug) || null;
+    },
+
+    typeMatchups: (_, args, { loaders }) => {
+      if (args.types.length === 0 || args.types.length > 2) {
+        throw new ValidationError('A matchup combines one or two types', { field: 'types' });
+      }
+      return loaders.matchups.load(matchupsKey(args.types));
+    },
+
+    ability: (_, args, { loaders }) => loaders.ability.load(arg(name(), args.name, 'name')),
+
+    move: (_, args, { loaders }) => loaders.move.load(arg(name(), args.name, 'name')),
+
+    searchMoves: (_, args) =>
+      moveService.searchMoves(arg(text(), args.query, 'query'), ...pageArgs(args))
+  },
+
+  Pokemon: {
+    types: (pokemon, _, { lang }) => pokemon.types.map((type) => toType(type, lang)),
+
+    species: (pokemon, _, { loaders }) => loaders.species.load(pokemon.name),
+
+    evolutions: (pokemon, _, { loaders }) => loaders.evolutions.load(pokemon.name),
+
+    versionGroups: async (pokemon, _, { loaders }) =>
+      (await loaders.learnsets.load(pokemon.name))?.versionGroups || [],
+
+    moves: async (pokemon, args, { loaders }) => {
+      const data = await loaders.learnsets.load(pokemon.name);
+      const versionGroup = args.versionGroup || data?.versionGroups.at(-1)?.name;
+      const learnset = data?.learnsets[versionGroup];
+      if (!learnset) {
+        return [];
+      }
+
+      const methods = args.method
+        ? [fromLearnMethodEnum(args.method)]
+        : pokemonService.LEARN_METHODS;
+      return methods.flatMap((method) =>
+        learnset[method].map((move) => ({ ...move, method: toLearnMethodEnum(method) }))
+      );
+    }
+  },
+
+  PokemonAbility: {
+    ability: (ability, _, { loaders }) => loaders.ability.load(ability.slug)
+  },
+
+  Type: {
+    pokemon: (type, args, { lang }) =>
+      pokemonService.getPokemonByType(type.name, ...pageArgs(args), { lang }),
+
+    matchups: (type, _, { loaders }) => loaders.matchups.load(type.name)
+  },
+
+  TypeMatchups: {
+    multipliers: (matchups) =>
+      Object.entries(matchups.multipliers).map(([type, multiplier]) => ({ type, multiplier })),
+
+    chart: (matchups) =>
+      Object.entries(matchups.chart).map(([multiplier, types]) => ({ multiplier, types }))
+  },
+
+  EvolutionNode: {
+    pokemon: (node, _, { loaders }) => loaders.pokemon.load(node.name)
+  },
+
+  EvolutionTrigger: {
+    conditions: (trigger) =>
+      Object.entries(trigger.conditions).map(([key, value]) => ({
+        name: key,
+        value: String(value)
+      }))
+  },
+
+  LearnedMove: {
+    move: (learned, _, { loaders }) => loaders.move.load(learned.name)
+  },
+
+  Move: {
+    type: (move, _, { lang }) => toType(move.type, lang),
+
+    learnedBy: (move, args) => move.learnedBy.slice(0, arg(limit, args.limit, 'limit'))
+  },
+
+  MoveRef: {
+    move: (ref, _, { loaders }) => loaders.move.load(ref.name)
+  },
+
+  Ability: {
+    pokemon: (ability, args) => {
+      const all = [...ability.pokemon.normal, ...ability.pokemon.hidden];
+      const matching =
+        args.hidden === null || args.hidden === undefined
+          ? all
+          : all.filter((entry) => entry.isHidden === args.hidden);
+      return matching.slice(0, arg(limit, args.limit, 'limit'));
+    }
+  },
+
+  AbilityPokemon: {
+    pokemon: (entry, _, { loaders }) => loaders.pokemon.load(entry.name)
+  },
+
+  PokemonRef: {
+    pokemon: (ref, _, { loaders }) => loaders.pokemon.load(ref.name)
+  }
+};
@@ -0,0 +1,234 @@
+/**
+ * GraphQL schema (SDL). Resolvers live in resolvers.js.
+ */
+export const typeDefs = /* GraphQL */ `
+  type Query {
+    "A Pokemon by name or national dex number"
+    pokemon(nameOrId: String!): Pokemon
+    "Pokemon by national dex number, one page at a time"
+    pokemonList(page: Int = 1, limit: Int): PokemonPage!
+    "Ranked, typo-tolerant search by name"
+    searchPokemon(query: String!, page: Int = 1, limit: Int): PokemonPage!
+    "Every type a Pokemon can have"
+    types: [Type!]!
+    type(name: String!): Type
+    "Defensive matchups of a single or dual type"
+    typeMatchups(types: [String!]!): TypeMatchups
+    ability(name: String!): Ability
+    move(name: String!): Move
+    searchMoves(query: String!, page: Int = 1, limit: Int): MoveSearchPage!
+  }
+
+  type Pokemon {
+    id: Int!
+    name: String!
+    displayName: String!
+    image: String
+    sprite: String
+    types: [Type!]!
+    "Meters"
+    height: Float!
+    "Kilograms"
+    weight: Float!
+    abilities: [PokemonAbility!]!
+    stats: [Stat!]!
+    species: Species
+    evolutions: EvolutionChain
+    "Version groups with learnset data, oldest first"
+    versionGroups: [VersionGroup!]!
+    "Learnset of one version group (the newest by default), optionally one learn method"
+    moves(versionGroup: String, method: LearnMethod): [LearnedMove!]!
+  }
+
+  type Species {
+    description: String!
+    genus: String!
+    color: String!
+    captureRate: Int!
+    baseHappiness: Int!
+    "One Pokedex entry per version"
+    flavorTexts: [FlavorText!]!
+    eggGroups: [String!]!
+    "Null for genderless species"
+    genderRatio: GenderRatio
+    hatchSteps: Int
+    growthRate: String
+    habitat: String
+    shape: String
+    generation: String
+    isLegendary: Boolean!
+    isMythical: Boolean!
+    isBaby: Boolean!
+  }
+
+  type FlavorText {
+    version: String!
+    versionName: String!
+    text: String!
+  }
+
+  "Percent of each gender"
+  type GenderRatio {
+    male: Float!
+    female: Float!
+  }
+
+  type Stat {
+    name: String!
+    value: Int!
+  }
+
+  type PokemonAbility {
+    name: String!
+    slug: String!
+    isHidden: Boolean!
+    ability: Ability
+  }
+
+  type PokemonPage {
+    pokemon: [Pokemon!]!
+    totalCount: Int!
+    currentPage: Int!
+    totalPages: Int!
+    hasNextPage: Boolean!
+    hasPrevPage: Boolean!
+  }
+
+  type Type {
+    name: String!
+    displayName: String!
+    pokemon(page: Int = 1, limit: Int): PokemonPage
+    matchups: TypeMatchups
+  }
+
+  type TypeMatchups {
+    types: [String!]!
+    "Damage multiplier of each attacking type"
+    multipliers: [TypeMultiplier!]!
+    "Attacking types grouped by multiplier (4x, 2x, 1x, 0.5x, 0.25x, 0x)"
+    chart: [MatchupBucket!]!
+  }
+
+  type TypeMultiplier {
+    type: String!
+    multiplier: Float!
+  }
+
+  type MatchupBucket {
+    multiplier: String!
+    types: [String!]!
+  }
+
+  type EvolutionChain {
+    id: Int!
+    species: String!
+    chain: EvolutionNode!
+  }
+
+  type EvolutionNode {
+    id: Int!
+    name: String!
+    displayName: String!
+    image: String!
+    triggers: [EvolutionTrigger!]!
+    evolvesTo: [EvolutionNode!]!
+    pokemon: Pokemon
+  }
+
+  type EvolutionTrigger {
+    trigger: String!
+    description: String!
+    conditions: [EvolutionCondition!]!
+  }
+
+  type EvolutionCondition {
+    name: String!
+    value: String!
+  }
+
+  type VersionGroup {
+    name: String!
+    displayName: String!
+  }
+
+  enum LearnMethod {
+    LEVEL_UP
+    MACHINE
+    EGG
+    TUTOR
+    OTHER
+  }
+
+  type LearnedMove {
+    name: String!
+    displayName: String!
+    method: LearnMethod!
+    level: Int
+    move: Move
+  }
+
+  type Move {
+    id: Int!
+    name: String!
+    displayName: String!
+    type: Type!
+    power: Int
+    accuracy: Int
+    pp: Int
+    priority: Int!
+    damageClass: String
+    target: String
+    generation: String
+    effect: String
+    shortEffect: String
+    flavorText: String
+    "The first limit Pokemon that learn the move; limit defaults and clamps like a page size"
+    learnedBy(limit: Int): [PokemonRef!]!
+  }
+
+  type MoveSearchPage {
+    moves: [MoveRef!]!
+    totalCount: Int!
+    currentPage: Int!
+    totalPages: Int!
+    hasNextPage: Boolean!
+    hasPrevPage: Boolean!
+  }
+
+  type Ability {
+    id: Int!
+    name: String!
+    displayName: String!
+    generation: String
+    effect: String
+    shortEffect: String
+    flavorText: String
+    "The first limit Pokemon with the ability; limit defaults and clamps like a page size"
+    pokemon(hidden: Boolean, limit: Int): [AbilityPokemon!]!
+  }
+
+  type AbilityPokemon {
+    id: Int!
+    name: String!
+    displayName: String!
+    image: String!
+    isHidden: Boolean!
+    pokemon: Pokemon
+  }
+
+  "A Pokemon by reference; pokemon loads the whole Pokemon"
+  type PokemonRef {
+    id: Int!
+    name: String!
+    displayName: String!
+    pokemon: Pokemon
+  }
+
+  "A move by reference; move loads the whole move"
+  type MoveRef {
+    id: Int!
+    name: String!
+    displayName: String!
+    move: Move
+  }
+`;
@@ -0,0 +1,63 @@
+/**
+ * Circuit breaker: after failureThreshold consecutive failures, calls fail fast
+ * for resetTimeout ms. The first call after that is a trial: success, or an
+ * error that isn't a failure, closes the circuit again; failure re-opens it.
+ *
+ * States: 'closed' (normal), 'open' (failing fast), 'half-open' (trial call)
+ */
+export const createCircuitBreaker = ({
+  enabled = true,
+  failureThreshold = 5,
+  resetTimeout = 30000,
+  isFailure = () => true
+} = {}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+
+  const open = () => {
+    state = 'open';
+    openedAt = Date.now();
+  };
+
+  return {
+    async exec(fn) {
+      if (!enabled) {
+        return fn();
+      }
+
+      if (state !== 'closed') {
+        // Let a single trial call through once the reset timeout has passed
+        if (state === 'half-open' || Date.now() - openedAt < resetTimeout) {
+          const error = new Error('Circuit open: upstream is failing, try again later');
+          error.code = 'CIRCUIT_OPEN';
+          throw error;
+        }
+        state = 'half-open';
+      }
+
+      try {
+        const result = await fn();
+        state = 'closed';
+        failures = 0;
+        return result;
+      } catch (error) {
+        if (isFailure(error)) {
+          failures += 1;
+          if (state === 'half-open' || failures >= failureThreshold) {
+            open();
+          }
+        } else {
+          // Upstream answered (e.g. a 404), so it is up again
+          state = 'closed';
+          failures = 0;
+        }
+        throw error;
+      }
+    },
+
+    getState() {
+      return { enabled, state, failures };
+    }
+  };
+};
@@ -0,0 +1,35 @@
+/**
+ * Limit how many async tasks run at once; extra tasks wait in FIFO order
+ */
+export const createConcurrencyLimiter = ({ maxConcurrent = Infinity } = {}) => {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= maxConcurrent || queue.length === 0) {
+      return;
+    }
+    active += 1;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+  };
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    getStats() {
+      return { active, pending: queue.length, maxConcurrent };
+    }
+  };
+};
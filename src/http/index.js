@@ -0,0 +1,88 @@
+import axios from 'axios';
+import { config } from '../config/index.js';
+import { createConcurrencyLimiter } from './concurrencyLimiter.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+
+// Network errors worth another attempt (timeouts and dropped connections)
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 429 (rate limited), 5xx and timeouts are retried; other errors (404, ...) are final
+ */
+export const isRetryable = (error) => {
+  const status = error.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+};
+
+/**
+ * Failures that count towards opening the circuit: anything but a client error
+ */
+const isUpstreamFailure = (error) => {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+/**
+ * Delay before the given retry (0-based): exponential backoff, or the
+ * server's Retry-After header (in seconds) when it sends one
+ */
+const retryDelay = (error, attempt, { retryBaseDelay, retryMaxDelay }) => {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  const delay = retryAfter > 0 ? retryAfter * 1000 : retryBaseDelay * 2 ** attempt;
+  return Math.min(delay, retryMaxDelay);
+};
+
+/**
+ * Create an HTTP client with timeouts, retries, a concurrency limit and a
+ * circuit breaker. Options mirror config.http.
+ */
+export const createHttpClient = ({
+  timeout = 10000,
+  retries = 2,
+  retryBaseDelay = 200,
+  retryMaxDelay = 5000,
+  maxConcurrent = 10,
+  circuitBreaker = {}
+} = {}) => {
+  const limiter = createConcurrencyLimiter({ maxConcurrent });
+  const breaker = createCircuitBreaker({ ...circuitBreaker, isFailure: isUpstreamFailure });
+
+  // A single attempt only holds a concurrency slot while it is in flight
+  const attempt = (url, params) =>
+    limiter.run(() => axios.get(url, params ? { params, timeout } : { timeout }));
+
+  const withRetries = async (url, params) => {
+    for (let retry = 0; ; retry += 1) {
+      try {
+        return await attempt(url, params);
+      } catch (error) {
+        if (retry >= retries || !isRetryable(error)) {
+          throw error;
+        }
+        await sleep(retryDelay(error, retry, { retryBaseDelay, retryMaxDelay }));
+      }
+    }
+  };
+
+  return {
+    /**
+     * GET a URL and return the response body
+     */
+    async get(url, params) {
+      const response = await breaker.exec(() => withRetries(url, params));
+      return response.data;
+    },
+
+    getStats() {
+      return { ...limiter.getStats(), circuit: breaker.getState() };
+    }
+  };
+};
+
+// Shared client used by the remote PokeAPI source
+export const httpClient = createHttpClient(config.http);
@@ -0,0 +1,90 @@
+import { formatName, formatStatName } from '../services/formatters.js';
+import en from './messages/en.js';
+import ja from './messages/ja.js';
+import de from './messages/de.js';
+import fr from './messages/fr.js';
+
+/**
+ * Localization: supported languages, UI strings and localized PokeAPI data
+ *
+ * UI strings live in messages/<lang>.js. Keys missing there fall back to
+ * English, so a new string only has to be added to en.js to show up.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Supported languages and their names in their own language (for the switcher)
+export const LANGUAGES = {
+  en: 'English',
+  ja: '日本語',
+  de: 'Deutsch',
+  fr: 'Français'
+};
+
+const MESSAGES = { en, ja, de, fr };
+
+// PokeAPI language codes to try for each language, best first
+// ("ja" is kanji and kana, "ja-Hrkt" kana only and the only one older games have)
+const POKEAPI_LANGUAGES = {
+  en: ['en'],
+  ja: ['ja', 'ja-Hrkt'],
+  de: ['de'],
+  fr: ['fr']
+};
+
+export const isSupportedLanguage = (lang) =>
+  typeof lang === 'string' && Object.hasOwn(LANGUAGES, lang);
+
+const lookup = (messages, key) =>
+  key
+    .split('.')
+    .reduce((node, part) => (node && Object.hasOwn(node, part) ? node[part] : undefined), messages);
+
+/**
+ * Translate function for one language: t('home.resultsFor', { count, query }).
+ * Falls back to English, then to the key itself.
+ */
+export const createTranslator =
+  (lang) =>
+  (key, params = {}) => {
+    const template = lookup(MESSAGES[lang], key) ?? lookup(MESSAGES[DEFAULT_LANGUAGE], key) ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      Object.hasOwn(params, name) ? String(params[name]) : match
+    );
+  };
+
+/**
+ * All UI strings in a section (e.g. the "client" strings browser scripts use)
+ */
+export const messageSection = (lang, section) => ({
+  ...MESSAGES[DEFAULT_LANGUAGE][section],
+  ...MESSAGES[lang]?.[section]
+});
+
+/**
+ * Localized type name ("fire" → "ほのお")
+ */
+export const typeName = (type, lang = DEFAULT_LANGUAGE) =>
+  MESSAGES[lang]?.types[type] ?? MESSAGES[DEFAULT_LANGUAGE].types[type] ?? formatName(type);
+
+/**
+ * Localized stat name ("special-attack" → "Sp. Atk", "とくこう", ...)
+ */
+export const statName = (stat, lang = DEFAULT_LANGUAGE) =>
+  MESSAGES[lang]?.stats[stat] ?? formatStatName(stat);
+
+/**
+ * Pick the entry for a language from a PokeAPI localized list (names,
+ * genera, flavor_text_entries), falling back to English. Returns null if
+ * neither is there.
+ */
+export const pickLocalized = (entries = [], lang = DEFAULT_LANGUAGE) => {
+  const codes = [...(POKEAPI_LANGUAGES[lang] || []), ...POKEAPI_LANGUAGES[DEFAULT_LANGUAGE]];
+  for (const code of codes) {
+    const entry = entries.find((item) => item.language.name === code);
+    if (entry) {
+      return entry;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,382 @@
+/**
+ * German UI strings
+ */
+export default {
+  common: {
+    backToPokedex: 'Zurück zum Pokédex',
+    previous: 'Zurück',
+    next: 'Weiter',
+    pageOf: 'Seite {current} von {total}',
+    any: 'Alle',
+    none: 'Keine',
+    total: 'Gesamt',
+    search: 'Suchen',
+    clearSearch: 'Suche zurücksetzen',
+    noDescription: 'Keine Beschreibung verfügbar.',
+    unknown: 'Unbekannt',
+    language: 'Sprache'
+  },
+  nav: {
+    filter: 'Filter',
+    compare: 'Vergleichen',
+    teams: 'Teams',
+    moves: 'Attacken',
+    items: 'Items',
+    api: 'API',
+    progress: 'Fortschritt',
+    login: 'Anmelden',
+    logout: 'Abmelden'
+  },
+  footer: {
+    dataBy: 'Daten von'
+  },
+  home: {
+    advancedFilter: 'Erweiterter Filter',
+    searchPlaceholder: 'Pokémon nach Name oder Nummer suchen...',
+    filterByType: 'Nach Typ filtern:',
+    all: 'Alle',
+    resultsFor: '{count} Ergebnis(se) für „{query}“',
+    typeResults: '{count} Pokémon vom Typ {type}',
+    showAll: 'Alle anzeigen',
+    noResults: 'Keine Pokémon gefunden'
+  },
+  browse: {
+    byGeneration: 'Generation:',
+    byPokedex: 'Regionale Pokédexe',
+    generation: 'Gen. {numeral}',
+    generationResults: '{count} Pokémon aus {name}',
+    pokedexResults: '{count} Pokémon im {name}-Pokédex'
+  },
+  card: {
+    compare: '+ Vergleichen'
+  },
+  pokemon: {
+    description: 'Beschreibung',
+    height: 'Größe',
+    weight: 'Gewicht',
+    captureRate: 'Fangrate',
+    baseHappiness: 'Basis-Freundschaft',
+    abilities: 'Fähigkeiten',
+    hidden: '(Versteckt)',
+    baseStats: 'Basiswerte',
+    damageTaken: 'Erlittener Schaden',
+    veryWeak: 'Sehr anfällig',
+    weak: 'Anfällig',
+    resists: 'Resistent',
+    stronglyResists: 'Sehr resistent',
+    immune: 'Immun',
+    evolution: 'Entwicklung',
+    doesNotEvolve: 'Dieses Pokémon entwickelt sich nicht.',
+    moves: 'Attacken',
+    game: 'Spiel',
+    show: 'Anzeigen',
+    level: 'Lv. {level}'
+  },
+  learnMethods: {
+    'level-up': 'Levelaufstieg',
+    machine: 'TM/VM',
+    egg: 'Ei',
+    tutor: 'Attacken-Lehrer',
+    other: 'Sonstige'
+  },
+  evolution: {
+    level: 'Level {level}',
+    levelUp: 'Levelaufstieg',
+    useItem: '{item} verwenden',
+    tradeFor: 'gegen {species}',
+    holding: 'trägt {item}',
+    friendship: 'hohe Freundschaft',
+    affection: 'hohe Zuneigung',
+    beauty: 'hohe Schönheit',
+    knowingMove: 'beherrscht {move}',
+    knowingMoveType: 'beherrscht eine {type}-Attacke',
+    location: 'bei {location}',
+    partySpecies: 'mit {species} im Team',
+    partyType: 'mit einem {type}-Pokémon im Team',
+    female: 'weiblich',
+    male: 'männlich',
+    day: 'tagsüber',
+    night: 'nachts',
+    dusk: 'in der Abenddämmerung',
+    rain: 'bei Regen',
+    upsideDown: 'mit umgedrehter Konsole',
+    separator: ', '
+  },
+  evolutionTriggers: {
+    trade: 'Tausch',
+    shed: 'Häutung',
+    spin: 'Drehen',
+    'tower-of-darkness': 'Turm des Unlichts',
+    'tower-of-waters': 'Turm des Wassers',
+    'three-critical-hits': 'Drei Volltreffer',
+    'take-damage': 'Schaden nehmen',
+    'agile-style-move': 'Attacke im Tempo-Stil',
+    'strong-style-move': 'Attacke im Kraft-Stil',
+    'recoil-damage': 'Rückstoßschaden',
+    other: 'Sonstiges'
+  },
+  calculator: {
+    title: 'Statuswert-Rechner',
+    level: 'Level',
+    nature: 'Wesen',
+    neutral: 'Neutral',
+    calculate: 'Berechnen',
+    base: 'Basis',
+    iv: 'DV',
+    ev: 'FP',
+    stat: 'Wert',
+    range: 'Bereich Lv. {level}',
+    total: 'Basiswertsumme: {total}.',
+    percentile: 'Höher als oder gleich {percentile} % aller Pokémon.',
+    rankingPending: 'Die Rangliste aller Pokémon wird noch berechnet.'
+  },
+  encounters: {
+    title: 'Fundorte',
+    none: 'In keinem Spiel in freier Wildbahn',
+    location: 'Ort',
+    method: 'Methode',
+    levels: 'Level',
+    chance: 'Chance',
+    levelRange: 'Lv. {min}-{max}'
+  },
+  forms: {
+    title: 'Formen',
+    cosmetic: 'Erscheinungsbilder'
+  },
+  species: {
+    entries: 'Pokédex-Einträge',
+    breeding: 'Zucht',
+    about: 'Allgemein',
+    version: 'Edition',
+    noEntries: 'Keine Pokédex-Einträge',
+    eggGroups: 'Ei-Gruppen',
+    genderRatio: 'Geschlechterverteilung',
+    genderless: 'Geschlechtslos',
+    hatchSteps: 'Schritte bis zum Schlüpfen',
+    growthRate: 'EP-Gruppe',
+    habitat: 'Lebensraum',
+    shape: 'Körperform',
+    generation: 'Generation',
+    status: 'Status',
+    legendary: 'Legendär',
+    mythical: 'Mysteriös',
+    baby: 'Baby',
+    regular: 'Normal'
+  },
+  filter: {
+    types: 'Typen',
+    typeMatch: 'Typ-Abgleich',
+    allTypes: 'Alle gewählten Typen',
+    anyType: 'Einer der gewählten Typen',
+    generation: 'Generation',
+    ability: 'Fähigkeit',
+    abilityPlaceholder: 'z. B. levitate',
+    baseStats: 'Basiswerte',
+    statsPlaceholder: 'z. B. speed>=100, total<500',
+    height: 'Größe (m)',
+    weight: 'Gewicht (kg)',
+    min: 'min',
+    max: 'max',
+    legendary: 'Legendär',
+    mythical: 'Mysteriös',
+    only: 'Nur',
+    exclude: 'Ausschließen',
+    sortBy: 'Sortieren nach',
+    asc: 'Aufsteigend',
+    desc: 'Absteigend',
+    apply: 'Filter anwenden',
+    reset: 'Zurücksetzen',
+    found: '{count} Pokémon gefunden',
+    truncated:
+      'Nur ein Teil des Pokédex wurde geprüft. Wähle einen Typ, eine Generation oder eine Fähigkeit, um die Suche einzugrenzen.',
+    noResults: 'Keine Pokémon passen zu diesen Filtern'
+  },
+  sortFields: {
+    id: 'Nummer',
+    name: 'Name',
+    height: 'Größe',
+    weight: 'Gewicht'
+  },
+  compare: {
+    title: 'Pokémon vergleichen',
+    pick: 'Wähle zwei bis vier Pokémon mit dem Button „+ Vergleichen“ auf den Karten.',
+    selected: 'Bisher gewählt: {name}',
+    remove: 'Entfernen',
+    uniqueAbilities: 'Eigene Fähigkeiten',
+    sharedAbilities: 'Gemeinsame Fähigkeiten',
+    matchups: 'Typ-Duelle (Angreifer → Verteidiger, bester eigener Typ)'
+  },
+  teams: {
+    title: 'Teams',
+    newTeam: 'Neues Team',
+    namePlaceholder: 'Teamname',
+    membersPlaceholder: 'Bis zu {max} Pokémon, z. B. pikachu, charizard, 143',
+    create: 'Erstellen',
+    noTeams: 'Noch keine Teams',
+    empty: 'leer',
+    allTeams: 'Alle Teams',
+    noMembers: 'Dieses Team hat noch keine Mitglieder',
+    defense: 'Defensive Übersicht',
+    attackingType: 'Angriffstyp',
+    weak: 'Anfällig',
+    resist: 'Resistent',
+    immune: 'Immun',
+    coverage: 'Offensive Abdeckung (sehr effektiv mit eigenen Typen)',
+    notCovered: 'Nicht abgedeckt: {types}',
+    averages: 'Durchschnittswerte',
+    edit: 'Team bearbeiten',
+    save: 'Speichern',
+    delete: 'Team löschen'
+  },
+  moves: {
+    title: 'Attacken',
+    backToMoves: 'Zurück zu den Attacken',
+    searchPlaceholder: 'Attacken nach Name suchen...',
+    resultsFor: '{count} Attacke(n) für „{query}“',
+    noResults: 'Keine Attacken gefunden',
+    effect: 'Effekt',
+    power: 'Stärke',
+    accuracy: 'Genauigkeit',
+    pp: 'AP',
+    damageClass: 'Kategorie',
+    priority: 'Priorität',
+    introduced: 'Eingeführt',
+    learnedBy: 'Erlernt von {count} Pokémon'
+  },
+  ability: {
+    effect: 'Effekt',
+    normal: 'Pokémon mit dieser Fähigkeit',
+    hidden: 'Pokémon mit dieser versteckten Fähigkeit'
+  },
+  items: {
+    title: 'Items',
+    backToItems: 'Zurück zu den Items',
+    category: 'Kategorie',
+    allCategories: 'Alle Kategorien',
+    show: 'Anzeigen',
+    count: '{count} Item(s)',
+    countIn: '{count} Item(s) in {category}',
+    noResults: 'Keine Items gefunden',
+    effect: 'Effekt',
+    cost: 'Preis',
+    notSold: 'Nicht käuflich',
+    flingPower: 'Schleuder-Stärke',
+    flingEffect: 'Schleuder-Effekt',
+    attributes: 'Eigenschaften',
+    heldBy: 'Getragen von wilden Pokémon ({count})',
+    rarity: '{rarity}% in {version}',
+    berryData: 'Beerendaten'
+  },
+  berries: {
+    growthTime: 'Wachstumszeit',
+    hoursPerStage: '{hours} Std. pro Stufe',
+    maxHarvest: 'Max. Ernte',
+    naturalGiftPower: 'Beerenkräfte-Stärke',
+    naturalGiftType: 'Beerenkräfte-Typ',
+    size: 'Größe',
+    sizeMm: '{size} mm',
+    smoothness: 'Glätte',
+    soilDryness: 'Bodentrocknung',
+    firmness: 'Festigkeit',
+    flavors: 'Geschmack',
+    item: 'Item',
+    flavorNames: {
+      spicy: 'Scharf',
+      dry: 'Trocken',
+      sweet: 'Süß',
+      bitter: 'Bitter',
+      sour: 'Sauer'
+    }
+  },
+  account: {
+    loginTitle: 'Anmelden',
+    signupTitle: 'Konto erstellen',
+    username: 'Benutzername',
+    password: 'Passwort',
+    login: 'Anmelden',
+    signup: 'Registrieren',
+    noAccount: 'Noch kein Konto?',
+    haveAccount: 'Schon ein Konto?',
+    invalidCredentials: 'Benutzername oder Passwort falsch',
+    usernameHint: '3-30 Buchstaben, Ziffern, „-“ oder „_“',
+    passwordHint: 'Mindestens 8 Zeichen'
+  },
+  collection: {
+    favorite: 'Favorit',
+    seen: 'Gesehen',
+    caught: 'Gefangen'
+  },
+  progress: {
+    title: 'Mein Pokédex',
+    count: '{count} / {total}',
+    favorites: 'Favoriten',
+    caught: 'Gefangen',
+    seenOnly: 'Gesehen, noch nicht gefangen',
+    empty: 'Noch nichts hier. Markiere Pokémon auf ihren Karten als Favorit, gesehen oder gefangen.'
+  },
+  errors: {
+    notFound: '{resource} nicht gefunden',
+    titles: {
+      NOT_FOUND: 'Nicht gefunden',
+      VALIDATION_ERROR: 'Ungültige Anfrage',
+      UNAUTHORIZED: 'Anmeldung erforderlich',
+      RATE_LIMITED: 'Zu viele Anfragen',
+      UPSTREAM_UNAVAILABLE: 'Pokémon-Daten nicht verfügbar',
+      BAD_REQUEST: 'Ungültige Anfrage',
+      INTERNAL_ERROR: 'Etwas ist schiefgelaufen'
+    },
+    resources: {
+      ability: 'Fähigkeit',
+      berry: 'Beere',
+      collectionEntry: 'Sammlungseintrag',
+      evolutionChain: 'Entwicklungsreihe',
+      generation: 'Generation',
+      item: 'Item',
+      itemCategory: 'Item-Kategorie',
+      move: 'Attacke',
+      page: 'Seite',
+      pokedex: 'Pokédex',
+      pokemon: 'Pokémon',
+      team: 'Team',
+      type: 'Typ'
+    }
+  },
+  client: {
+    compare: '+ Vergleichen',
+    comparing: '✓ Im Vergleich',
+    compareCount: '{count} vergleichen',
+    pickAtLeast: 'Mindestens 2 wählen',
+    clear: 'Leeren',
+    maxCompare: 'Du kannst höchstens {max} Pokémon vergleichen.'
+  },
+  types: {
+    normal: 'Normal',
+    fire: 'Feuer',
+    water: 'Wasser',
+    electric: 'Elektro',
+    grass: 'Pflanze',
+    ice: 'Eis',
+    fighting: 'Kampf',
+    poison: 'Gift',
+    ground: 'Boden',
+    flying: 'Flug',
+    psychic: 'Psycho',
+    bug: 'Käfer',
+    rock: 'Gestein',
+    ghost: 'Geist',
+    dragon: 'Drache',
+    dark: 'Unlicht',
+    steel: 'Stahl',
+    fairy: 'Fee',
+    stellar: 'Stellar'
+  },
+  stats: {
+    hp: 'KP',
+    attack: 'Angriff',
+    defense: 'Verteidigung',
+    'special-attack': 'Sp.-Angr.',
+    'special-defense': 'Sp.-Vert.',
+    speed: 'Initiative',
+    total: 'Gesamt'
+  }
+};
@@ -0,0 +1,382 @@
+/**
+ * English UI strings; also the fallback for keys missing in other languages
+ */
+export default {
+  common: {
+    backToPokedex: 'Back to Pokedex',
+    previous: 'Previous',
+    next: 'Next',
+    pageOf: 'Page {current} of {total}',
+    any: 'Any',
+    none: 'None',
+    total: 'Total',
+    search: 'Search',
+    clearSearch: 'Clear search',
+    noDescription: 'No description available.',
+    unknown: 'Unknown',
+    language: 'Language'
+  },
+  nav: {
+    filter: 'Filter',
+    compare: 'Compare',
+    teams: 'Teams',
+    moves: 'Moves',
+    items: 'Items',
+    api: 'API',
+    progress: 'Progress',
+    login: 'Log in',
+    logout: 'Log out'
+  },
+  footer: {
+    dataBy: 'Data provided by'
+  },
+  home: {
+    advancedFilter: 'Advanced filter',
+    searchPlaceholder: 'Search Pokemon by name or ID...',
+    filterByType: 'Filter by Type:',
+    all: 'All',
+    resultsFor: 'Found {count} result(s) for "{query}"',
+    typeResults: 'Showing {count} {type} type Pokemon',
+    showAll: 'Show all',
+    noResults: 'No Pokemon found'
+  },
+  browse: {
+    byGeneration: 'Generation:',
+    byPokedex: 'Regional Pokedexes',
+    generation: 'Gen {numeral}',
+    generationResults: '{count} Pokemon introduced in {name}',
+    pokedexResults: '{count} Pokemon in the {name} Pokedex'
+  },
+  card: {
+    compare: '+ Compare'
+  },
+  pokemon: {
+    description: 'Description',
+    height: 'Height',
+    weight: 'Weight',
+    captureRate: 'Capture Rate',
+    baseHappiness: 'Base Happiness',
+    abilities: 'Abilities',
+    hidden: '(Hidden)',
+    baseStats: 'Base Stats',
+    damageTaken: 'Damage Taken',
+    veryWeak: 'Very weak',
+    weak: 'Weak',
+    resists: 'Resists',
+    stronglyResists: 'Strongly resists',
+    immune: 'Immune',
+    evolution: 'Evolution',
+    doesNotEvolve: 'This Pokemon does not evolve.',
+    moves: 'Moves',
+    game: 'Game',
+    show: 'Show',
+    level: 'Lv. {level}'
+  },
+  learnMethods: {
+    'level-up': 'Level Up',
+    machine: 'TM/HM',
+    egg: 'Egg',
+    tutor: 'Tutor',
+    other: 'Other'
+  },
+  evolution: {
+    level: 'Level {level}',
+    levelUp: 'Level up',
+    useItem: 'Use {item}',
+    tradeFor: 'for {species}',
+    holding: 'holding {item}',
+    friendship: 'high friendship',
+    affection: 'high affection',
+    beauty: 'high beauty',
+    knowingMove: 'knowing {move}',
+    knowingMoveType: 'knowing a {type}-type move',
+    location: 'at {location}',
+    partySpecies: 'with {species} in the party',
+    partyType: 'with a {type}-type in the party',
+    female: 'female',
+    male: 'male',
+    day: 'during the day',
+    night: 'at night',
+    dusk: 'at dusk',
+    rain: 'while raining',
+    upsideDown: 'with the console upside down',
+    separator: ', '
+  },
+  evolutionTriggers: {
+    trade: 'Trade',
+    shed: 'Shed',
+    spin: 'Spin',
+    'tower-of-darkness': 'Tower of Darkness',
+    'tower-of-waters': 'Tower of Waters',
+    'three-critical-hits': 'Three critical hits',
+    'take-damage': 'Take damage',
+    'agile-style-move': 'Agile Style move',
+    'strong-style-move': 'Strong Style move',
+    'recoil-damage': 'Recoil damage',
+    other: 'Other'
+  },
+  calculator: {
+    title: 'Stat Calculator',
+    level: 'Level',
+    nature: 'Nature',
+    neutral: 'Neutral',
+    calculate: 'Calculate',
+    base: 'Base',
+    iv: 'IV',
+    ev: 'EV',
+    stat: 'Stat',
+    range: 'Lv. {level} range',
+    total: 'Base stat total: {total}.',
+    percentile: 'Higher than or equal to {percentile}% of all Pokemon.',
+    rankingPending: 'The ranking among all Pokemon is still being calculated.'
+  },
+  encounters: {
+    title: 'Where to find',
+    none: 'Not found in the wild in any game',
+    location: 'Location',
+    method: 'Method',
+    levels: 'Levels',
+    chance: 'Chance',
+    levelRange: 'Lv. {min}-{max}'
+  },
+  forms: {
+    title: 'Forms',
+    cosmetic: 'Appearances'
+  },
+  species: {
+    entries: 'Pokedex Entries',
+    breeding: 'Breeding',
+    about: 'About',
+    version: 'Version',
+    noEntries: 'No Pokedex entries',
+    eggGroups: 'Egg Groups',
+    genderRatio: 'Gender Ratio',
+    genderless: 'Genderless',
+    hatchSteps: 'Hatch Steps',
+    growthRate: 'Growth Rate',
+    habitat: 'Habitat',
+    shape: 'Shape',
+    generation: 'Generation',
+    status: 'Status',
+    legendary: 'Legendary',
+    mythical: 'Mythical',
+    baby: 'Baby',
+    regular: 'Regular'
+  },
+  filter: {
+    types: 'Types',
+    typeMatch: 'Type match',
+    allTypes: 'All selected types',
+    anyType: 'Any selected type',
+    generation: 'Generation',
+    ability: 'Ability',
+    abilityPlaceholder: 'e.g. levitate',
+    baseStats: 'Base stats',
+    statsPlaceholder: 'e.g. speed>=100, total<500',
+    height: 'Height (m)',
+    weight: 'Weight (kg)',
+    min: 'min',
+    max: 'max',
+    legendary: 'Legendary',
+    mythical: 'Mythical',
+    only: 'Only',
+    exclude: 'Exclude',
+    sortBy: 'Sort by',
+    asc: 'Asc',
+    desc: 'Desc',
+    apply: 'Apply filters',
+    reset: 'Reset',
+    found: 'Found {count} Pokemon',
+    truncated:
+      'Only part of the Pokedex was checked. Add a type, generation or ability to narrow the search.',
+    noResults: 'No Pokemon match these filters'
+  },
+  sortFields: {
+    id: 'Number',
+    name: 'Name',
+    height: 'Height',
+    weight: 'Weight'
+  },
+  compare: {
+    title: 'Compare Pokemon',
+    pick: 'Pick two to four Pokemon with the "+ Compare" button on the Pokedex cards.',
+    selected: 'Selected so far: {name}',
+    remove: 'Remove',
+    uniqueAbilities: 'Unique abilities',
+    sharedAbilities: 'Shared abilities',
+    matchups: 'Type matchups (attacker → defender, best own type)'
+  },
+  teams: {
+    title: 'Teams',
+    newTeam: 'New team',
+    namePlaceholder: 'Team name',
+    membersPlaceholder: 'Up to {max} Pokemon, e.g. pikachu, charizard, 143',
+    create: 'Create',
+    noTeams: 'No teams yet',
+    empty: 'empty',
+    allTeams: 'All teams',
+    noMembers: 'This team has no members yet',
+    defense: 'Defensive overview',
+    attackingType: 'Attacking type',
+    weak: 'Weak',
+    resist: 'Resist',
+    immune: 'Immune',
+    coverage: 'Offensive coverage (super effective with own types)',
+    notCovered: 'Not covered: {types}',
+    averages: 'Average stats',
+    edit: 'Edit team',
+    save: 'Save',
+    delete: 'Delete team'
+  },
+  moves: {
+    title: 'Moves',
+    backToMoves: 'Back to Moves',
+    searchPlaceholder: 'Search moves by name...',
+    resultsFor: 'Found {count} move(s) for "{query}"',
+    noResults: 'No moves found',
+    effect: 'Effect',
+    power: 'Power',
+    accuracy: 'Accuracy',
+    pp: 'PP',
+    damageClass: 'Damage Class',
+    priority: 'Priority',
+    introduced: 'Introduced',
+    learnedBy: 'Learned by {count} Pokemon'
+  },
+  ability: {
+    effect: 'Effect',
+    normal: 'Pokemon with this ability',
+    hidden: 'Pokemon with this hidden ability'
+  },
+  items: {
+    title: 'Items',
+    backToItems: 'Back to Items',
+    category: 'Category',
+    allCategories: 'All categories',
+    show: 'Show',
+    count: '{count} item(s)',
+    countIn: '{count} item(s) in {category}',
+    noResults: 'No items found',
+    effect: 'Effect',
+    cost: 'Cost',
+    notSold: 'Not sold',
+    flingPower: 'Fling Power',
+    flingEffect: 'Fling Effect',
+    attributes: 'Attributes',
+    heldBy: 'Held by wild Pokemon ({count})',
+    rarity: '{rarity}% in {version}',
+    berryData: 'Berry data'
+  },
+  berries: {
+    growthTime: 'Growth Time',
+    hoursPerStage: '{hours} h per stage',
+    maxHarvest: 'Max Harvest',
+    naturalGiftPower: 'Natural Gift Power',
+    naturalGiftType: 'Natural Gift Type',
+    size: 'Size',
+    sizeMm: '{size} mm',
+    smoothness: 'Smoothness',
+    soilDryness: 'Soil Dryness',
+    firmness: 'Firmness',
+    flavors: 'Flavors',
+    item: 'Item',
+    flavorNames: {
+      spicy: 'Spicy',
+      dry: 'Dry',
+      sweet: 'Sweet',
+      bitter: 'Bitter',
+      sour: 'Sour'
+    }
+  },
+  account: {
+    loginTitle: 'Log in',
+    signupTitle: 'Create an account',
+    username: 'Username',
+    password: 'Password',
+    login: 'Log in',
+    signup: 'Sign up',
+    noAccount: 'No account yet?',
+    haveAccount: 'Already have an account?',
+    invalidCredentials: 'Wrong username or password',
+    usernameHint: '3-30 letters, digits, "-" or "_"',
+    passwordHint: 'At least 8 characters'
+  },
+  collection: {
+    favorite: 'Favorite',
+    seen: 'Seen',
+    caught: 'Caught'
+  },
+  progress: {
+    title: 'My Pokedex',
+    count: '{count} / {total}',
+    favorites: 'Favorites',
+    caught: 'Caught',
+    seenOnly: 'Seen, not caught yet',
+    empty: 'Nothing here yet. Mark Pokemon as favorite, seen or caught from their cards.'
+  },
+  errors: {
+    notFound: '{resource} not found',
+    titles: {
+      NOT_FOUND: 'Not found',
+      VALIDATION_ERROR: 'Invalid request',
+      UNAUTHORIZED: 'Log in required',
+      RATE_LIMITED: 'Too many requests',
+      UPSTREAM_UNAVAILABLE: 'Pokemon data unavailable',
+      BAD_REQUEST: 'Invalid request',
+      INTERNAL_ERROR: 'Something went wrong'
+    },
+    resources: {
+      ability: 'Ability',
+      berry: 'Berry',
+      collectionEntry: 'Collection entry',
+      evolutionChain: 'Evolution chain',
+      generation: 'Generation',
+      item: 'Item',
+      itemCategory: 'Item category',
+      move: 'Move',
+      page: 'Page',
+      pokedex: 'Pokedex',
+      pokemon: 'Pokemon',
+      team: 'Team',
+      type: 'Type'
+    }
+  },
+  client: {
+    compare: '+ Compare',
+    comparing: '✓ Comparing',
+    compareCount: 'Compare {count}',
+    pickAtLeast: 'Pick at least 2',
+    clear: 'Clear',
+    maxCompare: 'You can compare at most {max} Pokemon.'
+  },
+  types: {
+    normal: 'Normal',
+    fire: 'Fire',
+    water: 'Water',
+    electric: 'Electric',
+    grass: 'Grass',
+    ice: 'Ice',
+    fighting: 'Fighting',
+    poison: 'Poison',
+    ground: 'Ground',
+    flying: 'Flying',
+    psychic: 'Psychic',
+    bug: 'Bug',
+    rock: 'Rock',
+    ghost: 'Ghost',
+    dragon: 'Dragon',
+    dark: 'Dark',
+    steel: 'Steel',
+    fairy: 'Fairy',
+    stellar: 'Stellar'
+  },
+  stats: {
+    hp: 'HP',
+    attack: 'Attack',
+    defense: 'Defense',
+    'special-attack': 'Sp. Atk',
+    'special-defense': 'Sp. Def',
+    speed: 'Speed',
+    total: 'Total'
+  }
+};
@@ -0,0 +1,383 @@
+/**
+ * French UI strings
+ */
+export default {
+  common: {
+    backToPokedex: 'Retour au Pokédex',
+    previous: 'Précédent',
+    next: 'Suivant',
+    pageOf: 'Page {current} sur {total}',
+    any: 'Tous',
+    none: 'Aucun',
+    total: 'Total',
+    search: 'Rechercher',
+    clearSearch: 'Effacer la recherche',
+    noDescription: 'Aucune description disponible.',
+    unknown: 'Inconnu',
+    language: 'Langue'
+  },
+  nav: {
+    filter: 'Filtrer',
+    compare: 'Comparer',
+    teams: 'Équipes',
+    moves: 'Capacités',
+    items: 'Objets',
+    api: 'API',
+    progress: 'Progression',
+    login: 'Connexion',
+    logout: 'Déconnexion'
+  },
+  footer: {
+    dataBy: 'Données fournies par'
+  },
+  home: {
+    advancedFilter: 'Filtre avancé',
+    searchPlaceholder: 'Rechercher un Pokémon par nom ou numéro...',
+    filterByType: 'Filtrer par type :',
+    all: 'Tous',
+    resultsFor: '{count} résultat(s) pour « {query} »',
+    typeResults: '{count} Pokémon de type {type}',
+    showAll: 'Tout afficher',
+    noResults: 'Aucun Pokémon trouvé'
+  },
+  browse: {
+    byGeneration: 'Génération :',
+    byPokedex: 'Pokédex régionaux',
+    generation: 'Gén. {numeral}',
+    generationResults: '{count} Pokémon apparus en {name}',
+    pokedexResults: '{count} Pokémon dans le Pokédex de {name}'
+  },
+  card: {
+    compare: '+ Comparer'
+  },
+  pokemon: {
+    description: 'Description',
+    height: 'Taille',
+    weight: 'Poids',
+    captureRate: 'Taux de capture',
+    baseHappiness: 'Bonheur de base',
+    abilities: 'Talents',
+    hidden: '(Caché)',
+    baseStats: 'Statistiques de base',
+    damageTaken: 'Dégâts subis',
+    veryWeak: 'Très vulnérable',
+    weak: 'Vulnérable',
+    resists: 'Résiste',
+    stronglyResists: 'Résiste fortement',
+    immune: 'Immunisé',
+    evolution: 'Évolution',
+    doesNotEvolve: 'Ce Pokémon n’évolue pas.',
+    moves: 'Capacités',
+    game: 'Jeu',
+    show: 'Afficher',
+    level: 'N. {level}'
+  },
+  learnMethods: {
+    'level-up': 'Par niveau',
+    machine: 'CT/CS',
+    egg: 'Œuf',
+    tutor: 'Donneur de capacités',
+    other: 'Autres'
+  },
+  evolution: {
+    level: 'Niveau {level}',
+    levelUp: 'Montée de niveau',
+    useItem: 'Utiliser {item}',
+    tradeFor: 'contre {species}',
+    holding: 'en tenant {item}',
+    friendship: 'grande amitié',
+    affection: 'grande affection',
+    beauty: 'grande beauté',
+    knowingMove: 'en connaissant {move}',
+    knowingMoveType: 'en connaissant une capacité de type {type}',
+    location: 'à {location}',
+    partySpecies: 'avec {species} dans l’équipe',
+    partyType: 'avec un Pokémon de type {type} dans l’équipe',
+    female: 'femelle',
+    male: 'mâle',
+    day: 'le jour',
+    night: 'la nuit',
+    dusk: 'au crépuscule',
+    rain: 'sous la pluie',
+    upsideDown: 'console à l’envers',
+    separator: ', '
+  },
+  evolutionTriggers: {
+    trade: 'Échange',
+    shed: 'Mue',
+    spin: 'Tourner',
+    'tower-of-darkness': 'Tour des Ténèbres',
+    'tower-of-waters': 'Tour des Eaux',
+    'three-critical-hits': 'Trois coups critiques',
+    'take-damage': 'Subir des dégâts',
+    'agile-style-move': 'Capacité en Style Rapide',
+    'strong-style-move': 'Capacité en Style Puissant',
+    'recoil-damage': 'Dégâts de contrecoup',
+    other: 'Autre'
+  },
+  calculator: {
+    title: 'Calculateur de statistiques',
+    level: 'Niveau',
+    nature: 'Nature',
+    neutral: 'Neutre',
+    calculate: 'Calculer',
+    base: 'Base',
+    iv: 'IV',
+    ev: 'EV',
+    stat: 'Stat',
+    range: 'Plage N. {level}',
+    total: 'Total des stats de base : {total}.',
+    percentile: 'Supérieur ou égal à {percentile} % des Pokémon.',
+    rankingPending: 'Le classement parmi tous les Pokémon est en cours de calcul.'
+  },
+  encounters: {
+    title: 'Où le trouver',
+    none: 'Introuvable à l’état sauvage',
+    location: 'Lieu',
+    method: 'Méthode',
+    levels: 'Niveaux',
+    chance: 'Chance',
+    levelRange: 'N. {min}-{max}'
+  },
+  forms: {
+    title: 'Formes',
+    cosmetic: 'Apparences'
+  },
+  species: {
+    entries: 'Entrées du Pokédex',
+    breeding: 'Reproduction',
+    about: 'Général',
+    version: 'Version',
+    noEntries: 'Aucune entrée du Pokédex',
+    eggGroups: 'Groupes d’œufs',
+    genderRatio: 'Répartition des sexes',
+    genderless: 'Asexué',
+    hatchSteps: 'Pas avant éclosion',
+    growthRate: 'Courbe d’expérience',
+    habitat: 'Habitat',
+    shape: 'Forme',
+    generation: 'Génération',
+    status: 'Statut',
+    legendary: 'Légendaire',
+    mythical: 'Fabuleux',
+    baby: 'Bébé',
+    regular: 'Standard'
+  },
+  filter: {
+    types: 'Types',
+    typeMatch: 'Correspondance des types',
+    allTypes: 'Tous les types choisis',
+    anyType: 'Un des types choisis',
+    generation: 'Génération',
+    ability: 'Talent',
+    abilityPlaceholder: 'ex. levitate',
+    baseStats: 'Statistiques de base',
+    statsPlaceholder: 'ex. speed>=100, total<500',
+    height: 'Taille (m)',
+    weight: 'Poids (kg)',
+    min: 'min',
+    max: 'max',
+    legendary: 'Légendaire',
+    mythical: 'Fabuleux',
+    only: 'Uniquement',
+    exclude: 'Exclure',
+    sortBy: 'Trier par',
+    asc: 'Croissant',
+    desc: 'Décroissant',
+    apply: 'Appliquer les filtres',
+    reset: 'Réinitialiser',
+    found: '{count} Pokémon trouvé(s)',
+    truncated:
+      'Seule une partie du Pokédex a été vérifiée. Ajoutez un type, une génération ou un talent pour affiner la recherche.',
+    noResults: 'Aucun Pokémon ne correspond à ces filtres'
+  },
+  sortFields: {
+    id: 'Numéro',
+    name: 'Nom',
+    height: 'Taille',
+    weight: 'Poids'
+  },
+  compare: {
+    title: 'Comparer des Pokémon',
+    pick: 'Choisissez deux à quatre Pokémon avec le bouton « + Comparer » des cartes du Pokédex.',
+    selected: 'Sélection actuelle : {name}',
+    remove: 'Retirer',
+    uniqueAbilities: 'Talents uniques',
+    sharedAbilities: 'Talents communs',
+    matchups: 'Affinités de type (attaquant → défenseur, meilleur type propre)'
+  },
+  teams: {
+    title: 'Équipes',
+    newTeam: 'Nouvelle équipe',
+    namePlaceholder: 'Nom de l’équipe',
+    membersPlaceholder: 'Jusqu’à {max} Pokémon, ex. pikachu, charizard, 143',
+    create: 'Créer',
+    noTeams: 'Aucune équipe pour l’instant',
+    empty: 'vide',
+    allTeams: 'Toutes les équipes',
+    noMembers: 'Cette équipe n’a pas encore de membres',
+    defense: 'Aperçu défensif',
+    attackingType: 'Type attaquant',
+    weak: 'Vulnérable',
+    resist: 'Résiste',
+    immune: 'Immunisé',
+    coverage: 'Couverture offensive (super efficace avec ses propres types)',
+    notCovered: 'Non couverts : {types}',
+    averages: 'Statistiques moyennes',
+    edit: 'Modifier l’équipe',
+    save: 'Enregistrer',
+    delete: 'Supprimer l’équipe'
+  },
+  moves: {
+    title: 'Capacités',
+    backToMoves: 'Retour aux capacités',
+    searchPlaceholder: 'Rechercher une capacité par nom...',
+    resultsFor: '{count} capacité(s) pour « {query} »',
+    noResults: 'Aucune capacité trouvée',
+    effect: 'Effet',
+    power: 'Puissance',
+    accuracy: 'Précision',
+    pp: 'PP',
+    damageClass: 'Catégorie',
+    priority: 'Priorité',
+    introduced: 'Introduite',
+    learnedBy: 'Apprise par {count} Pokémon'
+  },
+  ability: {
+    effect: 'Effet',
+    normal: 'Pokémon avec ce talent',
+    hidden: 'Pokémon avec ce talent caché'
+  },
+  items: {
+    title: 'Objets',
+    backToItems: 'Retour aux objets',
+    category: 'Catégorie',
+    allCategories: 'Toutes les catégories',
+    show: 'Afficher',
+    count: '{count} objet(s)',
+    countIn: '{count} objet(s) dans {category}',
+    noResults: 'Aucun objet trouvé',
+    effect: 'Effet',
+    cost: 'Prix',
+    notSold: 'Non vendu',
+    flingPower: 'Puissance de Dégommage',
+    flingEffect: 'Effet de Dégommage',
+    attributes: 'Attributs',
+    heldBy: 'Tenu par des Pokémon sauvages ({count})',
+    rarity: '{rarity} % dans {version}',
+    berryData: 'Données de la baie'
+  },
+  berries: {
+    growthTime: 'Temps de pousse',
+    hoursPerStage: '{hours} h par stade',
+    maxHarvest: 'Récolte max.',
+    naturalGiftPower: 'Puissance de Don Naturel',
+    naturalGiftType: 'Type de Don Naturel',
+    size: 'Taille',
+    sizeMm: '{size} mm',
+    smoothness: 'Onctuosité',
+    soilDryness: 'Assèchement du sol',
+    firmness: 'Fermeté',
+    flavors: 'Saveurs',
+    item: 'Objet',
+    flavorNames: {
+      spicy: 'Épicé',
+      dry: 'Sec',
+      sweet: 'Sucré',
+      bitter: 'Amer',
+      sour: 'Acide'
+    }
+  },
+  account: {
+    loginTitle: 'Connexion',
+    signupTitle: 'Créer un compte',
+    username: "Nom d'utilisateur",
+    password: 'Mot de passe',
+    login: 'Se connecter',
+    signup: "S'inscrire",
+    noAccount: 'Pas encore de compte ?',
+    haveAccount: 'Déjà un compte ?',
+    invalidCredentials: "Nom d'utilisateur ou mot de passe incorrect",
+    usernameHint: '3 à 30 lettres, chiffres, « - » ou « _ »',
+    passwordHint: 'Au moins 8 caractères'
+  },
+  collection: {
+    favorite: 'Favori',
+    seen: 'Vu',
+    caught: 'Capturé'
+  },
+  progress: {
+    title: 'Mon Pokédex',
+    count: '{count} / {total}',
+    favorites: 'Favoris',
+    caught: 'Capturés',
+    seenOnly: 'Vus, pas encore capturés',
+    empty:
+      'Rien pour le moment. Marquez des Pokémon comme favoris, vus ou capturés depuis leurs cartes.'
+  },
+  errors: {
+    notFound: '{resource} introuvable',
+    titles: {
+      NOT_FOUND: 'Introuvable',
+      VALIDATION_ERROR: 'Requête invalide',
+      UNAUTHORIZED: 'Connexion requise',
+      RATE_LIMITED: 'Trop de requêtes',
+      UPSTREAM_UNAVAILABLE: 'Données Pokémon indisponibles',
+      BAD_REQUEST: 'Requête invalide',
+      INTERNAL_ERROR: 'Une erreur est survenue'
+    },
+    resources: {
+      ability: 'Talent',
+      berry: 'Baie',
+      collectionEntry: 'Entrée de collection',
+      evolutionChain: 'Évolution',
+      generation: 'Génération',
+      item: 'Objet',
+      itemCategory: "Catégorie d'objets",
+      move: 'Capacité',
+      page: 'Page',
+      pokedex: 'Pokédex',
+      pokemon: 'Pokémon',
+      team: 'Équipe',
+      type: 'Type'
+    }
+  },
+  client: {
+    compare: '+ Comparer',
+    comparing: '✓ Comparé',
+    compareCount: 'Comparer {count}',
+    pickAtLeast: 'Choisissez-en au moins 2',
+    clear: 'Vider',
+    maxCompare: 'Vous pouvez comparer au plus {max} Pokémon.'
+  },
+  types: {
+    normal: 'Normal',
+    fire: 'Feu',
+    water: 'Eau',
+    electric: 'Électrik',
+    grass: 'Plante',
+    ice: 'Glace',
+    fighting: 'Combat',
+    poison: 'Poison',
+    ground: 'Sol',
+    flying: 'Vol',
+    psychic: 'Psy',
+    bug: 'Insecte',
+    rock: 'Roche',
+    ghost: 'Spectre',
+    dragon: 'Dragon',
+    dark: 'Ténèbres',
+    steel: 'Acier',
+    fairy: 'Fée',
+    stellar: 'Stellaire'
+  },
+  stats: {
+    hp: 'PV',
+    attack: 'Attaque',
+    defense: 'Défense',
+    'special-attack': 'Atq. Spé.',
+    'special-defense': 'Déf. Spé.',
+    speed: 'Vitesse',
+    total: 'Total'
+  }
+};
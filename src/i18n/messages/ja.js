@@ -0,0 +1,382 @@
+/**
+ * Japanese UI strings
+ */
+export default {
+  common: {
+    backToPokedex: 'ずかんにもどる',
+    previous: 'まえへ',
+    next: 'つぎへ',
+    pageOf: '{current} / {total} ページ',
+    any: 'すべて',
+    none: 'なし',
+    total: 'ごうけい',
+    search: 'けんさく',
+    clearSearch: 'けんさくをクリア',
+    noDescription: 'せつめいは ありません。',
+    unknown: 'ふめい',
+    language: 'げんご'
+  },
+  nav: {
+    filter: 'しぼりこみ',
+    compare: 'くらべる',
+    teams: 'チーム',
+    moves: 'わざ',
+    items: 'どうぐ',
+    api: 'API',
+    progress: 'きろく',
+    login: 'ログイン',
+    logout: 'ログアウト'
+  },
+  footer: {
+    dataBy: 'データ提供:'
+  },
+  home: {
+    advancedFilter: 'くわしく しぼりこむ',
+    searchPlaceholder: 'なまえ または ばんごうで けんさく...',
+    filterByType: 'タイプで しぼりこむ:',
+    all: 'すべて',
+    resultsFor: '「{query}」の けっか: {count}けん',
+    typeResults: '{type}タイプの ポケモン: {count}ひき',
+    showAll: 'すべて ひょうじ',
+    noResults: 'ポケモンが みつかりません'
+  },
+  browse: {
+    byGeneration: '世代:',
+    byPokedex: '地方図鑑',
+    generation: '第{id}世代',
+    generationResults: '{name}で登場したポケモン {count}匹',
+    pokedexResults: '{name}のポケモン {count}匹'
+  },
+  card: {
+    compare: '+ くらべる'
+  },
+  pokemon: {
+    description: 'せつめい',
+    height: 'たかさ',
+    weight: 'おもさ',
+    captureRate: 'ほかくりつ',
+    baseHappiness: 'きほん なつき',
+    abilities: 'とくせい',
+    hidden: '(かくれとくせい)',
+    baseStats: 'しゅぞくち',
+    damageTaken: 'うける ダメージ',
+    veryWeak: 'とても よわい',
+    weak: 'よわい',
+    resists: 'いまひとつ',
+    stronglyResists: 'とても いまひとつ',
+    immune: 'こうかなし',
+    evolution: 'しんか',
+    doesNotEvolve: 'この ポケモンは しんかしません。',
+    moves: 'わざ',
+    game: 'ソフト',
+    show: 'ひょうじ',
+    level: 'Lv. {level}'
+  },
+  learnMethods: {
+    'level-up': 'レベルアップ',
+    machine: 'わざマシン',
+    egg: 'タマゴわざ',
+    tutor: 'おしえわざ',
+    other: 'そのほか'
+  },
+  evolution: {
+    level: 'レベル{level}',
+    levelUp: 'レベルアップ',
+    useItem: '{item}を つかう',
+    tradeFor: '{species}と こうかん',
+    holding: '{item}を もたせる',
+    friendship: 'なつきどが たかい',
+    affection: 'なかよしどが たかい',
+    beauty: 'うつくしさが たかい',
+    knowingMove: '{move}を おぼえている',
+    knowingMoveType: '{type}タイプの わざを おぼえている',
+    location: '{location}で',
+    partySpecies: 'てもちに {species}',
+    partyType: 'てもちに {type}タイプ',
+    female: 'メス',
+    male: 'オス',
+    day: 'ひるに',
+    night: 'よるに',
+    dusk: 'ゆうがたに',
+    rain: 'あめのとき',
+    upsideDown: 'ゲームきを さかさまにして',
+    separator: '、'
+  },
+  evolutionTriggers: {
+    trade: 'つうしんこうかん',
+    shed: 'からを ぬぐ',
+    spin: 'くるくる まわる',
+    'tower-of-darkness': 'あくのとう',
+    'tower-of-waters': 'みずのとう',
+    'three-critical-hits': 'きゅうしょに 3かい あてる',
+    'take-damage': 'ダメージを うける',
+    'agile-style-move': 'はやわざで わざを つかう',
+    'strong-style-move': 'ちからわざで わざを つかう',
+    'recoil-damage': 'はんどうダメージを うける',
+    other: 'そのほか'
+  },
+  calculator: {
+    title: 'のうりょく けいさん',
+    level: 'レベル',
+    nature: 'せいかく',
+    neutral: 'ほせい なし',
+    calculate: 'けいさん',
+    base: 'しゅぞくち',
+    iv: 'こたいち',
+    ev: 'どりょくち',
+    stat: 'のうりょくち',
+    range: 'Lv. {level} の はんい',
+    total: 'ごうけい しゅぞくち: {total}',
+    percentile: 'すべての ポケモンの {percentile}% いじょう',
+    rankingPending: 'ランキングを けいさんちゅう です'
+  },
+  encounters: {
+    title: 'でる ばしょ',
+    none: 'やせいでは みつかりません',
+    location: 'ばしょ',
+    method: 'ほうほう',
+    levels: 'レベル',
+    chance: 'かくりつ',
+    levelRange: 'Lv. {min}-{max}'
+  },
+  forms: {
+    title: 'すがた',
+    cosmetic: 'みためちがい'
+  },
+  species: {
+    entries: 'ずかんせつめい',
+    breeding: 'タマゴ',
+    about: 'ぶんるい',
+    version: 'バージョン',
+    noEntries: 'ずかんせつめいが ありません',
+    eggGroups: 'タマゴグループ',
+    genderRatio: 'せいべつの わりあい',
+    genderless: 'ふめい',
+    hatchSteps: 'ふかまでの ほすう',
+    growthRate: 'せいちょうの はやさ',
+    habitat: 'せいそくち',
+    shape: 'すがた',
+    generation: 'せだい',
+    status: 'くぶん',
+    legendary: 'でんせつ',
+    mythical: 'まぼろし',
+    baby: 'ベイビィ',
+    regular: 'ふつう'
+  },
+  filter: {
+    types: 'タイプ',
+    typeMatch: 'タイプの じょうけん',
+    allTypes: 'えらんだ タイプ すべて',
+    anyType: 'えらんだ タイプの どれか',
+    generation: 'せだい',
+    ability: 'とくせい',
+    abilityPlaceholder: 'れい: levitate',
+    baseStats: 'しゅぞくち',
+    statsPlaceholder: 'れい: speed>=100, total<500',
+    height: 'たかさ (m)',
+    weight: 'おもさ (kg)',
+    min: 'さいしょう',
+    max: 'さいだい',
+    legendary: 'でんせつ',
+    mythical: 'まぼろし',
+    only: 'のみ',
+    exclude: 'のぞく',
+    sortBy: 'ならびかえ',
+    asc: 'しょうじゅん',
+    desc: 'こうじゅん',
+    apply: 'しぼりこむ',
+    reset: 'リセット',
+    found: '{count}ひきの ポケモンが みつかりました',
+    truncated:
+      'ずかんの 一部だけを しらべました。タイプ、せだい、とくせいを くわえて しぼりこんでください。',
+    noResults: 'じょうけんに あう ポケモンは いません'
+  },
+  sortFields: {
+    id: 'ばんごう',
+    name: 'なまえ',
+    height: 'たかさ',
+    weight: 'おもさ'
+  },
+  compare: {
+    title: 'ポケモンを くらべる',
+    pick: 'ずかんの カードの「+ くらべる」で 2〜4ひき えらんでください。',
+    selected: 'えらんだ ポケモン: {name}',
+    remove: 'はずす',
+    uniqueAbilities: 'ひとつだけの とくせい',
+    sharedAbilities: 'きょうつうの とくせい',
+    matchups: 'タイプあいしょう (こうげき → ぼうぎょ、いちばん よい タイプ)'
+  },
+  teams: {
+    title: 'チーム',
+    newTeam: 'あたらしい チーム',
+    namePlaceholder: 'チームめい',
+    membersPlaceholder: '{max}ひきまで。れい: pikachu, charizard, 143',
+    create: 'つくる',
+    noTeams: 'チームは まだ ありません',
+    empty: 'からっぽ',
+    allTeams: 'チーム いちらん',
+    noMembers: 'この チームには まだ メンバーが いません',
+    defense: 'ぼうぎょの ようす',
+    attackingType: 'こうげき タイプ',
+    weak: 'よわい',
+    resist: 'いまひとつ',
+    immune: 'こうかなし',
+    coverage: 'こうげきの はんい (じぶんの タイプで こうかばつぐん)',
+    notCovered: 'カバーできない タイプ: {types}',
+    averages: 'へいきん のうりょく',
+    edit: 'チームを へんしゅう',
+    save: 'ほぞん',
+    delete: 'チームを けす'
+  },
+  moves: {
+    title: 'わざ',
+    backToMoves: 'わざに もどる',
+    searchPlaceholder: 'わざを なまえで けんさく...',
+    resultsFor: '「{query}」の わざ: {count}けん',
+    noResults: 'わざが みつかりません',
+    effect: 'こうか',
+    power: 'いりょく',
+    accuracy: 'めいちゅう',
+    pp: 'PP',
+    damageClass: 'ぶんるい',
+    priority: 'ゆうせんど',
+    introduced: 'とうじょう',
+    learnedBy: 'おぼえる ポケモン: {count}ひき'
+  },
+  ability: {
+    effect: 'こうか',
+    normal: 'この とくせいを もつ ポケモン',
+    hidden: 'この かくれとくせいを もつ ポケモン'
+  },
+  items: {
+    title: 'どうぐ',
+    backToItems: 'どうぐ いちらんへ もどる',
+    category: 'カテゴリ',
+    allCategories: 'すべての カテゴリ',
+    show: 'ひょうじ',
+    count: 'どうぐ {count}こ',
+    countIn: '{category}の どうぐ {count}こ',
+    noResults: 'どうぐが みつかりません',
+    effect: 'こうか',
+    cost: 'ねだん',
+    notSold: 'ひばいひん',
+    flingPower: 'なげつける いりょく',
+    flingEffect: 'なげつける こうか',
+    attributes: 'とくちょう',
+    heldBy: 'もっている やせいの ポケモン ({count})',
+    rarity: '{version}: {rarity}%',
+    berryData: 'きのみの データ'
+  },
+  berries: {
+    growthTime: 'せいちょう じかん',
+    hoursPerStage: '1だんかい {hours}じかん',
+    maxHarvest: 'さいだい しゅうかく',
+    naturalGiftPower: 'しぜんのめぐみ いりょく',
+    naturalGiftType: 'しぜんのめぐみ タイプ',
+    size: 'おおきさ',
+    sizeMm: '{size} mm',
+    smoothness: 'なめらかさ',
+    soilDryness: 'つちの かわきやすさ',
+    firmness: 'かたさ',
+    flavors: 'あじ',
+    item: 'どうぐ',
+    flavorNames: {
+      spicy: 'からい',
+      dry: 'しぶい',
+      sweet: 'あまい',
+      bitter: 'にがい',
+      sour: 'すっぱい'
+    }
+  },
+  account: {
+    loginTitle: 'ログイン',
+    signupTitle: 'アカウントをつくる',
+    username: 'ユーザー名',
+    password: 'パスワード',
+    login: 'ログイン',
+    signup: '登録',
+    noAccount: 'アカウントがない場合は',
+    haveAccount: 'アカウントをお持ちの場合は',
+    invalidCredentials: 'ユーザー名またはパスワードがちがいます',
+    usernameHint: '3〜30文字の英数字、「-」または「_」',
+    passwordHint: '8文字以上'
+  },
+  collection: {
+    favorite: 'お気に入り',
+    seen: '見つけた',
+    caught: '捕まえた'
+  },
+  progress: {
+    title: 'わたしの図鑑',
+    count: '{count} / {total}',
+    favorites: 'お気に入り',
+    caught: '捕まえた',
+    seenOnly: '見つけた（まだ捕まえていない）',
+    empty: 'まだ何もありません。カードからお気に入り・見つけた・捕まえたを記録しましょう。'
+  },
+  errors: {
+    notFound: '{resource}が見つかりません',
+    titles: {
+      NOT_FOUND: '見つかりません',
+      VALIDATION_ERROR: 'リクエストがまちがっています',
+      UNAUTHORIZED: 'ログインしてください',
+      RATE_LIMITED: 'リクエストが多すぎます',
+      UPSTREAM_UNAVAILABLE: 'ポケモンのデータを読み込めません',
+      BAD_REQUEST: 'リクエストがまちがっています',
+      INTERNAL_ERROR: 'エラーが発生しました'
+    },
+    resources: {
+      ability: 'とくせい',
+      berry: 'きのみ',
+      collectionEntry: '図鑑の記録',
+      evolutionChain: '進化',
+      generation: '世代',
+      item: 'どうぐ',
+      itemCategory: 'どうぐの分類',
+      move: 'わざ',
+      page: 'ページ',
+      pokedex: '図鑑',
+      pokemon: 'ポケモン',
+      team: 'チーム',
+      type: 'タイプ'
+    }
+  },
+  client: {
+    compare: '+ くらべる',
+    comparing: '✓ くらべちゅう',
+    compareCount: '{count}ひきを くらべる',
+    pickAtLeast: '2ひき いじょう えらんでください',
+    clear: 'クリア',
+    maxCompare: 'くらべられるのは {max}ひき までです。'
+  },
+  types: {
+    normal: 'ノーマル',
+    fire: 'ほのお',
+    water: 'みず',
+    electric: 'でんき',
+    grass: 'くさ',
+    ice: 'こおり',
+    fighting: 'かくとう',
+    poison: 'どく',
+    ground: 'じめん',
+    flying: 'ひこう',
+    psychic: 'エスパー',
+    bug: 'むし',
+    rock: 'いわ',
+    ghost: 'ゴースト',
+    dragon: 'ドラゴン',
+    dark: 'あく',
+    steel: 'はがね',
+    fairy: 'フェアリー',
+    stellar: 'ステラ'
+  },
+  stats: {
+    hp: 'HP',
+    attack: 'こうげき',
+    defense: 'ぼうぎょ',
+    'special-attack': 'とくこう',
+    'special-defense': 'とくぼう',
+    speed: 'すばやさ',
+    total: 'ごうけい'
+  }
+};
@@ -0,0 +1,8 @@
+/**
+ * Read one cookie from the Cookie header
+ */
+export const readCookie = (req, name) => {
+  const cookies = (req.headers.cookie || '').split(';').map((part) => part.trim().split('='));
+  const match = cookies.find(([key]) => key === name);
+  return match ? match.slice(1).join('=') : undefined;
+};
@@ -0,0 +1,75 @@
+import { AppError, NotFoundError } from '../errors/index.js';
+
+const isApiRequest = (req) => req.originalUrl.startsWith('/api/');
+
+/**
+ * Forward rejected promises from async handlers to the error middleware
+ * (Express 4 doesn't do this on its own)
+ */
+export const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+/**
+ * Normalize anything thrown into { status, code, message, details }
+ */
+const describeError = (err) => {
+  if (err instanceof AppError) {
+    return { status: err.status, code: err.code, message: err.message, details: err.details };
+  }
+
+  // Errors raised by Express itself, e.g. a malformed JSON body
+  if (err.status >= 400 && err.status < 500) {
+    return { status: err.status, code: 'BAD_REQUEST', message: err.message };
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR', message: err.message };
+};
+
+const camelCase = (words) =>
+  words.toLowerCase().replace(/ (\w)/g, (_, letter) => letter.toUpperCase());
+
+/**
+ * Localized title for error.ejs: "<resource> not found" for known resources
+ * ("Evolution chain" → errors.resources.evolutionChain), else one per code
+ */
+const pageTitle = (t, err, code) => {
+  if (err instanceof NotFoundError) {
+    const key = `errors.resources.${camelCase(err.resource)}`;
+    const resource = t(key);
+    if (resource !== key) {
+      return t('errors.notFound', { resource });
+    }
+  }
+
+  return t(`errors.titles.${code}`);
+};
+
+/**
+ * 404 for any route nothing else handled
+ */
+export const notFoundHandler = (req, _res, next) => {
+  next(new NotFoundError('Page', req.originalUrl));
+};
+
+/**
+ * Send errors as the JSON error body for /api/* routes and as error.ejs otherwise
+ */
+export const errorHandler = (err, req, res, _next) => {
+  const { status, code, message, details } = describeError(err);
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  if (isApiRequest(req)) {
+    return res.status(status).json({
+      success: false,
+      error: { code, message, ...(details && { details }) }
+    });
+  }
+
+  res.status(status).render('error', {
+    message: pageTitle(res.locals.t, err, code),
+    error: message
+  });
+};
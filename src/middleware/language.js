@@ -0,0 +1,69 @@
+import { ValidationError } from '../errors/index.js';
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  createTranslator,
+  isSupportedLanguage,
+  messageSection,
+  statName,
+  typeName
+} from '../i18n/index.js';
+import { readCookie } from './cookies.js';
+
+const COOKIE_NAME = 'lang';
+const COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000; // ms
+
+/**
+ * URL of the current page in another language
+ */
+const languageUrl = (req) => (lang) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.set('lang', lang);
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Pick the language for this request: "?lang=" first (remembered in a
+ * cookie), then the cookie, then Accept-Language, then English.
+ *
+ * Sets req.lang for the controllers, and t() plus the type/stat name
+ * helpers for the views. An unsupported "?lang=" is a ValidationError.
+ */
+export const language = (req, res, next) => {
+  const requested = req.query.lang;
+  const saved = readCookie(req, COOKIE_NAME);
+
+  const lang =
+    [requested, saved, req.acceptsLanguages(...Object.keys(LANGUAGES))].find(isSupportedLanguage) ??
+    DEFAULT_LANGUAGE;
+
+  if (requested && requested !== saved && isSupportedLanguage(requested)) {
+    res.cookie(COOKIE_NAME, requested, { maxAge: COOKIE_MAX_AGE, httpOnly: true, sameSite: 'lax' });
+  }
+
+  // The same URL answers in different languages
+  res.vary('Accept-Language');
+  res.vary('Cookie');
+
+  req.lang = lang;
+  Object.assign(res.locals, {
+    lang,
+    languages: LANGUAGES,
+    languageUrl: languageUrl(req),
+    t: createTranslator(lang),
+    typeName: (type) => typeName(type, lang),
+    statName: (stat) => statName(stat, lang),
+    clientMessages: messageSection(lang, 'client')
+  });
+
+  // Views rendered for the error still get the helpers above
+  if (requested !== undefined && !isSupportedLanguage(requested)) {
+    return next(
+      new ValidationError(`lang must be one of: ${Object.keys(LANGUAGES).join(', ')}`, {
+        field: 'lang'
+      })
+    );
+  }
+
+  next();
+};
@@ -0,0 +1,26 @@
+/**
+ * URL of the same list starting at a cursor, keeping the other query parameters
+ */
+const cursorUrl = (req, cursor) => {
+  const params = new URL(req.originalUrl, 'http://localhost').searchParams;
+  params.delete('page');
+  params.set('cursor', cursor);
+  return `${req.baseUrl}${req.path}?${params}`;
+};
+
+/**
+ * RFC 8288 Link headers pointing at the next and previous pages of a list
+ * response (the nextCursor/prevCursor of services/pagination.js pageInfo)
+ */
+export const setPageLinks = (req, res, { nextCursor, prevCursor }) => {
+  const links = [
+    ['next', nextCursor],
+    ['prev', prevCursor]
+  ]
+    .filter(([, cursor]) => cursor)
+    .map(([rel, cursor]) => `<${cursorUrl(req, cursor)}>; rel="${rel}"`);
+
+  if (links.length > 0) {
+    res.set('Link', links.join(', '));
+  }
+};
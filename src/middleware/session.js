@@ -0,0 +1,68 @@
+import { config } from '../config/index.js';
+import { UnauthorizedError } from '../errors/index.js';
+import * as userService from '../services/userService.js';
+import { readCookie } from './cookies.js';
+
+const COOKIE_NAME = 'sid';
+
+/**
+ * Start a session for a user and set its cookie
+ */
+export const startSession = async (req, res, user) => {
+  const token = await userService.createSession(user.id);
+  res.cookie(COOKIE_NAME, token, {
+    maxAge: config.auth.sessionTtl * 1000,
+    httpOnly: true,
+    // Lax keeps the cookie off cross-site form posts
+    sameSite: 'lax',
+    secure: req.secure
+  });
+};
+
+/**
+ * End the current session, if any, and clear its cookie
+ */
+export const endSession = async (req, res) => {
+  const token = readCookie(req, COOKIE_NAME);
+  if (token) {
+    await userService.logout(token);
+  }
+  res.clearCookie(COOKIE_NAME);
+};
+
+/**
+ * Load the logged in user from the session cookie into req.user, and into
+ * currentUser for the views (null when logged out)
+ */
+export const session = (req, res, next) => {
+  req.user = null;
+  res.locals.currentUser = null;
+
+  userService
+    .getSessionUser(readCookie(req, COOKIE_NAME))
+    .then((user) => {
+      req.user = user;
+      res.locals.currentUser = user;
+      // Where the favorite/seen/caught buttons come back to
+      res.locals.currentUrl = req.originalUrl;
+      next();
+    })
+    .catch(next);
+};
+
+/**
+ * API routes for logged in users: 401 without a session
+ */
+export const requireUser = (req, _res, next) => {
+  next(req.user ? undefined : new UnauthorizedError());
+};
+
+/**
+ * Pages for logged in users: send everyone else to the login page, and back here after
+ */
+export const requireLogin = (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+  res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+};
@@ -0,0 +1,26 @@
+/**
+ * Validate and coerce request params and query strings against a schema
+ * ({ params: { field: rule }, query: { field: rule } }, see validation/rules.js).
+ *
+ * Fields listed in the schema are replaced by the values their rules return;
+ * anything else on the request is left untouched. The first invalid field
+ * becomes a ValidationError for the error middleware.
+ */
+export const validate = (schema) => (req, res, next) => {
+  try {
+    for (const location of ['params', 'query']) {
+      const rules = schema[location] || {};
+      for (const [field, rule] of Object.entries(rules)) {
+        const value = rule(req[location][field], field);
+        if (value === undefined) {
+          delete req[location][field];
+        } else {
+          req[location][field] = value;
+        }
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
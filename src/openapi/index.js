@@ -0,0 +1,870 @@
+import { config } from '../config/index.js';
+import { DEFAULT_LANGUAGE, LANGUAGES } from '../i18n/index.js';
+import { FILTER_SORT_FIELDS } from '../services/filterCriteria.js';
+import { POKEMON_FIELDS } from '../services/fieldSelection.js';
+import { MAX_COMPARE } from '../services/compareService.js';
+import { MAX_TEAM_SIZE } from '../services/teamService.js';
+import { COLLECTION_MARKS } from '../services/collectionService.js';
+import { MAX_EV, MAX_IV, MAX_TOTAL_EVS, STAT_KEYS } from '../services/statCalculator.js';
+import { schemas } from './schemas.js';
+
+/**
+ * OpenAPI 3.1 document for every JSON route, served at /api/v1/openapi.json
+ *
+ * Keep it in step with the routes: tests/openapi.test.js checks that each
+ * documented operation exists and that real responses match these schemas.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * Successful response wrapped in the { success, data } envelope
+ */
+const ok = (description, data, headers) => ({
+  description,
+  ...(headers && { headers }),
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: { success: { const: true }, data },
+        required: ['success', 'data'],
+        additionalProperties: false
+      }
+    }
+  }
+});
+
+// Errors any route backed by PokeAPI can return
+const upstreamErrors = {
+  429: response('RateLimited'),
+  503: response('UpstreamUnavailable')
+};
+
+const pathParam = (name, description, example) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema: { type: 'string', pattern: '^[A-Za-z0-9-]+$', maxLength: 50 },
+  example
+});
+
+const queryParam = (name, description, schema, example) => ({
+  name,
+  in: 'query',
+  description,
+  schema,
+  ...(example !== undefined && { example })
+});
+
+// Paged lists link to their neighbours
+const pageHeaders = {
+  Link: {
+    description: 'RFC 8288 links to the next and previous pages (rel="next", rel="prev")',
+    schema: { type: 'string' }
+  }
+};
+
+const teamBody = {
+  required: true,
+  content: { 'application/json': { schema: ref('TeamInput') } }
+};
+
+// Routes for the logged in user
+const session = [{ session: [] }];
+
+// ============================================
+// COMPONENTS
+// ============================================
+
+const parameters = {
+  Page: queryParam('page', 'Page number', { type: 'integer', minimum: 1, default: 1 }),
+  Limit: queryParam(
+    'limit',
+    `Results per page; values above ${config.pagination.maxLimit} are clamped`,
+    {
+      type: 'integer',
+      minimum: 1,
+      default: config.pagination.defaultLimit
+    }
+  ),
+  Full: queryParam('full', 'Include species data (description, genus, ...) for each Pokemon', {
+    type: 'boolean',
+    default: false
+  }),
+  Cursor: queryParam(
+    'cursor',
+    'Opaque cursor from a previous page (nextCursor/prevCursor); takes precedence over page',
+    { type: 'string' }
+  ),
+  Fields: queryParam(
+    'fields',
+    `Fields to return for each Pokemon, comma separated (${POKEMON_FIELDS.join(', ')}); ` +
+      'species fields imply full=true',
+    { type: 'string' },
+    'name,types,stats'
+  ),
+  Sort: queryParam('sort', 'Sort field', {
+    type: 'string',
+    enum: FILTER_SORT_FIELDS,
+    default: 'id'
+  }),
+  Order: queryParam('order', 'Sort order', {
+    type: 'string',
+    enum: ['asc', 'desc'],
+    default: 'asc'
+  }),
+  Lang: queryParam(
+    'lang',
+    'Language of names, genus, description, type and stat names; without it the ' +
+      'lang cookie, then Accept-Language, picks one. English is used where PokeAPI has no translation.',
+    { type: 'string', enum: Object.keys(LANGUAGES), default: DEFAULT_LANGUAGE },
+    'ja'
+  ),
+  NameOrId: pathParam('nameOrId', 'Pokemon name or national dex number', 'pikachu'),
+  Status: queryParam('status', 'Only entries with this mark', {
+    type: 'string',
+    enum: COLLECTION_MARKS
+  }),
+  TeamId: {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string', format: 'uuid' }
+  }
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('ErrorResponse') } }
+});
+
+const responses = {
+  ValidationError: errorResponse('A parameter is invalid; error.details.field names it'),
+  NotFound: errorResponse('The resource does not exist'),
+  Unauthorized: errorResponse('Not logged in: log in at /login, then send the session cookie'),
+  RateLimited: {
+    ...errorResponse('PokeAPI is rate limiting us'),
+    headers: {
+      'Retry-After': { description: 'Seconds to wait, when known', schema: { type: 'integer' } }
+    }
+  },
+  UpstreamUnavailable: errorResponse('PokeAPI timed out, failed, or is being skipped for a while')
+};
+
+// ============================================
+// PATHS
+// ============================================
+
+const paths = {
+  '/pokemon': {
+    get: {
+      operationId: 'apiGetAllPokemon',
+      tags: ['Pokemon'],
+      summary: 'List Pokemon, by national dex number unless sorted',
+      description:
+        'Sorting by anything but the name or dex number reads the stat table and ' +
+        'fails with 503 until it has been built.',
+      parameters: [
+        param('Page'),
+        param('Cursor'),
+        param('Limit'),
+        param('Full'),
+        param('Fields'),
+        param('Sort'),
+        param('Order'),
+        param('Lang')
+      ],
+      responses: {
+        200: ok('A page of Pokemon', ref('PokemonPage'), pageHeaders),
+        400: response('ValidationError'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokemon/search': {
+    get: {
+      operationId: 'apiSearchPokemon',
+      tags: ['Pokemon'],
+      summary: 'Search Pokemon by name, tolerating typos',
+      parameters: [
+        queryParam('q', 'Name or part of a name', { type: 'string', maxLength: 100 }, 'pika'),
+        param('Page'),
+        param('Cursor'),
+        param('Limit'),
+        param('Full'),
+        {
+          ...param('Fields'),
+          description: `${parameters.Fields.description}; score and matchType can be listed too`
+        },
+        param('Lang')
+      ],
+      responses: {
+        200: ok('Matches, best first', ref('PokemonSearchPage'), pageHeaders),
+        400: response('ValidationError'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokemon/filter': {
+    get: {
+      operationId: 'apiFilterPokemon',
+      tags: ['Pokemon'],
+      summary: 'Filter Pokemon by types, generation, ability, stats, size and flags',
+      description:
+        'Stat filters can also be written as their own parameters, e.g. `?speed>=100&attack<50`.',
+      parameters: [
+        queryParam(
+          'types',
+          'Comma separated types: at most 2 for typeMode=and, 18 for or',
+          { type: 'string' },
+          'fire,flying'
+        ),
+        queryParam('typeMode', 'Match all types or any of them', {
+          type: 'string',
+          enum: ['and', 'or'],
+          default: 'and'
+        }),
+        queryParam('generation', 'Generation name or number', { type: 'string' }, '1'),
+        queryParam('ability', 'Ability name', { type: 'string' }),
+        queryParam('stats', 'Comma separated stat filters', { type: 'string' }, 'speed>=100'),
+        queryParam('minHeight', 'Meters', { type: 'number' }),
+        queryParam('maxHeight', 'Meters', { type: 'number' }),
+        queryParam('minWeight', 'Kilograms', { type: 'number' }),
+        queryParam('maxWeight', 'Kilograms', { type: 'number' }),
+        queryParam('legendary', 'Only (or no) legendaries', { type: 'boolean' }),
+        queryParam('mythical', 'Only (or no) mythicals', { type: 'boolean' }),
+        param('Sort'),
+        param('Order'),
+        param('Page'),
+        param('Cursor'),
+        param('Limit'),
+        param('Full'),
+        param('Fields'),
+        param('Lang')
+      ],
+      responses: {
+        200: ok('Matching Pokemon', ref('PokemonFilterPage'), pageHeaders),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokemon/{nameOrId}': {
+    get: {
+      operationId: 'apiGetPokemonDetails',
+      tags: ['Pokemon'],
+      summary: 'Get a Pokemon with its species data',
+      parameters: [param('NameOrId'), param('Fields'), param('Lang')],
+      responses: {
+        200: ok('The Pokemon', ref('Pokemon')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokemon/{nameOrId}/evolutions': {
+    get: {
+      operationId: 'apiGetEvolutionChain',
+      tags: ['Pokemon'],
+      summary: "Get a Pokemon's evolution tree",
+      parameters: [param('NameOrId'), param('Lang')],
+      responses: {
+        200: ok('The whole family, from its first stage', ref('EvolutionChain')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokemon/{nameOrId}/forms': {
+    get: {
+      operationId: 'apiGetPokemonForms',
+      tags: ['Pokemon'],
+      summary: "List the varieties of a Pokemon's species (regional forms, megas, gigantamax...)",
+      description:
+        'Each variety has its own types, stats and artwork, plus its forms ' +
+        '(cosmetic ones such as Unown letters included). A species name such as `deoxys` also works.',
+      parameters: [param('NameOrId'), param('Lang')],
+      responses: {
+        200: ok('Varieties, default first', ref('PokemonForms')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokemon/{nameOrId}/moves': {
+    get: {
+      operationId: 'apiGetPokemonMoves',
+      tags: ['Pokemon'],
+      summary: "Get a Pokemon's learnsets by version group and learn method",
+      parameters: [param('NameOrId')],
+      responses: {
+        200: ok('Learnsets', ref('PokemonMoves')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokemon/{nameOrId}/stats/calc': {
+    get: {
+      operationId: 'apiCalculateStats',
+      tags: ['Pokemon'],
+      summary: 'Calculate final stats for a level, nature, IVs and EVs',
+      parameters: [
+        param('NameOrId'),
+        queryParam('level', 'Level', { type: 'integer', minimum: 1, maximum: 100, default: 50 }),
+        queryParam('nature', 'Nature name; neutral if left out', { type: 'string' }, 'adamant'),
+        queryParam(
+          'ivs',
+          `${STAT_KEYS.length} IVs (0-${MAX_IV}) in the order ${STAT_KEYS.join(', ')}; ` +
+            `all ${MAX_IV} if left out`,
+          { type: 'string' },
+          '31,31,31,31,31,31'
+        ),
+        queryParam(
+          'evs',
+          `${STAT_KEYS.length} EVs (0-${MAX_EV}, at most ${MAX_TOTAL_EVS} in total) in the ` +
+            'same order; all 0 if left out',
+          { type: 'string' },
+          '0,252,0,0,4,252'
+        ),
+        param('Lang')
+      ],
+      responses: {
+        200: ok('Final stats with their ranges', ref('StatCalculation')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/natures': {
+    get: {
+      operationId: 'apiGetNatures',
+      tags: ['Pokemon'],
+      summary: 'List every nature with the stats it raises and lowers',
+      parameters: [param('Lang')],
+      responses: {
+        200: ok('Natures by display name', { type: 'array', items: ref('Nature') }),
+        400: response('ValidationError'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokemon/{nameOrId}/encounters': {
+    get: {
+      operationId: 'apiGetPokemonEncounters',
+      tags: ['Pokemon'],
+      summary: 'Get where to find a Pokemon in the wild, by game version and location area',
+      parameters: [
+        param('NameOrId'),
+        queryParam('version', 'Only this game version', { type: 'string' }, 'red')
+      ],
+      responses: {
+        200: ok('Encounters, oldest version first', ref('PokemonEncounters')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/types': {
+    get: {
+      operationId: 'apiGetTypes',
+      tags: ['Types'],
+      summary: 'List all types',
+      parameters: [param('Lang')],
+      responses: {
+        200: ok('Every type a Pokemon can have', { type: 'array', items: ref('Type') }),
+        400: response('ValidationError'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/types/{type}': {
+    get: {
+      operationId: 'apiGetPokemonByType',
+      tags: ['Types'],
+      summary: 'List Pokemon of a type',
+      parameters: [
+        pathParam('type', 'Type name', 'electric'),
+        param('Page'),
+        param('Cursor'),
+        param('Limit'),
+        param('Full'),
+        param('Fields'),
+        param('Sort'),
+        param('Order'),
+        param('Lang')
+      ],
+      responses: {
+        200: ok('A page of Pokemon', ref('PokemonTypePage'), pageHeaders),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/types/{type}/matchups': {
+    get: {
+      operationId: 'apiGetTypeMatchups',
+      tags: ['Types'],
+      summary: 'Get the defensive matchup chart of a single or dual type',
+      parameters: [
+        {
+          ...pathParam('type', 'One or two types joined by "," or "+"', 'fire,flying'),
+          schema: { type: 'string' }
+        }
+      ],
+      responses: {
+        200: ok('Damage taken from each attacking type', ref('TypeMatchups')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/moves': {
+    get: {
+      operationId: 'apiSearchMoves',
+      tags: ['Moves'],
+      summary: 'Search moves by name',
+      parameters: [
+        queryParam('q', 'Name or part of a name', { type: 'string' }, 'thunder'),
+        param('Page'),
+        param('Cursor'),
+        param('Limit')
+      ],
+      responses: {
+        200: ok('Matches, best first', ref('MoveSearchPage'), pageHeaders),
+        400: response('ValidationError'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/moves/{name}': {
+    get: {
+      operationId: 'apiGetMoveDetails',
+      tags: ['Moves'],
+      summary: 'Get a move',
+      parameters: [pathParam('name', 'Move name', 'thunderbolt')],
+      responses: {
+        200: ok('The move and the Pokemon that learn it', ref('Move')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/abilities/{name}': {
+    get: {
+      operationId: 'apiGetAbilityDetails',
+      tags: ['Abilities'],
+      summary: 'Get an ability',
+      parameters: [pathParam('name', 'Ability name', 'static')],
+      responses: {
+        200: ok('The ability and the Pokemon that have it', ref('Ability')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/abilities/{name}/pokemon': {
+    get: {
+      operationId: 'apiGetPokemonByAbility',
+      tags: ['Abilities'],
+      summary: 'List the Pokemon with an ability, split into normal and hidden',
+      parameters: [pathParam('name', 'Ability name', 'static')],
+      responses: {
+        200: ok('Pokemon with the ability', ref('PokemonByAbility')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/items': {
+    get: {
+      operationId: 'apiGetItems',
+      tags: ['Items'],
+      summary: 'List items, optionally of one category',
+      parameters: [
+        queryParam('category', 'Item category name', { type: 'string' }, 'healing'),
+        param('Page'),
+        param('Cursor'),
+        param('Limit')
+      ],
+      responses: {
+        200: ok('A page of items', ref('ItemPage'), pageHeaders),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/item-categories': {
+    get: {
+      operationId: 'apiGetItemCategories',
+      tags: ['Items'],
+      summary: 'List every item category',
+      responses: {
+        200: ok('Item categories by display name', { type: 'array', items: ref('ItemCategory') }),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/items/{name}': {
+    get: {
+      operationId: 'apiGetItemDetails',
+      tags: ['Items'],
+      summary: 'Get an item',
+      parameters: [pathParam('name', 'Item name or id', 'potion'), param('Lang')],
+      responses: {
+        200: ok('The item and the wild Pokemon that hold it', ref('Item')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/berries/{name}': {
+    get: {
+      operationId: 'apiGetBerryDetails',
+      tags: ['Items'],
+      summary: 'Get a berry',
+      parameters: [
+        pathParam('name', 'Berry name or id; the item name ("cheri-berry") works too', 'cheri'),
+        param('Lang')
+      ],
+      responses: {
+        200: ok('Growth, flavor and Natural Gift data plus the berry item', ref('Berry')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/compare': {
+    get: {
+      operationId: 'apiComparePokemon',
+      tags: ['Compare'],
+      summary: `Compare 2 to ${MAX_COMPARE} Pokemon side by side`,
+      parameters: [
+        {
+          ...queryParam(
+            'ids',
+            'Comma separated names or ids',
+            { type: 'string' },
+            'pikachu,raichu'
+          ),
+          required: true
+        },
+        param('Lang')
+      ],
+      responses: {
+        200: ok('Stats, matchups and abilities side by side', ref('Comparison')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/teams': {
+    get: {
+      operationId: 'apiGetTeams',
+      tags: ['Teams'],
+      summary: 'List teams',
+      responses: {
+        200: ok('Every saved team', { type: 'array', items: ref('Team') })
+      }
+    },
+    post: {
+      operationId: 'apiCreateTeam',
+      tags: ['Teams'],
+      summary: `Create a team of up to ${MAX_TEAM_SIZE} Pokemon`,
+      requestBody: teamBody,
+      responses: {
+        201: ok('The new team', ref('Team')),
+        400: response('ValidationError'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/teams/{id}': {
+    get: {
+      operationId: 'apiGetTeam',
+      tags: ['Teams'],
+      summary: 'Get a team',
+      parameters: [param('TeamId')],
+      responses: {
+        200: ok('The team', ref('Team')),
+        404: response('NotFound')
+      }
+    },
+    put: {
+      operationId: 'apiUpdateTeam',
+      tags: ['Teams'],
+      summary: "Replace a team's name and members",
+      parameters: [param('TeamId')],
+      requestBody: teamBody,
+      responses: {
+        200: ok('The updated team', ref('Team')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    },
+    delete: {
+      operationId: 'apiDeleteTeam',
+      tags: ['Teams'],
+      summary: 'Delete a team',
+      parameters: [param('TeamId')],
+      responses: {
+        204: { description: 'Deleted' },
+        404: response('NotFound')
+      }
+    }
+  },
+  '/teams/{id}/analysis': {
+    get: {
+      operationId: 'apiAnalyzeTeam',
+      tags: ['Teams'],
+      summary: "Analyze a team's weaknesses, coverage and stat averages",
+      parameters: [param('TeamId'), param('Lang')],
+      responses: {
+        200: ok('The analysis', ref('TeamAnalysis')),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/me/collection': {
+    get: {
+      operationId: 'apiGetCollection',
+      tags: ['Collection'],
+      summary: "The logged in user's favorite, seen and caught Pokemon",
+      security: session,
+      parameters: [param('Status')],
+      responses: {
+        200: ok('Mark counts and entries by national dex number', ref('Collection')),
+        400: response('ValidationError'),
+        401: response('Unauthorized')
+      }
+    }
+  },
+  '/me/collection/{nameOrId}': {
+    patch: {
+      operationId: 'apiUpdateCollectionEntry',
+      tags: ['Collection'],
+      summary: 'Mark a Pokemon as favorite, seen or caught (caught implies seen)',
+      security: session,
+      parameters: [param('NameOrId')],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('CollectionMarks') } }
+      },
+      responses: {
+        200: ok('The entry; one with no marks left is removed', ref('CollectionEntry')),
+        400: response('ValidationError'),
+        401: response('Unauthorized'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    },
+    delete: {
+      operationId: 'apiDeleteCollectionEntry',
+      tags: ['Collection'],
+      summary: 'Take a Pokemon out of the collection',
+      security: session,
+      parameters: [param('NameOrId')],
+      responses: {
+        204: { description: 'Removed' },
+        400: response('ValidationError'),
+        401: response('Unauthorized'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/openapi.json': {
+    get: {
+      operationId: 'apiGetOpenApiDocument',
+      tags: ['Docs'],
+      summary: 'This document',
+      responses: {
+        200: {
+          description: 'The OpenAPI document (not wrapped in the success envelope)',
+          content: { 'application/json': { schema: { type: 'object', required: ['openapi'] } } }
+        }
+      }
+    }
+  },
+  '/generations': {
+    get: {
+      operationId: 'apiGetGenerations',
+      tags: ['Generations'],
+      summary: 'List generations, oldest first',
+      parameters: [param('Lang')],
+      responses: {
+        200: ok('Every generation', { type: 'array', items: ref('Generation') }),
+        400: response('ValidationError'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/generations/{id}': {
+    get: {
+      operationId: 'apiGetPokemonByGeneration',
+      tags: ['Generations'],
+      summary: 'List the Pokemon introduced in a generation, by national dex number',
+      parameters: [
+        pathParam('id', 'Generation number or name', '1'),
+        param('Page'),
+        param('Cursor'),
+        param('Limit'),
+        param('Full'),
+        param('Fields'),
+        param('Lang')
+      ],
+      responses: {
+        200: ok('A page of Pokemon', ref('PokemonGenerationPage'), pageHeaders),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokedexes': {
+    get: {
+      operationId: 'apiGetPokedexes',
+      tags: ['Generations'],
+      summary: 'List the national and regional Pokedexes',
+      responses: {
+        200: ok('Every Pokedex', { type: 'array', items: ref('Pokedex') }),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/pokedexes/{name}': {
+    get: {
+      operationId: 'apiGetPokemonByPokedex',
+      tags: ['Generations'],
+      summary: 'List the Pokemon of a Pokedex by their entry number in it',
+      parameters: [
+        pathParam('name', 'Pokedex name', 'paldea'),
+        param('Page'),
+        param('Cursor'),
+        param('Limit'),
+        param('Full'),
+        { ...param('Fields'), description: 'Like fields on other lists, plus entryNumber' },
+        param('Lang')
+      ],
+      responses: {
+        200: ok('A page of Pokedex entries', ref('PokemonPokedexPage'), pageHeaders),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...upstreamErrors
+      }
+    }
+  },
+  '/cache/stats': {
+    get: {
+      operationId: 'apiGetCacheStats',
+      tags: ['Cache'],
+      summary: 'Get response cache hit/miss counters',
+      responses: {
+        200: ok('Counters since startup', ref('CacheStats'))
+      }
+    }
+  }
+};
+
+export const openapiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Pokedex API',
+    version: '1.0.0',
+    description:
+      'JSON API over PokeAPI data. Successful responses are `{ "success": true, "data": ... }`; ' +
+      'errors are `{ "success": false, "error": { code, message, details } }`. ' +
+      'Paged Pokemon lists return nextCursor/prevCursor and matching `Link` headers. ' +
+      'Pokemon data can be localized with `?lang=` (en, ja, de, fr).'
+  },
+  servers: [
+    { url: '/api/v1', description: 'Version 1' },
+    { url: '/api', description: 'Alias of the current version (v1)' }
+  ],
+  tags: [
+    { name: 'Pokemon' },
+    { name: 'Types' },
+    { name: 'Generations' },
+    { name: 'Moves' },
+    { name: 'Abilities' },
+    { name: 'Items' },
+    { name: 'Compare' },
+    { name: 'Teams' },
+    { name: 'Collection' },
+    { name: 'Cache' },
+    { name: 'Docs' }
+  ],
+  paths,
+  components: {
+    schemas,
+    parameters,
+    responses,
+    securitySchemes: {
+      session: { type: 'apiKey', in: 'cookie', name: 'sid', description: 'Set by /login' }
+    }
+  }
+};
+
+// A reference may override the description of what it points to
+const resolve = (components) => (item) => {
+  if (!item.$ref) {
+    return item;
+  }
+  const { $ref, ...overrides } = item;
+  return { ...components[$ref.split('/').pop()], ...overrides };
+};
+
+/**
+ * Example request body: the schema's own example, or its properties' examples
+ */
+const bodyExample = (requestBody) => {
+  const schema = resolve(schemas)(requestBody.content['application/json'].schema);
+  return (
+    schema.example ??
+    Object.fromEntries(
+      Object.entries(schema.properties || {}).map(([name, property]) => [name, property.example])
+    )
+  );
+};
+
+/**
+ * Every operation as a flat list in document order, with parameter and
+ * response references resolved and an example body (used by the docs page)
+ */
+export const listOperations = () =>
+  Object.entries(paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({
+      ...operation,
+      path,
+      method,
+      parameters: (operation.parameters || []).map(resolve(parameters)),
+      ...(operation.requestBody && { bodyExample: bodyExample(operation.requestBody) }),
+      responses: Object.entries(operation.responses).map(([status, item]) => ({
+        status,
+        description: resolve(responses)(item).description
+      }))
+    }))
+  );
@@ -0,0 +1,537 @@
+import { MATCHUP_BUCKETS } from '../services/typeChart.js';
+import { LEARN_METHODS } from '../services/pokemonService.js';
+import { COLLECTION_MARKS } from '../services/collectionService.js';
+
+/**
+ * OpenAPI component schemas for every JSON response body
+ *
+ * Objects are closed (additionalProperties: false) so the conformance test in
+ * tests/openapi.test.js fails when a service adds, renames or drops a field
+ * without updating this file.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+const nullable = (type) => ({ type: [type, 'null'] });
+const arrayOf = (items) => ({ type: 'array', items });
+
+/**
+ * Closed object schema; every property is required unless listed in optional
+ */
+const object = (properties, { optional = [], description } = {}) => ({
+  type: 'object',
+  ...(description && { description }),
+  properties,
+  required: Object.keys(properties).filter((key) => !optional.includes(key)),
+  additionalProperties: false
+});
+
+/**
+ * Object keyed by arbitrary names, e.g. { fire: 2, water: 0.5 }
+ */
+const mapOf = (values) => ({ type: 'object', additionalProperties: values });
+
+// ============================================
+// SHARED FIELDS
+// ============================================
+
+const named = {
+  name: { ...string, description: 'PokeAPI name, e.g. "mr-mime"', example: 'pikachu' },
+  displayName: { ...string, description: 'Name formatted for display', example: 'Pikachu' }
+};
+
+// Lists can be paged by page number or with opaque cursors
+const cursorPagination = {
+  totalCount: integer,
+  currentPage: { ...integer, minimum: 1 },
+  totalPages: integer,
+  hasNextPage: boolean,
+  hasPrevPage: boolean,
+  nextCursor: { ...nullable('string'), description: 'Pass as ?cursor= for the next page' },
+  prevCursor: { ...nullable('string'), description: 'Pass as ?cursor= for the previous page' }
+};
+
+// Set by filtered or sorted lists
+const truncated = {
+  ...boolean,
+  description: 'True if only the first FILTER_MAX_CANDIDATES candidates were inspected'
+};
+
+const match = {
+  score: { ...number, description: 'Relevance, higher is better' },
+  matchType: { type: 'string', enum: ['exact', 'prefix', 'substring', 'fuzzy'] }
+};
+
+// Fields returned by pokemonService.getPokemonSummary
+const summaryFields = {
+  id: integer,
+  ...named,
+  image: { ...nullable('string'), format: 'uri', description: 'Official artwork' },
+  sprite: { ...nullable('string'), format: 'uri' },
+  types: { ...arrayOf(string), example: ['electric'] },
+  height: { ...number, description: 'Meters' },
+  weight: { ...number, description: 'Kilograms' },
+  abilities: arrayOf(ref('PokemonAbility')),
+  stats: arrayOf(ref('Stat'))
+};
+
+// Species fields getPokemonDetails adds on top of the summary
+const detailFields = {
+  description: string,
+  genus: { ...string, example: 'Mouse Pokémon' },
+  color: string,
+  captureRate: integer,
+  baseHappiness: integer,
+  flavorTexts: { ...arrayOf(ref('FlavorText')), description: 'One Pokedex entry per version' },
+  eggGroups: { ...arrayOf(string), example: ['Ground', 'Fairy'] },
+  genderRatio: {
+    oneOf: [ref('GenderRatio'), { type: 'null' }],
+    description: 'null for genderless species'
+  },
+  hatchSteps: { ...nullable('integer'), example: 2805 },
+  growthRate: { ...nullable('string'), example: 'Medium Fast' },
+  habitat: { ...nullable('string'), description: 'Only set for Generation I-III species' },
+  shape: { ...nullable('string'), example: 'Quadruped' },
+  generation: { ...nullable('string'), example: 'Generation I' },
+  isLegendary: boolean,
+  isMythical: boolean,
+  isBaby: boolean
+};
+
+const detailKeys = Object.keys(detailFields);
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const schemas = {
+  ErrorResponse: object({
+    success: { const: false },
+    error: object(
+      {
+        code: {
+          type: 'string',
+          enum: [
+            'VALIDATION_ERROR',
+            'BAD_REQUEST',
+            'UNAUTHORIZED',
+            'NOT_FOUND',
+            'RATE_LIMITED',
+            'UPSTREAM_UNAVAILABLE',
+            'INTERNAL_ERROR'
+          ]
+        },
+        message: string,
+        details: {
+          type: 'object',
+          description: 'e.g. { field } for validation errors, { resource, id } for 404s'
+        }
+      },
+      { optional: ['details'] }
+    )
+  }),
+
+  // Pokemon
+  Stat: object({ name: { ...string, example: 'Sp. Atk' }, value: integer }),
+  FlavorText: object({
+    version: { ...string, example: 'red' },
+    versionName: { ...string, example: 'Red' },
+    text: string
+  }),
+  GenderRatio: object({
+    male: { ...number, description: 'Percent' },
+    female: { ...number, description: 'Percent' }
+  }),
+  PokemonAbility: object({
+    name: { ...string, example: 'Lightning Rod' },
+    slug: { ...string, example: 'lightning-rod' },
+    isHidden: boolean
+  }),
+  Pokemon: object(
+    { ...summaryFields, ...detailFields },
+    { description: 'With ?fields=, only the listed fields' }
+  ),
+  PokemonListItem: object(
+    { ...summaryFields, ...detailFields },
+    {
+      optional: detailKeys,
+      description:
+        'A summary, or full details with ?full=true; only the listed fields with ?fields='
+    }
+  ),
+  PokemonSearchResult: object(
+    { ...summaryFields, ...detailFields, ...match },
+    { optional: detailKeys }
+  ),
+  PokemonPage: object(
+    { pokemon: arrayOf(ref('PokemonListItem')), ...cursorPagination, truncated },
+    { optional: ['truncated'] }
+  ),
+  PokemonSearchPage: object({ pokemon: arrayOf(ref('PokemonSearchResult')), ...cursorPagination }),
+  PokemonTypePage: object(
+    {
+      pokemon: arrayOf(ref('PokemonListItem')),
+      type: string,
+      ...cursorPagination,
+      truncated
+    },
+    { optional: ['truncated'] }
+  ),
+  Generation: object({ id: integer, ...named }),
+  PokemonGenerationPage: object({
+    pokemon: arrayOf(ref('PokemonListItem')),
+    generation: object({
+      id: integer,
+      ...named,
+      region: { ...nullable('string'), description: 'Main region, e.g. "kanto"' }
+    }),
+    ...cursorPagination
+  }),
+  Pokedex: object({ id: integer, ...named }),
+  PokedexEntry: object(
+    {
+      ...summaryFields,
+      ...detailFields,
+      entryNumber: { ...integer, description: 'Number in this Pokedex', example: 1 }
+    },
+    { optional: detailKeys }
+  ),
+  PokemonPokedexPage: object({
+    pokemon: arrayOf(ref('PokedexEntry')),
+    pokedex: object({
+      id: integer,
+      ...named,
+      region: { ...nullable('string'), description: 'null for the national Pokedex' }
+    }),
+    ...cursorPagination
+  }),
+  PokemonFilterPage: object({
+    pokemon: arrayOf(ref('PokemonListItem')),
+    ...cursorPagination,
+    truncated
+  }),
+
+  // Forms and varieties
+  PokemonForm: object({
+    ...named,
+    formName: { ...nullable('string'), example: 'alola' },
+    isDefault: boolean,
+    isMega: boolean,
+    isBattleOnly: boolean,
+    sprite: { ...nullable('string'), format: 'uri' }
+  }),
+  PokemonVariety: object({
+    ...summaryFields,
+    isDefault: boolean,
+    kind: { type: 'string', enum: ['default', 'regional', 'mega', 'gigantamax', 'other'] },
+    formName: {
+      ...nullable('string'),
+      description: 'Form name for display; null for the default variety',
+      example: 'Alola Form'
+    },
+    forms: arrayOf(ref('PokemonForm'))
+  }),
+  PokemonForms: object({
+    species: { ...string, example: 'raichu' },
+    current: { ...string, description: 'The variety that was asked for', example: 'raichu' },
+    varieties: arrayOf(ref('PokemonVariety'))
+  }),
+
+  // Evolutions
+  EvolutionTrigger: object({
+    trigger: { ...string, example: 'level-up' },
+    conditions: {
+      type: 'object',
+      description: 'Only the conditions that apply, e.g. { minLevel: 16 }'
+    },
+    description: { ...string, example: 'Level 16' }
+  }),
+  EvolutionNode: object({
+    id: integer,
+    ...named,
+    image: { ...string, format: 'uri' },
+    triggers: arrayOf(ref('EvolutionTrigger')),
+    evolvesTo: arrayOf(ref('EvolutionNode'))
+  }),
+  EvolutionChain: object({
+    id: integer,
+    species: string,
+    chain: ref('EvolutionNode')
+  }),
+
+  // Learnsets
+  LearnsetMove: object({ ...named, level: integer }, { optional: ['level'] }),
+  Learnset: object(Object.fromEntries(LEARN_METHODS.map((m) => [m, arrayOf(ref('LearnsetMove'))]))),
+  Nature: object({
+    ...named,
+    increased: { ...nullable('string'), description: 'Stat raised by 10%; null if neutral' },
+    decreased: { ...nullable('string'), description: 'Stat lowered by 10%; null if neutral' }
+  }),
+  StatCalculation: object({
+    pokemon: string,
+    level: integer,
+    nature: { oneOf: [ref('Nature'), { type: 'null' }], description: 'null for a neutral nature' },
+    stats: arrayOf(
+      object({
+        name: { ...string, example: 'attack' },
+        displayName: { ...string, example: 'Attack' },
+        base: integer,
+        iv: integer,
+        ev: integer,
+        modifier: { ...number, description: 'Nature multiplier', enum: [0.9, 1, 1.1] },
+        value: { ...integer, description: 'Final stat' },
+        ranges: {
+          ...arrayOf(object({ level: integer, min: integer, max: integer })),
+          description: 'Lowest and highest possible value at levels 50 and 100'
+        }
+      })
+    ),
+    baseStatTotal: integer,
+    percentile: {
+      ...nullable('number'),
+      description:
+        'Share of all Pokemon with the same or a lower base stat total; null while that ' +
+        'ranking is still being built'
+    }
+  }),
+  Encounter: object({
+    method: { ...string, example: 'walk' },
+    methodName: { ...string, example: 'Walk' },
+    minLevel: integer,
+    maxLevel: integer,
+    chance: { ...integer, description: 'Percent, summed over the encounter slots' },
+    conditions: { ...arrayOf(string), example: ['Time Morning'] }
+  }),
+  PokemonEncounters: object({
+    pokemon: string,
+    versions: {
+      ...arrayOf(
+        object({
+          ...named,
+          locations: arrayOf(object({ ...named, encounters: arrayOf(ref('Encounter')) }))
+        })
+      ),
+      description: 'Oldest first; empty if it is not found in the wild'
+    }
+  }),
+  PokemonMoves: object({
+    pokemon: string,
+    versionGroups: {
+      ...arrayOf(object(named)),
+      description: 'Oldest first'
+    },
+    learnsets: { ...mapOf(ref('Learnset')), description: 'Keyed by version group name' }
+  }),
+
+  // Types
+  Type: object(named),
+  TypeMatchups: object({
+    types: arrayOf(string),
+    multipliers: {
+      ...mapOf(number),
+      description: 'Damage multiplier of each attacking type',
+      example: { ground: 2, electric: 0.5 }
+    },
+    chart: object(Object.fromEntries(MATCHUP_BUCKETS.map((bucket) => [bucket, arrayOf(string)])))
+  }),
+
+  // Moves
+  Move: object({
+    id: integer,
+    ...named,
+    type: string,
+    power: nullable('integer'),
+    accuracy: nullable('integer'),
+    pp: nullable('integer'),
+    priority: integer,
+    damageClass: nullable('string'),
+    target: nullable('string'),
+    generation: { ...nullable('string'), example: 'Generation I' },
+    effect: nullable('string'),
+    shortEffect: nullable('string'),
+    flavorText: nullable('string'),
+    learnedBy: arrayOf(object({ ...named, id: integer }))
+  }),
+  MoveSearchPage: object({
+    moves: arrayOf(object({ ...named, id: integer, ...match })),
+    ...cursorPagination
+  }),
+
+  // Abilities
+  AbilityPokemon: object({
+    id: integer,
+    ...named,
+    image: { ...string, format: 'uri' },
+    isHidden: boolean
+  }),
+  Ability: object({
+    id: integer,
+    ...named,
+    generation: nullable('string'),
+    effect: nullable('string'),
+    shortEffect: nullable('string'),
+    flavorText: nullable('string'),
+    pokemon: object({
+      normal: arrayOf(ref('AbilityPokemon')),
+      hidden: arrayOf(ref('AbilityPokemon'))
+    })
+  }),
+  PokemonByAbility: object({
+    ability: string,
+    totalCount: integer,
+    normal: arrayOf(ref('AbilityPokemon')),
+    hidden: arrayOf(ref('AbilityPokemon'))
+  }),
+
+  // Items and berries
+  ItemSummary: object({
+    id: integer,
+    ...named,
+    sprite: { ...string, format: 'uri' }
+  }),
+  ItemCategory: object(named),
+  ItemPage: object({
+    items: arrayOf(ref('ItemSummary')),
+    category: {
+      oneOf: [object(named), { type: 'null' }],
+      description: 'null when listing every item'
+    },
+    ...cursorPagination
+  }),
+  Item: object({
+    id: integer,
+    ...named,
+    sprite: { ...nullable('string'), format: 'uri' },
+    cost: { ...integer, description: 'Shop price; 0 if it is not sold', example: 300 },
+    flingPower: nullable('integer'),
+    flingEffect: nullable('string'),
+    category: { ...string, example: 'healing' },
+    categoryName: { ...string, example: 'Healing' },
+    attributes: { ...arrayOf(string), example: ['Countable', 'Consumable'] },
+    effect: nullable('string'),
+    shortEffect: nullable('string'),
+    flavorText: nullable('string'),
+    heldBy: arrayOf(
+      object({
+        id: integer,
+        ...named,
+        image: { ...string, format: 'uri' },
+        versions: arrayOf(
+          object({
+            version: string,
+            versionName: string,
+            rarity: { ...integer, description: 'Chance (%) that a wild one holds it' }
+          })
+        )
+      })
+    ),
+    berry: { ...nullable('string'), description: 'Berry name, for berry items', example: null }
+  }),
+  Berry: object({
+    id: integer,
+    ...named,
+    growthTime: { ...integer, description: 'Hours per growth stage' },
+    maxHarvest: integer,
+    naturalGiftPower: integer,
+    naturalGiftType: nullable('string'),
+    size: { ...integer, description: 'Millimeters' },
+    smoothness: integer,
+    soilDryness: integer,
+    firmness: nullable('string'),
+    flavors: arrayOf(object({ name: string, potency: integer })),
+    item: { oneOf: [ref('Item'), { type: 'null' }] }
+  }),
+
+  // Comparison
+  Comparison: object({
+    pokemon: arrayOf(ref('Pokemon')),
+    stats: arrayOf(
+      object({
+        name: string,
+        values: arrayOf(integer),
+        deltas: { ...arrayOf(integer), description: 'Difference from the first Pokemon' },
+        max: integer
+      })
+    ),
+    totals: { ...arrayOf(integer), description: 'Base stat total of each Pokemon' },
+    matchups: arrayOf(
+      object({ attacker: string, defender: string, bestType: string, multiplier: number })
+    ),
+    abilities: object({
+      shared: arrayOf(string),
+      unique: { ...mapOf(arrayOf(string)), description: 'Keyed by Pokemon name' }
+    })
+  }),
+
+  // Teams
+  Team: object({
+    id: { ...string, format: 'uuid' },
+    name: string,
+    members: arrayOf(object({ id: integer, name: string })),
+    createdAt: { ...string, format: 'date-time' },
+    updatedAt: { ...string, format: 'date-time' }
+  }),
+  TeamInput: object({
+    name: { ...string, maxLength: 50, example: 'Rain team' },
+    members: {
+      description: 'Up to 6 Pokemon names or ids, as an array or comma separated',
+      oneOf: [arrayOf({ type: ['string', 'integer'] }), string],
+      example: ['pikachu', 'gyarados']
+    }
+  }),
+  TeamAnalysis: object({
+    team: ref('Team'),
+    members: arrayOf(ref('Pokemon')),
+    defense: arrayOf(
+      object({ type: string, weak: integer, resist: integer, immune: integer, net: integer })
+    ),
+    coverage: object({
+      covered: arrayOf(object({ type: string, coveredBy: arrayOf(string) })),
+      uncovered: arrayOf(string)
+    }),
+    averages: arrayOf(ref('Stat')),
+    averageTotal: integer
+  }),
+
+  // Collection
+  CollectionEntry: object(
+    {
+      id: integer,
+      name: string,
+      displayNames: {
+        ...mapOf(string),
+        description: 'Display name by language code, saved with the marks',
+        example: { en: 'Pikachu', ja: 'ピカチュウ' }
+      },
+      ...Object.fromEntries(COLLECTION_MARKS.map((mark) => [mark, boolean])),
+      updatedAt: { ...string, format: 'date-time' }
+    },
+    { optional: ['displayNames'] }
+  ),
+  CollectionMarks: {
+    ...object(Object.fromEntries(COLLECTION_MARKS.map((mark) => [mark, boolean])), {
+      optional: COLLECTION_MARKS
+    }),
+    minProperties: 1,
+    example: { caught: true }
+  },
+  Collection: object({
+    counts: object(Object.fromEntries(COLLECTION_MARKS.map((mark) => [mark, integer]))),
+    entries: arrayOf(ref('CollectionEntry'))
+  }),
+
+  // Cache
+  CacheStats: object({
+    enabled: boolean,
+    store: { type: 'string', enum: ['memory', 'file'] },
+    size: integer,
+    hits: integer,
+    misses: integer,
+    errors: integer,
+    hitRate: { ...number, minimum: 0, maximum: 1 }
+  })
+};
@@ -0,0 +1,50 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * A JSON document on local disk
+ *
+ * Writes go to a temp file and are renamed into place so a crash never
+ * leaves half a file behind. update() calls run one at a time, so two
+ * requests can't overwrite each other's changes.
+ */
+export const createJsonFileStore = (file, defaults = {}) => {
+  let queue = Promise.resolve();
+
+  const read = async () => {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return structuredClone(defaults);
+      }
+      throw error;
+    }
+  };
+
+  const write = async (data) => {
+    await mkdir(dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await writeFile(tempFile, JSON.stringify(data, null, 2));
+    await rename(tempFile, file);
+  };
+
+  return {
+    read,
+
+    /**
+     * Apply fn to the current data and save what it returns
+     * Resolves with fn's second return value ([data, result])
+     */
+    update(fn) {
+      const run = queue.then(async () => {
+        const [data, result] = await fn(await read());
+        await write(data);
+        return result;
+      });
+      // Keep the queue going even if this update fails
+      queue = run.catch(() => {});
+      return run;
+    }
+  };
+};
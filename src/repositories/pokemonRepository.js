@@ -1,82 +1,326 @@
-import axios from 'axios';
 import { config } from '../config/index.js';
+import { cache } from '../cache/index.js';
+import { source } from './sources/index.js';
+import { toUpstreamError } from '../errors/index.js';
 
-const { baseUrl: BASE_URL } = config.pokeapi;
+const { ttl: TTL } = config.cache;
+
+/**
+ * Read a PokeAPI resource from the configured source, going through the cache
+ */
+const cachedGet = (key, ttl, path, params) => cache.wrap(key, ttl, () => source.get(path, params));
 
 export const getAllPokemon = async (limit = 20, offset = 0) => {
   try {
-    const response = await axios.get(`${BASE_URL}/pokemon`, {
-      params: { limit, offset }
+    return await cachedGet(`pokemon-list:${limit}:${offset}`, TTL.pokemonList, '/pokemon', {
+      limit,
+      offset
     });
-    return response.data;
   } catch (error) {
-    throw new Error(`Failed to fetch Pokemon list: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch Pokemon list');
   }
 };
 
 export const getPokemonByNameOrId = async (nameOrId) => {
+  const key = nameOrId.toString().toLowerCase();
   try {
-    const response = await axios.get(`${BASE_URL}/pokemon/${nameOrId.toString().toLowerCase()}`);
-    return response.data;
+    return await cachedGet(`pokemon:${key}`, TTL.pokemon, `/pokemon/${key}`);
   } catch (error) {
     if (error.response && error.response.status === 404) {
       return null;
     }
-    throw new Error(`Failed to fetch Pokemon: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch Pokemon');
   }
 };
 
 export const getPokemonSpecies = async (nameOrId) => {
+  const key = nameOrId.toString().toLowerCase();
   try {
-    const response = await axios.get(
-      `${BASE_URL}/pokemon-species/${nameOrId.toString().toLowerCase()}`
-    );
-    return response.data;
+    return await cachedGet(`species:${key}`, TTL.species, `/pokemon-species/${key}`);
   } catch (error) {
     if (error.response && error.response.status === 404) {
       return null;
     }
-    throw new Error(`Failed to fetch Pokemon species: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch Pokemon species');
   }
 };
 
-export const searchPokemon = async (query, limit = config.pagination.maxSearchLimit) => {
+export const getPokemonForm = async (name) => {
+  const key = name.toString().toLowerCase();
   try {
-    const response = await axios.get(`${BASE_URL}/pokemon`, {
-      params: { limit, offset: 0 }
-    });
+    return await cachedGet(`pokemon-form:${key}`, TTL.resources, `/pokemon-form/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch Pokemon form');
+  }
+};
 
-    const allPokemon = response.data.results;
-    const filtered = allPokemon.filter((pokemon) =>
-      pokemon.name.toLowerCase().includes(query.toLowerCase())
-    );
+export const getPokemonEncounters = async (nameOrId) => {
+  const key = nameOrId.toString().toLowerCase();
+  try {
+    return await cachedGet(`encounters:${key}`, TTL.resources, `/pokemon/${key}/encounters`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch Pokemon encounters');
+  }
+};
+
+export const getPokemonNameList = async () => {
+  try {
+    const data = await cachedGet('pokemon-names', TTL.pokemonList, '/pokemon', {
+      limit: config.search.indexLimit,
+      offset: 0
+    });
+    return data.results;
+  } catch (error) {
+    throw toUpstreamError(error, 'Failed to fetch Pokemon names');
+  }
+};
 
-    return {
-      count: filtered.length,
-      results: filtered
-    };
+/**
+ * Number of species in the Pokedex (forms and varieties not counted)
+ */
+export const getSpeciesCount = async () => {
+  try {
+    const data = await cachedGet('species-count', TTL.pokemonList, '/pokemon-species', {
+      limit: 1,
+      offset: 0
+    });
+    return data.count;
   } catch (error) {
-    throw new Error(`Failed to search Pokemon: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch Pokemon species count');
   }
 };
 
 export const getPokemonTypes = async () => {
   try {
-    const response = await axios.get(`${BASE_URL}/type`);
-    return response.data.results;
+    const data = await cachedGet('types', TTL.types, '/type');
+    return data.results;
   } catch (error) {
-    throw new Error(`Failed to fetch Pokemon types: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch Pokemon types');
   }
 };
 
 export const getPokemonByType = async (typeName) => {
+  const key = typeName.toLowerCase();
   try {
-    const response = await axios.get(`${BASE_URL}/type/${typeName.toLowerCase()}`);
-    return response.data.pokemon.map((p) => p.pokemon);
+    const data = await cachedGet(`type:${key}`, TTL.types, `/type/${key}`);
+    return data.pokemon.map((p) => p.pokemon);
   } catch (error) {
     if (error.response && error.response.status === 404) {
       return null;
     }
-    throw new Error(`Failed to fetch Pokemon by type: ${error.message}`);
+    throw toUpstreamError(error, 'Failed to fetch Pokemon by type');
   }
-};
\ No newline at end of file
+};
+
+export const getTypeDetails = async (typeName) => {
+  const key = typeName.toLowerCase();
+  try {
+    return await cachedGet(`type:${key}`, TTL.types, `/type/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch type');
+  }
+};
+
+/**
+ * Load damage_relations for every type, keyed by type name
+ */
+export const getTypeDamageRelations = async () => {
+  const types = await getPokemonTypes();
+  const details = await Promise.all(types.map((type) => getTypeDetails(type.name)));
+
+  return Object.fromEntries(
+    details.filter(Boolean).map((type) => [type.name, type.damage_relations])
+  );
+};
+
+export const getGeneration = async (nameOrId) => {
+  const key = nameOrId.toString().toLowerCase();
+  try {
+    return await cachedGet(`generation:${key}`, TTL.resources, `/generation/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch generation');
+  }
+};
+
+export const getGenerationList = async () => {
+  try {
+    const data = await cachedGet('generations', TTL.resources, '/generation', { limit: 100 });
+    return data.results;
+  } catch (error) {
+    throw toUpstreamError(error, 'Failed to fetch generations');
+  }
+};
+
+export const getPokedex = async (name) => {
+  const key = name.toString().toLowerCase();
+  try {
+    return await cachedGet(`pokedex:${key}`, TTL.resources, `/pokedex/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch Pokedex');
+  }
+};
+
+export const getPokedexList = async () => {
+  try {
+    const data = await cachedGet('pokedexes', TTL.resources, '/pokedex', { limit: 100 });
+    return data.results;
+  } catch (error) {
+    throw toUpstreamError(error, 'Failed to fetch Pokedexes');
+  }
+};
+
+export const getAbility = async (name) => {
+  const key = name.toLowerCase();
+  try {
+    return await cachedGet(`ability:${key}`, TTL.resources, `/ability/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch ability');
+  }
+};
+
+export const getPokemonByAbility = async (name) => {
+  const key = name.toLowerCase();
+  try {
+    const data = await cachedGet(`ability:${key}`, TTL.resources, `/ability/${key}`);
+    return data.pokemon.map((p) => ({ ...p.pokemon, isHidden: p.is_hidden }));
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch Pokemon by ability');
+  }
+};
+
+export const getEvolutionChain = async (id) => {
+  try {
+    return await cachedGet(`evolution-chain:${id}`, TTL.resources, `/evolution-chain/${id}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch evolution chain');
+  }
+};
+
+export const getMove = async (name) => {
+  const key = name.toString().toLowerCase();
+  try {
+    return await cachedGet(`move:${key}`, TTL.resources, `/move/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch move');
+  }
+};
+
+export const getMoveNameList = async () => {
+  try {
+    const data = await cachedGet('move-names', TTL.resources, '/move', {
+      limit: config.search.indexLimit,
+      offset: 0
+    });
+    return data.results;
+  } catch (error) {
+    throw toUpstreamError(error, 'Failed to fetch move names');
+  }
+};
+
+export const getItem = async (nameOrId) => {
+  const key = nameOrId.toString().toLowerCase();
+  try {
+    return await cachedGet(`item:${key}`, TTL.resources, `/item/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch item');
+  }
+};
+
+export const getItemList = async (limit = 20, offset = 0) => {
+  try {
+    return await cachedGet(`item-list:${limit}:${offset}`, TTL.resources, '/item', {
+      limit,
+      offset
+    });
+  } catch (error) {
+    throw toUpstreamError(error, 'Failed to fetch item list');
+  }
+};
+
+export const getItemCategory = async (name) => {
+  const key = name.toString().toLowerCase();
+  try {
+    return await cachedGet(`item-category:${key}`, TTL.resources, `/item-category/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch item category');
+  }
+};
+
+export const getItemCategoryList = async () => {
+  try {
+    const data = await cachedGet('item-categories', TTL.resources, '/item-category', {
+      limit: 100
+    });
+    return data.results;
+  } catch (error) {
+    throw toUpstreamError(error, 'Failed to fetch item categories');
+  }
+};
+
+export const getBerry = async (nameOrId) => {
+  const key = nameOrId.toString().toLowerCase();
+  try {
+    return await cachedGet(`berry:${key}`, TTL.resources, `/berry/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch berry');
+  }
+};
+
+export const getNature = async (name) => {
+  const key = name.toString().toLowerCase();
+  try {
+    return await cachedGet(`nature:${key}`, TTL.resources, `/nature/${key}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch nature');
+  }
+};
+
+export const getNatureList = async () => {
+  try {
+    const data = await cachedGet('natures', TTL.resources, '/nature', { limit: 100 });
+    return data.results;
+  } catch (error) {
+    throw toUpstreamError(error, 'Failed to fetch natures');
+  }
+};
+
+export const getCacheStats = () => cache.getStats();
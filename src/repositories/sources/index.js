@@ -0,0 +1,16 @@
+import { config } from '../../config/index.js';
+import { createRemoteSource } from './remoteSource.js';
+import { createSnapshotSource } from './snapshotSource.js';
+
+/**
+ * Build the PokeAPI source selected in config.pokeapi
+ */
+export const createSource = ({ source, baseUrl, snapshotDir }) => {
+  if (source === 'snapshot') {
+    return createSnapshotSource({ dir: snapshotDir });
+  }
+  return createRemoteSource({ baseUrl });
+};
+
+// Shared source used by the repositories
+export const source = createSource(config.pokeapi);
@@ -0,0 +1,12 @@
+import { httpClient } from '../../http/index.js';
+
+/**
+ * PokeAPI source that talks to a live API over HTTP
+ */
+export const createRemoteSource = ({ baseUrl, client = httpClient }) => ({
+  name: 'remote',
+
+  get(path, params) {
+    return client.get(`${baseUrl}${path}`, params);
+  }
+});
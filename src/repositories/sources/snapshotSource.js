@@ -0,0 +1,82 @@
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * PokeAPI source that reads a local JSON snapshot
+ *
+ * Snapshot layout (see scripts/build-snapshot.js):
+ *   <dir>/<resource>/index.json  → { count, results: [{ name, url }] }
+ *   <dir>/<resource>/<id>.json   → the full resource, exactly as PokeAPI returns it
+ *   <dir>/<resource>/<id>/<sub>.json → a sub-resource, e.g. /pokemon/25/encounters
+ */
+
+/**
+ * Build an error shaped like an axios 404 so the repository handles
+ * both sources the same way
+ */
+const notFound = (path) => {
+  const error = new Error(`Not found in snapshot: ${path}`);
+  error.response = { status: 404 };
+  return error;
+};
+
+/**
+ * Pull the numeric ID out of a PokeAPI url ("…/pokemon/25/" → "25")
+ */
+export const idFromUrl = (url) => url.split('/').filter(Boolean).pop();
+
+export const createSnapshotSource = ({ dir }) => {
+  // Parsed index files, keyed by resource name
+  const indexes = new Map();
+
+  const readJson = async (file, path) => {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw notFound(path);
+      }
+      throw error;
+    }
+  };
+
+  const loadIndex = async (resource) => {
+    if (!indexes.has(resource)) {
+      const index = await readJson(join(dir, resource, 'index.json'), `/${resource}`);
+      indexes.set(resource, {
+        results: index.results,
+        idsByName: new Map(index.results.map((entry) => [entry.name, idFromUrl(entry.url)]))
+      });
+    }
+    return indexes.get(resource);
+  };
+
+  return {
+    name: 'snapshot',
+
+    async get(path, params = {}) {
+      const [resource, nameOrId, subresource] = path.split('/').filter(Boolean);
+      const index = await loadIndex(resource);
+
+      // List endpoint, paginated like PokeAPI
+      if (!nameOrId) {
+        const offset = Number(params.offset) || 0;
+        const limit = Number(params.limit) || index.results.length;
+        return {
+          count: index.results.length,
+          next: null,
+          previous: null,
+          results: index.results.slice(offset, offset + limit)
+        };
+      }
+
+      const id = /^\d+$/.test(nameOrId) ? nameOrId : index.idsByName.get(nameOrId);
+      if (!id) {
+        throw notFound(path);
+      }
+
+      const file = subresource ? join(id, `${subresource}.json`) : `${id}.json`;
+      return readJson(join(dir, resource, file), path);
+    }
+  };
+};
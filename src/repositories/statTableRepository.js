@@ -0,0 +1,36 @@
+import { join } from 'path';
+import { config } from '../config/index.js';
+import { source } from './sources/index.js';
+import { toUpstreamError } from '../errors/index.js';
+import { createJsonFileStore } from './jsonFileStore.js';
+
+/**
+ * Storage for the stat table (see services/statTable.js)
+ *
+ * The table is saved in the data directory. Pokemon for it are fetched
+ * straight from the PokeAPI source, not through the response cache, so
+ * building it doesn't evict what the other routes have cached.
+ */
+
+const store = createJsonFileStore(join(config.storage.dataDir, 'stat-table.json'), {
+  builtAt: null,
+  pokemon: []
+});
+
+export const readStatTable = () => store.read();
+
+export const saveStatTable = (table) => store.update(() => [table, table]);
+
+/**
+ * A raw Pokemon, bypassing the cache. Returns null if it doesn't exist.
+ */
+export const fetchPokemon = async (id) => {
+  try {
+    return await source.get(`/pokemon/${id}`);
+  } catch (error) {
+    if (error.response && error.response.status === 404) {
+      return null;
+    }
+    throw toUpstreamError(error, 'Failed to fetch Pokemon');
+  }
+};
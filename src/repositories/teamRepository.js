@@ -0,0 +1,40 @@
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { config } from '../config/index.js';
+import { createJsonFileStore } from './jsonFileStore.js';
+
+const store = createJsonFileStore(join(config.storage.dataDir, 'teams.json'), { teams: [] });
+
+export const getAllTeams = async () => {
+  const { teams } = await store.read();
+  return teams;
+};
+
+export const getTeamById = async (id) => {
+  const { teams } = await store.read();
+  return teams.find((team) => team.id === id) || null;
+};
+
+export const createTeam = ({ name, members }) =>
+  store.update((data) => {
+    const now = new Date().toISOString();
+    const team = { id: randomUUID(), name, members, createdAt: now, updatedAt: now };
+    return [{ ...data, teams: [...data.teams, team] }, team];
+  });
+
+export const updateTeam = (id, changes) =>
+  store.update((data) => {
+    const existing = data.teams.find((team) => team.id === id);
+    if (!existing) {
+      return [data, null];
+    }
+
+    const team = { ...existing, ...changes, id, updatedAt: new Date().toISOString() };
+    return [{ ...data, teams: data.teams.map((t) => (t.id === id ? team : t)) }, team];
+  });
+
+export const deleteTeam = (id) =>
+  store.update((data) => {
+    const teams = data.teams.filter((team) => team.id !== id);
+    return [{ ...data, teams }, teams.length !== data.teams.length];
+  });
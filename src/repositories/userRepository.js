@@ -0,0 +1,125 @@
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { config } from '../config/index.js';
+import { createJsonFileStore } from './jsonFileStore.js';
+
+const store = createJsonFileStore(join(config.storage.dataDir, 'users.json'), {
+  users: [],
+  sessions: []
+});
+
+const isLive = (session, now = Date.now()) => Date.parse(session.expiresAt) > now;
+
+// ============================================
+// USERS
+// ============================================
+
+export const getUserById = async (id) => {
+  const { users } = await store.read();
+  return users.find((user) => user.id === id) || null;
+};
+
+export const getUserByUsername = async (username) => {
+  const { users } = await store.read();
+  return users.find((user) => user.username === username) || null;
+};
+
+/**
+ * Create a user. Returns null if the username is already taken.
+ */
+export const createUser = ({ username, passwordHash }) =>
+  store.update((data) => {
+    if (data.users.some((user) => user.username === username)) {
+      return [data, null];
+    }
+
+    const user = {
+      id: randomUUID(),
+      username,
+      passwordHash,
+      collection: {},
+      createdAt: new Date().toISOString()
+    };
+    return [{ ...data, users: [...data.users, user] }, user];
+  });
+
+// ============================================
+// SESSIONS
+// ============================================
+
+/**
+ * Save a session, dropping expired ones while we're at it
+ */
+export const createSession = ({ tokenHash, userId, expiresAt }) =>
+  store.update((data) => {
+    const session = { tokenHash, userId, expiresAt };
+    const sessions = data.sessions.filter((existing) => isLive(existing));
+    return [{ ...data, sessions: [...sessions, session] }, session];
+  });
+
+/**
+ * A session that hasn't expired yet, or null
+ */
+export const getSession = async (tokenHash) => {
+  const { sessions } = await store.read();
+  return sessions.find((session) => session.tokenHash === tokenHash && isLive(session)) || null;
+};
+
+export const deleteSession = (tokenHash) =>
+  store.update((data) => {
+    const sessions = data.sessions.filter((session) => session.tokenHash !== tokenHash);
+    return [{ ...data, sessions }, sessions.length !== data.sessions.length];
+  });
+
+// ============================================
+// COLLECTION
+// ============================================
+
+/**
+ * Merge marks ({ favorite, seen, caught }) into a user's entry for a Pokemon,
+ * keeping its display names (by language) if given. An entry with no marks
+ * left is removed. Returns the entry, or null if the
+ * user doesn't exist.
+ */
+export const updateCollectionEntry = (userId, { id, name, displayNames }, marks) =>
+  store.update((data) => {
+    const user = data.users.find((u) => u.id === userId);
+    if (!user) {
+      return [data, null];
+    }
+
+    const entry = {
+      favorite: false,
+      seen: false,
+      caught: false,
+      ...user.collection[id],
+      ...marks,
+      id,
+      name,
+      ...(displayNames && { displayNames }),
+      updatedAt: new Date().toISOString()
+    };
+    const collection = { ...user.collection, [id]: entry };
+    if (!entry.favorite && !entry.seen && !entry.caught) {
+      delete collection[id];
+    }
+
+    const users = data.users.map((u) => (u.id === userId ? { ...user, collection } : u));
+    return [{ ...data, users }, entry];
+  });
+
+/**
+ * Remove a Pokemon from a user's collection. Returns whether it was there.
+ */
+export const deleteCollectionEntry = (userId, id) =>
+  store.update((data) => {
+    const user = data.users.find((u) => u.id === userId);
+    if (!user?.collection[id]) {
+      return [data, false];
+    }
+
+    const collection = { ...user.collection };
+    delete collection[id];
+    const users = data.users.map((u) => (u.id === userId ? { ...user, collection } : u));
+    return [{ ...data, users }, true];
+  });
@@ -0,0 +1,41 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/abilitySchemas.js';
+import * as abilityController from '../controllers/abilityController.js';
+
+const router = Router();
+
+// JSON routes, relative to the API prefix (see routes/index.js)
+export const apiRouter = Router();
+
+// ============================================
+// VIEW ROUTES (Return HTML)
+// ============================================
+
+// Ability details page
+router.get(
+  '/abilities/:name',
+  validate(schemas.abilityDetails),
+  asyncHandler(abilityController.getAbilityDetails)
+);
+
+// ============================================
+// API ROUTES (Return JSON)
+// ============================================
+
+// Get single ability
+apiRouter.get(
+  '/abilities/:name',
+  validate(schemas.abilityDetails),
+  asyncHandler(abilityController.apiGetAbilityDetails)
+);
+
+// Get Pokemon with an ability
+apiRouter.get(
+  '/abilities/:name/pokemon',
+  validate(schemas.abilityDetails),
+  asyncHandler(abilityController.apiGetPokemonByAbility)
+);
+
+export default router;
@@ -0,0 +1,34 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/compareSchemas.js';
+import * as compareController from '../controllers/compareController.js';
+
+const router = Router();
+
+// JSON routes, relative to the API prefix (see routes/index.js)
+export const apiRouter = Router();
+
+// ============================================
+// VIEW ROUTES (Return HTML)
+// ============================================
+
+// Compare Pokemon side by side (?ids=pikachu,raichu)
+router.get(
+  '/compare',
+  validate(schemas.comparison),
+  asyncHandler(compareController.getComparePage)
+);
+
+// ============================================
+// API ROUTES (Return JSON)
+// ============================================
+
+// Compare Pokemon (?ids=pikachu,raichu)
+apiRouter.get(
+  '/compare',
+  validate(schemas.comparison),
+  asyncHandler(compareController.apiComparePokemon)
+);
+
+export default router;
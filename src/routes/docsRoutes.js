@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as docsController from '../controllers/docsController.js';
+
+const router = Router();
+
+// JSON routes, relative to the API prefix (see routes/index.js)
+export const apiRouter = Router();
+
+// ============================================
+// VIEW ROUTES (Return HTML)
+// ============================================
+
+// Interactive API docs
+router.get('/docs', asyncHandler(docsController.getDocsPage));
+
+// ============================================
+// API ROUTES (Return JSON)
+// ============================================
+
+// OpenAPI 3.1 document describing every /api route
+apiRouter.get('/openapi.json', asyncHandler(docsController.apiGetOpenApiDocument));
+
+export default router;
@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as graphqlController from '../controllers/graphqlController.js';
+
+const router = Router();
+
+// ============================================
+// API ROUTES (Return JSON)
+// ============================================
+
+// GraphQL queries (?query=... or a JSON body with query, variables, operationName)
+router.get('/graphql', asyncHandler(graphqlController.handleGraphQL));
+router.post('/graphql', asyncHandler(graphqlController.handleGraphQL));
+
+export default router;
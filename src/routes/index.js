@@ -1,9 +1,56 @@
 import { Router } from 'express';
-import pokemonRoutes from './pokemonRoutes.js';
+import pokemonRoutes, { apiRouter as pokemonApiRoutes } from './pokemonRoutes.js';
+import compareRoutes, { apiRouter as compareApiRoutes } from './compareRoutes.js';
+import teamRoutes, { apiRouter as teamApiRoutes } from './teamRoutes.js';
+import moveRoutes, { apiRouter as moveApiRoutes } from './moveRoutes.js';
+import abilityRoutes, { apiRouter as abilityApiRoutes } from './abilityRoutes.js';
+import itemRoutes, { apiRouter as itemApiRoutes } from './itemRoutes.js';
+import userRoutes, { apiRouter as userApiRoutes } from './userRoutes.js';
+import docsRoutes, { apiRouter as docsApiRoutes } from './docsRoutes.js';
+import graphqlRoutes from './graphqlRoutes.js';
 
 const router = Router();
 
+// Every JSON API route, relative to the API prefix
+export const apiRoutes = Router();
+apiRoutes.use(pokemonApiRoutes);
+apiRoutes.use(compareApiRoutes);
+apiRoutes.use(teamApiRoutes);
+apiRoutes.use(moveApiRoutes);
+apiRoutes.use(abilityApiRoutes);
+apiRoutes.use(itemApiRoutes);
+apiRoutes.use(userApiRoutes);
+apiRoutes.use(docsApiRoutes);
+
 // Mount all Pokemon routes at root
 router.use('/', pokemonRoutes);
 
+// Mount comparison routes at root
+router.use('/', compareRoutes);
+
+// Mount team builder routes at root
+router.use('/', teamRoutes);
+
+// Mount move routes at root
+router.use('/', moveRoutes);
+
+// Mount ability routes at root
+router.use('/', abilityRoutes);
+
+// Mount item and berry routes at root
+router.use('/', itemRoutes);
+
+// Mount account and collection routes at root
+router.use('/', userRoutes);
+
+// Mount API docs routes at root
+router.use('/', docsRoutes);
+
+// Mount the GraphQL endpoint at root
+router.use('/', graphqlRoutes);
+
+// Mount the JSON API at /api/v1, and at /api as an alias of the current version
+router.use('/api/v1', apiRoutes);
+router.use('/api', apiRoutes);
+
 export default router;
@@ -0,0 +1,57 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/itemSchemas.js';
+import * as itemController from '../controllers/itemController.js';
+
+const router = Router();
+
+// JSON routes, relative to the API prefix (see routes/index.js)
+export const apiRouter = Router();
+
+// ============================================
+// VIEW ROUTES (Return HTML)
+// ============================================
+
+// Item catalog (?category=healing)
+router.get('/items', validate(schemas.itemsPage), asyncHandler(itemController.getItemsPage));
+
+// Item details page
+router.get(
+  '/items/:name',
+  validate(schemas.itemDetails),
+  asyncHandler(itemController.getItemDetails)
+);
+
+// Berry details page
+router.get(
+  '/berries/:name',
+  validate(schemas.berryDetails),
+  asyncHandler(itemController.getBerryDetails)
+);
+
+// ============================================
+// API ROUTES (Return JSON)
+// ============================================
+
+// List items (?category=healing)
+apiRouter.get('/items', validate(schemas.itemList), asyncHandler(itemController.apiGetItems));
+
+// Get all item categories
+apiRouter.get('/item-categories', asyncHandler(itemController.apiGetItemCategories));
+
+// Get single item
+apiRouter.get(
+  '/items/:name',
+  validate(schemas.itemDetails),
+  asyncHandler(itemController.apiGetItemDetails)
+);
+
+// Get single berry
+apiRouter.get(
+  '/berries/:name',
+  validate(schemas.berryDetails),
+  asyncHandler(itemController.apiGetBerryDetails)
+);
+
+export default router;
@@ -0,0 +1,40 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/moveSchemas.js';
+import * as moveController from '../controllers/moveController.js';
+
+const router = Router();
+
+// JSON routes, relative to the API prefix (see routes/index.js)
+export const apiRouter = Router();
+
+// ============================================
+// VIEW ROUTES (Return HTML)
+// ============================================
+
+// Search moves (?q=thunder)
+router.get('/moves', validate(schemas.movesPage), asyncHandler(moveController.getMovesPage));
+
+// Move details page
+router.get(
+  '/moves/:name',
+  validate(schemas.moveDetails),
+  asyncHandler(moveController.getMoveDetails)
+);
+
+// ============================================
+// API ROUTES (Return JSON)
+// ============================================
+
+// Search moves (?q=thunder)
+apiRouter.get('/moves', validate(schemas.moveSearch), asyncHandler(moveController.apiSearchMoves));
+
+// Get single move
+apiRouter.get(
+  '/moves/:name',
+  validate(schemas.moveDetails),
+  asyncHandler(moveController.apiGetMoveDetails)
+);
+
+export default router;
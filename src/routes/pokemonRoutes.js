@@ -1,41 +1,157 @@
 import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/pokemonSchemas.js';
 import * as pokemonController from '../controllers/pokemonController.js';
 
 const router = Router();
 
+// JSON routes, relative to the API prefix (see routes/index.js)
+export const apiRouter = Router();
+
 // ============================================
 // VIEW ROUTES (Return HTML)
 // ============================================
 
 // Home page - list all Pokemon
-router.get('/', pokemonController.getHomePage);
+router.get('/', validate(schemas.homePage), asyncHandler(pokemonController.getHomePage));
 
 // Search Pokemon
-router.get('/search', pokemonController.searchPokemon);
+router.get('/search', validate(schemas.searchPage), asyncHandler(pokemonController.searchPokemon));
 
 // Filter by type
-router.get('/type/:type', pokemonController.getPokemonByType);
+router.get(
+  '/type/:type',
+  validate(schemas.typePage),
+  asyncHandler(pokemonController.getPokemonByType)
+);
+
+// Browse by generation or regional Pokedex
+router.get(
+  '/generation/:id',
+  validate(schemas.generationPage),
+  asyncHandler(pokemonController.getPokemonByGeneration)
+);
+router.get(
+  '/pokedex/:name',
+  validate(schemas.pokedexPage),
+  asyncHandler(pokemonController.getPokemonByPokedex)
+);
+
+// Advanced multi-criteria filter
+router.get('/filter', validate(schemas.filterPage), asyncHandler(pokemonController.getFilterPage));
 
 // Pokemon detail page
-router.get('/pokemon/:nameOrId', pokemonController.getPokemonDetails);
+router.get(
+  '/pokemon/:nameOrId',
+  validate(schemas.pokemonPage),
+  asyncHandler(pokemonController.getPokemonDetails)
+);
 
 // ============================================
 // API ROUTES (Return JSON)
 // ============================================
 
 // Get all Pokemon (paginated)
-router.get('/api/pokemon', pokemonController.apiGetAllPokemon);
+apiRouter.get(
+  '/pokemon',
+  validate(schemas.pokemonList),
+  asyncHandler(pokemonController.apiGetAllPokemon)
+);
 
 // Search Pokemon
-router.get('/api/pokemon/search', pokemonController.apiSearchPokemon);
+apiRouter.get(
+  '/pokemon/search',
+  validate(schemas.pokemonSearch),
+  asyncHandler(pokemonController.apiSearchPokemon)
+);
+
+// Filter Pokemon by types, generation, stats, ability, size and flags
+apiRouter.get(
+  '/pokemon/filter',
+  validate(schemas.pokemonFilter),
+  asyncHandler(pokemonController.apiFilterPokemon)
+);
 
 // Get single Pokemon
-router.get('/api/pokemon/:nameOrId', pokemonController.apiGetPokemonDetails);
+apiRouter.get(
+  '/pokemon/:nameOrId',
+  validate(schemas.pokemonDetails),
+  asyncHandler(pokemonController.apiGetPokemonDetails)
+);
+
+// Get a Pokemon's evolution tree
+apiRouter.get(
+  '/pokemon/:nameOrId/evolutions',
+  validate(schemas.pokemonResource),
+  asyncHandler(pokemonController.apiGetEvolutionChain)
+);
+
+// Get a Pokemon's varieties and forms
+apiRouter.get(
+  '/pokemon/:nameOrId/forms',
+  validate(schemas.pokemonResource),
+  asyncHandler(pokemonController.apiGetPokemonForms)
+);
+
+// Get a Pokemon's learnset by version group and learn method
+apiRouter.get(
+  '/pokemon/:nameOrId/moves',
+  validate(schemas.pokemonResource),
+  asyncHandler(pokemonController.apiGetPokemonMoves)
+);
+
+// Calculate a Pokemon's stats (?level=50&nature=adamant&ivs=31,31,31,31,31,31&evs=0,252,0,0,4,252)
+apiRouter.get(
+  '/pokemon/:nameOrId/stats/calc',
+  validate(schemas.pokemonStatCalculator),
+  asyncHandler(pokemonController.apiCalculateStats)
+);
+
+// Get all natures
+apiRouter.get('/natures', asyncHandler(pokemonController.apiGetNatures));
+
+// Get where to find a Pokemon, by game version (?version=red)
+apiRouter.get(
+  '/pokemon/:nameOrId/encounters',
+  validate(schemas.pokemonEncounters),
+  asyncHandler(pokemonController.apiGetPokemonEncounters)
+);
 
 // Get all types
-router.get('/api/types', pokemonController.apiGetTypes);
+apiRouter.get('/types', asyncHandler(pokemonController.apiGetTypes));
 
 // Get Pokemon by type
-router.get('/api/types/:type', pokemonController.apiGetPokemonByType);
+apiRouter.get(
+  '/types/:type',
+  validate(schemas.typeList),
+  asyncHandler(pokemonController.apiGetPokemonByType)
+);
+
+// Get defensive matchups of a single or dual type (e.g. /api/types/fire,flying/matchups)
+apiRouter.get(
+  '/types/:type/matchups',
+  validate(schemas.typeMatchups),
+  asyncHandler(pokemonController.apiGetTypeMatchups)
+);
+
+// Get all generations, and the Pokemon introduced in one
+apiRouter.get('/generations', asyncHandler(pokemonController.apiGetGenerations));
+apiRouter.get(
+  '/generations/:id',
+  validate(schemas.generationList),
+  asyncHandler(pokemonController.apiGetPokemonByGeneration)
+);
+
+// Get all Pokedexes, and the Pokemon of one in its own order
+apiRouter.get('/pokedexes', asyncHandler(pokemonController.apiGetPokedexes));
+apiRouter.get(
+  '/pokedexes/:name',
+  validate(schemas.pokedexList),
+  asyncHandler(pokemonController.apiGetPokemonByPokedex)
+);
+
+// Get response cache hit/miss counters
+apiRouter.get('/cache/stats', asyncHandler(pokemonController.apiGetCacheStats));
 
 export default router;
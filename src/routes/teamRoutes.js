@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import * as teamController from '../controllers/teamController.js';
+
+const router = Router();
+
+// JSON routes, relative to the API prefix (see routes/index.js)
+export const apiRouter = Router();
+
+// ============================================
+// VIEW ROUTES (Return HTML)
+// ============================================
+
+// List teams and create new ones
+router.get('/teams', asyncHandler(teamController.getTeamsPage));
+router.post('/teams', asyncHandler(teamController.createTeam));
+
+// Team page with analysis, edit and delete
+router.get('/teams/:id', asyncHandler(teamController.getTeamPage));
+router.post('/teams/:id', asyncHandler(teamController.updateTeam));
+router.post('/teams/:id/delete', asyncHandler(teamController.deleteTeam));
+
+// ============================================
+// API ROUTES (Return JSON)
+// ============================================
+
+// Team CRUD
+apiRouter.get('/teams', asyncHandler(teamController.apiGetTeams));
+apiRouter.post('/teams', asyncHandler(teamController.apiCreateTeam));
+apiRouter.get('/teams/:id', asyncHandler(teamController.apiGetTeam));
+apiRouter.put('/teams/:id', asyncHandler(teamController.apiUpdateTeam));
+apiRouter.delete('/teams/:id', asyncHandler(teamController.apiDeleteTeam));
+
+// Team weaknesses, coverage and stat averages
+apiRouter.get('/teams/:id/analysis', asyncHandler(teamController.apiAnalyzeTeam));
+
+export default router;
@@ -0,0 +1,57 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireLogin, requireUser } from '../middleware/session.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/collectionSchemas.js';
+import * as userController from '../controllers/userController.js';
+
+const router = Router();
+
+// JSON routes, relative to the API prefix (see routes/index.js)
+export const apiRouter = Router();
+
+// ============================================
+// VIEW ROUTES (Return HTML)
+// ============================================
+
+// Accounts
+router.get('/signup', userController.getSignupPage);
+router.post('/signup', asyncHandler(userController.signup));
+router.get('/login', userController.getLoginPage);
+router.post('/login', asyncHandler(userController.login));
+router.post('/logout', asyncHandler(userController.logout));
+
+// Collection progress, and the favorite/seen/caught buttons
+router.get('/progress', requireLogin, asyncHandler(userController.getProgressPage));
+router.post(
+  '/collection/:nameOrId',
+  requireLogin,
+  validate(schemas.collectionEntry),
+  asyncHandler(userController.markPokemon)
+);
+
+// ============================================
+// API ROUTES (Return JSON)
+// ============================================
+
+// The logged in user's collection (session cookie from /login)
+apiRouter.get(
+  '/me/collection',
+  requireUser,
+  validate(schemas.collectionList),
+  userController.apiGetCollection
+);
+apiRouter.patch(
+  '/me/collection/:nameOrId',
+  requireUser,
+  validate(schemas.collectionEntry),
+  asyncHandler(userController.apiUpdateCollectionEntry)
+);
+apiRouter.delete(
+  '/me/collection/:nameOrId',
+  requireUser,
+  validate(schemas.collectionEntry),
+  asyncHandler(userController.apiDeleteCollectionEntry)
+);
+
+export default router;
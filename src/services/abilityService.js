@@ -0,0 +1,70 @@
+import * as pokemonRepository from '../repositories/pokemonRepository.js';
+import {
+  artworkUrl,
+  cleanFlavorText,
+  findEnglish,
+  formatGeneration,
+  formatName,
+  toListEntry
+} from './formatters.js';
+
+/**
+ * Split an ability's Pokemon into those that have it normally and as a hidden ability
+ */
+const splitByHidden = (pokemonList) => {
+  const entries = pokemonList
+    .map(({ name, url, isHidden }) => {
+      const { id } = toListEntry({ name, url });
+      return { name, id, displayName: formatName(name), image: artworkUrl(id), isHidden };
+    })
+    .sort((a, b) => a.id - b.id);
+
+  return {
+    normal: entries.filter((entry) => !entry.isHidden),
+    hidden: entries.filter((entry) => entry.isHidden)
+  };
+};
+
+/**
+ * Get every Pokemon with an ability, split into normal and hidden.
+ * Returns null if the ability doesn't exist.
+ */
+export const getPokemonByAbility = async (name) => {
+  const pokemonList = await pokemonRepository.getPokemonByAbility(name);
+
+  if (!pokemonList) {
+    return null; // Ability not found
+  }
+
+  return {
+    ability: name.toLowerCase(),
+    totalCount: pokemonList.length,
+    ...splitByHidden(pokemonList)
+  };
+};
+
+/**
+ * Get full details for an ability, including the Pokemon that have it.
+ * Returns null if it doesn't exist.
+ */
+export const getAbilityDetails = async (name) => {
+  const ability = await pokemonRepository.getAbility(name);
+
+  if (!ability) {
+    return null;
+  }
+
+  const effectEntry = findEnglish(ability.effect_entries);
+  const flavorEntry = findEnglish(ability.flavor_text_entries);
+
+  return {
+    id: ability.id,
+    name: ability.name,
+    displayName: formatName(ability.name),
+    generation: ability.generation ? formatGeneration(ability.generation.name) : null,
+    effect: effectEntry?.effect || null,
+    shortEffect: effectEntry?.short_effect || null,
+    flavorText: flavorEntry ? cleanFlavorText(flavorEntry.flavor_text) : null,
+    pokemon: splitByHidden(ability.pokemon.map((p) => ({ ...p.pokemon, isHidden: p.is_hidden })))
+  };
+};
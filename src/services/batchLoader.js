@@ -0,0 +1,85 @@
+/**
+ * DataLoader-style batch loader.
+ *
+ * Every load() made in the same tick is collected and handed to batchFn in
+ * one call (split into chunks of maxBatchSize). Identical keys that are
+ * already in flight share a single promise instead of a second request.
+ * Nothing is kept once a load settles - long-lived caching is the response
+ * cache's job - unless cache is set, for short-lived loaders (e.g. one per
+ * GraphQL request) that should also remember what they already loaded.
+ *
+ * batchFn(keys) must resolve to an array of results in the same order as
+ * keys; an Error instance in that array rejects only that key's load.
+ */
+export const createBatchLoader = (
+  batchFn,
+  { maxBatchSize = Infinity, cache = false, cacheKeyFn = (key) => String(key).toLowerCase() } = {}
+) => {
+  const inFlight = new Map(); // cache key → promise (kept after settling when cache is set)
+  let queue = [];
+
+  const dispatch = async (batch) => {
+    try {
+      const results = await batchFn(batch.map((item) => item.key));
+      batch.forEach((item, index) => {
+        const result = results[index];
+        if (result instanceof Error) {
+          item.reject(result);
+        } else {
+          item.resolve(result);
+        }
+      });
+    } catch (error) {
+      batch.forEach((item) => item.reject(error));
+    }
+  };
+
+  const flush = () => {
+    const items = queue;
+    queue = [];
+    for (let i = 0; i < items.length; i += maxBatchSize) {
+      dispatch(items.slice(i, i + maxBatchSize));
+    }
+  };
+
+  const load = (key) => {
+    const cacheKey = cacheKeyFn(key);
+    if (inFlight.has(cacheKey)) {
+      return inFlight.get(cacheKey);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      if (queue.length === 0) {
+        process.nextTick(flush);
+      }
+      queue.push({ key, resolve, reject });
+    });
+
+    // Failed loads are always forgotten so a later load can retry
+    promise.then(
+      () => !cache && inFlight.delete(cacheKey),
+      () => inFlight.delete(cacheKey)
+    );
+
+    inFlight.set(cacheKey, promise);
+    return promise;
+  };
+
+  return {
+    load,
+    loadMany: (keys) => Promise.all(keys.map(load))
+  };
+};
+
+/**
+ * Build a batchFn from a single-key loader (for upstreams without a bulk
+ * endpoint): keys are loaded concurrently and failures stay per key.
+ */
+export const loadEach = (loadOne) => (keys) =>
+  Promise.all(
+    keys.map((key) =>
+      Promise.resolve(key)
+        .then(loadOne)
+        .catch((error) => error)
+    )
+  );
@@ -0,0 +1,138 @@
+import * as userRepository from '../repositories/userRepository.js';
+import * as pokemonRepository from '../repositories/pokemonRepository.js';
+import * as pokemonService from './pokemonService.js';
+import { ValidationError } from '../errors/index.js';
+import { DEFAULT_LANGUAGE, LANGUAGES } from '../i18n/index.js';
+import { artworkUrl, formatName } from './formatters.js';
+
+/**
+ * A user's marks on Pokemon: favorite, seen and caught
+ *
+ * Caught implies seen, as in the games: catching a Pokemon also marks it
+ * seen, and un-seeing one also un-catches it.
+ */
+
+export const COLLECTION_MARKS = ['favorite', 'seen', 'caught'];
+
+/**
+ * Read marks from JSON booleans or form values ("true"/"false"). At least
+ * one mark is required; throws a ValidationError otherwise.
+ */
+const parseMarks = (input = {}) => {
+  const marks = {};
+  for (const mark of COLLECTION_MARKS) {
+    const value = input[mark];
+    if (value === undefined) {
+      continue;
+    }
+    if (![true, false, 'true', 'false'].includes(value)) {
+      throw new ValidationError(`${mark} must be true or false`, { field: mark });
+    }
+    marks[mark] = value === true || value === 'true';
+  }
+
+  if (Object.keys(marks).length === 0) {
+    throw new ValidationError(`Set at least one of: ${COLLECTION_MARKS.join(', ')}`, {
+      field: 'marks'
+    });
+  }
+
+  if (marks.caught) {
+    marks.seen = true;
+  }
+  if (marks.seen === false) {
+    marks.caught = false;
+  }
+  return marks;
+};
+
+/**
+ * How many Pokemon carry each mark
+ */
+const countMarks = (entries) =>
+  Object.fromEntries(
+    COLLECTION_MARKS.map((mark) => [mark, entries.filter((entry) => entry[mark]).length])
+  );
+
+const sortedEntries = (user) => Object.values(user.collection).sort((a, b) => a.id - b.id);
+
+/**
+ * A user's collection by national dex number, optionally only the entries
+ * with one mark
+ */
+export const getCollection = (user, { status } = {}) => {
+  const entries = sortedEntries(user);
+
+  return {
+    counts: countMarks(entries),
+    entries: status ? entries.filter((entry) => entry[status]) : entries
+  };
+};
+
+/**
+ * Set some marks on a Pokemon, leaving the others as they are. Returns the
+ * entry, or null if the Pokemon doesn't exist; throws a ValidationError on
+ * bad marks.
+ */
+export const setMarks = async (user, nameOrId, input) => {
+  const marks = parseMarks(input);
+
+  // The display name in every language is saved with the entry, so the
+  // progress page can list the collection without loading each Pokemon
+  const languages = Object.keys(LANGUAGES);
+  const summaries = await Promise.all(
+    languages.map((lang) => pokemonService.getPokemonSummary(nameOrId, { lang }))
+  );
+  const pokemon = summaries[languages.indexOf(DEFAULT_LANGUAGE)];
+  if (!pokemon) {
+    return null;
+  }
+
+  const displayNames = Object.fromEntries(
+    languages.map((lang, index) => [lang, summaries[index].displayName])
+  );
+  return userRepository.updateCollectionEntry(user.id, { ...pokemon, displayNames }, marks);
+};
+
+/**
+ * Take a Pokemon out of the collection. Returns null if the Pokemon doesn't
+ * exist, false if it wasn't in the collection.
+ */
+export const removeFromCollection = async (user, nameOrId) => {
+  const pokemon = await pokemonService.getPokemonSummary(nameOrId);
+  if (!pokemon) {
+    return null;
+  }
+
+  return userRepository.deleteCollectionEntry(user.id, pokemon.id);
+};
+
+/**
+ * A Pokemon card built from what a collection entry stores, so listing a
+ * large collection doesn't load every Pokemon. Entries saved without
+ * display names fall back to the formatted name.
+ */
+const toCard = ({ id, name, displayNames }, lang) => ({
+  id,
+  name,
+  displayName: displayNames?.[lang] ?? formatName(name),
+  image: artworkUrl(id),
+  types: []
+});
+
+/**
+ * Progress page data: counts against every species in the Pokedex, and the
+ * favorites, caught and seen-but-not-caught Pokemon as cards
+ */
+export const getProgress = async (user, { lang = DEFAULT_LANGUAGE } = {}) => {
+  const entries = sortedEntries(user);
+  const cards = (predicate) => entries.filter(predicate).map((entry) => toCard(entry, lang));
+
+  return {
+    total: await pokemonRepository.getSpeciesCount(),
+    counts: countMarks(entries),
+    favorite: cards((entry) => entry.favorite),
+    caught: cards((entry) => entry.caught),
+    seen: cards((entry) => entry.seen && !entry.caught)
+  };
+};
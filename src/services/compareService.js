@@ -0,0 +1,92 @@
+import * as pokemonService from './pokemonService.js';
+import * as pokemonRepository from '../repositories/pokemonRepository.js';
+import { getDamageMultiplier } from './typeChart.js';
+
+// Most Pokemon shown side by side
+export const MAX_COMPARE = 4;
+
+/**
+ * Line up each stat across Pokemon, with deltas against the first one
+ */
+const compareStats = (pokemonList) => {
+  const [baseline] = pokemonList;
+
+  return baseline.stats.map((stat, index) => {
+    const values = pokemonList.map((pokemon) => pokemon.stats[index]?.value ?? 0);
+    return {
+      name: stat.name,
+      values,
+      deltas: values.map((value) => value - values[0]),
+      max: Math.max(...values)
+    };
+  });
+};
+
+/**
+ * Best damage multiplier each Pokemon's own types deal to every other Pokemon
+ */
+const compareMatchups = (pokemonList, relations) =>
+  pokemonList.flatMap((attacker) =>
+    pokemonList
+      .filter((defender) => defender.name !== attacker.name)
+      .map((defender) => {
+        const [best] = attacker.types
+          .map((type) => ({
+            type,
+            multiplier: getDamageMultiplier(type, defender.types, relations)
+          }))
+          .sort((a, b) => b.multiplier - a.multiplier);
+
+        return {
+          attacker: attacker.name,
+          defender: defender.name,
+          bestType: best.type,
+          multiplier: best.multiplier
+        };
+      })
+  );
+
+/**
+ * Split abilities into those every Pokemon has and those unique to one
+ */
+const compareAbilities = (pokemonList) => {
+  const namesPerPokemon = pokemonList.map((pokemon) => pokemon.abilities.map((a) => a.name));
+  const shared = namesPerPokemon[0].filter((name) =>
+    namesPerPokemon.every((names) => names.includes(name))
+  );
+
+  return {
+    shared,
+    unique: Object.fromEntries(
+      pokemonList.map((pokemon, index) => [
+        pokemon.name,
+        namesPerPokemon[index].filter(
+          (name) => namesPerPokemon.filter((names) => names.includes(name)).length === 1
+        )
+      ])
+    )
+  };
+};
+
+/**
+ * Compare up to four Pokemon side by side (names and stats in lang).
+ * Returns null if any of them doesn't exist.
+ */
+export const comparePokemon = async (namesOrIds, { lang } = {}) => {
+  const [pokemonList, relations] = await Promise.all([
+    Promise.all(namesOrIds.map((nameOrId) => pokemonService.getPokemonDetails(nameOrId, { lang }))),
+    pokemonRepository.getTypeDamageRelations()
+  ]);
+
+  if (pokemonList.some((pokemon) => !pokemon)) {
+    return null;
+  }
+
+  return {
+    pokemon: pokemonList,
+    stats: compareStats(pokemonList),
+    totals: pokemonList.map((pokemon) => pokemon.stats.reduce((sum, s) => sum + s.value, 0)),
+    matchups: compareMatchups(pokemonList, relations),
+    abilities: compareAbilities(pokemonList)
+  };
+};
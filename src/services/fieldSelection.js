@@ -0,0 +1,63 @@
+/**
+ * Sparse fieldsets for the JSON API: "?fields=name,types,stats" keeps only
+ * those fields of each formatted Pokemon.
+ */
+
+// Fields of a summary (pokemonService.getPokemonSummary)
+export const SUMMARY_FIELDS = [
+  'id',
+  'name',
+  'displayName',
+  'image',
+  'sprite',
+  'types',
+  'height',
+  'weight',
+  'abilities',
+  'stats'
+];
+
+// Fields that come from species data; lists only include them with full details
+export const SPECIES_FIELDS = [
+  'description',
+  'genus',
+  'color',
+  'captureRate',
+  'baseHappiness',
+  'flavorTexts',
+  'eggGroups',
+  'genderRatio',
+  'hatchSteps',
+  'growthRate',
+  'habitat',
+  'shape',
+  'generation',
+  'isLegendary',
+  'isMythical',
+  'isBaby'
+];
+
+export const POKEMON_FIELDS = [...SUMMARY_FIELDS, ...SPECIES_FIELDS];
+
+// Search results also carry their ranking
+export const SEARCH_RESULT_FIELDS = [...POKEMON_FIELDS, 'score', 'matchType'];
+
+// Pokedex entries also carry their number in that Pokedex
+export const POKEDEX_ENTRY_FIELDS = [...POKEMON_FIELDS, 'entryNumber'];
+
+/**
+ * Whether any of the fields needs species data
+ */
+export const needsSpeciesFields = (fields = []) =>
+  fields.some((field) => SPECIES_FIELDS.includes(field));
+
+/**
+ * Keep only the listed fields of an object, in the order asked for
+ * (every field when fields is not given)
+ */
+export const pickFields = (object, fields) =>
+  fields
+    ? Object.fromEntries(
+        fields.filter((field) => field in object).map((field) => [field, object[field]])
+      )
+    : object;
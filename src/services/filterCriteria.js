@@ -0,0 +1,160 @@
+/**
+ * Criteria for the advanced Pokemon filter
+ *
+ * Parses query strings into the criteria object used by
+ * pokemonService.filterPokemon, including stat expressions such as
+ * "speed>=100" or "total<400".
+ */
+import { ValidationError } from '../errors/index.js';
+import { name } from '../validation/rules.js';
+
+// Fields the filter results can be sorted by
+export const FILTER_SORT_FIELDS = [
+  'id',
+  'name',
+  'height',
+  'weight',
+  'total',
+  'hp',
+  'attack',
+  'defense',
+  'special-attack',
+  'special-defense',
+  'speed'
+];
+
+// Raw PokeAPI stat names, plus the short forms players type
+const STAT_ALIASES = {
+  hp: 'hp',
+  attack: 'attack',
+  atk: 'attack',
+  defense: 'defense',
+  def: 'defense',
+  'special-attack': 'special-attack',
+  'sp-atk': 'special-attack',
+  spatk: 'special-attack',
+  spa: 'special-attack',
+  'special-defense': 'special-defense',
+  'sp-def': 'special-defense',
+  spdef: 'special-defense',
+  spd: 'special-defense',
+  speed: 'speed',
+  spe: 'speed',
+  total: 'total'
+};
+
+// Most types a filter can ask for: a Pokemon has at most two types, and
+// there are 18 battle types to choose from
+const MAX_TYPES = { and: 2, or: 18 };
+
+const COMPARATORS = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '=': (a, b) => a === b
+};
+
+/**
+ * Parse one expression into { stat, operator, value }
+ * Returns null when the expression is not valid
+ */
+export const parseStatFilter = (expression) => {
+  const match = /^([a-z-]+)\s*(>=|<=|>|<|=)\s*(\d+)$/.exec(expression.trim().toLowerCase());
+
+  if (!match || !STAT_ALIASES[match[1]]) {
+    return null;
+  }
+
+  return { stat: STAT_ALIASES[match[1]], operator: match[2], value: Number(match[3]) };
+};
+
+/**
+ * Check a stat value against a parsed filter
+ */
+export const matchesStatFilter = (value, { operator, value: target }) =>
+  COMPARATORS[operator](value, target);
+
+const parseList = (value) =>
+  [value]
+    .flat()
+    .filter(Boolean)
+    .join(',')
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+
+const parseBoolean = (value) => {
+  if (value === 'true') {
+    return true;
+  }
+  return value === 'false' ? false : undefined;
+};
+
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+/**
+ * Build filter criteria from a query string object
+ *
+ * Stat filters come from `stats=speed>=100,attack>80` or from raw query
+ * keys, since "?speed>=100" reaches Express as { 'speed>': '100' }.
+ *
+ * Throws a ValidationError naming the invalid parameter.
+ */
+export const parseFilterCriteria = (query) => {
+  const expressions = parseList(query.stats);
+  Object.entries(query).forEach(([key, value]) => {
+    if (/[<>]/.test(key)) {
+      // "?speed>100" arrives as { 'speed>100': '' }
+      expressions.push(value === '' ? key : `${key}=${value}`);
+    }
+  });
+
+  const stats = expressions.map(parseStatFilter);
+  const invalidIndex = stats.indexOf(null);
+  if (invalidIndex !== -1) {
+    throw new ValidationError(`Invalid stat filter: ${expressions[invalidIndex]}`, {
+      field: 'stats'
+    });
+  }
+
+  const criteria = {
+    // These go into PokeAPI URLs, so they must be plain resource names
+    types: [...new Set(parseList(query.types || query.type))].map((type) => name()(type, 'types')),
+    typeMode: query.typeMode === 'or' ? 'or' : 'and',
+    generation: name({ required: false })(query.generation, 'generation'),
+    ability: name({ required: false })(query.ability, 'ability'),
+    stats,
+    minHeight: parseNumber(query.minHeight),
+    maxHeight: parseNumber(query.maxHeight),
+    minWeight: parseNumber(query.minWeight),
+    maxWeight: parseNumber(query.maxWeight),
+    legendary: parseBoolean(query.legendary),
+    mythical: parseBoolean(query.mythical),
+    sort: query.sort ? String(query.sort).toLowerCase() : 'id',
+    order: query.order === 'desc' ? 'desc' : 'asc'
+  };
+
+  const maxTypes = MAX_TYPES[criteria.typeMode];
+  if (criteria.types.length > maxTypes) {
+    throw new ValidationError(
+      `types may list at most ${maxTypes} types when typeMode is ${criteria.typeMode}`,
+      { field: 'types' }
+    );
+  }
+
+  const invalidNumber = ['minHeight', 'maxHeight', 'minWeight', 'maxWeight'].find((field) =>
+    Number.isNaN(criteria[field])
+  );
+  if (invalidNumber) {
+    throw new ValidationError(`${invalidNumber} must be a number`, { field: invalidNumber });
+  }
+
+  if (!FILTER_SORT_FIELDS.includes(criteria.sort)) {
+    throw new ValidationError(`sort must be one of: ${FILTER_SORT_FIELDS.join(', ')}`, {
+      field: 'sort'
+    });
+  }
+
+  return criteria;
+};
@@ -0,0 +1,68 @@
+/**
+ * Display helpers shared by the services
+ */
+
+/**
+ * Format Pokemon name for display
+ * "mr-mime" → "Mr Mime"
+ */
+export const formatName = (name) => {
+  return name
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+/**
+ * Format generation names for display
+ * "generation-iii" → "Generation III"
+ */
+export const formatGeneration = (name) => {
+  const [, numeral] = name.split('-');
+  return numeral ? `Generation ${numeral.toUpperCase()}` : formatName(name);
+};
+
+/**
+ * Format stat names for display
+ */
+export const formatStatName = (name) => {
+  const statNames = {
+    hp: 'HP',
+    attack: 'Attack',
+    defense: 'Defense',
+    'special-attack': 'Sp. Atk',
+    'special-defense': 'Sp. Def',
+    speed: 'Speed'
+  };
+  return statNames[name] || formatName(name);
+};
+
+/**
+ * Turn a PokeAPI list entry into { name, id } ("…/pokemon/25/" → 25)
+ */
+export const toListEntry = ({ name, url }) => ({
+  name,
+  id: Number(url.split('/').filter(Boolean).pop())
+});
+
+/**
+ * Collapse the line breaks PokeAPI keeps in flavor text
+ */
+export const cleanFlavorText = (text) => text.replace(/[\n\f\r]+/g, ' ').trim();
+
+/**
+ * Pick the English entry of a localized list (the latest one if there are several)
+ */
+export const findEnglish = (entries = []) =>
+  entries.filter((entry) => entry.language.name === 'en').pop() || null;
+
+// Official artwork, addressable by Pokemon id without fetching the Pokemon
+const ARTWORK_URL =
+  'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/other/official-artwork';
+
+export const artworkUrl = (id) => `${ARTWORK_URL}/${id}.png`;
+
+// Item sprites, addressable by item name without fetching the item
+const ITEM_SPRITE_URL = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/items';
+
+export const itemSpriteUrl = (name) => `${ITEM_SPRITE_URL}/${name}.png`;
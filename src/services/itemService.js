@@ -0,0 +1,162 @@
+import * as pokemonRepository from '../repositories/pokemonRepository.js';
+import { config } from '../config/index.js';
+import { DEFAULT_LANGUAGE, pickLocalized } from '../i18n/index.js';
+import {
+  artworkUrl,
+  cleanFlavorText,
+  formatName,
+  itemSpriteUrl,
+  toListEntry
+} from './formatters.js';
+import { pageInfo, resolveOffset } from './pagination.js';
+
+// Berry items are named after their berry: "cheri-berry" is the item of berry "cheri"
+const BERRY_SUFFIX = '-berry';
+
+const berryName = (itemName) =>
+  itemName.endsWith(BERRY_SUFFIX) ? itemName.slice(0, -BERRY_SUFFIX.length) : null;
+
+/**
+ * Lightweight list entry for an item, without fetching it
+ */
+const toItemSummary = (entry) => {
+  const { name, id } = toListEntry(entry);
+  return { id, name, displayName: formatName(name), sprite: itemSpriteUrl(name) };
+};
+
+/**
+ * Wild Pokemon that can hold an item, with the chance (%) in each version
+ */
+const formatHeldBy = (heldBy = []) =>
+  heldBy
+    .map(({ pokemon, version_details: versions }) => {
+      const { name, id } = toListEntry(pokemon);
+      return {
+        name,
+        id,
+        displayName: formatName(name),
+        image: artworkUrl(id),
+        versions: versions.map(({ version, rarity }) => ({
+          version: version.name,
+          versionName: formatName(version.name),
+          rarity
+        }))
+      };
+    })
+    .sort((a, b) => a.id - b.id);
+
+/**
+ * Transform raw item data into display-ready format
+ */
+const formatItemData = (item, lang = DEFAULT_LANGUAGE) => {
+  const effectEntry = pickLocalized(item.effect_entries, lang);
+  // The latest game's text comes last
+  const flavorEntry = pickLocalized([...(item.flavor_text_entries || [])].reverse(), lang);
+
+  return {
+    id: item.id,
+    name: item.name,
+    displayName: pickLocalized(item.names, lang)?.name || formatName(item.name),
+    sprite: item.sprites?.default || null,
+    cost: item.cost,
+    flingPower: item.fling_power ?? null,
+    flingEffect: item.fling_effect ? formatName(item.fling_effect.name) : null,
+    category: item.category.name,
+    categoryName: formatName(item.category.name),
+    attributes: item.attributes.map((attribute) => formatName(attribute.name)),
+    effect: effectEntry?.effect || null,
+    shortEffect: effectEntry?.short_effect || null,
+    flavorText: flavorEntry ? cleanFlavorText(flavorEntry.text) : null,
+    heldBy: formatHeldBy(item.held_by_pokemon),
+    berry: berryName(item.name)
+  };
+};
+
+/**
+ * Get one page of items, optionally only those of a category. offset (from
+ * a cursor) takes precedence over page. Returns null if the category
+ * doesn't exist.
+ */
+export const getItems = async ({
+  category,
+  page = 1,
+  limit = config.pagination.defaultLimit,
+  offset: cursorOffset
+} = {}) => {
+  const offset = resolveOffset(page, limit, cursorOffset);
+  let items;
+  let totalCount;
+
+  if (category) {
+    const data = await pokemonRepository.getItemCategory(category);
+    if (!data) {
+      return null; // Category not found
+    }
+    const entries = data.items.map(toItemSummary).sort((a, b) => a.id - b.id);
+    items = entries.slice(offset, offset + limit);
+    totalCount = entries.length;
+  } else {
+    const data = await pokemonRepository.getItemList(limit, offset);
+    items = data.results.map(toItemSummary);
+    totalCount = data.count;
+  }
+
+  return {
+    items,
+    category: category ? { name: category, displayName: formatName(category) } : null,
+    ...pageInfo(offset, limit, totalCount)
+  };
+};
+
+/**
+ * Every item category, by display name
+ */
+export const getItemCategories = async () => {
+  const categories = await pokemonRepository.getItemCategoryList();
+
+  return categories
+    .map(({ name }) => ({ name, displayName: formatName(name) }))
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+};
+
+/**
+ * Get full details for an item. Returns null if it doesn't exist.
+ */
+export const getItemDetails = async (name, { lang } = {}) => {
+  const item = await pokemonRepository.getItem(name);
+  return item ? formatItemData(item, lang) : null;
+};
+
+/**
+ * Get a berry's farming and flavor data plus its item.
+ * Accepts "cheri" or the item name "cheri-berry". Returns null if it doesn't exist.
+ */
+export const getBerryDetails = async (name, { lang } = {}) => {
+  const berry = await pokemonRepository.getBerry(berryName(String(name)) ?? name);
+
+  if (!berry) {
+    return null;
+  }
+
+  const item = await pokemonRepository.getItem(berry.item.name);
+  const itemData = item ? formatItemData(item, lang) : null;
+
+  return {
+    id: berry.id,
+    name: berry.name,
+    displayName: itemData?.displayName || formatName(berry.item.name),
+    growthTime: berry.growth_time,
+    maxHarvest: berry.max_harvest,
+    naturalGiftPower: berry.natural_gift_power,
+    naturalGiftType: berry.natural_gift_type?.name || null,
+    size: berry.size,
+    smoothness: berry.smoothness,
+    soilDryness: berry.soil_dryness,
+    firmness: berry.firmness ? formatName(berry.firmness.name) : null,
+    flavors: berry.flavors
+      .filter(({ potency }) => potency > 0)
+      .map(({ flavor, potency }) => ({ name: flavor.name, potency }))
+      .sort((a, b) => b.potency - a.potency),
+    item: itemData
+  };
+};
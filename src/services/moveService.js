@@ -0,0 +1,79 @@
+import * as pokemonRepository from '../repositories/pokemonRepository.js';
+import { config } from '../config/index.js';
+import { createRefreshingIndex } from './searchIndex.js';
+import {
+  cleanFlavorText,
+  findEnglish,
+  formatGeneration,
+  formatName,
+  toListEntry
+} from './formatters.js';
+import { pageInfo, resolveOffset } from './pagination.js';
+
+// Search index over every move name
+const searchIndex = createRefreshingIndex(() => pokemonRepository.getMoveNameList(), config.search);
+
+/**
+ * Transform raw move data into display-ready format
+ */
+const formatMoveData = (move) => {
+  const effectEntry = findEnglish(move.effect_entries);
+  const flavorEntry = findEnglish(move.flavor_text_entries);
+
+  // Effect text refers to the move's own chance as "$effect_chance"
+  const withChance = (text) => text?.replace(/\$effect_chance/g, move.effect_chance ?? '') ?? null;
+
+  return {
+    id: move.id,
+    name: move.name,
+    displayName: formatName(move.name),
+    type: move.type.name,
+    power: move.power,
+    accuracy: move.accuracy,
+    pp: move.pp,
+    priority: move.priority,
+    damageClass: move.damage_class?.name || null,
+    target: move.target ? formatName(move.target.name) : null,
+    generation: move.generation ? formatGeneration(move.generation.name) : null,
+    effect: withChance(effectEntry?.effect),
+    shortEffect: withChance(effectEntry?.short_effect),
+    flavorText: flavorEntry ? cleanFlavorText(flavorEntry.flavor_text) : null,
+    learnedBy: move.learned_by_pokemon
+      .map(toListEntry)
+      .sort((a, b) => a.id - b.id)
+      .map(({ name, id }) => ({ name, id, displayName: formatName(name) }))
+  };
+};
+
+/**
+ * Get full details for a move. Returns null if it doesn't exist.
+ */
+export const getMoveDetails = async (name) => {
+  const move = await pokemonRepository.getMove(name);
+  return move ? formatMoveData(move) : null;
+};
+
+/**
+ * Search move names, best matches first. offset (from a cursor) takes
+ * precedence over page.
+ */
+export const searchMoves = async (
+  query,
+  page = 1,
+  limit = config.pagination.defaultLimit,
+  { offset: cursorOffset } = {}
+) => {
+  const matches = query && query.trim() ? (await searchIndex.get()).search(query) : [];
+  const offset = resolveOffset(page, limit, cursorOffset);
+
+  return {
+    moves: matches.slice(offset, offset + limit).map((match) => ({
+      name: match.name,
+      id: match.id,
+      displayName: formatName(match.name),
+      score: match.score,
+      matchType: match.matchType
+    })),
+    ...pageInfo(offset, limit, matches.length)
+  };
+};
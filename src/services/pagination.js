@@ -0,0 +1,49 @@
+/**
+ * Offset pagination shared by the Pokemon list services
+ *
+ * Lists are paged by offset. Callers pass a page number, or an offset taken
+ * from an opaque cursor that a previous page handed out as nextCursor or
+ * prevCursor. Cursors keep working when limit changes between requests.
+ */
+
+/**
+ * Encode an offset as an opaque, URL-safe cursor
+ */
+export const encodeCursor = (offset) =>
+  Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+/**
+ * Decode a cursor back into its offset. Returns null if it isn't one of ours.
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Where a page starts: an explicit offset (from a cursor) wins over the page number
+ */
+export const resolveOffset = (page, limit, offset) => offset ?? (page - 1) * limit;
+
+/**
+ * Pagination fields of a list response starting at offset, with the
+ * cursors of the pages either side (null at the ends)
+ */
+export const pageInfo = (offset, limit, totalCount) => {
+  const hasNextPage = offset + limit < totalCount;
+  const hasPrevPage = offset > 0;
+
+  return {
+    totalCount,
+    currentPage: Math.floor(offset / limit) + 1,
+    totalPages: Math.ceil(totalCount / limit),
+    hasNextPage,
+    hasPrevPage,
+    nextCursor: hasNextPage ? encodeCursor(offset + limit) : null,
+    prevCursor: hasPrevPage ? encodeCursor(Math.max(offset - limit, 0)) : null
+  };
+};
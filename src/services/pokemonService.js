@@ -1,82 +1,212 @@
 import * as pokemonRepository from '../repositories/pokemonRepository.js';
 import { config } from '../config/index.js';
+import { createRefreshingIndex } from './searchIndex.js';
+import { matchesStatFilter } from './filterCriteria.js';
+import { NON_BATTLE_TYPES, buildMatchupChart } from './typeChart.js';
+import {
+  artworkUrl,
+  cleanFlavorText,
+  formatGeneration,
+  formatName,
+  toListEntry
+} from './formatters.js';
+import { createBatchLoader, loadEach } from './batchLoader.js';
+import { pageInfo, resolveOffset } from './pagination.js';
+import { getStatTable } from './statTable.js';
+import { STAT_KEYS } from './statCalculator.js';
+import { UpstreamUnavailableError } from '../errors/index.js';
+import {
+  DEFAULT_LANGUAGE,
+  createTranslator,
+  messageSection,
+  pickLocalized,
+  statName,
+  typeName
+} from '../i18n/index.js';
+
+// Coalesce upstream lookups: loads made in the same tick are batched and
+// identical in-flight requests are shared instead of repeated
+const pokemonLoader = createBatchLoader(loadEach(pokemonRepository.getPokemonByNameOrId));
+const speciesLoader = createBatchLoader(loadEach(pokemonRepository.getPokemonSpecies));
+const evolutionChainLoader = createBatchLoader(loadEach(pokemonRepository.getEvolutionChain));
+const formLoader = createBatchLoader(loadEach(pokemonRepository.getPokemonForm));
+
+// Search index over every Pokemon name
+const searchIndex = createRefreshingIndex(
+  () => pokemonRepository.getPokemonNameList(),
+  config.search
+);
+
 /**
- * Format Pokemon name for display
- * "mr-mime" → "Mr Mime"
+ * Transform raw Pokemon data into a display-ready summary (no species data)
  */
-const formatName = (name) => {
-  return name
-    .split('-')
-    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
-};
+const formatPokemonSummary = (pokemon, lang = DEFAULT_LANGUAGE) => ({
+  id: pokemon.id,
+  name: pokemon.name,
+  displayName: formatName(pokemon.name),
+
+  // Get best available image
+  image: pokemon.sprites.other['official-artwork'].front_default || pokemon.sprites.front_default,
+  sprite: pokemon.sprites.front_default,
+
+  // Simplify types array
+  types: pokemon.types.map((t) => t.type.name),
+
+  // Convert units
+  height: pokemon.height / 10, // decimeters → meters
+  weight: pokemon.weight / 10, // hectograms → kilograms
+
+  // Format abilities
+  abilities: pokemon.abilities.map((a) => ({
+    name: formatName(a.ability.name),
+    slug: a.ability.name,
+    isHidden: a.is_hidden
+  })),
+
+  // Format stats
+  stats: pokemon.stats.map((s) => ({
+    name: statName(s.stat.name, lang),
+    value: s.base_stat
+  }))
+});
+
+// Steps per egg cycle (PokeAPI's hatch_counter); the egg hatches after hatch_counter + 1 cycles
+const STEPS_PER_EGG_CYCLE = 255;
 
 /**
- * Format stat names for display
+ * One Pokedex entry per game version, in PokeAPI's (release) order. Versions
+ * without an entry in the language fall back to English, or are left out.
  */
-const formatStatName = (name) => {
-  const statNames = {
-    hp: 'HP',
-    attack: 'Attack',
-    defense: 'Defense',
-    'special-attack': 'Sp. Atk',
-    'special-defense': 'Sp. Def',
-    speed: 'Speed'
-  };
-  return statNames[name] || formatName(name);
-};
+const formatFlavorTexts = (entries = [], lang) =>
+  [...new Set(entries.map((entry) => entry.version.name))]
+    .map((version) => [
+      version,
+      pickLocalized(
+        entries.filter((entry) => entry.version.name === version),
+        lang
+      )
+    ])
+    .filter(([, entry]) => entry)
+    .map(([version, entry]) => ({
+      version,
+      versionName: formatName(version),
+      text: cleanFlavorText(entry.flavor_text)
+    }));
+
 /**
- * Transform raw Pokemon data into display-ready format
+ * Percentages of each gender; null for genderless species (gender_rate -1,
+ * otherwise the chance of being female in eighths)
  */
-const formatPokemonData = (pokemon, species = null) => {
-  // Get English description from species data
-  const description =
-    species?.flavor_text_entries
-      ?.find((entry) => entry.language.name === 'en')
-      ?.flavor_text?.replace(/\f/g, ' ') || 'No description available.';
+const formatGenderRatio = (genderRate) => {
+  if (genderRate === undefined || genderRate === -1) {
+    return null;
+  }
+  const female = (genderRate / 8) * 100;
+  return { male: 100 - female, female };
+};
 
-  // Get English genus (e.g., "Mouse Pokémon")
-  const genus = species?.genera?.find((g) => g.language.name === 'en')?.genus || 'Unknown';
+/**
+ * Transform raw species data into the display-ready species fields,
+ * in the requested language where PokeAPI has it (English otherwise)
+ */
+const formatSpeciesData = (species = null, lang = DEFAULT_LANGUAGE) => {
+  const t = createTranslator(lang);
 
   return {
-    id: pokemon.id,
-    name: pokemon.name,
-    displayName: formatName(pokemon.name),
-
-    // Get best available image
-    image: pokemon.sprites.other['official-artwork'].front_default || pokemon.sprites.front_default,
-    sprite: pokemon.sprites.front_default,
-
-    // Simplify types array
-    types: pokemon.types.map((t) => t.type.name),
-
-    // Convert units
-    height: pokemon.height / 10, // decimeters → meters
-    weight: pokemon.weight / 10, // hectograms → kilograms
-
-    // Format abilities
-    abilities: pokemon.abilities.map((a) => ({
-      name: formatName(a.ability.name),
-      isHidden: a.is_hidden
-    })),
-
-    // Format stats
-    stats: pokemon.stats.map((s) => ({
-      name: formatStatName(s.stat.name),
-      value: s.base_stat
-    })),
-
-    // Add species data
-    description,
-    genus,
+    // Get the description from species data
+    description:
+      pickLocalized(species?.flavor_text_entries, lang)?.flavor_text?.replace(/\f/g, ' ') ||
+      t('common.noDescription'),
+
+    // Get the genus (e.g., "Mouse Pokémon")
+    genus: pickLocalized(species?.genera, lang)?.genus || t('common.unknown'),
+
     color: species?.color?.name || 'gray',
     captureRate: species?.capture_rate || 0,
-    baseHappiness: species?.base_happiness || 0
+    baseHappiness: species?.base_happiness || 0,
+
+    // Pokedex entries (entries in other languages fall back to English per version)
+    flavorTexts: formatFlavorTexts(species?.flavor_text_entries, lang),
+
+    // Breeding
+    eggGroups: (species?.egg_groups || []).map((group) => formatName(group.name)),
+    genderRatio: formatGenderRatio(species?.gender_rate),
+    hatchSteps:
+      species?.hatch_counter === undefined
+        ? null
+        : (species.hatch_counter + 1) * STEPS_PER_EGG_CYCLE,
+
+    // Growth and classification
+    growthRate: species?.growth_rate ? formatName(species.growth_rate.name) : null,
+    habitat: species?.habitat ? formatName(species.habitat.name) : null,
+    shape: species?.shape ? formatName(species.shape.name) : null,
+    generation: species?.generation ? formatGeneration(species.generation.name) : null,
+    isLegendary: species?.is_legendary || false,
+    isMythical: species?.is_mythical || false,
+    isBaby: species?.is_baby || false
   };
 };
-export const getPokemonDetails = async (nameOrId) => {
+
+/**
+ * Display name in a language. Other languages use the localized species
+ * name, except for alternate forms, which the species name doesn't describe.
+ */
+const formatDisplayName = (pokemon, species, lang) => {
+  if (lang === DEFAULT_LANGUAGE || pokemon.is_default === false) {
+    return formatName(pokemon.name);
+  }
+  return pickLocalized(species?.names, lang)?.name || formatName(pokemon.name);
+};
+
+/**
+ * Transform raw Pokemon data into display-ready format
+ */
+const formatPokemonData = (pokemon, species = null, lang = DEFAULT_LANGUAGE) => ({
+  ...formatPokemonSummary(pokemon, lang),
+  displayName: formatDisplayName(pokemon, species, lang),
+
+  // Add species data
+  ...formatSpeciesData(species, lang)
+});
+
+/**
+ * Load a Pokemon, or else the default variety of the species with that name
+ * (species like "deoxys" or "giratina" have no Pokemon of the same name).
+ * Every lookup by name or ID goes through this, so those names work everywhere.
+ */
+export const loadPokemonOrDefaultVariety = async (nameOrId) => {
+  const pokemon = await pokemonLoader.load(nameOrId);
+  if (pokemon) {
+    return pokemon;
+  }
+
+  const species = await speciesLoader.load(nameOrId);
+  const variety = species?.varieties?.find((entry) => entry.is_default);
+  return variety ? pokemonLoader.load(variety.pokemon.name) : null;
+};
+
+/**
+ * Lightweight Pokemon data for lists: a single upstream call, no species data
+ * (other languages also load the species for the localized name)
+ */
+export const getPokemonSummary = async (nameOrId, { lang = DEFAULT_LANGUAGE } = {}) => {
+  const pokemon = await loadPokemonOrDefaultVariety(nameOrId);
+  if (!pokemon) {
+    return null;
+  }
+
+  const summary = formatPokemonSummary(pokemon, lang);
+  if (lang === DEFAULT_LANGUAGE) {
+    return summary;
+  }
+
+  const species = await speciesLoader.load(pokemon.species.name).catch(() => null);
+  return { ...summary, displayName: formatDisplayName(pokemon, species, lang) };
+};
+
+export const getPokemonDetails = async (nameOrId, { lang = DEFAULT_LANGUAGE } = {}) => {
   // Get basic Pokemon data
-  const pokemon = await pokemonRepository.getPokemonByNameOrId(nameOrId);
+  const pokemon = await loadPokemonOrDefaultVariety(nameOrId);
 
   if (!pokemon) {
     return null; // Not found
@@ -85,113 +215,926 @@ export const getPokemonDetails = async (nameOrId) => {
   // Try to get species data (for descriptions)
   let species = null;
   try {
-    species = await pokemonRepository.getPokemonSpecies(pokemon.id);
+    species = await speciesLoader.load(pokemon.species.name);
   } catch {
     // Species data is optional - continue without it
   }
 
   // Format and return
-  return formatPokemonData(pokemon, species);
+  return formatPokemonData(pokemon, species, lang);
 };
 
-export const getAllPokemon = async (page = 1, limit = config.pagination.defaultLimit) => {
+/**
+ * Species fields of a Pokemon (description, genus, ...) on their own.
+ * Returns null if the Pokemon doesn't exist.
+ */
+export const getPokemonSpecies = async (nameOrId, { lang = DEFAULT_LANGUAGE } = {}) => {
+  const pokemon = await loadPokemonOrDefaultVariety(nameOrId);
+  if (!pokemon) {
+    return null;
+  }
+
+  const species = await speciesLoader.load(pokemon.species.name);
+  return formatSpeciesData(species, lang);
+};
+
+/**
+ * List endpoints load summaries unless full details are asked for
+ */
+const listLoader =
+  (full, lang = DEFAULT_LANGUAGE) =>
+  (nameOrId) =>
+    (full ? getPokemonDetails : getPokemonSummary)(nameOrId, { lang });
+
+/**
+ * Pokemon by national dex number, one page at a time. Any other order
+ * (sort/order) goes through filterPokemon. Sorting by a stat, height or
+ * weight needs the stat table and fails with a 503 until it's built.
+ */
+export const getAllPokemon = async (
+  page = 1,
+  limit = config.pagination.defaultLimit,
+  { full = false, offset: cursorOffset, sort = 'id', order = 'asc', lang } = {}
+) => {
+  if (sort !== 'id' || order !== 'asc') {
+    if (sort !== 'id' && sort !== 'name' && !(await getStatTable())) {
+      throw new UpstreamUnavailableError(
+        `Sorting by ${sort} is not available until the stat table is built; try again shortly`
+      );
+    }
+    return filterPokemon({ sort, order }, page, limit, { full, offset: cursorOffset, lang });
+  }
+
   // Calculate offset for pagination
-  const offset = (page - 1) * limit;
+  const offset = resolveOffset(page, limit, cursorOffset);
 
   // Get list of Pokemon
   const data = await pokemonRepository.getAllPokemon(limit, offset);
 
   // Fetch details for each Pokemon
+  const loadPokemon = listLoader(full, lang);
   const pokemonWithDetails = await Promise.all(
-    data.results.map(async (pokemon) => {
-      const details = await getPokemonDetails(pokemon.name);
-      return details;
-    })
+    data.results.map((pokemon) => loadPokemon(pokemon.name))
   );
 
   // Return with pagination info
   return {
     pokemon: pokemonWithDetails,
-    totalCount: data.count,
-    currentPage: page,
-    totalPages: Math.ceil(data.count / limit),
-    hasNextPage: offset + limit < data.count,
-    hasPrevPage: page > 1
+    ...pageInfo(offset, limit, data.count)
   };
 };
-export const searchPokemon = async (query) => {
+/**
+ * (Re)build the search index from the full Pokemon name list
+ */
+export const refreshSearchIndex = () => searchIndex.refresh();
+
+export const searchPokemon = async (
+  query,
+  page = 1,
+  limit = config.pagination.defaultLimit,
+  { full = false, offset: cursorOffset, lang } = {}
+) => {
   // Handle empty query
   if (!query || query.trim().length === 0) {
-    return { pokemon: [], totalCount: 0 };
+    return { pokemon: [], ...pageInfo(0, limit, 0) };
   }
 
-  // First try exact match (faster)
-  const exactMatch = await pokemonRepository.getPokemonByNameOrId(query);
-  if (exactMatch) {
-    const formatted = await getPokemonDetails(query);
-    return {
-      pokemon: formatted ? [formatted] : [],
-      totalCount: formatted ? 1 : 0
-    };
-  }
-
-  // If no exact match, search by partial name
-  const searchResults = await pokemonRepository.searchPokemon(query);
+  // Rank every known name: exact, then prefix, substring and fuzzy matches
+  const index = await searchIndex.get();
+  const matches = index.search(query);
 
-  // Get details for first 20 results
+  // Get details for this page only
+  const offset = resolveOffset(page, limit, cursorOffset);
+  const loadPokemon = listLoader(full, lang);
   const pokemonWithDetails = await Promise.all(
-    searchResults.results.slice(0, 20).map((pokemon) => {
-      return getPokemonDetails(pokemon.name);
+    matches.slice(offset, offset + limit).map(async (match) => {
+      const details = await loadPokemon(match.name);
+      return details && { ...details, score: match.score, matchType: match.matchType };
     })
   );
 
   return {
     pokemon: pokemonWithDetails.filter((p) => p !== null),
-    totalCount: searchResults.count
+    ...pageInfo(offset, limit, matches.length)
   };
 };
-export const getPokemonTypes = async () => {
+export const getPokemonTypes = async ({ lang = DEFAULT_LANGUAGE } = {}) => {
   const types = await pokemonRepository.getPokemonTypes();
 
-  return types
-    // Remove special types
-    .filter((t) => t.name !== 'unknown' && t.name !== 'shadow')
-    // Format for display
-    .map((t) => ({
-      name: t.name,
-      displayName: formatName(t.name)
-    }));
+  return (
+    types
+      // Remove special types
+      .filter((t) => t.name !== 'unknown' && t.name !== 'shadow')
+      // Format for display
+      .map((t) => ({
+        name: t.name,
+        displayName: typeName(t.name, lang)
+      }))
+  );
 };
 
+/**
+ * Pokemon of a type by national dex number; other orders go through filterPokemon.
+ * Returns null if the type doesn't exist.
+ */
 export const getPokemonByType = async (
-  typeName,
+  type,
   page = 1,
-  limit = config.pagination.defaultLimit
+  limit = config.pagination.defaultLimit,
+  { full = false, offset: cursorOffset, sort = 'id', order = 'asc', lang } = {}
 ) => {
-  const pokemonList = await pokemonRepository.getPokemonByType(typeName);
+  if (sort !== 'id' || order !== 'asc') {
+    const data = await filterPokemon({ types: [type], sort, order }, page, limit, {
+      full,
+      offset: cursorOffset,
+      lang
+    });
+    return data && { ...data, type };
+  }
+
+  const pokemonList = await pokemonRepository.getPokemonByType(type);
 
   if (!pokemonList) {
     return null; // Type not found
   }
 
   // Manual pagination (API returns all at once)
-  const offset = (page - 1) * limit;
+  const offset = resolveOffset(page, limit, cursorOffset);
   const paginatedList = pokemonList.slice(offset, offset + limit);
 
   // Get details for this page
   const pokemonWithDetails = await Promise.all(
-    paginatedList.map((pokemon) => {
-      return getPokemonDetails(pokemon.name);
+    paginatedList.map((pokemon) => listLoader(full, lang)(pokemon.name))
+  );
+
+  return {
+    pokemon: pokemonWithDetails.filter((p) => p !== null),
+    type,
+    ...pageInfo(offset, limit, pokemonList.length)
+  };
+};
+
+// ============================================
+// GENERATIONS AND REGIONAL POKEDEXES
+// ============================================
+
+/**
+ * Load one page of list entries ({ id, name }, in order). Species IDs match
+ * their default Pokemon, so species without a Pokemon of the same name
+ * ("deoxys") load too. Regional entry numbers are kept as entryNumber.
+ */
+const loadEntryPage = async (
+  entries,
+  page,
+  limit,
+  { full = false, offset: cursorOffset, lang }
+) => {
+  const offset = resolveOffset(page, limit, cursorOffset);
+  const loadPokemon = listLoader(full, lang);
+
+  const pokemon = await Promise.all(
+    entries.slice(offset, offset + limit).map(async (entry) => {
+      const details = await loadPokemon(entry.id);
+      return (
+        details && (entry.entryNumber ? { ...details, entryNumber: entry.entryNumber } : details)
+      );
     })
   );
 
+  return {
+    pokemon: pokemon.filter((p) => p !== null),
+    ...pageInfo(offset, limit, entries.length)
+  };
+};
+
+/**
+ * Every generation, oldest first
+ */
+export const getGenerations = async ({ lang = DEFAULT_LANGUAGE } = {}) => {
+  const t = createTranslator(lang);
+  const generations = await pokemonRepository.getGenerationList();
+
+  return generations
+    .map(toListEntry)
+    .sort((a, b) => a.id - b.id)
+    .map(({ id, name }) => ({
+      id,
+      name,
+      displayName: t('browse.generation', { id, numeral: name.split('-')[1]?.toUpperCase() })
+    }));
+};
+
+/**
+ * Pokemon introduced in a generation, by national dex number.
+ * Returns null if the generation doesn't exist.
+ */
+export const getPokemonByGeneration = async (
+  generation,
+  page = 1,
+  limit = config.pagination.defaultLimit,
+  { lang = DEFAULT_LANGUAGE, ...options } = {}
+) => {
+  const data = await pokemonRepository.getGeneration(generation);
+  if (!data) {
+    return null;
+  }
+
+  // PokeAPI doesn't keep pokemon_species in dex order
+  const entries = data.pokemon_species.map(toListEntry).sort((a, b) => a.id - b.id);
+
+  return {
+    ...(await loadEntryPage(entries, page, limit, { ...options, lang })),
+    generation: {
+      id: data.id,
+      name: data.name,
+      displayName: pickLocalized(data.names, lang)?.name || formatGeneration(data.name),
+      region: data.main_region?.name ?? null
+    }
+  };
+};
+
+/**
+ * Every Pokedex (national, regional and updated regional ones)
+ */
+export const getPokedexes = async () => {
+  const pokedexes = await pokemonRepository.getPokedexList();
+
+  return pokedexes
+    .map(toListEntry)
+    .sort((a, b) => a.id - b.id)
+    .map(({ id, name }) => ({ id, name, displayName: formatName(name) }));
+};
+
+/**
+ * Pokemon of a Pokedex in its own order, each with its entryNumber there
+ * (Paldea's #1 is Sprigatito). Returns null if the Pokedex doesn't exist.
+ */
+export const getPokemonByPokedex = async (
+  name,
+  page = 1,
+  limit = config.pagination.defaultLimit,
+  { lang = DEFAULT_LANGUAGE, ...options } = {}
+) => {
+  const data = await pokemonRepository.getPokedex(name);
+  if (!data) {
+    return null;
+  }
+
+  const entries = data.pokemon_entries
+    .map((entry) => ({ ...toListEntry(entry.pokemon_species), entryNumber: entry.entry_number }))
+    .sort((a, b) => a.entryNumber - b.entryNumber);
+
+  return {
+    ...(await loadEntryPage(entries, page, limit, { ...options, lang })),
+    pokedex: {
+      id: data.id,
+      name: data.name,
+      displayName: pickLocalized(data.names, lang)?.name || formatName(data.name),
+      region: data.region?.name ?? null
+    }
+  };
+};
+
+// ============================================
+// FORMS AND VARIETIES
+// ============================================
+
+// Form names of regional varieties start with their region ("galar-standard")
+const REGIONAL_FORMS = ['alola', 'galar', 'hisui', 'paldea'];
+
+/**
+ * What kind of variety a Pokemon is, from its default form
+ */
+const varietyKind = (isDefault, form, formName) => {
+  if (isDefault) {
+    return 'default';
+  }
+  if (form?.is_mega) {
+    return 'mega';
+  }
+  if (formName === 'gmax') {
+    return 'gigantamax';
+  }
+  return REGIONAL_FORMS.includes(formName.split('-')[0]) ? 'regional' : 'other';
+};
+
+/**
+ * A form of one variety (cosmetic ones like Unown's letters, or the variety's own)
+ */
+const formatForm = (form, lang) => ({
+  name: form.name,
+  formName: form.form_name || null,
+  displayName: pickLocalized(form.form_names, lang)?.name || formatName(form.name),
+  isDefault: form.is_default,
+  isMega: form.is_mega,
+  isBattleOnly: form.is_battle_only,
+  sprite: form.sprites?.front_default || null
+});
+
+/**
+ * A variety: its own summary (types, stats, artwork) plus its forms
+ */
+const formatVariety = async (variety, species, lang) => {
+  const pokemon = await pokemonLoader.load(variety.pokemon.name);
+  if (!pokemon) {
+    return null;
+  }
+
+  // Forms are optional extras; a variety without them still lists
+  const forms = (
+    await Promise.all(pokemon.forms.map((form) => formLoader.load(form.name).catch(() => null)))
+  ).filter(Boolean);
+  const defaultForm = forms.find((form) => form.is_default) || forms[0];
+  const formName = defaultForm?.form_name || pokemon.name.replace(`${species.name}-`, '');
+
+  return {
+    ...formatPokemonSummary(pokemon, lang),
+    displayName: formatDisplayName(pokemon, species, lang),
+    isDefault: variety.is_default,
+    kind: varietyKind(variety.is_default, defaultForm, formName),
+    formName: variety.is_default
+      ? null
+      : pickLocalized(defaultForm?.form_names, lang)?.name || formatName(formName),
+    forms: forms.map((form) => formatForm(form, lang))
+  };
+};
+
+/**
+ * Every variety of a Pokemon's species (regional forms, megas, gigantamax...),
+ * default first. Returns null if the Pokemon doesn't exist.
+ */
+export const getPokemonForms = async (nameOrId, { lang = DEFAULT_LANGUAGE } = {}) => {
+  const pokemon = await loadPokemonOrDefaultVariety(nameOrId);
+  if (!pokemon) {
+    return null;
+  }
+
+  const species = await speciesLoader.load(pokemon.species.name);
+  const varieties = await Promise.all(
+    (species?.varieties || []).map((variety) => formatVariety(variety, species, lang))
+  );
+
+  return {
+    species: pokemon.species.name,
+    current: pokemon.name,
+    varieties: varieties.filter(Boolean).sort((a, b) => b.isDefault - a.isDefault)
+  };
+};
+
+// ============================================
+// ADVANCED FILTER
+// ============================================
+
+// Upstream requests a filter keeps in flight at once
+const FILTER_BATCH_SIZE = 20;
+
+/**
+ * Run fn over items in batches to avoid firing hundreds of requests at once
+ */
+const mapInBatches = async (items, size, fn) => {
+  const results = [];
+  for (let i = 0; i < items.length; i += size) {
+    results.push(...(await Promise.all(items.slice(i, i + size).map(fn))));
+  }
+  return results;
+};
+
+/**
+ * Read a stat (or the base stat total) from raw Pokemon data
+ */
+const getStatValue = (pokemon, stat) => {
+  if (stat === 'total') {
+    return pokemon.stats.reduce((sum, s) => sum + s.base_stat, 0);
+  }
+  return pokemon.stats.find((s) => s.stat.name === stat)?.base_stat ?? 0;
+};
+
+const getSortValue = (pokemon, field) => {
+  if (field === 'id' || field === 'name' || field === 'height' || field === 'weight') {
+    return pokemon[field];
+  }
+  return getStatValue(pokemon, field);
+};
+
+/**
+ * Build the candidate list from the criteria that have their own PokeAPI
+ * resource (types, generation, ability). Returns null if one doesn't exist.
+ */
+const getFilterCandidates = async ({ types = [], typeMode = 'and', generation, ability }) => {
+  const sets = [];
+
+  if (types.length > 0) {
+    const lists = await Promise.all(
+      [...new Set(types)].map((type) => pokemonRepository.getPokemonByType(type))
+    );
+    if (lists.some((list) => !list)) {
+      return null;
+    }
+
+    const entries = lists.map((list) => list.map(toListEntry));
+    if (typeMode === 'or') {
+      sets.push(entries.flat());
+    } else {
+      sets.push(...entries);
+    }
+  }
+
+  if (generation) {
+    const data = await pokemonRepository.getGeneration(generation);
+    if (!data) {
+      return null;
+    }
+    // Species IDs match the IDs of their default Pokemon
+    sets.push(data.pokemon_species.map(toListEntry));
+  }
+
+  if (ability) {
+    const data = await pokemonRepository.getAbility(ability);
+    if (!data) {
+      return null;
+    }
+    sets.push(data.pokemon.map((p) => toListEntry(p.pokemon)));
+  }
+
+  if (sets.length === 0) {
+    sets.push((await pokemonRepository.getPokemonNameList()).map(toListEntry));
+  }
+
+  // Intersect by ID, keeping the first name seen for each Pokemon
+  const [first, ...rest] = sets;
+  const restIds = rest.map((set) => new Set(set.map((entry) => entry.id)));
+  const candidates = new Map();
+  first.forEach((entry) => {
+    if (!candidates.has(entry.id) && restIds.every((ids) => ids.has(entry.id))) {
+      candidates.set(entry.id, entry);
+    }
+  });
+
+  return [...candidates.values()].sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Stat table row in the shape of raw Pokemon data, as far as filters and sorts need
+ */
+const fromStatRow = ({ stats, ...row }) => ({
+  ...row,
+  stats: STAT_KEYS.map((stat, index) => ({ stat: { name: stat }, base_stat: stats[index] }))
+});
+
+/**
+ * Check raw Pokemon (and species) data against the per-Pokemon criteria
+ */
+const matchesFilter = ({ pokemon, species }, criteria) => {
+  const { stats = [], minHeight, maxHeight, minWeight, maxWeight, legendary, mythical } = criteria;
+  const height = pokemon.height / 10;
+  const weight = pokemon.weight / 10;
+
+  return (
+    stats.every((filter) => matchesStatFilter(getStatValue(pokemon, filter.stat), filter)) &&
+    (minHeight === undefined || height >= minHeight) &&
+    (maxHeight === undefined || height <= maxHeight) &&
+    (minWeight === undefined || weight >= minWeight) &&
+    (maxWeight === undefined || weight <= maxWeight) &&
+    (legendary === undefined || Boolean(species?.is_legendary) === legendary) &&
+    (mythical === undefined || Boolean(species?.is_mythical) === mythical)
+  );
+};
+
+/**
+ * Filter Pokemon by any combination of types (AND/OR), generation, ability,
+ * stat ranges, height/weight ranges and legendary/mythical flags.
+ * Returns null if a type, generation or ability doesn't exist.
+ */
+export const filterPokemon = async (
+  criteria,
+  page = 1,
+  limit = config.pagination.defaultLimit,
+  { full = false, offset: cursorOffset, lang } = {}
+) => {
+  const { sort = 'id', order = 'asc' } = criteria;
+  const candidates = await getFilterCandidates(criteria);
+
+  if (!candidates) {
+    return null;
+  }
+
+  const needsSpecies = criteria.legendary !== undefined || criteria.mythical !== undefined;
+  const needsDetails =
+    needsSpecies ||
+    (criteria.stats || []).length > 0 ||
+    [criteria.minHeight, criteria.maxHeight, criteria.minWeight, criteria.maxWeight].some(
+      (value) => value !== undefined
+    ) ||
+    (sort !== 'id' && sort !== 'name');
+
+  // Read stats from the stat table when it's ready. Otherwise inspecting
+  // every Pokemon in detail is too expensive, so cap the candidates.
+  const table = needsDetails && !needsSpecies ? await getStatTable() : null;
+  const rows = table && new Map(table.pokemon.map((row) => [row.id, fromStatRow(row)]));
+  const truncated = needsDetails && !rows && candidates.length > config.filter.maxCandidates;
+  const inspected = truncated ? candidates.slice(0, config.filter.maxCandidates) : candidates;
+
+  let matches = inspected;
+  if (needsDetails) {
+    const loaded = await mapInBatches(inspected, FILTER_BATCH_SIZE, async (entry) => {
+      const pokemon = rows ? rows.get(entry.id) : await pokemonLoader.load(entry.id);
+      const species =
+        pokemon && needsSpecies ? await speciesLoader.load(pokemon.species.name) : null;
+      return pokemon && { ...entry, pokemon, species };
+    });
+    matches = loaded.filter((entry) => entry && matchesFilter(entry, criteria));
+  }
+
+  // Sort, then paginate like getAllPokemon
+  const direction = order === 'desc' ? -1 : 1;
+  const sorted = [...matches].sort((a, b) => {
+    const left = needsDetails ? getSortValue(a.pokemon, sort) : a[sort];
+    const right = needsDetails ? getSortValue(b.pokemon, sort) : b[sort];
+    if (left === right) {
+      return a.id - b.id;
+    }
+    return (left > right ? 1 : -1) * direction;
+  });
+
+  const offset = resolveOffset(page, limit, cursorOffset);
+  const pokemonWithDetails = await Promise.all(
+    sorted.slice(offset, offset + limit).map((entry) => listLoader(full, lang)(entry.id))
+  );
+
   return {
     pokemon: pokemonWithDetails.filter((p) => p !== null),
-    type: typeName,
-    totalCount: pokemonList.length,
-    currentPage: page,
-    totalPages: Math.ceil(pokemonList.length / limit),
-    hasNextPage: offset + limit < pokemonList.length,
-    hasPrevPage: page > 1
-  };
-};
\ No newline at end of file
+    ...pageInfo(offset, limit, sorted.length),
+    truncated
+  };
+};
+
+// ============================================
+// EVOLUTION CHAINS
+// ============================================
+
+const TIMES_OF_DAY = ['day', 'night', 'dusk'];
+
+/**
+ * Describe one way to evolve, e.g. "Level 16" or "Level up, high friendship, during the day".
+ * names(resource, name) gives the display name of a species, item or move.
+ */
+const describeEvolution = (detail, { t, lang, names }) => {
+  const trigger = detail.trigger.name;
+  const parts = [];
+
+  if (trigger === 'level-up') {
+    parts.push(
+      detail.min_level ? t('evolution.level', { level: detail.min_level }) : t('evolution.levelUp')
+    );
+  } else if (trigger === 'use-item') {
+    parts.push(t('evolution.useItem', { item: names('item', detail.item.name) }));
+  } else {
+    parts.push(messageSection(lang, 'evolutionTriggers')[trigger] ?? formatName(trigger));
+  }
+
+  if (detail.trade_species) {
+    parts.push(t('evolution.tradeFor', { species: names('species', detail.trade_species.name) }));
+  }
+  if (detail.held_item) {
+    parts.push(t('evolution.holding', { item: names('item', detail.held_item.name) }));
+  }
+  if (detail.min_happiness) {
+    parts.push(t('evolution.friendship'));
+  }
+  if (detail.min_affection) {
+    parts.push(t('evolution.affection'));
+  }
+  if (detail.min_beauty) {
+    parts.push(t('evolution.beauty'));
+  }
+  if (detail.known_move) {
+    parts.push(t('evolution.knowingMove', { move: names('move', detail.known_move.name) }));
+  }
+  if (detail.known_move_type) {
+    parts.push(
+      t('evolution.knowingMoveType', { type: typeName(detail.known_move_type.name, lang) })
+    );
+  }
+  if (detail.location) {
+    parts.push(t('evolution.location', { location: formatName(detail.location.name) }));
+  }
+  if (detail.party_species) {
+    parts.push(
+      t('evolution.partySpecies', { species: names('species', detail.party_species.name) })
+    );
+  }
+  if (detail.party_type) {
+    parts.push(t('evolution.partyType', { type: typeName(detail.party_type.name, lang) }));
+  }
+  if (detail.relative_physical_stats !== null && detail.relative_physical_stats !== undefined) {
+    const sign = { 1: '>', 0: '=', '-1': '<' }[detail.relative_physical_stats];
+    parts.push(`${statName('attack', lang)} ${sign} ${statName('defense', lang)}`);
+  }
+  if (detail.gender) {
+    parts.push(t(detail.gender === 1 ? 'evolution.female' : 'evolution.male'));
+  }
+  if (detail.time_of_day) {
+    parts.push(
+      TIMES_OF_DAY.includes(detail.time_of_day)
+        ? t(`evolution.${detail.time_of_day}`)
+        : detail.time_of_day
+    );
+  }
+  if (detail.needs_overworld_rain) {
+    parts.push(t('evolution.rain'));
+  }
+  if (detail.turn_upside_down) {
+    parts.push(t('evolution.upsideDown'));
+  }
+
+  return parts.join(t('evolution.separator'));
+};
+
+/**
+ * Simplify one evolution_details entry: trigger, set conditions and a description
+ */
+const formatEvolutionTrigger = (detail, context) => {
+  const conditions = {
+    minLevel: detail.min_level,
+    item: detail.item?.name,
+    heldItem: detail.held_item?.name,
+    minHappiness: detail.min_happiness,
+    minAffection: detail.min_affection,
+    minBeauty: detail.min_beauty,
+    knownMove: detail.known_move?.name,
+    knownMoveType: detail.known_move_type?.name,
+    location: detail.location?.name,
+    timeOfDay: detail.time_of_day || undefined,
+    gender: detail.gender,
+    partySpecies: detail.party_species?.name,
+    partyType: detail.party_type?.name,
+    tradeSpecies: detail.trade_species?.name,
+    relativePhysicalStats: detail.relative_physical_stats,
+    needsOverworldRain: detail.needs_overworld_rain || undefined,
+    turnUpsideDown: detail.turn_upside_down || undefined
+  };
+
+  return {
+    trigger: detail.trigger.name,
+    // Keep only the conditions that apply
+    conditions: Object.fromEntries(
+      Object.entries(conditions).filter(([, value]) => value !== null && value !== undefined)
+    ),
+    description: describeEvolution(detail, context)
+  };
+};
+
+/**
+ * Turn a chain link into a tree node; branches (e.g. Eevee) become multiple children
+ */
+const formatEvolutionNode = (link, context) => {
+  const { name, id } = toListEntry(link.species);
+
+  return {
+    id,
+    name,
+    displayName: context.names('species', name),
+    image: artworkUrl(id),
+    triggers: link.evolution_details.map((detail) => formatEvolutionTrigger(detail, context)),
+    evolvesTo: link.evolves_to.map((child) => formatEvolutionNode(child, context))
+  };
+};
+
+/**
+ * Localized names of the species, items and moves a chain mentions, as a
+ * names(resource, name) lookup. English, and anything that fails to load,
+ * uses the formatted resource name.
+ */
+const loadEvolutionNames = async (chain, lang) => {
+  const wanted = { species: new Set(), item: new Set(), move: new Set() };
+  const collect = (link) => {
+    wanted.species.add(link.species.name);
+    link.evolution_details.forEach((detail) => {
+      const refs = {
+        species: [detail.trade_species, detail.party_species],
+        item: [detail.item, detail.held_item],
+        move: [detail.known_move]
+      };
+      Object.entries(refs).forEach(([resource, list]) =>
+        list.filter(Boolean).forEach((ref) => wanted[resource].add(ref.name))
+      );
+    });
+    link.evolves_to.forEach(collect);
+  };
+
+  const localized = new Map();
+  if (lang !== DEFAULT_LANGUAGE) {
+    collect(chain);
+    const loaders = {
+      species: (name) => speciesLoader.load(name),
+      item: pokemonRepository.getItem,
+      move: pokemonRepository.getMove
+    };
+    await Promise.all(
+      Object.entries(wanted).flatMap(([resource, resourceNames]) =>
+        [...resourceNames].map(async (name) => {
+          const data = await loaders[resource](name).catch(() => null);
+          const localName = pickLocalized(data?.names, lang)?.name;
+          if (localName) {
+            localized.set(`${resource}:${name}`, localName);
+          }
+        })
+      )
+    );
+  }
+
+  return (resource, name) => localized.get(`${resource}:${name}`) ?? formatName(name);
+};
+
+/**
+ * Get the evolution tree of a Pokemon's family (a single node if it doesn't evolve).
+ * Returns null if the Pokemon or its chain doesn't exist.
+ */
+export const getEvolutionChain = async (nameOrId, { lang = DEFAULT_LANGUAGE } = {}) => {
+  const pokemon = await loadPokemonOrDefaultVariety(nameOrId);
+  if (!pokemon) {
+    return null;
+  }
+
+  const species = await speciesLoader.load(pokemon.species.name);
+  const chainUrl = species?.evolution_chain?.url;
+  const chain = chainUrl
+    ? await evolutionChainLoader.load(toListEntry({ url: chainUrl }).id)
+    : null;
+
+  if (!chain) {
+    return null;
+  }
+
+  const context = {
+    t: createTranslator(lang),
+    lang,
+    names: await loadEvolutionNames(chain.chain, lang)
+  };
+  return {
+    id: chain.id,
+    species: pokemon.species.name,
+    chain: formatEvolutionNode(chain.chain, context)
+  };
+};
+
+// ============================================
+// LEARNSETS
+// ============================================
+
+// Learn methods listed on their own; anything else (stadium, light ball...) goes under "other"
+export const LEARN_METHODS = ['level-up', 'machine', 'egg', 'tutor', 'other'];
+
+const byLevelThenName = (a, b) => a.level - b.level || a.name.localeCompare(b.name);
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Moves a Pokemon can learn, grouped by version group and learn method.
+ * Version groups are ordered oldest first. Returns null if the Pokemon doesn't exist.
+ */
+export const getPokemonMoves = async (nameOrId) => {
+  const pokemon = await loadPokemonOrDefaultVariety(nameOrId);
+  if (!pokemon) {
+    return null;
+  }
+
+  const versionGroups = new Map(); // name → id
+  const learnsets = {};
+
+  pokemon.moves.forEach(({ move, version_group_details: details }) => {
+    details.forEach((detail) => {
+      const versionGroup = toListEntry(detail.version_group);
+      const method = LEARN_METHODS.includes(detail.move_learn_method.name)
+        ? detail.move_learn_method.name
+        : 'other';
+
+      versionGroups.set(versionGroup.name, versionGroup.id);
+      learnsets[versionGroup.name] ??= Object.fromEntries(LEARN_METHODS.map((m) => [m, []]));
+      learnsets[versionGroup.name][method].push({
+        name: move.name,
+        displayName: formatName(move.name),
+        ...(method === 'level-up' && { level: detail.level_learned_at })
+      });
+    });
+  });
+
+  Object.values(learnsets).forEach((learnset) => {
+    LEARN_METHODS.forEach((method) =>
+      learnset[method].sort(method === 'level-up' ? byLevelThenName : byName)
+    );
+  });
+
+  return {
+    pokemon: pokemon.name,
+    versionGroups: [...versionGroups]
+      .sort((a, b) => a[1] - b[1])
+      .map(([name]) => ({ name, displayName: formatName(name) })),
+    learnsets
+  };
+};
+
+// ============================================
+// ENCOUNTERS
+// ============================================
+
+/**
+ * Merge the encounter slots of one location area and version that share a
+ * method and conditions: one level range, chances added up
+ */
+const mergeEncounterSlots = (details) => {
+  const merged = new Map();
+
+  details.forEach((detail) => {
+    const conditions = detail.condition_values.map((condition) => condition.name).sort();
+    const key = [detail.method.name, ...conditions].join('|');
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.minLevel = Math.min(existing.minLevel, detail.min_level);
+      existing.maxLevel = Math.max(existing.maxLevel, detail.max_level);
+      existing.chance = Math.min(existing.chance + detail.chance, 100);
+    } else {
+      merged.set(key, {
+        method: detail.method.name,
+        methodName: formatName(detail.method.name),
+        minLevel: detail.min_level,
+        maxLevel: detail.max_level,
+        chance: detail.chance,
+        conditions: conditions.map(formatName)
+      });
+    }
+  });
+
+  return [...merged.values()].sort(
+    (a, b) => a.method.localeCompare(b.method) || a.minLevel - b.minLevel
+  );
+};
+
+/**
+ * Where to find a Pokemon in the wild: location areas by game version, each
+ * with its encounter methods, level ranges and chances. Versions are ordered
+ * oldest first; pass version to keep only that one. Returns null if the
+ * Pokemon doesn't exist.
+ */
+export const getPokemonEncounters = async (nameOrId, { version } = {}) => {
+  const pokemon = await loadPokemonOrDefaultVariety(nameOrId);
+  const areas = pokemon && (await pokemonRepository.getPokemonEncounters(pokemon.id));
+  if (!areas) {
+    return null;
+  }
+
+  const versions = new Map(); // name → { id, locations }
+
+  areas.forEach(({ location_area: area, version_details: details }) => {
+    details.forEach((detail) => {
+      const { name, id } = toListEntry(detail.version);
+      if (version && name !== version) {
+        return;
+      }
+
+      if (!versions.has(name)) {
+        versions.set(name, { id, locations: [] });
+      }
+      versions.get(name).locations.push({
+        name: area.name,
+        displayName: formatName(area.name),
+        encounters: mergeEncounterSlots(detail.encounter_details)
+      });
+    });
+  });
+
+  return {
+    pokemon: pokemon.name,
+    versions: [...versions]
+      .sort((a, b) => a[1].id - b[1].id)
+      .map(([name, { locations }]) => ({
+        name,
+        displayName: formatName(name),
+        locations: locations.sort((a, b) => a.displayName.localeCompare(b.displayName))
+      }))
+  };
+};
+
+// ============================================
+// TYPE MATCHUPS
+// ============================================
+
+/**
+ * Defensive matchup chart for a single or dual type combination.
+ * Returns null if any of the types doesn't exist.
+ */
+export const getTypeMatchups = async (types) => {
+  const defendingTypes = [...new Set(types.map((type) => type.toLowerCase()))];
+  const relations = await pokemonRepository.getTypeDamageRelations();
+
+  if (
+    defendingTypes.length === 0 ||
+    defendingTypes.some((type) => !relations[type] || NON_BATTLE_TYPES.includes(type))
+  ) {
+    return null;
+  }
+
+  return buildMatchupChart(defendingTypes, relations);
+};
+
+export const getCacheStats = () => pokemonRepository.getCacheStats();
@@ -0,0 +1,158 @@
+/**
+ * In-process search index over Pokemon names
+ *
+ * Ranks matches in tiers: exact name/ID, prefix, substring, then fuzzy
+ * (edit distance). Within a tier, closer and shorter names score higher.
+ */
+
+const SCORES = {
+  exact: 1,
+  prefix: 0.9,
+  substring: 0.7,
+  fuzzy: 0.5
+};
+
+/**
+ * Normalize user input to PokeAPI slug form ("Mr. Mime" → "mr-mime")
+ */
+export const normalizeQuery = (query) =>
+  query
+    .toString()
+    .trim()
+    .toLowerCase()
+    .replace(/[.']/g, '')
+    .replace(/[\s_]+/g, '-');
+
+/**
+ * Levenshtein distance, giving up early once it exceeds maxDistance
+ */
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return Infinity;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return Infinity;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Score one entry against a normalized query, or return null for no match
+ */
+const scoreEntry = (entry, query, maxDistance) => {
+  const { name } = entry;
+  // Prefer names close in length to the query
+  const lengthPenalty = Math.min((name.length - query.length) / 100, 0.09);
+
+  if (name === query || String(entry.id) === query) {
+    return { score: SCORES.exact, matchType: 'exact' };
+  }
+  if (name.startsWith(query)) {
+    return { score: SCORES.prefix - lengthPenalty, matchType: 'prefix' };
+  }
+  if (name.includes(query)) {
+    return { score: SCORES.substring - lengthPenalty, matchType: 'substring' };
+  }
+
+  const distance = editDistance(query, name, maxDistance);
+  if (distance <= maxDistance) {
+    return { score: SCORES.fuzzy * (1 - distance / (maxDistance + 1)), matchType: 'fuzzy' };
+  }
+
+  // Typo in a partially typed name ("pikac" → "pikachu"), ranked below whole-name typos
+  const prefixDistance =
+    query.length >= 4 ? editDistance(query, name.slice(0, query.length), maxDistance) : Infinity;
+  if (prefixDistance <= maxDistance) {
+    return {
+      score: SCORES.fuzzy * 0.8 * (1 - prefixDistance / (maxDistance + 1)),
+      matchType: 'fuzzy'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Build an index from PokeAPI list entries ({ name, url })
+ */
+export const createSearchIndex = (entries, { maxDistance = 2 } = {}) => {
+  const indexed = entries.map((entry) => ({
+    name: entry.name,
+    url: entry.url,
+    id: Number(entry.url.split('/').filter(Boolean).pop())
+  }));
+
+  return {
+    size: indexed.length,
+    builtAt: Date.now(),
+
+    search(rawQuery) {
+      const query = normalizeQuery(rawQuery);
+      if (!query) {
+        return [];
+      }
+
+      // Short queries get fewer typos so "ab" doesn't match half the Pokedex
+      const allowedDistance = Math.min(maxDistance, Math.floor(query.length / 3));
+
+      return indexed
+        .map((entry) => {
+          const match = scoreEntry(entry, query, allowedDistance);
+          return match && { ...entry, ...match, score: Math.round(match.score * 1000) / 1000 };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.id - b.id);
+    }
+  };
+};
+
+/**
+ * Keep an index fresh: built on first use, rebuilt in the background once
+ * older than refreshInterval (seconds) while the old one keeps serving.
+ */
+export const createRefreshingIndex = (loadEntries, { refreshInterval, maxDistance }) => {
+  let index = null;
+  let pendingBuild = null;
+
+  const refresh = () => {
+    if (!pendingBuild) {
+      pendingBuild = loadEntries()
+        .then((entries) => {
+          index = createSearchIndex(entries, { maxDistance });
+          return index;
+        })
+        .finally(() => {
+          pendingBuild = null;
+        });
+    }
+    return pendingBuild;
+  };
+
+  const get = () => {
+    if (!index) {
+      return refresh();
+    }
+    if (Date.now() - index.builtAt > refreshInterval * 1000) {
+      refresh().catch(() => {});
+    }
+    return index;
+  };
+
+  return { get, refresh };
+};
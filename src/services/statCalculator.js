@@ -0,0 +1,86 @@
+/**
+ * Stat formulas from Generation III on
+ *
+ * HP    = floor((2 × base + IV + floor(EV / 4)) × level / 100) + level + 10
+ * Other = floor((floor((2 × base + IV + floor(EV / 4)) × level / 100) + 5) × nature)
+ *
+ * where nature is 1.1 for the stat a nature raises, 0.9 for the one it
+ * lowers and 1 otherwise.
+ */
+
+// Stats in PokeAPI order, which is also the order of IV and EV lists
+export const STAT_KEYS = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+// Base stats are a byte in the games
+export const MAX_BASE_STAT = 255;
+
+export const MAX_IV = 31;
+export const MAX_EV = 252;
+export const MAX_TOTAL_EVS = 510;
+
+// Levels the min/max ranges are given for
+export const RANGE_LEVELS = [50, 100];
+
+// Nature multipliers, in tenths so the math stays in whole numbers
+const RAISED = 11;
+const NEUTRAL = 10;
+const LOWERED = 9;
+
+/**
+ * Nature multiplier of a stat (1.1, 1 or 0.9). nature is
+ * { increased, decreased } with stat keys, or null for a neutral nature.
+ */
+export const natureModifier = (stat, nature) => {
+  if (!nature || nature.increased === nature.decreased) {
+    return NEUTRAL / 10;
+  }
+  if (stat === nature.increased) {
+    return RAISED / 10;
+  }
+  return stat === nature.decreased ? LOWERED / 10 : NEUTRAL / 10;
+};
+
+/**
+ * Final value of one stat
+ */
+export const calculateStat = (stat, base, { level, iv, ev, modifier = 1 }) => {
+  const scaled = Math.floor(((2 * base + iv + Math.floor(ev / 4)) * level) / 100);
+
+  if (stat === 'hp') {
+    // Shedinja always has exactly 1 HP
+    return base === 1 ? 1 : scaled + level + 10;
+  }
+  return Math.floor(((scaled + 5) * Math.round(modifier * 10)) / 10);
+};
+
+/**
+ * Lowest and highest value of a stat at a level: no IVs or EVs and a
+ * lowering nature, against perfect IVs, full EVs and a raising nature
+ */
+export const statRange = (stat, base, level) => ({
+  level,
+  min: calculateStat(stat, base, { level, iv: 0, ev: 0, modifier: LOWERED / 10 }),
+  max: calculateStat(stat, base, { level, iv: MAX_IV, ev: MAX_EV, modifier: RAISED / 10 })
+});
+
+/**
+ * Percentage of values (sorted ascending) at or below value, to one decimal
+ */
+export const percentileRank = (value, sortedValues) => {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+
+  // First index above value, by binary search
+  let low = 0;
+  let high = sortedValues.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sortedValues[middle] <= value) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return Math.round((low / sortedValues.length) * 1000) / 10;
+};
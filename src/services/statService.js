@@ -0,0 +1,142 @@
+import * as pokemonRepository from '../repositories/pokemonRepository.js';
+import { loadPokemonOrDefaultVariety } from './pokemonService.js';
+import { ValidationError } from '../errors/index.js';
+import { DEFAULT_LANGUAGE, pickLocalized, statName } from '../i18n/index.js';
+import { formatName } from './formatters.js';
+import { getStatTable } from './statTable.js';
+import {
+  MAX_IV,
+  RANGE_LEVELS,
+  STAT_KEYS,
+  calculateStat,
+  natureModifier,
+  percentileRank,
+  statRange
+} from './statCalculator.js';
+
+// ============================================
+// BASE STAT TOTAL RANKING
+// ============================================
+
+// Sorted base stat totals and per-stat highest base stats of each stat table
+const tableSummaries = new WeakMap();
+
+const summarize = (table) => {
+  if (!tableSummaries.has(table)) {
+    const rows = table.pokemon;
+    tableSummaries.set(table, {
+      totals: rows
+        .map((row) => row.stats.reduce((sum, base) => sum + base, 0))
+        .sort((a, b) => a - b),
+      highest: STAT_KEYS.map((_, index) => Math.max(0, ...rows.map((row) => row.stats[index])))
+    });
+  }
+  return tableSummaries.get(table);
+};
+
+/**
+ * Percentile of a base stat total among every Pokemon, or null while the
+ * stat table is first being built
+ */
+const rankBaseStatTotal = async (total) => {
+  const table = await getStatTable();
+  return table ? percentileRank(total, summarize(table).totals) : null;
+};
+
+/**
+ * The highest base value of each stat among every Pokemon, in STAT_KEYS
+ * order (what the detail page scales its stat bars to), or null while the
+ * stat table is first being built
+ */
+export const getHighestBaseStats = async () => {
+  const table = await getStatTable();
+  return table ? summarize(table).highest : null;
+};
+
+// ============================================
+// NATURES
+// ============================================
+
+const formatNature = (nature, lang) => ({
+  name: nature.name,
+  displayName: pickLocalized(nature.names, lang)?.name || formatName(nature.name),
+  increased: nature.increased_stat?.name || null,
+  decreased: nature.decreased_stat?.name || null
+});
+
+/**
+ * Every nature with the stats it raises and lowers (null for neutral ones),
+ * by display name
+ */
+export const getNatures = async ({ lang = DEFAULT_LANGUAGE } = {}) => {
+  const entries = await pokemonRepository.getNatureList();
+  const natures = await Promise.all(
+    entries.map((entry) => pokemonRepository.getNature(entry.name))
+  );
+
+  return natures
+    .filter(Boolean)
+    .map((nature) => formatNature(nature, lang))
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+};
+
+// ============================================
+// STAT CALCULATOR
+// ============================================
+
+/**
+ * Final stats of a Pokemon at a level with a nature, IVs and EVs (in
+ * STAT_KEYS order), plus each stat's min/max at levels 50 and 100 and where
+ * its base stat total ranks. A neutral nature is used if none is given.
+ * Returns null if the Pokemon doesn't exist; an unknown nature is a
+ * ValidationError.
+ */
+export const calculateStats = async (
+  nameOrId,
+  {
+    level = 50,
+    nature: natureName,
+    ivs = STAT_KEYS.map(() => MAX_IV),
+    evs = STAT_KEYS.map(() => 0),
+    lang = DEFAULT_LANGUAGE
+  } = {}
+) => {
+  const [pokemon, natureData] = await Promise.all([
+    loadPokemonOrDefaultVariety(nameOrId),
+    natureName ? pokemonRepository.getNature(natureName) : null
+  ]);
+
+  if (!pokemon) {
+    return null;
+  }
+  if (natureName && !natureData) {
+    throw new ValidationError(`Unknown nature: ${natureName}`, { field: 'nature' });
+  }
+
+  const nature = natureData ? formatNature(natureData, lang) : null;
+  const bases = Object.fromEntries(pokemon.stats.map((s) => [s.stat.name, s.base_stat]));
+  const total = pokemon.stats.reduce((sum, s) => sum + s.base_stat, 0);
+  const percentile = await rankBaseStatTotal(total);
+
+  return {
+    pokemon: pokemon.name,
+    level,
+    nature,
+    stats: STAT_KEYS.map((stat, index) => {
+      const base = bases[stat] ?? 0;
+      const modifier = stat === 'hp' ? 1 : natureModifier(stat, nature);
+      return {
+        name: stat,
+        displayName: statName(stat, lang),
+        base,
+        iv: ivs[index],
+        ev: evs[index],
+        modifier,
+        value: calculateStat(stat, base, { level, iv: ivs[index], ev: evs[index], modifier }),
+        ranges: RANGE_LEVELS.map((rangeLevel) => statRange(stat, base, rangeLevel))
+      };
+    }),
+    baseStatTotal: total,
+    percentile
+  };
+};
@@ -0,0 +1,96 @@
+import * as pokemonRepository from '../repositories/pokemonRepository.js';
+import * as statTableRepository from '../repositories/statTableRepository.js';
+import { config } from '../config/index.js';
+import { toListEntry } from './formatters.js';
+import { STAT_KEYS } from './statCalculator.js';
+
+/**
+ * Base stats, height and weight of every Pokemon in one compact table
+ *
+ * Sorting the whole list by a stat and ranking base stat totals both need
+ * every Pokemon. Instead of loading them all through the response cache on
+ * demand, the table is built ahead of time (npm run stat-table) and saved
+ * in DATA_DIR. Without a saved table the first use builds one in the
+ * background.
+ */
+
+// Pokemon fetched at a time while building the table
+const BUILD_BATCH_SIZE = 20;
+
+let table = null; // { builtAt, pokemon: [{ id, name, height, weight, stats }] }
+let savedTable = null;
+let pendingBuild = null;
+
+/**
+ * One row of the table, with the base stats in STAT_KEYS order
+ */
+const toRow = (pokemon) => {
+  const bases = Object.fromEntries(pokemon.stats.map((s) => [s.stat.name, s.base_stat]));
+  return {
+    id: pokemon.id,
+    name: pokemon.name,
+    height: pokemon.height,
+    weight: pokemon.weight,
+    stats: STAT_KEYS.map((stat) => bases[stat] ?? 0)
+  };
+};
+
+const buildTable = async () => {
+  const entries = await pokemonRepository.getPokemonNameList();
+  const rows = [];
+
+  for (let i = 0; i < entries.length; i += BUILD_BATCH_SIZE) {
+    const batch = await Promise.all(
+      entries
+        .slice(i, i + BUILD_BATCH_SIZE)
+        .map((entry) => statTableRepository.fetchPokemon(toListEntry(entry).id))
+    );
+    rows.push(...batch.filter(Boolean).map(toRow));
+  }
+
+  return statTableRepository.saveStatTable({ builtAt: Date.now(), pokemon: rows });
+};
+
+/**
+ * Build the table from every Pokemon and save it. Resolves with the new
+ * table; a failed build leaves the previous one in place.
+ */
+export const refreshStatTable = () => {
+  if (!pendingBuild) {
+    pendingBuild = buildTable()
+      .then((built) => {
+        table = built;
+        return table;
+      })
+      .finally(() => {
+        pendingBuild = null;
+      });
+  }
+  return pendingBuild;
+};
+
+const isStale = ({ builtAt }) => Date.now() - builtAt > config.statTable.maxAge * 1000;
+
+/**
+ * The stat table, or null while the first one is being built. The saved
+ * table is read on first use; if there is none, or it's older than
+ * config.statTable.maxAge, a new one is built in the background.
+ */
+export const getStatTable = async () => {
+  if (!savedTable) {
+    savedTable = statTableRepository
+      .readStatTable()
+      .then((saved) => {
+        if (saved.builtAt !== null && !table) {
+          table = saved;
+        }
+      })
+      .catch(() => {});
+  }
+  await savedTable;
+
+  if (!table || isStale(table)) {
+    refreshStatTable().catch(() => {});
+  }
+  return table;
+};
@@ -0,0 +1,160 @@
+import * as teamRepository from '../repositories/teamRepository.js';
+import * as pokemonRepository from '../repositories/pokemonRepository.js';
+import * as pokemonService from './pokemonService.js';
+import { NON_BATTLE_TYPES, getDamageMultiplier } from './typeChart.js';
+import { ValidationError } from '../errors/index.js';
+import { name as resourceName } from '../validation/rules.js';
+
+// Largest team allowed in battle
+export const MAX_TEAM_SIZE = 6;
+
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Read members from an array or a comma separated string
+ */
+const parseMembers = (members) =>
+  (Array.isArray(members) ? members : String(members || '').split(','))
+    .map((member) => String(member).trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Validate team input and resolve every member to a real Pokemon.
+ * Returns the normalized team; throws a ValidationError on bad input.
+ */
+const validateTeam = async ({ name, members } = {}) => {
+  const teamName = typeof name === 'string' ? name.trim() : '';
+  if (!teamName || teamName.length > MAX_NAME_LENGTH) {
+    throw new ValidationError(
+      `name is required and must be at most ${MAX_NAME_LENGTH} characters`,
+      { field: 'name' }
+    );
+  }
+
+  const memberIds = parseMembers(members);
+  if (memberIds.length > MAX_TEAM_SIZE) {
+    throw new ValidationError(`A team can have at most ${MAX_TEAM_SIZE} members`, {
+      field: 'members'
+    });
+  }
+
+  // Members are looked up upstream by name, so they must be PokeAPI names
+  memberIds.forEach((member) => resourceName()(member, 'members'));
+
+  const resolved = await Promise.all(
+    memberIds.map((member) => pokemonService.getPokemonDetails(member))
+  );
+  const missing = memberIds.filter((_, index) => !resolved[index]);
+  if (missing.length > 0) {
+    throw new ValidationError(`Pokemon not found: ${missing.join(', ')}`, { field: 'members' });
+  }
+
+  return {
+    name: teamName,
+    members: resolved.map((pokemon) => ({ id: pokemon.id, name: pokemon.name }))
+  };
+};
+
+export const getAllTeams = () => teamRepository.getAllTeams();
+
+export const getTeam = (id) => teamRepository.getTeamById(id);
+
+/**
+ * Create a team. Throws a ValidationError on bad input.
+ */
+export const createTeam = async (input) => teamRepository.createTeam(await validateTeam(input));
+
+/**
+ * Replace a team's name and members. Returns null if the team doesn't
+ * exist; throws a ValidationError on bad input.
+ */
+export const updateTeam = async (id, input) =>
+  teamRepository.updateTeam(id, await validateTeam(input));
+
+export const deleteTeam = (id) => teamRepository.deleteTeam(id);
+
+// ============================================
+// TEAM ANALYSIS
+// ============================================
+
+/**
+ * How many members are weak to, resist or are immune to each attacking type
+ */
+const analyzeDefense = (members, attackingTypes, relations) =>
+  attackingTypes.map((type) => {
+    const multipliers = members.map((member) => getDamageMultiplier(type, member.types, relations));
+    const weak = multipliers.filter((m) => m > 1).length;
+    const resist = multipliers.filter((m) => m > 0 && m < 1).length;
+    const immune = multipliers.filter((m) => m === 0).length;
+
+    return { type, weak, resist, immune, net: weak - resist - immune };
+  });
+
+/**
+ * Which defending types at least one member hits super effectively with its own types
+ */
+const analyzeCoverage = (members, defendingTypes, relations) => {
+  const coverage = defendingTypes.map((type) => ({
+    type,
+    coveredBy: members
+      .filter((member) =>
+        member.types.some((own) => getDamageMultiplier(own, [type], relations) > 1)
+      )
+      .map((member) => member.name)
+  }));
+
+  return {
+    covered: coverage.filter((entry) => entry.coveredBy.length > 0),
+    uncovered: coverage.filter((entry) => entry.coveredBy.length === 0).map((e) => e.type)
+  };
+};
+
+/**
+ * Average of each base stat across the team
+ */
+const analyzeStats = (members) => {
+  if (members.length === 0) {
+    return { averages: [], averageTotal: 0 };
+  }
+
+  const averages = members[0].stats.map((stat, index) => ({
+    name: stat.name,
+    value: Math.round(
+      members.reduce((sum, member) => sum + (member.stats[index]?.value ?? 0), 0) / members.length
+    )
+  }));
+  const totals = members.map((member) => member.stats.reduce((sum, s) => sum + s.value, 0));
+
+  return {
+    averages,
+    averageTotal: Math.round(totals.reduce((sum, total) => sum + total, 0) / members.length)
+  };
+};
+
+/**
+ * Combined weaknesses/resistances, offensive coverage and stat averages
+ * (member names and stats in lang). Returns null if the team doesn't exist.
+ */
+export const analyzeTeam = async (id, { lang } = {}) => {
+  const team = await teamRepository.getTeamById(id);
+  if (!team) {
+    return null;
+  }
+
+  const [details, relations] = await Promise.all([
+    Promise.all(
+      team.members.map((member) => pokemonService.getPokemonDetails(member.id, { lang }))
+    ),
+    pokemonRepository.getTypeDamageRelations()
+  ]);
+  const members = details.filter(Boolean);
+  const battleTypes = Object.keys(relations).filter((type) => !NON_BATTLE_TYPES.includes(type));
+
+  return {
+    team,
+    members,
+    defense: analyzeDefense(members, battleTypes, relations),
+    coverage: analyzeCoverage(members, battleTypes, relations),
+    ...analyzeStats(members)
+  };
+};
@@ -0,0 +1,49 @@
+/**
+ * Type effectiveness calculations over PokeAPI damage_relations
+ *
+ * `relations` is the map returned by pokemonRepository.getTypeDamageRelations:
+ * { fire: { double_damage_from: [...], half_damage_from: [...], ... }, ... }
+ */
+
+// Types that never appear on a Pokemon in battle
+export const NON_BATTLE_TYPES = ['unknown', 'shadow', 'stellar'];
+
+// Chart buckets, strongest first
+export const MATCHUP_BUCKETS = ['4x', '2x', '1x', '0.5x', '0.25x', '0x'];
+
+/**
+ * Damage multiplier of an attacking type against one or two defending types
+ */
+export const getDamageMultiplier = (attackingType, defendingTypes, relations) =>
+  defendingTypes.reduce((multiplier, defendingType) => {
+    const relation = relations[defendingType];
+    const hits = (list) => list.some((t) => t.name === attackingType);
+
+    if (hits(relation.no_damage_from)) {
+      return 0;
+    }
+    if (hits(relation.double_damage_from)) {
+      return multiplier * 2;
+    }
+    if (hits(relation.half_damage_from)) {
+      return multiplier * 0.5;
+    }
+    return multiplier;
+  }, 1);
+
+/**
+ * Build a defensive chart from pre-loaded damage relations
+ */
+export const buildMatchupChart = (defendingTypes, relations) => {
+  const attackingTypes = Object.keys(relations).filter((t) => !NON_BATTLE_TYPES.includes(t));
+  const multipliers = Object.fromEntries(
+    attackingTypes.map((type) => [type, getDamageMultiplier(type, defendingTypes, relations)])
+  );
+
+  const chart = Object.fromEntries(MATCHUP_BUCKETS.map((bucket) => [bucket, []]));
+  Object.entries(multipliers).forEach(([type, multiplier]) => {
+    chart[`${multiplier}x`].push(type);
+  });
+
+  return { types: defendingTypes, multipliers, chart };
+};
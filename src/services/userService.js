@@ -0,0 +1,129 @@
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { config } from '../config/index.js';
+import * as userRepository from '../repositories/userRepository.js';
+import { ValidationError } from '../errors/index.js';
+
+const scryptAsync = promisify(scrypt);
+
+const USERNAME_PATTERN = /^[a-z0-9_-]{3,30}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const KEY_LENGTH = 64;
+
+// ============================================
+// PASSWORDS
+// ============================================
+
+/**
+ * Hash a password with scrypt and a random salt, as "scrypt:<salt>:<key>" (hex)
+ */
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+};
+
+/**
+ * Check a password against a hash from hashPassword, in constant time
+ */
+export const verifyPassword = async (password, stored) => {
+  const [scheme, salt, key] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !key) {
+    return false;
+  }
+
+  const expected = Buffer.from(key, 'hex');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+};
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+/**
+ * A user without the password hash
+ */
+const toPublicUser = ({ passwordHash: _hash, ...user }) => user;
+
+const normalizeUsername = (username) =>
+  typeof username === 'string' ? username.trim().toLowerCase() : '';
+
+/**
+ * Create an account. Throws a ValidationError on bad input or a taken username.
+ */
+export const signup = async ({ username, password } = {}) => {
+  const name = normalizeUsername(username);
+  if (!USERNAME_PATTERN.test(name)) {
+    throw new ValidationError('username must be 3-30 characters: letters, digits, "-" and "_"', {
+      field: 'username'
+    });
+  }
+
+  if (
+    typeof password !== 'string' ||
+    password.length < MIN_PASSWORD_LENGTH ||
+    password.length > MAX_PASSWORD_LENGTH
+  ) {
+    throw new ValidationError(
+      `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`,
+      { field: 'password' }
+    );
+  }
+
+  const user = await userRepository.createUser({
+    username: name,
+    passwordHash: await hashPassword(password)
+  });
+  if (!user) {
+    throw new ValidationError(`username is taken: ${name}`, { field: 'username' });
+  }
+
+  return toPublicUser(user);
+};
+
+/**
+ * The user with these credentials, or null
+ */
+export const login = async ({ username, password } = {}) => {
+  const user = await userRepository.getUserByUsername(normalizeUsername(username));
+  if (!user || typeof password !== 'string') {
+    return null;
+  }
+
+  return (await verifyPassword(password, user.passwordHash)) ? toPublicUser(user) : null;
+};
+
+// ============================================
+// SESSIONS
+// ============================================
+
+// Only a hash of each token is stored, so the users file can't be used to log in
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * Start a session for a user. Returns the token for the session cookie.
+ */
+export const createSession = async (userId) => {
+  const token = randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + config.auth.sessionTtl * 1000).toISOString();
+
+  await userRepository.createSession({ tokenHash: hashToken(token), userId, expiresAt });
+  return token;
+};
+
+/**
+ * The user a session token belongs to, or null if the session is unknown or expired
+ */
+export const getSessionUser = async (token) => {
+  if (!token) {
+    return null;
+  }
+
+  const session = await userRepository.getSession(hashToken(token));
+  const user = session && (await userRepository.getUserById(session.userId));
+  return user ? toPublicUser(user) : null;
+};
+
+export const logout = (token) => userRepository.deleteSession(hashToken(token));
@@ -0,0 +1,8 @@
+import { name } from './rules.js';
+
+/**
+ * Request schemas for the routes in routes/abilityRoutes.js
+ */
+
+// Shared by the view and API routes
+export const abilityDetails = { params: { name: name() } };
@@ -0,0 +1,10 @@
+import { COLLECTION_MARKS } from '../services/collectionService.js';
+import { name, oneOf } from './rules.js';
+
+/**
+ * Request schemas for the routes in routes/userRoutes.js
+ */
+
+export const collectionList = { query: { status: oneOf(COLLECTION_MARKS) } };
+
+export const collectionEntry = { params: { nameOrId: name() } };
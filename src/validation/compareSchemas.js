@@ -0,0 +1,9 @@
+import { nameSet } from './rules.js';
+import { MAX_COMPARE } from '../services/compareService.js';
+
+/**
+ * Request schemas for the routes in routes/compareRoutes.js
+ */
+
+// Shared by the view and API routes (the controllers check how many there are)
+export const comparison = { query: { ids: nameSet({ max: MAX_COMPARE }) } };
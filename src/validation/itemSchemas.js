@@ -0,0 +1,25 @@
+import { name } from './rules.js';
+import { cursor, limit, page } from './pokemonSchemas.js';
+
+/**
+ * Request schemas for the routes in routes/itemRoutes.js
+ */
+
+const category = name({ required: false });
+
+// ============================================
+// VIEW SCHEMAS
+// ============================================
+
+export const itemsPage = { query: { category, page } };
+
+// ============================================
+// API SCHEMAS
+// ============================================
+
+export const itemList = { query: { category, page, cursor, limit } };
+
+// Shared by the view and API routes
+export const itemDetails = { params: { name: name() } };
+
+export const berryDetails = { params: { name: name() } };
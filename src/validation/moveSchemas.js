@@ -0,0 +1,21 @@
+import { name, text } from './rules.js';
+import { cursor, limit, page } from './pokemonSchemas.js';
+
+/**
+ * Request schemas for the routes in routes/moveRoutes.js
+ */
+
+// ============================================
+// VIEW SCHEMAS
+// ============================================
+
+export const movesPage = { query: { q: text(), page } };
+
+// ============================================
+// API SCHEMAS
+// ============================================
+
+export const moveSearch = { query: { q: text(), page, cursor, limit } };
+
+// Shared by the view and API routes
+export const moveDetails = { params: { name: name() } };
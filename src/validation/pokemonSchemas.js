@@ -0,0 +1,129 @@
+import { config } from '../config/index.js';
+import { ValidationError } from '../errors/index.js';
+import { FILTER_SORT_FIELDS } from '../services/filterCriteria.js';
+import {
+  POKEDEX_ENTRY_FIELDS,
+  POKEMON_FIELDS,
+  SEARCH_RESULT_FIELDS
+} from '../services/fieldSelection.js';
+import { decodeCursor } from '../services/pagination.js';
+import { MAX_EV, MAX_IV, MAX_TOTAL_EVS, STAT_KEYS } from '../services/statCalculator.js';
+import { boolean, integer, integerList, name, nameList, oneOf, subsetOf, text } from './rules.js';
+
+/**
+ * Request schemas for the routes in routes/pokemonRoutes.js
+ */
+
+// Pagination rules, shared with the GraphQL resolvers
+export const page = integer({ min: 1, defaultValue: 1 });
+export const limit = integer({
+  min: 1,
+  max: config.pagination.maxLimit,
+  defaultValue: config.pagination.defaultLimit,
+  clamp: true
+});
+
+// List API endpoints return summaries unless "?full=true" asks for species data too
+const full = boolean({ defaultValue: false });
+
+// Opaque cursor from a previous page's nextCursor/prevCursor, decoded to its offset
+// (takes precedence over page)
+export const cursor = (value, field) => {
+  const raw = text({ maxLength: 200 })(value, field);
+  if (raw === undefined) {
+    return undefined;
+  }
+
+  const offset = decodeCursor(raw);
+  if (offset === null) {
+    throw new ValidationError(`${field} is not a valid cursor`, { field });
+  }
+  return offset;
+};
+
+// List order; the filter endpoint parses its own sort and order with the other criteria
+const sort = oneOf(FILTER_SORT_FIELDS);
+const order = oneOf(['asc', 'desc']);
+
+const fields = subsetOf(POKEMON_FIELDS);
+
+// Stat calculator input, on the detail page and its API route
+const statCalculator = {
+  level: integer({ min: 1, max: 100, defaultValue: 50 }),
+  nature: name({ required: false }),
+  ivs: integerList({
+    length: STAT_KEYS.length,
+    min: 0,
+    max: MAX_IV,
+    defaultValue: STAT_KEYS.map(() => MAX_IV)
+  }),
+  evs: integerList({
+    length: STAT_KEYS.length,
+    min: 0,
+    max: MAX_EV,
+    total: MAX_TOTAL_EVS,
+    defaultValue: STAT_KEYS.map(() => 0)
+  })
+};
+
+// ============================================
+// VIEW SCHEMAS
+// ============================================
+
+export const homePage = { query: { page, limit } };
+
+export const searchPage = { query: { q: text(), page } };
+
+export const typePage = { params: { type: name() }, query: { page } };
+
+export const generationPage = { params: { id: name() }, query: { page } };
+
+export const pokedexPage = { params: { name: name() }, query: { page } };
+
+// Filter criteria are checked by parseFilterCriteria, which names the bad field itself
+export const filterPage = { query: { page } };
+
+export const pokemonPage = {
+  params: { nameOrId: name() },
+  query: { version: name({ required: false }), ...statCalculator }
+};
+
+// ============================================
+// API SCHEMAS
+// ============================================
+
+export const pokemonList = { query: { page, cursor, limit, full, fields, sort, order } };
+
+export const pokemonSearch = {
+  query: { q: text(), page, cursor, limit, full, fields: subsetOf(SEARCH_RESULT_FIELDS) }
+};
+
+export const pokemonFilter = { query: { page, cursor, limit, full, fields } };
+
+export const pokemonDetails = { params: { nameOrId: name() }, query: { fields } };
+
+export const pokemonResource = { params: { nameOrId: name() } };
+
+export const pokemonStatCalculator = { params: { nameOrId: name() }, query: statCalculator };
+
+export const pokemonEncounters = {
+  params: { nameOrId: name() },
+  query: { version: name({ required: false }) }
+};
+
+export const typeList = {
+  params: { type: name() },
+  query: { page, cursor, limit, full, fields, sort, order }
+};
+
+export const typeMatchups = { params: { type: nameList({ max: 2 }) } };
+
+export const generationList = {
+  params: { id: name() },
+  query: { page, cursor, limit, full, fields }
+};
+
+export const pokedexList = {
+  params: { name: name() },
+  query: { page, cursor, limit, full, fields: subsetOf(POKEDEX_ENTRY_FIELDS) }
+};
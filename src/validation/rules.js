@@ -0,0 +1,203 @@
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Validation rules used by route schemas.
+ *
+ * A rule takes the raw value and the field name and returns the value to use
+ * (parsed, defaulted or clamped), or throws a ValidationError naming the field.
+ */
+
+// PokeAPI resource names: lowercase letters, digits and hyphens ("mr-mime", "25")
+const NAME_PATTERN = /^[a-z0-9-]+$/;
+const MAX_NAME_LENGTH = 50;
+
+const isMissing = (value) => value === undefined || value === '';
+
+/**
+ * Whole number in [min, max]. Values above max are clamped when clamp is set,
+ * rejected otherwise.
+ */
+export const integer =
+  ({ min = -Infinity, max = Infinity, defaultValue, clamp = false } = {}) =>
+  (value, field) => {
+    if (isMissing(value)) {
+      return defaultValue;
+    }
+
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw new ValidationError(`${field} must be a whole number`, { field });
+    }
+    if (number < min) {
+      throw new ValidationError(`${field} must be at least ${min}`, { field });
+    }
+    if (number > max) {
+      if (clamp) {
+        return max;
+      }
+      throw new ValidationError(`${field} must be at most ${max}`, { field });
+    }
+    return number;
+  };
+
+/**
+ * "true" or "false"
+ */
+export const boolean =
+  ({ defaultValue } = {}) =>
+  (value, field) => {
+    if (isMissing(value)) {
+      return defaultValue;
+    }
+    if (value !== 'true' && value !== 'false') {
+      throw new ValidationError(`${field} must be true or false`, { field });
+    }
+    return value === 'true';
+  };
+
+/**
+ * Free text, trimmed, up to maxLength characters
+ */
+export const text =
+  ({ maxLength = 100, required = false } = {}) =>
+  (value, field) => {
+    if (isMissing(value)) {
+      if (required) {
+        throw new ValidationError(`${field} is required`, { field });
+      }
+      return undefined;
+    }
+    if (typeof value !== 'string') {
+      throw new ValidationError(`${field} must be a single value`, { field });
+    }
+    if (value.length > maxLength) {
+      throw new ValidationError(`${field} must be at most ${maxLength} characters`, { field });
+    }
+    return value;
+  };
+
+/**
+ * A PokeAPI resource name or numeric id, lowercased
+ */
+export const name =
+  ({ required = true } = {}) =>
+  (value, field) => {
+    const raw = text({ maxLength: MAX_NAME_LENGTH, required })(value, field);
+    if (raw === undefined) {
+      return undefined;
+    }
+
+    const normalized = raw.trim().toLowerCase();
+    if (!NAME_PATTERN.test(normalized)) {
+      throw new ValidationError(`${field} may only contain letters, digits and hyphens`, {
+        field
+      });
+    }
+    return normalized;
+  };
+
+/**
+ * Up to max names joined by one of the separators ("fire,flying", "fire+flying").
+ * The raw value is kept; each part must be a valid name.
+ */
+export const nameList =
+  ({ max = Infinity, separator = /[,+]/ } = {}) =>
+  (value, field) => {
+    const raw = text({ maxLength: MAX_NAME_LENGTH * Math.min(max, 10), required: true })(
+      value,
+      field
+    );
+    const parts = raw.split(separator).filter(Boolean);
+
+    if (parts.length === 0 || parts.length > max) {
+      throw new ValidationError(`${field} must list between 1 and ${max} names`, { field });
+    }
+    parts.forEach((part) => name()(part, field));
+    return raw.toLowerCase();
+  };
+
+/**
+ * Comma separated names, possibly over repeated parameters ("?ids=a,b&ids=c"),
+ * lowercased and without duplicates. The joined value is capped at what max
+ * names can take; how many names are enough is left to the caller.
+ */
+export const nameSet =
+  ({ max }) =>
+  (value, field) => {
+    if (isMissing(value)) {
+      return [];
+    }
+
+    const raw = [value].flat().join(',');
+    const maxLength = (MAX_NAME_LENGTH + 1) * max;
+    if (raw.length > maxLength) {
+      throw new ValidationError(`${field} must be at most ${maxLength} characters`, { field });
+    }
+
+    const parts = raw.split(',').filter((part) => part.trim() !== '');
+    return [...new Set(parts.map((part) => name()(part, field)))];
+  };
+
+/**
+ * Exactly length whole numbers in [min, max], comma separated ("31,31,31")
+ * or as a repeated parameter. With total set, they may add up to at most that.
+ */
+export const integerList =
+  ({ length, min, max, total = Infinity, defaultValue }) =>
+  (value, field) => {
+    if (isMissing(value)) {
+      return defaultValue && [...defaultValue];
+    }
+
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    if (parts.length !== length) {
+      throw new ValidationError(`${field} must list ${length} numbers`, { field });
+    }
+
+    const numbers = parts.map((part) =>
+      typeof part === 'string' && part.trim() !== '' ? Number(part) : NaN
+    );
+    if (numbers.some((number) => !Number.isInteger(number) || number < min || number > max)) {
+      throw new ValidationError(`${field} must be whole numbers from ${min} to ${max}`, {
+        field
+      });
+    }
+    if (numbers.reduce((sum, number) => sum + number, 0) > total) {
+      throw new ValidationError(`${field} may add up to at most ${total}`, { field });
+    }
+    return numbers;
+  };
+
+/**
+ * One of a fixed set of values
+ */
+export const oneOf = (values) => (value, field) => {
+  const raw = text()(value, field);
+  if (raw === undefined) {
+    return undefined;
+  }
+  if (!values.includes(raw)) {
+    throw new ValidationError(`${field} must be one of: ${values.join(', ')}`, { field });
+  }
+  return raw;
+};
+
+/**
+ * Comma separated values from a fixed set ("name,types"), as an array
+ * without duplicates
+ */
+export const subsetOf = (values) => (value, field) => {
+  const raw = text({ maxLength: 500 })(value, field);
+  const parts = [...new Set((raw || '').split(',').map((part) => part.trim()))].filter(Boolean);
+  if (parts.length === 0) {
+    return undefined;
+  }
+
+  const unknown = parts.find((part) => !values.includes(part));
+  if (unknown) {
+    throw new ValidationError(`${field} may only list: ${values.join(', ')} (got "${unknown}")`, {
+      field
+    });
+  }
+  return parts;
+};
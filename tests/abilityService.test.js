@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+
+// Mock the repository
+const mockPokemonRepository = {
+  getAbility: jest.fn(),
+  getPokemonByAbility: jest.fn()
+};
+
+jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
+
+// Import after mocking
+const abilityService = await import('../src/services/abilityService.js');
+
+describe('Ability Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const entry = (name, id) => ({ name, url: `https://pokeapi.co/api/v2/pokemon/${id}/` });
+
+  describe('getAbilityDetails', () => {
+    it('should return formatted ability details', async () => {
+      mockPokemonRepository.getAbility.mockResolvedValue({
+        id: 9,
+        name: 'static',
+        generation: { name: 'generation-iii' },
+        effect_entries: [
+          { language: { name: 'de' }, effect: 'Kann bei Berührung paralysieren.' },
+          {
+            language: { name: 'en' },
+            effect: 'Paralyzes on contact 30% of the time.',
+            short_effect: 'Has a 30% chance of paralyzing attacking Pokemon on contact.'
+          }
+        ],
+        flavor_text_entries: [],
+        pokemon: [
+          { pokemon: entry('raichu', 26), is_hidden: true },
+          { pokemon: entry('pikachu', 25), is_hidden: false },
+          { pokemon: entry('electabuzz', 125), is_hidden: false }
+        ]
+      });
+
+      const result = await abilityService.getAbilityDetails('static');
+
+      expect(result).toMatchObject({
+        id: 9,
+        displayName: 'Static',
+        generation: 'Generation III',
+        effect: 'Paralyzes on contact 30% of the time.',
+        flavorText: null
+      });
+      expect(result.pokemon.normal.map((p) => p.name)).toEqual(['pikachu', 'electabuzz']);
+      expect(result.pokemon.hidden).toEqual([
+        {
+          name: 'raichu',
+          id: 26,
+          displayName: 'Raichu',
+          image: expect.stringContaining('/26.png'),
+          isHidden: true
+        }
+      ]);
+    });
+
+    it('should return null for non-existent abilities', async () => {
+      mockPokemonRepository.getAbility.mockResolvedValue(null);
+
+      expect(await abilityService.getAbilityDetails('nonexistent')).toBeNull();
+    });
+  });
+
+  describe('getPokemonByAbility', () => {
+    it('should split pokemon into normal and hidden', async () => {
+      mockPokemonRepository.getPokemonByAbility.mockResolvedValue([
+        { ...entry('pikachu', 25), isHidden: false },
+        { ...entry('raichu', 26), isHidden: true }
+      ]);
+
+      const result = await abilityService.getPokemonByAbility('Static');
+
+      expect(result.ability).toBe('static');
+      expect(result.totalCount).toBe(2);
+      expect(result.normal.map((p) => p.name)).toEqual(['pikachu']);
+      expect(result.hidden.map((p) => p.name)).toEqual(['raichu']);
+    });
+
+    it('should return null for non-existent abilities', async () => {
+      mockPokemonRepository.getPokemonByAbility.mockResolvedValue(null);
+
+      expect(await abilityService.getPokemonByAbility('nonexistent')).toBeNull();
+    });
+  });
+});
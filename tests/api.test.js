@@ -1,17 +1,113 @@
 import { jest } from '@jest/globals';
 import request from 'supertest';
+import {
+  RateLimitedError,
+  UpstreamUnavailableError,
+  ValidationError
+} from '../src/errors/index.js';
+import { encodeCursor } from '../src/services/pagination.js';
 
 // Mock the pokemon service
 const mockPokemonService = {
+  LEARN_METHODS: ['level-up', 'machine', 'egg', 'tutor', 'other'],
   getAllPokemon: jest.fn(),
+  getPokemonSummary: jest.fn(),
   getPokemonDetails: jest.fn(),
   searchPokemon: jest.fn(),
   getPokemonTypes: jest.fn(),
-  getPokemonByType: jest.fn()
+  getPokemonByType: jest.fn(),
+  getCacheStats: jest.fn(),
+  filterPokemon: jest.fn(),
+  getEvolutionChain: jest.fn(),
+  getTypeMatchups: jest.fn(),
+  getPokemonMoves: jest.fn(),
+  getPokemonForms: jest.fn(),
+  getPokemonEncounters: jest.fn(),
+  getGenerations: jest.fn(() => Promise.resolve([])),
+  getPokemonByGeneration: jest.fn(),
+  getPokedexes: jest.fn(() => Promise.resolve([])),
+  getPokemonByPokedex: jest.fn()
 };
 
 jest.unstable_mockModule('../src/services/pokemonService.js', () => mockPokemonService);
 
+// Mock the stat service (the detail page's calculator stays hidden unless a test fills it in)
+const mockStatService = {
+  calculateStats: jest.fn(() => Promise.resolve(null)),
+  getNatures: jest.fn(() => Promise.resolve([])),
+  getHighestBaseStats: jest.fn(() => Promise.resolve(null))
+};
+
+jest.unstable_mockModule('../src/services/statService.js', () => mockStatService);
+
+// Mock the compare service
+const mockCompareService = {
+  MAX_COMPARE: 4,
+  comparePokemon: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/compareService.js', () => mockCompareService);
+
+// Mock the team service
+const mockTeamService = {
+  MAX_TEAM_SIZE: 6,
+  getAllTeams: jest.fn(),
+  getTeam: jest.fn(),
+  createTeam: jest.fn(),
+  updateTeam: jest.fn(),
+  deleteTeam: jest.fn(),
+  analyzeTeam: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/teamService.js', () => mockTeamService);
+
+// Mock the move service
+const mockMoveService = {
+  getMoveDetails: jest.fn(),
+  searchMoves: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/moveService.js', () => mockMoveService);
+
+// Mock the ability service
+const mockAbilityService = {
+  getAbilityDetails: jest.fn(),
+  getPokemonByAbility: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/abilityService.js', () => mockAbilityService);
+
+// Mock the item service
+const mockItemService = {
+  getItems: jest.fn(),
+  getItemCategories: jest.fn(),
+  getItemDetails: jest.fn(),
+  getBerryDetails: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/itemService.js', () => mockItemService);
+
+// Mock the account and collection services (logged out unless a test says otherwise)
+const mockUserService = {
+  signup: jest.fn(),
+  login: jest.fn(),
+  logout: jest.fn(),
+  createSession: jest.fn(),
+  getSessionUser: jest.fn(() => Promise.resolve(null))
+};
+
+jest.unstable_mockModule('../src/services/userService.js', () => mockUserService);
+
+const mockCollectionService = {
+  COLLECTION_MARKS: ['favorite', 'seen', 'caught'],
+  getCollection: jest.fn(),
+  setMarks: jest.fn(),
+  removeFromCollection: jest.fn(),
+  getProgress: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/collectionService.js', () => mockCollectionService);
+
 // Import app after mocking
 const { default: app } = await import('../src/app.js');
 
@@ -56,7 +152,126 @@ describe('Pokemon API Endpoints', () => {
       const response = await request(app).get('/api/pokemon?page=2&limit=10');
 
       expect(response.status).toBe(200);
-      expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(2, 10);
+      expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(2, 10, { full: false, lang: 'en' });
+    });
+
+    it('should ask for full details with full=true', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({ pokemon: [], totalCount: 0 });
+
+      await request(app).get('/api/pokemon?full=true');
+
+      expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(1, 20, { full: true, lang: 'en' });
+    });
+
+    it('should clamp limit to the configured maximum', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({ pokemon: [], totalCount: 0 });
+
+      await request(app).get('/api/pokemon?limit=100000');
+
+      expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(1, 100, { full: false, lang: 'en' });
+    });
+
+    it.each([
+      ['page=0', 'page'],
+      ['page=-1', 'page'],
+      ['limit=abc', 'limit'],
+      ['full=yes', 'full']
+    ])('should return 400 naming the field for %s', async (query, field) => {
+      const response = await request(app).get(`/api/pokemon?${query}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatchObject({ code: 'VALIDATION_ERROR', details: { field } });
+      expect(mockPokemonService.getAllPokemon).not.toHaveBeenCalled();
+    });
+
+    it('should serve the same route under /api/v1', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({ pokemon: [], totalCount: 0 });
+
+      const response = await request(app).get('/api/v1/pokemon?page=2');
+
+      expect(response.status).toBe(200);
+      expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(2, 20, { full: false, lang: 'en' });
+    });
+
+    it('should decode a cursor into the offset to start at', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({ pokemon: [], totalCount: 0 });
+
+      await request(app).get(`/api/v1/pokemon?cursor=${encodeCursor(40)}&page=9`);
+
+      expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(9, 20, {
+        full: false,
+        offset: 40,
+        lang: 'en'
+      });
+    });
+
+    it('should link to the next and previous pages, keeping the other parameters', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({
+        pokemon: [],
+        totalCount: 100,
+        nextCursor: 'next123',
+        prevCursor: 'prev123'
+      });
+
+      const response = await request(app).get('/api/v1/pokemon?page=2&limit=10&sort=name');
+
+      expect(response.headers.link).toBe(
+        '</api/v1/pokemon?limit=10&sort=name&cursor=next123>; rel="next", ' +
+          '</api/v1/pokemon?limit=10&sort=name&cursor=prev123>; rel="prev"'
+      );
+      expect(response.body.data.nextCursor).toBe('next123');
+    });
+
+    it('should not send a Link header for a single page', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({
+        pokemon: [],
+        totalCount: 0,
+        nextCursor: null,
+        prevCursor: null
+      });
+
+      const response = await request(app).get('/api/pokemon');
+
+      expect(response.headers.link).toBeUndefined();
+    });
+
+    it('should return only the requested fields, loading species data when needed', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({
+        pokemon: [{ id: 25, name: 'pikachu', types: ['electric'], genus: 'Mouse Pokemon' }],
+        totalCount: 1
+      });
+
+      const response = await request(app).get('/api/pokemon?fields=name,genus');
+
+      expect(response.body.data.pokemon).toEqual([{ name: 'pikachu', genus: 'Mouse Pokemon' }]);
+      expect(response.body.data.totalCount).toBe(1);
+      expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(1, 20, { full: true, lang: 'en' });
+    });
+
+    it('should pass the sort field and order to the service', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({ pokemon: [], totalCount: 0 });
+
+      await request(app).get('/api/pokemon?sort=speed&order=desc');
+
+      expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(1, 20, {
+        full: false,
+        lang: 'en',
+        sort: 'speed',
+        order: 'desc'
+      });
+    });
+
+    it.each([
+      ['cursor=nope', 'cursor'],
+      ['fields=name,luck', 'fields'],
+      ['sort=luck', 'sort'],
+      ['order=up', 'order']
+    ])('should return 400 naming the field for %s', async (query, field) => {
+      const response = await request(app).get(`/api/v1/pokemon?${query}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual({ field });
+      expect(mockPokemonService.getAllPokemon).not.toHaveBeenCalled();
     });
 
     it('should return 500 on service error', async () => {
@@ -88,6 +303,19 @@ describe('Pokemon API Endpoints', () => {
       expect(response.body.data.name).toBe('pikachu');
     });
 
+    it('should return only the requested fields', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        id: 25,
+        name: 'pikachu',
+        types: ['electric'],
+        stats: []
+      });
+
+      const response = await request(app).get('/api/v1/pokemon/pikachu?fields=id,types');
+
+      expect(response.body.data).toEqual({ id: 25, types: ['electric'] });
+    });
+
     it('should return pokemon details by id', async () => {
       const mockPokemon = {
         id: 25,
@@ -121,6 +349,211 @@ describe('Pokemon API Endpoints', () => {
       expect(response.status).toBe(500);
       expect(response.body.success).toBe(false);
     });
+    it('should return 400 for a malformed name', async () => {
+      const response = await request(app).get('/api/pokemon/bad%20name!');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual({ field: 'nameOrId' });
+      expect(mockPokemonService.getPokemonDetails).not.toHaveBeenCalled();
+    });
+
+    it('should lowercase the name before looking it up', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({ id: 25, name: 'pikachu' });
+
+      await request(app).get('/api/pokemon/Pikachu');
+
+      expect(mockPokemonService.getPokemonDetails).toHaveBeenCalledWith('pikachu', { lang: 'en' });
+    });
+  });
+
+  describe('GET /api/pokemon/:nameOrId/evolutions', () => {
+    it('should return the evolution tree', async () => {
+      mockPokemonService.getEvolutionChain.mockResolvedValue({
+        id: 67,
+        species: 'eevee',
+        chain: {
+          id: 133,
+          name: 'eevee',
+          triggers: [],
+          evolvesTo: [
+            { id: 134, name: 'vaporeon', triggers: [], evolvesTo: [] },
+            { id: 135, name: 'jolteon', triggers: [], evolvesTo: [] }
+          ]
+        }
+      });
+
+      const response = await request(app).get('/api/pokemon/eevee/evolutions');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.chain.evolvesTo).toHaveLength(2);
+      expect(mockPokemonService.getEvolutionChain).toHaveBeenCalledWith('eevee', { lang: 'en' });
+    });
+
+    it('should return 404 for non-existent pokemon', async () => {
+      mockPokemonService.getEvolutionChain.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/pokemon/nonexistent/evolutions');
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should say when only the evolution chain is missing', async () => {
+      mockPokemonService.getEvolutionChain.mockResolvedValue(null);
+      mockPokemonService.getPokemonSummary.mockResolvedValueOnce({ id: 25, name: 'pikachu' });
+
+      const response = await request(app).get('/api/pokemon/pikachu/evolutions');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.message).toBe('Evolution chain not found: pikachu');
+      expect(response.body.error.details).toEqual({ resource: 'Evolution chain', id: 'pikachu' });
+    });
+  });
+
+  describe('GET /api/pokemon/:nameOrId/moves', () => {
+    it('should return the learnsets', async () => {
+      mockPokemonService.getPokemonMoves.mockResolvedValue({
+        pokemon: 'pikachu',
+        versionGroups: [{ name: 'red-blue', displayName: 'Red Blue' }],
+        learnsets: {
+          'red-blue': {
+            'level-up': [{ name: 'thunder-shock', displayName: 'Thunder Shock', level: 1 }],
+            machine: [],
+            egg: [],
+            tutor: [],
+            other: []
+          }
+        }
+      });
+
+      const response = await request(app).get('/api/pokemon/pikachu/moves');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.learnsets['red-blue']['level-up'][0].level).toBe(1);
+      expect(mockPokemonService.getPokemonMoves).toHaveBeenCalledWith('pikachu');
+    });
+
+    it('should return 404 for non-existent pokemon', async () => {
+      mockPokemonService.getPokemonMoves.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/pokemon/nonexistent/moves');
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/pokemon/:nameOrId/forms', () => {
+    it('should return the varieties', async () => {
+      mockPokemonService.getPokemonForms.mockResolvedValue({
+        species: 'raichu',
+        current: 'raichu',
+        varieties: [{ name: 'raichu', kind: 'default' }, { name: 'raichu-alola', kind: 'regional' }]
+      });
+
+      const response = await request(app).get('/api/pokemon/Raichu/forms?lang=fr');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.varieties).toHaveLength(2);
+      expect(mockPokemonService.getPokemonForms).toHaveBeenCalledWith('raichu', { lang: 'fr' });
+    });
+
+    it('should return 404 for non-existent pokemon', async () => {
+      mockPokemonService.getPokemonForms.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/pokemon/nonexistent/forms');
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/pokemon/:nameOrId/encounters', () => {
+    it('should return the encounters of the requested version', async () => {
+      mockPokemonService.getPokemonEncounters.mockResolvedValue({
+        pokemon: 'pikachu',
+        versions: [{ name: 'red', displayName: 'Red', locations: [] }]
+      });
+
+      const response = await request(app).get('/api/pokemon/Pikachu/encounters?version=Red');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.versions).toHaveLength(1);
+      expect(mockPokemonService.getPokemonEncounters).toHaveBeenCalledWith('pikachu', {
+        version: 'red'
+      });
+    });
+
+    it('should return 404 for non-existent pokemon', async () => {
+      mockPokemonService.getPokemonEncounters.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/pokemon/nonexistent/encounters');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/pokemon/:nameOrId/stats/calc', () => {
+    it('should calculate stats from the level, nature, IVs and EVs', async () => {
+      const stats = { pokemon: 'garchomp', level: 100, stats: [], percentile: null };
+      mockStatService.calculateStats.mockResolvedValueOnce(stats);
+
+      const response = await request(app).get(
+        '/api/pokemon/Garchomp/stats/calc?level=100&nature=Adamant&evs=0,252,0,0,4,252'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(stats);
+      expect(mockStatService.calculateStats).toHaveBeenCalledWith('garchomp', {
+        level: 100,
+        nature: 'adamant',
+        ivs: [31, 31, 31, 31, 31, 31],
+        evs: [0, 252, 0, 0, 4, 252],
+        lang: 'en'
+      });
+    });
+
+    it('should accept IVs and EVs as repeated parameters', async () => {
+      mockStatService.calculateStats.mockResolvedValueOnce({ pokemon: 'pikachu' });
+
+      await request(app).get(`/api/pokemon/pikachu/stats/calc?${'ivs=0&'.repeat(6)}`);
+
+      expect(mockStatService.calculateStats).toHaveBeenCalledWith(
+        'pikachu',
+        expect.objectContaining({ level: 50, ivs: [0, 0, 0, 0, 0, 0] })
+      );
+    });
+
+    it.each([
+      ['evs=252,252,252,0,0,0', 'evs may add up to at most 510'],
+      ['evs=0,0,0', 'evs must list 6 numbers'],
+      ['ivs=32,31,31,31,31,31', 'ivs must be whole numbers from 0 to 31'],
+      ['level=101', 'level']
+    ])('should reject %s', async (query, message) => {
+      const response = await request(app).get(`/api/pokemon/pikachu/stats/calc?${query}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.message).toContain(message);
+      expect(mockStatService.calculateStats).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent pokemon', async () => {
+      const response = await request(app).get('/api/pokemon/nonexistent/stats/calc');
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should list natures', async () => {
+      const natures = [
+        { name: 'adamant', displayName: 'Adamant', increased: 'attack', decreased: 'special-attack' }
+      ];
+      mockStatService.getNatures.mockResolvedValueOnce(natures);
+
+      const response = await request(app).get('/api/natures?lang=ja');
+
+      expect(response.body.data).toEqual(natures);
+      expect(mockStatService.getNatures).toHaveBeenCalledWith({ lang: 'ja' });
+    });
   });
 
   describe('GET /api/pokemon/search', () => {
@@ -136,7 +569,21 @@ describe('Pokemon API Endpoints', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data.pokemon).toHaveLength(1);
-      expect(mockPokemonService.searchPokemon).toHaveBeenCalledWith('pika');
+      expect(mockPokemonService.searchPokemon).toHaveBeenCalledWith('pika', 1, 20, { full: false, lang: 'en' });
+    });
+
+    it('should accept page and limit query params', async () => {
+      mockPokemonService.searchPokemon.mockResolvedValue({
+        pokemon: [],
+        totalCount: 30,
+        currentPage: 2,
+        totalPages: 3
+      });
+
+      const response = await request(app).get('/api/pokemon/search?q=char&page=2&limit=10');
+
+      expect(response.status).toBe(200);
+      expect(mockPokemonService.searchPokemon).toHaveBeenCalledWith('char', 2, 10, { full: false, lang: 'en' });
     });
 
     it('should return empty results for no matches', async () => {
@@ -163,6 +610,76 @@ describe('Pokemon API Endpoints', () => {
     });
   });
 
+  describe('GET /api/pokemon/filter', () => {
+    const mockData = {
+      pokemon: [{ id: 6, name: 'charizard', displayName: 'Charizard', types: ['fire', 'flying'] }],
+      totalCount: 1,
+      currentPage: 1,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false,
+      truncated: false
+    };
+
+    it('should pass parsed criteria to the service', async () => {
+      mockPokemonService.filterPokemon.mockResolvedValue(mockData);
+
+      const response = await request(app).get(
+        '/api/pokemon/filter?types=fire,flying&speed>=100&legendary=false&sort=speed&order=desc'
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.pokemon).toHaveLength(1);
+      expect(mockPokemonService.filterPokemon).toHaveBeenCalledWith(
+        expect.objectContaining({
+          types: ['fire', 'flying'],
+          typeMode: 'and',
+          stats: [{ stat: 'speed', operator: '>=', value: 100 }],
+          legendary: false,
+          sort: 'speed',
+          order: 'desc'
+        }),
+        1,
+        20,
+        { full: false, lang: 'en' }
+      );
+    });
+
+    it('should return 400 for an invalid stat filter', async () => {
+      const response = await request(app).get('/api/pokemon/filter?stats=luck>=5');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toMatchObject({
+        code: 'VALIDATION_ERROR',
+        details: { field: 'stats' }
+      });
+      expect(response.body.error.message).toContain('luck>=5');
+      expect(mockPokemonService.filterPokemon).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['generation', 'generation=../pokemon/1'],
+      ['ability', 'ability=..%2Fitem%2F1'],
+      ['types', 'types=fire,../move']
+    ])('should return 400 for a %s that is not a plain name', async (field, query) => {
+      const response = await request(app).get(`/api/pokemon/filter?${query}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatchObject({ code: 'VALIDATION_ERROR', details: { field } });
+      expect(mockPokemonService.filterPokemon).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for a non-existent type', async () => {
+      mockPokemonService.filterPokemon.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/pokemon/filter?types=cosmic');
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('GET /api/types', () => {
     it('should return all pokemon types', async () => {
       const mockTypes = [
@@ -189,6 +706,121 @@ describe('Pokemon API Endpoints', () => {
     });
   });
 
+  describe('GET /api/generations and /api/pokedexes', () => {
+    const page = {
+      totalCount: 1,
+      currentPage: 1,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false,
+      nextCursor: null,
+      prevCursor: null
+    };
+
+    it('should list the Pokemon of a generation', async () => {
+      mockPokemonService.getPokemonByGeneration.mockResolvedValue({
+        pokemon: [{ id: 25, name: 'pikachu' }],
+        generation: { id: 1, name: 'generation-i', displayName: 'Generation I', region: 'kanto' },
+        ...page
+      });
+
+      const response = await request(app).get('/api/generations/1?limit=5&full=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.generation.region).toBe('kanto');
+      expect(mockPokemonService.getPokemonByGeneration).toHaveBeenCalledWith('1', 1, 5, {
+        full: true,
+        offset: undefined,
+        lang: 'en'
+      });
+    });
+
+    it('should keep entry numbers when picking fields of a Pokedex', async () => {
+      mockPokemonService.getPokemonByPokedex.mockResolvedValue({
+        pokemon: [{ id: 906, name: 'sprigatito', types: ['grass'], entryNumber: 1 }],
+        pokedex: { id: 31, name: 'paldea', displayName: 'Paldea', region: 'paldea' },
+        ...page
+      });
+
+      const response = await request(app).get('/api/pokedexes/paldea?fields=name,entryNumber');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.pokemon).toEqual([{ name: 'sprigatito', entryNumber: 1 }]);
+    });
+
+    it('should return 404 for an unknown generation or Pokedex', async () => {
+      mockPokemonService.getPokemonByGeneration.mockResolvedValue(null);
+      mockPokemonService.getPokemonByPokedex.mockResolvedValue(null);
+
+      const generation = await request(app).get('/api/generations/99');
+      const pokedex = await request(app).get('/api/pokedexes/orre');
+
+      expect(generation.status).toBe(404);
+      expect(generation.body.error.details).toEqual({ resource: 'Generation', id: '99' });
+      expect(pokedex.status).toBe(404);
+    });
+
+    it('should list generations and Pokedexes', async () => {
+      mockPokemonService.getGenerations.mockResolvedValueOnce([
+        { id: 1, name: 'generation-i', displayName: 'Gen I' }
+      ]);
+      mockPokemonService.getPokedexes.mockResolvedValueOnce([
+        { id: 1, name: 'national', displayName: 'National' }
+      ]);
+
+      const generations = await request(app).get('/api/generations?lang=ja');
+      const pokedexes = await request(app).get('/api/pokedexes');
+
+      expect(generations.body.data).toHaveLength(1);
+      expect(mockPokemonService.getGenerations).toHaveBeenCalledWith({ lang: 'ja' });
+      expect(pokedexes.body.data[0].name).toBe('national');
+    });
+  });
+
+  describe('GET /api/types/:type/matchups', () => {
+    const mockMatchups = {
+      types: ['fire', 'flying'],
+      multipliers: { rock: 4, ground: 0 },
+      chart: { '4x': ['rock'], '2x': [], '1x': [], '0.5x': [], '0.25x': [], '0x': ['ground'] }
+    };
+
+    it('should return the chart for a single type', async () => {
+      mockPokemonService.getTypeMatchups.mockResolvedValue(mockMatchups);
+
+      const response = await request(app).get('/api/types/fire/matchups');
+
+      expect(response.status).toBe(200);
+      expect(mockPokemonService.getTypeMatchups).toHaveBeenCalledWith(['fire']);
+    });
+
+    it('should accept a dual type combination', async () => {
+      mockPokemonService.getTypeMatchups.mockResolvedValue(mockMatchups);
+
+      const response = await request(app).get('/api/types/fire,flying/matchups');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.chart['4x']).toEqual(['rock']);
+      expect(mockPokemonService.getTypeMatchups).toHaveBeenCalledWith(['fire', 'flying']);
+    });
+
+    it('should return 400 for more than two types', async () => {
+      const response = await request(app).get('/api/types/fire,water,grass/matchups');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details).toEqual({ field: 'type' });
+      expect(mockPokemonService.getTypeMatchups).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for non-existent type', async () => {
+      mockPokemonService.getTypeMatchups.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/types/cosmic/matchups');
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('GET /api/types/:type', () => {
     it('should return pokemon by type', async () => {
       const mockData = {
@@ -220,7 +852,7 @@ describe('Pokemon API Endpoints', () => {
       const response = await request(app).get('/api/types/water?page=2');
 
       expect(response.status).toBe(200);
-      expect(mockPokemonService.getPokemonByType).toHaveBeenCalledWith('water', 2);
+      expect(mockPokemonService.getPokemonByType).toHaveBeenCalledWith('water', 2, 20, { full: false, lang: 'en' });
     });
 
     it('should return 404 for non-existent type', async () => {
@@ -234,7 +866,769 @@ describe('Pokemon API Endpoints', () => {
   });
 });
 
-describe('View Endpoints', () => {
+describe('GET /api/cache/stats', () => {
+  it('should return cache hit/miss counters', async () => {
+    mockPokemonService.getCacheStats.mockResolvedValue({
+      enabled: true,
+      store: 'memory',
+      size: 3,
+      hits: 5,
+      misses: 3,
+      errors: 0,
+      hitRate: 0.625
+    });
+
+    const response = await request(app).get('/api/cache/stats');
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.hits).toBe(5);
+  });
+});
+
+describe('GET /api/compare', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should compare the requested pokemon', async () => {
+    mockCompareService.comparePokemon.mockResolvedValue({
+      pokemon: [{ name: 'pikachu' }, { name: 'raichu' }],
+      stats: [],
+      totals: [320, 485],
+      matchups: [],
+      abilities: { shared: ['Static'], unique: {} }
+    });
+
+    const response = await request(app).get('/api/compare?ids=Pikachu,raichu,pikachu');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.totals).toEqual([320, 485]);
+    expect(mockCompareService.comparePokemon).toHaveBeenCalledWith(['pikachu', 'raichu'], { lang: 'en' });
+  });
+
+  it('should return 400 for fewer than two or more than four pokemon', async () => {
+    const tooFew = await request(app).get('/api/compare?ids=pikachu');
+    const tooMany = await request(app).get('/api/compare?ids=1,2,3,4,5');
+
+    expect(tooFew.status).toBe(400);
+    expect(tooMany.status).toBe(400);
+    expect(mockCompareService.comparePokemon).not.toHaveBeenCalled();
+  });
+
+  it('should return 400 for ids that are not PokeAPI resource names', async () => {
+    const response = await request(app).get('/api/compare?ids=..%2Fberry%2F1,pikachu');
+    const page = await request(app).get('/compare?ids=..%2Fberry%2F1,pikachu');
+
+    expect(response.status).toBe(400);
+    expect(page.status).toBe(400);
+    expect(mockCompareService.comparePokemon).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 when a pokemon does not exist', async () => {
+    mockCompareService.comparePokemon.mockResolvedValue(null);
+
+    const response = await request(app).get('/api/compare?ids=pikachu,missingno');
+
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+});
+
+describe('Move API', () => {
+  const thunderbolt = {
+    id: 85,
+    name: 'thunderbolt',
+    displayName: 'Thunderbolt',
+    type: 'electric',
+    power: 90,
+    accuracy: 100,
+    pp: 15,
+    priority: 0,
+    damageClass: 'special',
+    generation: 'Generation I',
+    shortEffect: 'Has a 10% chance to paralyze the target.',
+    effect: 'Inflicts regular damage. Has a 10% chance to paralyze the target.',
+    flavorText: null,
+    learnedBy: [{ id: 25, name: 'pikachu', displayName: 'Pikachu' }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should search moves', async () => {
+    mockMoveService.searchMoves.mockResolvedValue({
+      moves: [{ id: 85, name: 'thunderbolt', displayName: 'Thunderbolt' }],
+      totalCount: 1,
+      currentPage: 1,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false
+    });
+
+    const response = await request(app).get('/api/moves?q=thunder&limit=5');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.moves).toHaveLength(1);
+    expect(mockMoveService.searchMoves).toHaveBeenCalledWith('thunder', 1, 5, {
+      offset: undefined
+    });
+  });
+
+  it('should cap the limit and reject invalid pages', async () => {
+    mockMoveService.searchMoves.mockResolvedValue({ moves: [], totalCount: 0 });
+
+    const capped = await request(app).get('/api/moves?q=thunder&limit=100000');
+    const negative = await request(app).get('/api/moves?q=thunder&page=-1');
+
+    expect(capped.status).toBe(200);
+    expect(mockMoveService.searchMoves).toHaveBeenCalledWith('thunder', 1, 100, {
+      offset: undefined
+    });
+    expect(negative.status).toBe(400);
+    expect(mockMoveService.searchMoves).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject names that are not PokeAPI resource names', async () => {
+    const details = await request(app).get('/api/moves/..%2Fitem%2F1');
+    const page = await request(app).get('/moves/..%2Fitem%2F1');
+
+    expect(details.status).toBe(400);
+    expect(page.status).toBe(400);
+    expect(mockMoveService.getMoveDetails).not.toHaveBeenCalled();
+  });
+
+  it('should return move details', async () => {
+    mockMoveService.getMoveDetails.mockResolvedValue(thunderbolt);
+
+    const response = await request(app).get('/api/moves/thunderbolt');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.power).toBe(90);
+    expect(mockMoveService.getMoveDetails).toHaveBeenCalledWith('thunderbolt');
+  });
+
+  it('should return 404 for a non-existent move', async () => {
+    mockMoveService.getMoveDetails.mockResolvedValue(null);
+
+    const response = await request(app).get('/api/moves/nonexistent');
+
+    expect(response.status).toBe(404);
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should render the move page', async () => {
+    mockMoveService.getMoveDetails.mockResolvedValue(thunderbolt);
+
+    const response = await request(app).get('/moves/thunderbolt');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Has a 10% chance to paralyze the target.');
+    expect(response.text).toContain('href="/pokemon/pikachu"');
+  });
+
+  it('should render the move search page', async () => {
+    mockMoveService.searchMoves.mockResolvedValue({
+      moves: [{ id: 85, name: 'thunderbolt', displayName: 'Thunderbolt' }],
+      totalCount: 1,
+      currentPage: 1,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: false
+    });
+
+    const response = await request(app).get('/moves?q=thunder');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('href="/moves/thunderbolt"');
+  });
+});
+
+describe('Ability API', () => {
+  const pikachu = { id: 25, name: 'pikachu', displayName: 'Pikachu', image: '25.png' };
+  const raichu = { id: 26, name: 'raichu', displayName: 'Raichu', image: '26.png' };
+  const staticAbility = {
+    id: 9,
+    name: 'static',
+    displayName: 'Static',
+    generation: 'Generation III',
+    effect: 'Whenever a move makes contact with this Pokemon, the move user has a 30% chance of being paralyzed.',
+    shortEffect: 'Has a 30% chance of paralyzing attacking Pokemon on contact.',
+    flavorText: null,
+    pokemon: { normal: [pikachu], hidden: [raichu] }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return ability details', async () => {
+    mockAbilityService.getAbilityDetails.mockResolvedValue(staticAbility);
+
+    const response = await request(app).get('/api/abilities/static');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.pokemon.hidden).toHaveLength(1);
+    expect(mockAbilityService.getAbilityDetails).toHaveBeenCalledWith('static');
+  });
+
+  it('should return pokemon with the ability', async () => {
+    mockAbilityService.getPokemonByAbility.mockResolvedValue({
+      ability: 'static',
+      totalCount: 2,
+      normal: [pikachu],
+      hidden: [raichu]
+    });
+
+    const response = await request(app).get('/api/abilities/static/pokemon');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.totalCount).toBe(2);
+  });
+
+  it('should return 404 for a non-existent ability', async () => {
+    mockAbilityService.getAbilityDetails.mockResolvedValue(null);
+    mockAbilityService.getPokemonByAbility.mockResolvedValue(null);
+
+    const details = await request(app).get('/api/abilities/nonexistent');
+    const pokemon = await request(app).get('/api/abilities/nonexistent/pokemon');
+
+    expect(details.status).toBe(404);
+    expect(pokemon.status).toBe(404);
+  });
+
+  it('should reject names that are not PokeAPI resource names', async () => {
+    const details = await request(app).get('/api/abilities/..%2Ftype%2Ffire');
+    const pokemon = await request(app).get('/api/abilities/..%2Ftype%2Ffire/pokemon');
+    const page = await request(app).get('/abilities/..%2Ftype%2Ffire');
+
+    expect(details.status).toBe(400);
+    expect(pokemon.status).toBe(400);
+    expect(page.status).toBe(400);
+    expect(mockAbilityService.getAbilityDetails).not.toHaveBeenCalled();
+    expect(mockAbilityService.getPokemonByAbility).not.toHaveBeenCalled();
+  });
+
+  it('should render the ability page', async () => {
+    mockAbilityService.getAbilityDetails.mockResolvedValue(staticAbility);
+
+    const response = await request(app).get('/abilities/static');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Generation III');
+    expect(response.text).toContain('Pokemon with this hidden ability');
+    expect(response.text).toContain('href="/pokemon/raichu"');
+  });
+
+  it('should render error page for a non-existent ability', async () => {
+    mockAbilityService.getAbilityDetails.mockResolvedValue(null);
+
+    const response = await request(app).get('/abilities/nonexistent');
+
+    expect(response.status).toBe(404);
+    expect(response.type).toBe('text/html');
+  });
+});
+
+describe('Item API', () => {
+  const potion = {
+    id: 17,
+    name: 'potion',
+    displayName: 'Potion',
+    sprite: 'potion.png',
+    cost: 200,
+    flingPower: 30,
+    flingEffect: null,
+    category: 'healing',
+    categoryName: 'Healing',
+    attributes: ['Countable', 'Consumable'],
+    effect: 'Restores 20 HP.',
+    shortEffect: 'Restores 20 HP.',
+    flavorText: 'A spray-type medicine.',
+    heldBy: [],
+    berry: null
+  };
+  const cheriBerry = {
+    ...potion,
+    id: 126,
+    name: 'cheri-berry',
+    displayName: 'Cheri Berry',
+    cost: 0,
+    category: 'medicine',
+    categoryName: 'Medicine',
+    heldBy: [
+      {
+        id: 25,
+        name: 'pikachu',
+        displayName: 'Pikachu',
+        image: '25.png',
+        versions: [
+          { version: 'red', versionName: 'Red', rarity: 5 },
+          { version: 'sun', versionName: 'Sun', rarity: 50 }
+        ]
+      }
+    ],
+    berry: 'cheri'
+  };
+  const cheri = {
+    id: 1,
+    name: 'cheri',
+    displayName: 'Cheri Berry',
+    growthTime: 3,
+    maxHarvest: 5,
+    naturalGiftPower: 60,
+    naturalGiftType: 'fire',
+    size: 20,
+    smoothness: 25,
+    soilDryness: 15,
+    firmness: 'Soft',
+    flavors: [{ name: 'spicy', potency: 10 }],
+    item: cheriBerry
+  };
+  const page = {
+    items: [{ id: 17, name: 'potion', displayName: 'Potion', sprite: 'potion.png' }],
+    category: { name: 'healing', displayName: 'Healing' },
+    totalCount: 30,
+    currentPage: 1,
+    totalPages: 2,
+    hasNextPage: true,
+    hasPrevPage: false
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockItemService.getItemCategories.mockResolvedValue([
+      { name: 'healing', displayName: 'Healing' },
+      { name: 'medicine', displayName: 'Medicine' }
+    ]);
+  });
+
+  it('should list items of a category', async () => {
+    mockItemService.getItems.mockResolvedValue(page);
+
+    const response = await request(app).get('/api/items?category=Healing&limit=5');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.items).toHaveLength(1);
+    expect(mockItemService.getItems).toHaveBeenCalledWith({
+      category: 'healing',
+      page: 1,
+      limit: 5
+    });
+  });
+
+  it('should page items with cursors and Link headers', async () => {
+    mockItemService.getItems.mockResolvedValue({
+      ...page,
+      hasNextPage: true,
+      nextCursor: 'eyJvZmZzZXQiOjI1fQ'
+    });
+
+    const response = await request(app).get('/api/v1/items?limit=5&cursor=eyJvZmZzZXQiOjIwfQ');
+
+    expect(response.status).toBe(200);
+    expect(mockItemService.getItems).toHaveBeenCalledWith(
+      expect.objectContaining({ limit: 5, offset: 20 })
+    );
+    expect(response.headers.link).toBe(
+      '</api/v1/items?limit=5&cursor=eyJvZmZzZXQiOjI1fQ>; rel="next"'
+    );
+  });
+
+  it('should list item categories', async () => {
+    const response = await request(app).get('/api/item-categories');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(2);
+  });
+
+  it('should return item and berry details in the requested language', async () => {
+    mockItemService.getItemDetails.mockResolvedValue(potion);
+    mockItemService.getBerryDetails.mockResolvedValue(cheri);
+
+    const item = await request(app).get('/api/items/potion?lang=ja');
+    const berry = await request(app).get('/api/berries/cheri');
+
+    expect(item.body.data.cost).toBe(200);
+    expect(mockItemService.getItemDetails).toHaveBeenCalledWith('potion', { lang: 'ja' });
+    expect(berry.body.data.item.name).toBe('cheri-berry');
+  });
+
+  it('should return 404 for an unknown item, berry or category', async () => {
+    mockItemService.getItems.mockResolvedValue(null);
+    mockItemService.getItemDetails.mockResolvedValue(null);
+    mockItemService.getBerryDetails.mockResolvedValue(null);
+
+    const list = await request(app).get('/api/items?category=plates');
+    const item = await request(app).get('/api/items/missingno');
+    const berry = await request(app).get('/api/berries/missingno');
+
+    expect(list.status).toBe(404);
+    expect(list.body.error.details).toEqual({ resource: 'Item category', id: 'plates' });
+    expect(item.status).toBe(404);
+    expect(berry.status).toBe(404);
+  });
+
+  it('should render the item catalog with the category filter', async () => {
+    mockItemService.getItems.mockResolvedValue(page);
+
+    const response = await request(app).get('/items?category=healing');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('30 item(s) in Healing');
+    expect(response.text).toContain('<option value="healing" selected>');
+    expect(response.text).toContain('href="/items/potion"');
+    expect(response.text).toContain('href="/items?category=healing&amp;page=2"');
+  });
+
+  it('should render the item page with its holders and berry link', async () => {
+    mockItemService.getItemDetails.mockResolvedValue(cheriBerry);
+
+    const response = await request(app).get('/items/cheri-berry');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Not sold');
+    expect(response.text).toContain('href="/pokemon/pikachu"');
+    expect(response.text).toContain('50%');
+    expect(response.text).toContain('href="/berries/cheri"');
+  });
+
+  it('should render the berry page', async () => {
+    mockItemService.getBerryDetails.mockResolvedValue(cheri);
+
+    const response = await request(app).get('/berries/cheri');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('3 h per stage');
+    expect(response.text).toContain('Spicy 10');
+    expect(response.text).toContain('href="/items/cheri-berry"');
+  });
+
+  it('should render error page for an unknown item', async () => {
+    mockItemService.getItemDetails.mockResolvedValue(null);
+
+    const response = await request(app).get('/items/missingno');
+
+    expect(response.status).toBe(404);
+    expect(response.type).toBe('text/html');
+  });
+});
+
+describe('Team API', () => {
+  const team = { id: 'team-1', name: 'Starters', members: [{ id: 25, name: 'pikachu' }] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('GET /api/teams should list teams', async () => {
+    mockTeamService.getAllTeams.mockResolvedValue([team]);
+
+    const response = await request(app).get('/api/teams');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveLength(1);
+  });
+
+  it('POST /api/teams should create a team', async () => {
+    mockTeamService.createTeam.mockResolvedValue(team);
+
+    const response = await request(app)
+      .post('/api/teams')
+      .send({ name: 'Starters', members: ['pikachu'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.id).toBe('team-1');
+    expect(mockTeamService.createTeam).toHaveBeenCalledWith({
+      name: 'Starters',
+      members: ['pikachu']
+    });
+  });
+
+  it('POST /api/teams should return 400 for invalid input', async () => {
+    mockTeamService.createTeam.mockRejectedValue(
+      new ValidationError('Pokemon not found: missingno', { field: 'members' })
+    );
+
+    const response = await request(app).post('/api/teams').send({ name: 'x', members: ['?'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toEqual({
+      code: 'VALIDATION_ERROR',
+      message: 'Pokemon not found: missingno',
+      details: { field: 'members' }
+    });
+  });
+
+  it('GET /api/teams/:id should return 404 for a missing team', async () => {
+    mockTeamService.getTeam.mockResolvedValue(null);
+
+    const response = await request(app).get('/api/teams/missing');
+
+    expect(response.status).toBe(404);
+  });
+
+  it('PUT /api/teams/:id should update a team', async () => {
+    mockTeamService.updateTeam.mockResolvedValue({ ...team, name: 'Renamed' });
+
+    const response = await request(app).put('/api/teams/team-1').send({ name: 'Renamed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.name).toBe('Renamed');
+  });
+
+  it('DELETE /api/teams/:id should delete a team', async () => {
+    mockTeamService.deleteTeam.mockResolvedValue(true);
+
+    const response = await request(app).delete('/api/teams/team-1');
+
+    expect(response.status).toBe(204);
+  });
+
+  it('GET /api/teams/:id/analysis should return the analysis', async () => {
+    mockTeamService.analyzeTeam.mockResolvedValue({
+      team,
+      members: [],
+      defense: [],
+      coverage: { covered: [], uncovered: [] },
+      averages: [],
+      averageTotal: 0
+    });
+
+    const response = await request(app).get('/api/teams/team-1/analysis');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.coverage).toBeDefined();
+  });
+});
+
+describe('Accounts and collection', () => {
+  const user = {
+    id: 'user-1',
+    username: 'ash',
+    collection: { 25: { id: 25, name: 'pikachu', favorite: true, seen: true, caught: true } }
+  };
+  const pikachu = { id: 25, name: 'pikachu', displayName: 'Pikachu', types: ['electric'] };
+
+  // The next request comes from a logged in user
+  const loggedIn = () => mockUserService.getSessionUser.mockResolvedValueOnce(user);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUserService.createSession.mockResolvedValue('token-1');
+  });
+
+  describe('signup and login', () => {
+    it('should render the signup and login forms', async () => {
+      const signup = await request(app).get('/signup');
+      const login = await request(app).get('/login?next=/progress');
+
+      expect(signup.text).toContain('action="/signup"');
+      expect(login.text).toContain('name="next" value="/progress"');
+    });
+
+    it('should sign up, set the session cookie and go to the progress page', async () => {
+      mockUserService.signup.mockResolvedValue({ id: 'user-1', username: 'ash' });
+
+      const response = await request(app)
+        .post('/signup')
+        .type('form')
+        .send({ username: 'ash', password: 'pikachu123' });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/progress');
+      expect(response.headers['set-cookie'][0]).toMatch(/^sid=token-1;.*HttpOnly; SameSite=Lax/);
+      expect(mockUserService.createSession).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should show the signup form again on invalid input', async () => {
+      mockUserService.signup.mockRejectedValue(
+        new ValidationError('username is taken: ash', { field: 'username' })
+      );
+
+      const response = await request(app)
+        .post('/signup')
+        .type('form')
+        .send({ username: 'ash', password: 'pikachu123' });
+
+      expect(response.status).toBe(400);
+      expect(response.text).toContain('username is taken: ash');
+      expect(response.text).toContain('value="ash"');
+    });
+
+    it('should log in and go back to a local page only', async () => {
+      mockUserService.login.mockResolvedValue({ id: 'user-1', username: 'ash' });
+
+      const local = await request(app)
+        .post('/login')
+        .type('form')
+        .send({ username: 'ash', password: 'pikachu123', next: '/pokemon/pikachu' });
+      const offsite = await request(app)
+        .post('/login')
+        .type('form')
+        .send({ username: 'ash', password: 'pikachu123', next: '//evil.example' });
+
+      expect(local.headers.location).toBe('/pokemon/pikachu');
+      expect(offsite.headers.location).toBe('/progress');
+    });
+
+    it('should return 401 for wrong credentials', async () => {
+      mockUserService.login.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/login')
+        .type('form')
+        .send({ username: 'ash', password: 'nope' });
+
+      expect(response.status).toBe(401);
+      expect(response.text).toContain('Wrong username or password');
+      expect(mockUserService.createSession).not.toHaveBeenCalled();
+    });
+
+    it('should log out and clear the cookie', async () => {
+      const response = await request(app).post('/logout').set('Cookie', 'sid=token-1');
+
+      expect(response.status).toBe(302);
+      expect(mockUserService.logout).toHaveBeenCalledWith('token-1');
+      expect(response.headers['set-cookie'][0]).toMatch(/^sid=;/);
+    });
+
+    it('should show the logged in user in the header', async () => {
+      mockCollectionService.getProgress.mockResolvedValue({
+        total: 1025,
+        counts: { favorite: 1, seen: 1, caught: 1 },
+        favorite: [pikachu],
+        // Cards built from collection entries have no types
+        caught: [{ id: 25, name: 'pikachu', displayName: 'Pikachu', image: 'art.png', types: [] }],
+        seen: []
+      });
+      loggedIn();
+
+      const response = await request(app).get('/progress').set('Cookie', 'sid=token-1');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('action="/logout"');
+      expect(response.text).toContain('1 / 1025');
+      expect(response.text).toContain('class="pokemon-card"');
+      expect(mockUserService.getSessionUser).toHaveBeenCalledWith('token-1');
+      expect(mockCollectionService.getProgress).toHaveBeenCalledWith(user, { lang: 'en' });
+    });
+  });
+
+  describe('marks', () => {
+    it('should send logged out users to the login page', async () => {
+      const response = await request(app).get('/progress');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/login?next=%2Fprogress');
+    });
+
+    it('should show the marks on cards, pressed for marked Pokemon', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({
+        pokemon: [pikachu],
+        totalCount: 1,
+        currentPage: 1,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPrevPage: false
+      });
+      mockPokemonService.getPokemonTypes.mockResolvedValue([]);
+      loggedIn();
+
+      const response = await request(app).get('/?page=1');
+
+      expect(response.text).toContain('action="/collection/pikachu"');
+      expect(response.text).toContain('name="caught" value="false"');
+      expect(response.text).toContain('name="next" value="/?page=1"');
+      expect(response.text).toContain('aria-pressed="true"');
+    });
+
+    it('should set a mark from a card and go back', async () => {
+      mockCollectionService.setMarks.mockResolvedValue({ id: 25, name: 'pikachu', caught: true });
+      loggedIn();
+
+      const response = await request(app)
+        .post('/collection/Pikachu')
+        .type('form')
+        .send({ caught: 'true', next: '/?page=2' });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/?page=2');
+      expect(mockCollectionService.setMarks).toHaveBeenCalledWith(user, 'pikachu', {
+        caught: 'true',
+        next: '/?page=2'
+      });
+    });
+  });
+
+  describe('/api/me/collection', () => {
+    it('should return 401 without a session', async () => {
+      const response = await request(app).get('/api/me/collection');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+      expect(mockCollectionService.getCollection).not.toHaveBeenCalled();
+    });
+
+    it('GET should return the collection', async () => {
+      mockCollectionService.getCollection.mockReturnValue({
+        counts: { favorite: 1, seen: 1, caught: 1 },
+        entries: [user.collection[25]]
+      });
+      loggedIn();
+
+      const response = await request(app).get('/api/me/collection?status=caught');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(mockCollectionService.getCollection).toHaveBeenCalledWith(user, { status: 'caught' });
+    });
+
+    it('GET should reject an unknown status', async () => {
+      loggedIn();
+
+      const response = await request(app).get('/api/me/collection?status=traded');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('PATCH should set marks', async () => {
+      mockCollectionService.setMarks.mockResolvedValue(user.collection[25]);
+      loggedIn();
+
+      const response = await request(app).patch('/api/me/collection/25').send({ caught: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.caught).toBe(true);
+      expect(mockCollectionService.setMarks).toHaveBeenCalledWith(user, '25', { caught: true });
+    });
+
+    it('PATCH should return 404 for non-existent pokemon', async () => {
+      mockCollectionService.setMarks.mockResolvedValue(null);
+      loggedIn();
+
+      const response = await request(app).patch('/api/me/collection/missingno').send({ seen: true });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('DELETE should remove an entry, or 404 if it is not there', async () => {
+      mockCollectionService.removeFromCollection.mockResolvedValueOnce(true);
+      mockCollectionService.removeFromCollection.mockResolvedValueOnce(false);
+
+      loggedIn();
+      const removed = await request(app).delete('/api/me/collection/pikachu');
+      loggedIn();
+      const missing = await request(app).delete('/api/me/collection/pikachu');
+
+      expect(removed.status).toBe(204);
+      expect(missing.status).toBe(404);
+    });
+  });
+});
+
+describe('View Endpoints', () => {
   beforeEach(() => {
     jest.clearAllMocks();
   });
@@ -249,32 +1643,383 @@ describe('View Endpoints', () => {
         hasNextPage: true,
         hasPrevPage: false
       });
-      mockPokemonService.getPokemonTypes.mockResolvedValue([{ name: 'fire', displayName: 'Fire' }]);
+      mockPokemonService.getPokemonTypes.mockResolvedValue([{ name: 'fire', displayName: 'Fire' }]);
+
+      const response = await request(app).get('/');
+
+      expect(response.status).toBe(200);
+      expect(response.type).toBe('text/html');
+    });
+  });
+
+  describe('GET /pokemon/:nameOrId', () => {
+    // Species fields the detail page always gets from the service
+    const species = {
+      flavorTexts: [],
+      eggGroups: [],
+      genderRatio: null,
+      hatchSteps: null,
+      growthRate: null,
+      habitat: null,
+      shape: null,
+      generation: null,
+      isLegendary: false,
+      isMythical: false,
+      isBaby: false
+    };
+
+    it('should render pokemon detail page', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 25,
+        name: 'pikachu',
+        displayName: 'Pikachu',
+        types: ['electric'],
+        stats: [],
+        abilities: [],
+        description: 'Test',
+        genus: 'Mouse Pokemon'
+      });
 
-      const response = await request(app).get('/');
+      const response = await request(app).get('/pokemon/pikachu');
 
       expect(response.status).toBe(200);
       expect(response.type).toBe('text/html');
     });
-  });
 
-  describe('GET /pokemon/:nameOrId', () => {
-    it('should render pokemon detail page', async () => {
+    it('should link ability badges to the ability page', async () => {
       mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
         id: 25,
         name: 'pikachu',
         displayName: 'Pikachu',
         types: ['electric'],
         stats: [],
-        abilities: [],
-        description: 'Test',
-        genus: 'Mouse Pokemon'
+        abilities: [{ name: 'Lightning Rod', slug: 'lightning-rod', isHidden: true }]
       });
 
       const response = await request(app).get('/pokemon/pikachu');
 
+      expect(response.text).toContain('href="/abilities/lightning-rod"');
+    });
+
+    it('should render the evolution section', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 1,
+        name: 'bulbasaur',
+        displayName: 'Bulbasaur',
+        types: ['grass'],
+        stats: [],
+        abilities: []
+      });
+      mockPokemonService.getEvolutionChain.mockResolvedValue({
+        id: 1,
+        species: 'bulbasaur',
+        chain: {
+          id: 1,
+          name: 'bulbasaur',
+          displayName: 'Bulbasaur',
+          image: 'bulbasaur.png',
+          triggers: [],
+          evolvesTo: [
+            {
+              id: 2,
+              name: 'ivysaur',
+              displayName: 'Ivysaur',
+              image: 'ivysaur.png',
+              triggers: [{ trigger: 'level-up', conditions: { minLevel: 16 }, description: 'Level 16' }],
+              evolvesTo: []
+            }
+          ]
+        }
+      });
+
+      const response = await request(app).get('/pokemon/bulbasaur');
+
       expect(response.status).toBe(200);
-      expect(response.type).toBe('text/html');
+      expect(response.text).toContain('Ivysaur');
+      expect(response.text).toContain('Level 16');
+    });
+
+    it('should render the type matchup chart', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 6,
+        name: 'charizard',
+        displayName: 'Charizard',
+        types: ['fire', 'flying'],
+        stats: [],
+        abilities: []
+      });
+      mockPokemonService.getTypeMatchups.mockResolvedValue({
+        types: ['fire', 'flying'],
+        multipliers: {},
+        chart: { '4x': ['rock'], '2x': [], '1x': [], '0.5x': [], '0.25x': [], '0x': ['ground'] }
+      });
+
+      const response = await request(app).get('/pokemon/charizard');
+
+      expect(response.status).toBe(200);
+      expect(mockPokemonService.getTypeMatchups).toHaveBeenCalledWith(['fire', 'flying']);
+      expect(response.text).toContain('Damage Taken');
+    });
+
+    it('should render the learnset of the selected version group', async () => {
+      const learnset = (name) => ({
+        'level-up': [{ name, displayName: name, level: 1 }],
+        machine: [],
+        egg: [],
+        tutor: [],
+        other: []
+      });
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 25,
+        name: 'pikachu',
+        displayName: 'Pikachu',
+        types: ['electric'],
+        stats: [],
+        abilities: []
+      });
+      mockPokemonService.getPokemonMoves.mockResolvedValue({
+        pokemon: 'pikachu',
+        versionGroups: [
+          { name: 'red-blue', displayName: 'Red Blue' },
+          { name: 'scarlet-violet', displayName: 'Scarlet Violet' }
+        ],
+        learnsets: { 'red-blue': learnset('thunder-shock'), 'scarlet-violet': learnset('nuzzle') }
+      });
+
+      const latest = await request(app).get('/pokemon/pikachu');
+      const selected = await request(app).get('/pokemon/pikachu?version=red-blue');
+
+      expect(latest.text).toContain('href="/moves/nuzzle"');
+      expect(selected.text).toContain('href="/moves/thunder-shock"');
+      expect(selected.text).not.toContain('href="/moves/nuzzle"');
+    });
+
+    it('should render where to find it, newest version shown first', async () => {
+      const walk = (minLevel, maxLevel, conditions = []) => ({
+        method: 'walk',
+        methodName: 'Walk',
+        minLevel,
+        maxLevel,
+        chance: 10,
+        conditions
+      });
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 25,
+        name: 'pikachu',
+        displayName: 'Pikachu',
+        types: ['electric'],
+        stats: [],
+        abilities: []
+      });
+      mockPokemonService.getPokemonEncounters.mockResolvedValueOnce({
+        pokemon: 'pikachu',
+        versions: [
+          {
+            name: 'red',
+            displayName: 'Red',
+            locations: [
+              { name: 'power-plant-area', displayName: 'Power Plant Area', encounters: [walk(22, 24)] }
+            ]
+          },
+          {
+            name: 'yellow',
+            displayName: 'Yellow',
+            locations: [
+              {
+                name: 'viridian-forest-area',
+                displayName: 'Viridian Forest Area',
+                encounters: [walk(3, 3, ['Time Night'])]
+              }
+            ]
+          }
+        ]
+      });
+
+      const response = await request(app).get('/pokemon/pikachu');
+
+      expect(mockPokemonService.getPokemonEncounters).toHaveBeenCalledWith('pikachu');
+      expect(response.text).toContain('Where to find');
+      expect(response.text).toContain('<option value="yellow" selected>');
+      expect(response.text).toContain('data-version="red" hidden');
+      expect(response.text).toContain('Lv. 22-24');
+      expect(response.text).toContain('Lv. 3');
+      expect(response.text).toContain('Time Night');
+    });
+
+    it('should say when a Pokemon is not found in the wild', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 151,
+        name: 'mew',
+        displayName: 'Mew',
+        types: ['psychic'],
+        stats: [],
+        abilities: []
+      });
+      mockPokemonService.getPokemonEncounters.mockResolvedValueOnce({ pokemon: 'mew', versions: [] });
+
+      const response = await request(app).get('/pokemon/mew');
+
+      expect(response.text).toContain('Not found in the wild in any game');
+    });
+
+    it('should render the stat calculator with the requested inputs', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 445,
+        name: 'garchomp',
+        displayName: 'Garchomp',
+        types: ['dragon', 'ground'],
+        stats: [],
+        abilities: []
+      });
+      mockStatService.getNatures.mockResolvedValueOnce([
+        { name: 'adamant', displayName: 'Adamant', increased: 'attack', decreased: 'special-attack' },
+        { name: 'hardy', displayName: 'Hardy', increased: null, decreased: null }
+      ]);
+      mockStatService.calculateStats.mockResolvedValueOnce({
+        pokemon: 'garchomp',
+        level: 100,
+        nature: { name: 'adamant', displayName: 'Adamant' },
+        stats: [
+          {
+            name: 'attack',
+            displayName: 'Attack',
+            base: 130,
+            iv: 31,
+            ev: 252,
+            modifier: 1.1,
+            value: 394,
+            ranges: [
+              { level: 50, min: 121, max: 200 },
+              { level: 100, min: 238, max: 394 }
+            ]
+          }
+        ],
+        baseStatTotal: 600,
+        percentile: 95.2
+      });
+
+      const response = await request(app).get('/pokemon/garchomp?level=100&nature=adamant');
+
+      expect(mockStatService.calculateStats).toHaveBeenCalledWith(
+        'garchomp',
+        expect.objectContaining({ level: 100, nature: 'adamant' })
+      );
+      expect(response.text).toContain('Stat Calculator');
+      expect(response.text).toContain('<option value="adamant" selected>');
+      expect(response.text).toContain('name="evs" min="0" max="252" value="252"');
+      expect(response.text).toContain('class="stat-raised"><strong>394</strong>');
+      expect(response.text).toContain('238–394');
+      expect(response.text).toContain('Higher than or equal to 95.2% of all Pokemon.');
+    });
+
+    it('should scale stat bars to the highest base of each stat', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 25,
+        name: 'pikachu',
+        displayName: 'Pikachu',
+        types: ['electric'],
+        stats: [
+          { name: 'HP', value: 35 },
+          { name: 'Attack', value: 55 }
+        ],
+        abilities: []
+      });
+
+      const before = await request(app).get('/pokemon/pikachu');
+      mockStatService.getHighestBaseStats.mockResolvedValueOnce([255, 110]);
+      const after = await request(app).get('/pokemon/pikachu');
+
+      // 255 until the stat table is built
+      expect(before.text).toContain(`data-width="${(55 / 255) * 100}"`);
+      expect(after.text).toContain('data-width="50"');
+    });
+
+    it('should report invalid calculator input', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 25,
+        name: 'pikachu',
+        displayName: 'Pikachu',
+        types: ['electric'],
+        stats: [],
+        abilities: []
+      });
+
+      const response = await request(app).get('/pokemon/pikachu?evs=300,0,0,0,0,0');
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should render a switcher between the varieties', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 10100,
+        name: 'raichu-alola',
+        displayName: 'Raichu Alola',
+        types: ['electric', 'psychic'],
+        stats: [],
+        abilities: []
+      });
+      mockPokemonService.getPokemonForms.mockResolvedValue({
+        species: 'raichu',
+        current: 'raichu-alola',
+        varieties: [
+          { name: 'raichu', displayName: 'Raichu', formName: null, sprite: 'r.png', forms: [] },
+          {
+            name: 'raichu-alola',
+            displayName: 'Raichu Alola',
+            formName: 'Alola Form',
+            sprite: 'a.png',
+            forms: []
+          }
+        ]
+      });
+
+      const response = await request(app).get('/pokemon/raichu-alola');
+
+      expect(response.text).toContain('href="/pokemon/raichu" class="form-option "');
+      expect(response.text).toContain('href="/pokemon/raichu-alola" class="form-option active"');
+      expect(response.text).toContain('Alola Form');
+      expect(mockPokemonService.getPokemonForms).toHaveBeenCalledWith('raichu-alola', {
+        lang: 'en'
+      });
+    });
+
+    it('should render the species tabs with one Pokedex entry per version', async () => {
+      mockPokemonService.getPokemonDetails.mockResolvedValue({
+        ...species,
+        id: 25,
+        name: 'pikachu',
+        displayName: 'Pikachu',
+        types: ['electric'],
+        stats: [],
+        abilities: [],
+        flavorTexts: [
+          { version: 'red', versionName: 'Red', text: 'Stores electricity.' },
+          { version: 'x', versionName: 'X', text: 'Raises its tail.' }
+        ],
+        eggGroups: ['Ground', 'Fairy'],
+        genderRatio: { male: 50, female: 50 },
+        hatchSteps: 2805,
+        isBaby: true
+      });
+
+      const response = await request(app).get('/pokemon/pikachu');
+
+      expect(response.text).toContain('<option value="x" selected>X</option>');
+      expect(response.text).toContain('data-version="red" hidden>Stores electricity.</p>');
+      expect(response.text).toContain('Ground, Fairy');
+      expect(response.text).toContain('2805');
+      expect(response.text).toContain('Baby');
     });
 
     it('should render error page for non-existent pokemon', async () => {
@@ -291,7 +2036,11 @@ describe('View Endpoints', () => {
     it('should render search results', async () => {
       mockPokemonService.searchPokemon.mockResolvedValue({
         pokemon: [{ id: 25, name: 'pikachu', displayName: 'Pikachu', types: ['electric'] }],
-        totalCount: 1
+        totalCount: 1,
+        currentPage: 1,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPrevPage: false
       });
       mockPokemonService.getPokemonTypes.mockResolvedValue([]);
 
@@ -302,6 +2051,192 @@ describe('View Endpoints', () => {
     });
   });
 
+  describe('GET /filter', () => {
+    it('should render the filter page with results', async () => {
+      mockPokemonService.filterPokemon.mockResolvedValue({
+        pokemon: [{ id: 6, name: 'charizard', displayName: 'Charizard', types: ['fire'] }],
+        totalCount: 1,
+        currentPage: 1,
+        totalPages: 1,
+        hasNextPage: false,
+        hasPrevPage: false,
+        truncated: false
+      });
+      mockPokemonService.getPokemonTypes.mockResolvedValue([{ name: 'fire', displayName: 'Fire' }]);
+
+      const response = await request(app).get('/filter?types=fire&generation=1');
+
+      expect(response.status).toBe(200);
+      expect(response.type).toBe('text/html');
+      expect(response.text).toContain('Charizard');
+    });
+  });
+
+  describe('GET /compare', () => {
+    it('should render the comparison table', async () => {
+      const poke = (id, name, hp) => ({
+        id,
+        name,
+        displayName: name,
+        types: ['electric'],
+        stats: [{ name: 'HP', value: hp }],
+        abilities: []
+      });
+      mockCompareService.comparePokemon.mockResolvedValue({
+        pokemon: [poke(25, 'pikachu', 35), poke(26, 'raichu', 60)],
+        stats: [{ name: 'HP', values: [35, 60], deltas: [0, 25], max: 60 }],
+        totals: [35, 60],
+        matchups: [
+          { attacker: 'pikachu', defender: 'raichu', bestType: 'electric', multiplier: 0.5 },
+          { attacker: 'raichu', defender: 'pikachu', bestType: 'electric', multiplier: 0.5 }
+        ],
+        abilities: { shared: [], unique: { pikachu: [], raichu: [] } }
+      });
+
+      const response = await request(app).get('/compare?ids=pikachu,raichu');
+
+      expect(response.status).toBe(200);
+      expect(response.type).toBe('text/html');
+      expect(response.text).toContain('+25');
+    });
+
+    it('should render the empty picker page without ids', async () => {
+      const response = await request(app).get('/compare');
+
+      expect(response.status).toBe(200);
+      expect(mockCompareService.comparePokemon).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Team pages', () => {
+    it('should render the team list', async () => {
+      mockTeamService.getAllTeams.mockResolvedValue([
+        { id: 'team-1', name: 'Starters', members: [{ id: 25, name: 'pikachu' }] }
+      ]);
+
+      const response = await request(app).get('/teams');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('Starters');
+    });
+
+    it('should redirect to the new team after creating it', async () => {
+      mockTeamService.createTeam.mockResolvedValue({ id: 'team-1' });
+
+      const response = await request(app)
+        .post('/teams')
+        .type('form')
+        .send({ name: 'Starters', members: 'pikachu' });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('/teams/team-1');
+    });
+
+    it('should render the team analysis page', async () => {
+      mockTeamService.analyzeTeam.mockResolvedValue({
+        team: { id: 'team-1', name: 'Starters', members: [{ id: 25, name: 'pikachu' }] },
+        members: [{ id: 25, name: 'pikachu', displayName: 'Pikachu', types: ['electric'] }],
+        defense: [{ type: 'ground', weak: 1, resist: 0, immune: 0, net: 1 }],
+        coverage: { covered: [{ type: 'water', coveredBy: ['pikachu'] }], uncovered: ['grass'] },
+        averages: [{ name: 'HP', value: 35 }],
+        averageTotal: 320
+      });
+
+      const response = await request(app).get('/teams/team-1');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('Not covered: Grass');
+    });
+  });
+
+  describe('Generation and Pokedex pages', () => {
+    const sprigatito = {
+      id: 906,
+      name: 'sprigatito',
+      displayName: 'Sprigatito',
+      types: ['grass'],
+      entryNumber: 1
+    };
+
+    beforeEach(() => {
+      mockPokemonService.getPokemonTypes.mockResolvedValue([]);
+    });
+
+    it('should link every generation and Pokedex from the home page', async () => {
+      mockPokemonService.getAllPokemon.mockResolvedValue({
+        pokemon: [],
+        totalCount: 0,
+        currentPage: 1,
+        totalPages: 0,
+        hasNextPage: false,
+        hasPrevPage: false
+      });
+      mockPokemonService.getGenerations.mockResolvedValueOnce([
+        { id: 1, name: 'generation-i', displayName: 'Gen I' }
+      ]);
+      mockPokemonService.getPokedexes.mockResolvedValueOnce([
+        { id: 31, name: 'paldea', displayName: 'Paldea' }
+      ]);
+
+      const response = await request(app).get('/');
+
+      expect(response.text).toContain('href="/generation/1"');
+      expect(response.text).toContain('href="/pokedex/paldea"');
+    });
+
+    it('should render a Pokedex with its entry numbers and page links', async () => {
+      mockPokemonService.getPokemonByPokedex.mockResolvedValue({
+        pokemon: [sprigatito],
+        pokedex: { id: 31, name: 'paldea', displayName: 'Paldea', region: 'paldea' },
+        totalCount: 400,
+        currentPage: 1,
+        totalPages: 20,
+        hasNextPage: true,
+        hasPrevPage: false
+      });
+
+      const response = await request(app).get('/pokedex/paldea');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('#001');
+      expect(response.text).not.toContain('#906');
+      expect(response.text).toContain('400 Pokemon in the Paldea Pokedex');
+      expect(response.text).toContain('href="/pokedex/paldea?page=2"');
+    });
+
+    it('should render a generation', async () => {
+      mockPokemonService.getPokemonByGeneration.mockResolvedValue({
+        pokemon: [{ ...sprigatito, entryNumber: undefined }],
+        generation: { id: 9, name: 'generation-ix', displayName: 'Generation IX', region: 'paldea' },
+        totalCount: 120,
+        currentPage: 2,
+        totalPages: 6,
+        hasNextPage: true,
+        hasPrevPage: true
+      });
+
+      const response = await request(app).get('/generation/generation-ix?page=2');
+
+      expect(response.text).toContain('#906');
+      expect(response.text).toContain('120 Pokemon introduced in Generation IX');
+      expect(response.text).toContain('href="/generation/9?page=3"');
+      expect(mockPokemonService.getPokemonByGeneration).toHaveBeenCalledWith(
+        'generation-ix',
+        2,
+        20,
+        { lang: 'en' }
+      );
+    });
+
+    it('should return 404 for an unknown Pokedex', async () => {
+      mockPokemonService.getPokemonByPokedex.mockResolvedValue(null);
+
+      const response = await request(app).get('/pokedex/orre');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
   describe('GET /type/:type', () => {
     it('should render pokemon filtered by type', async () => {
       mockPokemonService.getPokemonByType.mockResolvedValue({
@@ -333,6 +2268,75 @@ describe('View Endpoints', () => {
   });
 });
 
+describe('Language selection', () => {
+  const homeData = {
+    pokemon: [{ id: 4, name: 'charmander', displayName: 'ヒトカゲ', types: ['fire'] }],
+    totalCount: 1,
+    currentPage: 1,
+    totalPages: 1,
+    hasNextPage: false,
+    hasPrevPage: false
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPokemonService.getAllPokemon.mockResolvedValue(homeData);
+    mockPokemonService.getPokemonTypes.mockResolvedValue([]);
+  });
+
+  it('should default to English', async () => {
+    const response = await request(app).get('/');
+
+    expect(response.text).toContain('<html lang="en">');
+    expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(1, 20, { lang: 'en' });
+  });
+
+  it('should translate the page for ?lang= and remember it in a cookie', async () => {
+    const response = await request(app).get('/?lang=ja');
+
+    expect(response.text).toContain('<html lang="ja">');
+    expect(response.text).toContain('チーム');
+    expect(response.text).toContain('>ほのお</span>');
+    expect(response.headers['set-cookie'][0]).toMatch(/^lang=ja;.*HttpOnly/);
+    expect(response.headers.vary).toMatch(/Accept-Language/);
+    expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(1, 20, { lang: 'ja' });
+  });
+
+  it('should use the cookie over Accept-Language', async () => {
+    const response = await request(app)
+      .get('/')
+      .set('Cookie', 'lang=fr')
+      .set('Accept-Language', 'de-DE,de;q=0.9');
+
+    expect(response.text).toContain('<html lang="fr">');
+    expect(response.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('should fall back to Accept-Language', async () => {
+    const response = await request(app).get('/').set('Accept-Language', 'es, de;q=0.8');
+
+    expect(response.text).toContain('<html lang="de">');
+  });
+
+  it('should pass the language to the JSON API', async () => {
+    mockPokemonService.getPokemonDetails.mockResolvedValue({ id: 25, name: 'pikachu' });
+
+    await request(app).get('/api/pokemon/pikachu?lang=de');
+
+    expect(mockPokemonService.getPokemonDetails).toHaveBeenCalledWith('pikachu', { lang: 'de' });
+  });
+
+  it('should reject an unsupported language with 400', async () => {
+    const response = await request(app).get('/api/pokemon?lang=xx');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      message: 'lang must be one of: en, ja, de, fr'
+    });
+  });
+});
+
 describe('404 Handler', () => {
   it('should return 404 for unknown routes', async () => {
     const response = await request(app).get('/unknown-route');
@@ -340,4 +2344,86 @@ describe('404 Handler', () => {
     expect(response.status).toBe(404);
     expect(response.type).toBe('text/html');
   });
+
+  it('should return the JSON error body for unknown API routes', async () => {
+    const response = await request(app).get('/api/unknown-route');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({ success: false, error: { code: 'NOT_FOUND' } });
+  });
+});
+
+describe('Error Handler', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return 503 when PokeAPI is unavailable', async () => {
+    mockPokemonService.getPokemonDetails.mockRejectedValue(
+      new UpstreamUnavailableError('Failed to fetch Pokemon: timeout of 10000ms exceeded')
+    );
+
+    const response = await request(app).get('/api/pokemon/pikachu');
+
+    expect(response.status).toBe(503);
+    expect(response.body.error).toEqual({
+      code: 'UPSTREAM_UNAVAILABLE',
+      message: 'Failed to fetch Pokemon: timeout of 10000ms exceeded'
+    });
+  });
+
+  it('should return 429 with Retry-After when PokeAPI rate limits', async () => {
+    mockPokemonService.getPokemonDetails.mockRejectedValue(
+      new RateLimitedError('Failed to fetch Pokemon: 429', { retryAfter: 30 })
+    );
+
+    const response = await request(app).get('/api/pokemon/pikachu');
+
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBe('30');
+    expect(response.body.error).toMatchObject({ code: 'RATE_LIMITED', details: { retryAfter: 30 } });
+  });
+
+  it('should return 500 with INTERNAL_ERROR for unexpected errors', async () => {
+    mockPokemonService.getPokemonDetails.mockRejectedValue(new Error('boom'));
+
+    const response = await request(app).get('/api/pokemon/pikachu');
+
+    expect(response.status).toBe(500);
+    expect(response.body.error.code).toBe('INTERNAL_ERROR');
+  });
+
+  it('should reject malformed JSON bodies with 400', async () => {
+    const response = await request(app)
+      .post('/api/teams')
+      .set('Content-Type', 'application/json')
+      .send('{"name":');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('BAD_REQUEST');
+  });
+
+  it('should render the error page with the matching status for HTML routes', async () => {
+    mockPokemonService.getPokemonDetails.mockRejectedValue(
+      new UpstreamUnavailableError('Failed to fetch Pokemon: socket hang up')
+    );
+
+    const response = await request(app).get('/pokemon/pikachu');
+
+    expect(response.status).toBe(503);
+    expect(response.type).toBe('text/html');
+    expect(response.text).toContain('Pokemon data unavailable');
+  });
+
+  it('should title the error page in the selected language', async () => {
+    mockPokemonService.getPokemonDetails.mockResolvedValue(null);
+
+    const notFound = await request(app).get('/pokemon/missingno?lang=ja');
+    const unknownPage = await request(app).get('/nowhere?lang=de');
+
+    expect(notFound.status).toBe(404);
+    expect(notFound.text).toContain('ポケモンが見つかりません');
+    expect(unknownPage.status).toBe(404);
+    expect(unknownPage.text).toContain('Seite nicht gefunden');
+  });
 });
\ No newline at end of file
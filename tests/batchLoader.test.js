@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import { createBatchLoader, loadEach } from '../src/services/batchLoader.js';
+
+describe('Batch loader', () => {
+  it('should batch loads made in the same tick', async () => {
+    const batchFn = jest.fn((keys) => Promise.resolve(keys.map((key) => `value:${key}`)));
+    const loader = createBatchLoader(batchFn);
+
+    const values = await Promise.all([loader.load('a'), loader.load('b'), loader.load('c')]);
+
+    expect(values).toEqual(['value:a', 'value:b', 'value:c']);
+    expect(batchFn).toHaveBeenCalledTimes(1);
+    expect(batchFn).toHaveBeenCalledWith(['a', 'b', 'c']);
+  });
+
+  it('should share identical in-flight loads', async () => {
+    const batchFn = jest.fn((keys) => Promise.resolve(keys));
+    const loader = createBatchLoader(batchFn);
+
+    const [first, second] = await Promise.all([loader.load('Pikachu'), loader.load('pikachu')]);
+
+    expect(first).toBe('Pikachu');
+    expect(second).toBe('Pikachu');
+    expect(batchFn).toHaveBeenCalledWith(['Pikachu']);
+  });
+
+  it('should load again once a previous load has settled', async () => {
+    const batchFn = jest.fn((keys) => Promise.resolve(keys));
+    const loader = createBatchLoader(batchFn);
+
+    await loader.load('a');
+    await loader.load('a');
+
+    expect(batchFn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should keep settled loads when cache is set, but retry failures', async () => {
+    const batchFn = jest.fn((keys) =>
+      Promise.resolve(keys.map((key) => (key === 'bad' ? new Error('boom') : key)))
+    );
+    const loader = createBatchLoader(batchFn, { cache: true });
+
+    await loader.load('a');
+    await loader.load('A');
+    await expect(loader.load('bad')).rejects.toThrow('boom');
+    await expect(loader.load('bad')).rejects.toThrow('boom');
+
+    expect(batchFn.mock.calls).toEqual([[['a']], [['bad']], [['bad']]]);
+  });
+
+  it('should split batches by maxBatchSize', async () => {
+    const batchFn = jest.fn((keys) => Promise.resolve(keys));
+    const loader = createBatchLoader(batchFn, { maxBatchSize: 2 });
+
+    await loader.loadMany([1, 2, 3, 4, 5]);
+
+    expect(batchFn.mock.calls).toEqual([[[1, 2]], [[3, 4]], [[5]]]);
+  });
+
+  it('should reject only the keys that failed', async () => {
+    const loader = createBatchLoader(
+      loadEach((key) => {
+        if (key === 'bad') {
+          throw new Error('boom');
+        }
+        return key;
+      })
+    );
+
+    const [good, bad] = await Promise.allSettled([loader.load('good'), loader.load('bad')]);
+
+    expect(good).toEqual({ status: 'fulfilled', value: 'good' });
+    expect(bad.status).toBe('rejected');
+    expect(bad.reason.message).toBe('boom');
+  });
+
+  it('should reject every key when the batch function fails', async () => {
+    const loader = createBatchLoader(() => Promise.reject(new Error('upstream down')));
+
+    await expect(loader.loadMany(['a', 'b'])).rejects.toThrow('upstream down');
+  });
+});
@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createCache } from '../src/cache/index.js';
+import { createMemoryStore } from '../src/cache/memoryStore.js';
+import { createFileStore } from '../src/cache/fileStore.js';
+
+describe('Cache', () => {
+  describe('createMemoryStore', () => {
+    it('should evict the least recently used entry', () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+      store.set('a', 1, 60);
+      store.set('b', 2, 60);
+
+      // Touch "a" so "b" becomes the oldest entry
+      store.get('a');
+      store.set('c', 3, 60);
+
+      expect(store.get('a')).toBe(1);
+      expect(store.get('b')).toBeUndefined();
+      expect(store.get('c')).toBe(3);
+    });
+
+    it('should expire entries after their TTL', () => {
+      jest.useFakeTimers();
+      const store = createMemoryStore();
+      store.set('a', 1, 10);
+
+      jest.advanceTimersByTime(11000);
+
+      expect(store.get('a')).toBeUndefined();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('createFileStore', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'pokedex-cache-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should persist entries across store instances', async () => {
+      await createFileStore({ dir }).set('pokemon:pikachu', { id: 25 }, 60);
+
+      const reopened = createFileStore({ dir });
+
+      expect(await reopened.get('pokemon:pikachu')).toEqual({ id: 25 });
+      expect(await reopened.size()).toBe(1);
+    });
+
+    it('should treat expired entries as a miss', async () => {
+      const store = createFileStore({ dir });
+      await store.set('a', 1, 1);
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+
+      expect(await store.get('a')).toBeUndefined();
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('createCache', () => {
+    it('should count hits and misses', async () => {
+      const cache = createCache({ store: createMemoryStore() });
+      const loader = jest.fn().mockResolvedValue({ id: 25 });
+
+      await cache.wrap('pokemon:25', 60, loader);
+      await cache.wrap('pokemon:25', 60, loader);
+
+      const stats = await cache.getStats();
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(stats).toMatchObject({ hits: 1, misses: 1, size: 1, hitRate: 0.5 });
+    });
+
+    it('should not cache null results', async () => {
+      const cache = createCache({ store: createMemoryStore() });
+      const loader = jest.fn().mockResolvedValue(null);
+
+      await cache.wrap('pokemon:missing', 60, loader);
+      await cache.wrap('pokemon:missing', 60, loader);
+
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share one load between concurrent misses for a key', async () => {
+      const cache = createCache({ store: createMemoryStore() });
+      const loader = jest.fn().mockResolvedValue({ id: 10 });
+
+      const results = await Promise.all([
+        cache.wrap('type:fire', 60, loader),
+        cache.wrap('type:fire', 60, loader),
+        cache.wrap('type:fire', 60, loader)
+      ]);
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(results).toEqual([{ id: 10 }, { id: 10 }, { id: 10 }]);
+      expect(await cache.getStats()).toMatchObject({ hits: 2, misses: 1 });
+    });
+
+    it('should load again after a shared load fails', async () => {
+      const cache = createCache({ store: createMemoryStore() });
+      const loader = jest
+        .fn()
+        .mockRejectedValueOnce(new Error('down'))
+        .mockResolvedValueOnce({ id: 10 });
+
+      await expect(
+        Promise.all([cache.wrap('type:fire', 60, loader), cache.wrap('type:fire', 60, loader)])
+      ).rejects.toThrow('down');
+
+      expect(await cache.wrap('type:fire', 60, loader)).toEqual({ id: 10 });
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should bypass the store when disabled', async () => {
+      const store = createMemoryStore();
+      const cache = createCache({ store, enabled: false });
+
+      await cache.wrap('a', 60, () => Promise.resolve(1));
+
+      expect(store.size()).toBe(0);
+    });
+  });
+});
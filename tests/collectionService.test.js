@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import { ValidationError } from '../src/errors/index.js';
+
+// Mock the modules the collection service depends on
+const mockUserRepository = {
+  updateCollectionEntry: jest.fn(),
+  deleteCollectionEntry: jest.fn()
+};
+
+const mockPokemonRepository = {
+  getSpeciesCount: jest.fn()
+};
+
+const mockPokemonService = {
+  getPokemonSummary: jest.fn()
+};
+
+jest.unstable_mockModule('../src/repositories/userRepository.js', () => mockUserRepository);
+jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
+jest.unstable_mockModule('../src/services/pokemonService.js', () => mockPokemonService);
+
+// Import after mocking
+const collectionService = await import('../src/services/collectionService.js');
+
+describe('Collection Service', () => {
+  const entry = (id, name, marks) => ({
+    id,
+    name,
+    favorite: false,
+    seen: false,
+    caught: false,
+    ...marks
+  });
+
+  const user = {
+    id: 'user-1',
+    username: 'ash',
+    collection: {
+      25: entry(25, 'pikachu', { favorite: true, seen: true, caught: true }),
+      7: entry(7, 'squirtle', { seen: true }),
+      1: entry(1, 'bulbasaur', { favorite: true })
+    }
+  };
+
+  const pokemon = {
+    pikachu: { id: 25, name: 'pikachu', displayName: 'Pikachu' },
+    squirtle: { id: 7, name: 'squirtle', displayName: 'Squirtle' },
+    bulbasaur: { id: 1, name: 'bulbasaur', displayName: 'Bulbasaur' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPokemonService.getPokemonSummary.mockImplementation((nameOrId, { lang } = {}) => {
+      const found = Object.values(pokemon).find(
+        (p) => p.name === nameOrId || p.id === Number(nameOrId)
+      );
+      const displayName = lang === 'en' ? found?.displayName : `${found?.displayName} (${lang})`;
+      return Promise.resolve(found ? { ...found, displayName } : null);
+    });
+    mockUserRepository.updateCollectionEntry.mockImplementation((userId, { id, name }, marks) =>
+      Promise.resolve(entry(id, name, marks))
+    );
+  });
+
+  describe('getCollection', () => {
+    it('should count marks and list entries by dex number', () => {
+      const result = collectionService.getCollection(user);
+
+      expect(result.counts).toEqual({ favorite: 2, seen: 2, caught: 1 });
+      expect(result.entries.map((e) => e.name)).toEqual(['bulbasaur', 'squirtle', 'pikachu']);
+    });
+
+    it('should only list entries with a mark', () => {
+      const result = collectionService.getCollection(user, { status: 'favorite' });
+
+      expect(result.counts.seen).toBe(2);
+      expect(result.entries.map((e) => e.name)).toEqual(['bulbasaur', 'pikachu']);
+    });
+  });
+
+  describe('setMarks', () => {
+    it('should save form values as booleans', async () => {
+      await collectionService.setMarks(user, 'squirtle', { favorite: 'true', next: '/' });
+
+      expect(mockPokemonService.getPokemonSummary).toHaveBeenCalledWith('squirtle', {
+        lang: 'en'
+      });
+      expect(mockUserRepository.updateCollectionEntry).toHaveBeenCalledWith(
+        'user-1',
+        {
+          ...pokemon.squirtle,
+          displayNames: {
+            en: 'Squirtle',
+            ja: 'Squirtle (ja)',
+            de: 'Squirtle (de)',
+            fr: 'Squirtle (fr)'
+          }
+        },
+        { favorite: true }
+      );
+    });
+
+    it('should mark caught Pokemon as seen, and un-seen ones as not caught', async () => {
+      await collectionService.setMarks(user, '25', { caught: true });
+      await collectionService.setMarks(user, '25', { seen: false });
+
+      expect(mockUserRepository.updateCollectionEntry.mock.calls.map((call) => call[2])).toEqual([
+        { caught: true, seen: true },
+        { seen: false, caught: false }
+      ]);
+    });
+
+    it.each([[{}], [{ caught: 'yes' }], [undefined]])(
+      'should reject marks %j',
+      async (input) => {
+        await expect(collectionService.setMarks(user, 'pikachu', input)).rejects.toBeInstanceOf(
+          ValidationError
+        );
+        expect(mockUserRepository.updateCollectionEntry).not.toHaveBeenCalled();
+      }
+    );
+
+    it('should return null for non-existent pokemon', async () => {
+      expect(await collectionService.setMarks(user, 'missingno', { seen: true })).toBeNull();
+      expect(mockUserRepository.updateCollectionEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeFromCollection', () => {
+    it('should delete the entry by dex number', async () => {
+      mockUserRepository.deleteCollectionEntry.mockResolvedValue(true);
+
+      expect(await collectionService.removeFromCollection(user, 'pikachu')).toBe(true);
+      expect(mockUserRepository.deleteCollectionEntry).toHaveBeenCalledWith('user-1', 25);
+    });
+
+    it('should return null for non-existent pokemon', async () => {
+      expect(await collectionService.removeFromCollection(user, 'missingno')).toBeNull();
+    });
+  });
+
+  describe('getProgress', () => {
+    it('should group stored entries by mark and count against every species', async () => {
+      mockPokemonRepository.getSpeciesCount.mockResolvedValue(1025);
+
+      const result = await collectionService.getProgress(user);
+
+      expect(result.total).toBe(1025);
+      expect(result.counts).toEqual({ favorite: 2, seen: 2, caught: 1 });
+      expect(result.favorite.map((p) => p.name)).toEqual(['bulbasaur', 'pikachu']);
+      expect(result.caught).toEqual([
+        {
+          id: 25,
+          name: 'pikachu',
+          displayName: 'Pikachu',
+          image: expect.stringMatching(/\/25\.png$/),
+          types: []
+        }
+      ]);
+      expect(result.seen.map((p) => p.name)).toEqual(['squirtle']);
+      expect(mockPokemonService.getPokemonSummary).not.toHaveBeenCalled();
+    });
+
+    it('should show the stored display name for the language', async () => {
+      mockPokemonRepository.getSpeciesCount.mockResolvedValue(1025);
+      const named = {
+        ...user,
+        collection: {
+          ...user.collection,
+          25: { ...user.collection[25], displayNames: { en: 'Pikachu', ja: 'ピカチュウ' } }
+        }
+      };
+
+      const result = await collectionService.getProgress(named, { lang: 'ja' });
+
+      expect(result.caught[0].displayName).toBe('ピカチュウ');
+      expect(result.seen[0].displayName).toBe('Squirtle');
+    });
+  });
+});
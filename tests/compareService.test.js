@@ -0,0 +1,119 @@
+import { jest } from '@jest/globals';
+
+// Mock the service and repository the comparison is built on
+const mockPokemonService = {
+  getPokemonDetails: jest.fn()
+};
+
+const mockPokemonRepository = {
+  getTypeDamageRelations: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/pokemonService.js', () => mockPokemonService);
+jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
+
+// Import after mocking
+const compareService = await import('../src/services/compareService.js');
+
+describe('Compare Service', () => {
+  const pikachu = {
+    id: 25,
+    name: 'pikachu',
+    displayName: 'Pikachu',
+    types: ['electric'],
+    abilities: [
+      { name: 'Static', isHidden: false },
+      { name: 'Lightning Rod', isHidden: true }
+    ],
+    stats: [
+      { name: 'HP', value: 35 },
+      { name: 'Speed', value: 90 }
+    ]
+  };
+
+  const gyarados = {
+    id: 130,
+    name: 'gyarados',
+    displayName: 'Gyarados',
+    types: ['water', 'flying'],
+    abilities: [
+      { name: 'Intimidate', isHidden: false },
+      { name: 'Moxie', isHidden: true }
+    ],
+    stats: [
+      { name: 'HP', value: 95 },
+      { name: 'Speed', value: 81 }
+    ]
+  };
+
+  const raichu = {
+    ...pikachu,
+    id: 26,
+    name: 'raichu',
+    displayName: 'Raichu',
+    stats: [
+      { name: 'HP', value: 60 },
+      { name: 'Speed', value: 110 }
+    ]
+  };
+
+  const relation = (double = [], half = []) => ({
+    double_damage_from: double.map((name) => ({ name })),
+    half_damage_from: half.map((name) => ({ name })),
+    no_damage_from: []
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const byName = { pikachu, gyarados, raichu };
+    mockPokemonService.getPokemonDetails.mockImplementation((name) =>
+      Promise.resolve(byName[name] || null)
+    );
+    mockPokemonRepository.getTypeDamageRelations.mockResolvedValue({
+      electric: relation([], ['electric', 'flying']),
+      water: relation(['electric'], ['water']),
+      flying: relation(['electric'])
+    });
+  });
+
+  describe('comparePokemon', () => {
+    it('should compute stat deltas against the first pokemon', async () => {
+      const result = await compareService.comparePokemon(['pikachu', 'gyarados']);
+
+      expect(result.stats).toEqual([
+        { name: 'HP', values: [35, 95], deltas: [0, 60], max: 95 },
+        { name: 'Speed', values: [90, 81], deltas: [0, -9], max: 90 }
+      ]);
+      expect(result.totals).toEqual([125, 176]);
+    });
+
+    it('should compute type matchups against each other', async () => {
+      const result = await compareService.comparePokemon(['pikachu', 'gyarados']);
+
+      expect(result.matchups).toEqual([
+        { attacker: 'pikachu', defender: 'gyarados', bestType: 'electric', multiplier: 4 },
+        { attacker: 'gyarados', defender: 'pikachu', bestType: 'water', multiplier: 1 }
+      ]);
+    });
+
+    it('should split shared and unique abilities', async () => {
+      const result = await compareService.comparePokemon(['pikachu', 'raichu', 'gyarados']);
+
+      expect(result.abilities.shared).toEqual([]);
+      expect(result.abilities.unique).toEqual({
+        pikachu: [],
+        raichu: [],
+        gyarados: ['Intimidate', 'Moxie']
+      });
+
+      const pair = await compareService.comparePokemon(['pikachu', 'raichu']);
+      expect(pair.abilities.shared).toEqual(['Static', 'Lightning Rod']);
+    });
+
+    it('should return null when a pokemon does not exist', async () => {
+      const result = await compareService.comparePokemon(['pikachu', 'missingno']);
+
+      expect(result).toBeNull();
+    });
+  });
+});
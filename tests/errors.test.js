@@ -0,0 +1,72 @@
+import {
+  AppError,
+  NotFoundError,
+  RateLimitedError,
+  UnauthorizedError,
+  UpstreamUnavailableError,
+  ValidationError,
+  toUpstreamError
+} from '../src/errors/index.js';
+
+describe('Errors', () => {
+  it('should give each error type its status and code', () => {
+    expect(new NotFoundError('Pokemon', 'missingno')).toMatchObject({
+      status: 404,
+      code: 'NOT_FOUND',
+      message: 'Pokemon not found: missingno',
+      details: { resource: 'Pokemon', id: 'missingno' }
+    });
+    expect(new ValidationError('limit must be a number', { field: 'limit' })).toMatchObject({
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      details: { field: 'limit' }
+    });
+    expect(new UnauthorizedError()).toMatchObject({
+      status: 401,
+      code: 'UNAUTHORIZED',
+      message: 'Log in to continue'
+    });
+    expect(new RateLimitedError('slow down')).toMatchObject({ status: 429, code: 'RATE_LIMITED' });
+    expect(new UpstreamUnavailableError('down')).toMatchObject({
+      status: 503,
+      code: 'UPSTREAM_UNAVAILABLE'
+    });
+    expect(new NotFoundError('Team')).toBeInstanceOf(AppError);
+  });
+
+  describe('toUpstreamError', () => {
+    it('should map 429 responses to RateLimitedError with Retry-After', () => {
+      const error = toUpstreamError(
+        {
+          message: 'Request failed with status code 429',
+          response: { status: 429, headers: { 'retry-after': '5' } }
+        },
+        'Failed to fetch Pokemon'
+      );
+
+      expect(error).toBeInstanceOf(RateLimitedError);
+      expect(error.retryAfter).toBe(5);
+      expect(error.message).toBe('Failed to fetch Pokemon: Request failed with status code 429');
+    });
+
+    it('should map timeouts, 5xx and an open circuit to UpstreamUnavailableError', () => {
+      const timeout = Object.assign(new Error('timeout of 10000ms exceeded'), {
+        code: 'ECONNABORTED'
+      });
+      const serverError = Object.assign(new Error('Bad gateway'), { response: { status: 502 } });
+      const circuitOpen = Object.assign(new Error('Circuit open'), { code: 'CIRCUIT_OPEN' });
+
+      [timeout, serverError, circuitOpen].forEach((cause) => {
+        const error = toUpstreamError(cause, 'Failed to fetch type');
+        expect(error).toBeInstanceOf(UpstreamUnavailableError);
+        expect(error.cause).toBe(cause);
+      });
+    });
+
+    it('should pass typed errors through unchanged', () => {
+      const error = new ValidationError('bad');
+
+      expect(toUpstreamError(error, 'Failed to fetch move')).toBe(error);
+    });
+  });
+});
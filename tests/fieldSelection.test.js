@@ -0,0 +1,23 @@
+import { needsSpeciesFields, pickFields } from '../src/services/fieldSelection.js';
+
+describe('Field selection', () => {
+  const pokemon = { id: 25, name: 'pikachu', types: ['electric'], genus: 'Mouse Pokemon' };
+
+  it('should keep only the listed fields, in the order asked for', () => {
+    expect(Object.entries(pickFields(pokemon, ['types', 'name']))).toEqual([
+      ['types', ['electric']],
+      ['name', 'pikachu']
+    ]);
+  });
+
+  it('should skip fields the object does not have and keep everything without a list', () => {
+    expect(pickFields({ id: 25 }, ['id', 'genus'])).toEqual({ id: 25 });
+    expect(pickFields(pokemon, undefined)).toBe(pokemon);
+  });
+
+  it('should tell when species data is needed', () => {
+    expect(needsSpeciesFields(['name', 'genus'])).toBe(true);
+    expect(needsSpeciesFields(['name', 'stats'])).toBe(false);
+    expect(needsSpeciesFields(undefined)).toBe(false);
+  });
+});
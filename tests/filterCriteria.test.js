@@ -0,0 +1,79 @@
+import { parseFilterCriteria, parseStatFilter } from '../src/services/filterCriteria.js';
+
+describe('Filter Criteria', () => {
+  describe('parseStatFilter', () => {
+    it('should parse comparisons and stat aliases', () => {
+      expect(parseStatFilter('speed>=100')).toEqual({ stat: 'speed', operator: '>=', value: 100 });
+      expect(parseStatFilter('SpAtk < 80')).toEqual({
+        stat: 'special-attack',
+        operator: '<',
+        value: 80
+      });
+    });
+
+    it('should return null for invalid expressions', () => {
+      expect(parseStatFilter('luck>=5')).toBeNull();
+      expect(parseStatFilter('speed>>5')).toBeNull();
+    });
+  });
+
+  describe('parseFilterCriteria', () => {
+    it('should read stat filters from raw query keys', () => {
+      // "?speed>=100&hp<50" as parsed by Express
+      const criteria = parseFilterCriteria({ 'speed>': '100', 'hp<50': '' });
+
+      expect(criteria.stats).toEqual([
+        { stat: 'speed', operator: '>=', value: 100 },
+        { stat: 'hp', operator: '<', value: 50 }
+      ]);
+    });
+
+    it('should accept repeated and comma separated types', () => {
+      const criteria = parseFilterCriteria({ types: ['Fire', 'flying,dragon'], typeMode: 'or' });
+
+      expect(criteria.types).toEqual(['fire', 'flying', 'dragon']);
+      expect(criteria.typeMode).toBe('or');
+    });
+
+    it('should only accept plain names for types, generation and ability', () => {
+      expect(parseFilterCriteria({ generation: 'Generation-I' }).generation).toBe('generation-i');
+      expect(() => parseFilterCriteria({ generation: '../pokemon/1' })).toThrow(
+        expect.objectContaining({ code: 'VALIDATION_ERROR', field: 'generation' })
+      );
+      expect(() => parseFilterCriteria({ types: 'fire,a/b' })).toThrow(
+        expect.objectContaining({ field: 'types' })
+      );
+    });
+
+    it('should drop repeated types and cap how many are listed', () => {
+      expect(parseFilterCriteria({ types: 'fire,Fire,fire,water' }).types).toEqual([
+        'fire',
+        'water'
+      ]);
+      expect(() => parseFilterCriteria({ types: 'fire,water,grass' })).toThrow(
+        expect.objectContaining({ field: 'types' })
+      );
+      expect(parseFilterCriteria({ types: 'fire,water,grass', typeMode: 'or' }).types).toHaveLength(3);
+
+      const everyType = Array.from({ length: 19 }, (_, index) => `type-${index}`).join(',');
+      expect(() => parseFilterCriteria({ types: everyType, typeMode: 'or' })).toThrow(
+        'types may list at most 18 types when typeMode is or'
+      );
+    });
+
+    it('should parse flags and ranges', () => {
+      const criteria = parseFilterCriteria({ legendary: 'true', maxWeight: '10.5' });
+
+      expect(criteria.legendary).toBe(true);
+      expect(criteria.mythical).toBeUndefined();
+      expect(criteria.maxWeight).toBe(10.5);
+    });
+
+    it('should report invalid numbers and sort fields', () => {
+      expect(() => parseFilterCriteria({ minHeight: 'tall' })).toThrow('minHeight must be a number');
+      expect(() => parseFilterCriteria({ sort: 'luck' })).toThrow(
+        expect.objectContaining({ code: 'VALIDATION_ERROR', field: 'sort' })
+      );
+    });
+  });
+});
@@ -0,0 +1,422 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+// Mock the services the resolvers sit on
+const mockPokemonService = {
+  LEARN_METHODS: ['level-up', 'machine', 'egg', 'tutor', 'other'],
+  getPokemonSummary: jest.fn(),
+  getPokemonSpecies: jest.fn(),
+  getAllPokemon: jest.fn(),
+  searchPokemon: jest.fn(),
+  getPokemonTypes: jest.fn(),
+  getPokemonByType: jest.fn(),
+  getEvolutionChain: jest.fn(),
+  getPokemonMoves: jest.fn(),
+  getTypeMatchups: jest.fn(),
+  loadPokemonOrDefaultVariety: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/pokemonService.js', () => mockPokemonService);
+
+const mockMoveService = {
+  getMoveDetails: jest.fn(),
+  searchMoves: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/moveService.js', () => mockMoveService);
+
+const mockAbilityService = {
+  getAbilityDetails: jest.fn(),
+  getPokemonByAbility: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/abilityService.js', () => mockAbilityService);
+
+// Import app after mocking
+const { default: app } = await import('../src/app.js');
+
+const summary = (name, id, types = ['electric']) => ({
+  id,
+  name,
+  displayName: name.charAt(0).toUpperCase() + name.slice(1),
+  image: `https://img.example/${id}.png`,
+  sprite: null,
+  types,
+  height: 0.4,
+  weight: 6,
+  abilities: [{ name: 'Static', slug: 'static', isHidden: false }],
+  stats: [{ name: 'Speed', value: 90 }]
+});
+
+const POKEMON = {
+  pichu: summary('pichu', 172),
+  pikachu: summary('pikachu', 25),
+  raichu: summary('raichu', 26)
+};
+
+const node = (name, evolvesTo = [], triggers = []) => ({
+  id: POKEMON[name].id,
+  name,
+  displayName: POKEMON[name].displayName,
+  image: POKEMON[name].image,
+  triggers,
+  evolvesTo
+});
+
+const chain = {
+  id: 10,
+  species: 'pikachu',
+  chain: node('pichu', [
+    node(
+      'pikachu',
+      [
+        node(
+          'raichu',
+          [],
+          [
+            {
+              trigger: 'use-item',
+              conditions: { item: 'thunder-stone' },
+              description: 'Use Thunder Stone'
+            }
+          ]
+        )
+      ],
+      [{ trigger: 'level-up', conditions: { minHappiness: 220 }, description: 'Level up' }]
+    )
+  ])
+};
+
+const learnsets = {
+  pokemon: 'pikachu',
+  versionGroups: [
+    { name: 'red-blue', displayName: 'Red Blue' },
+    { name: 'scarlet-violet', displayName: 'Scarlet Violet' }
+  ],
+  learnsets: {
+    'red-blue': {
+      'level-up': [{ name: 'thunder-shock', displayName: 'Thunder Shock', level: 1 }],
+      machine: [],
+      egg: [],
+      tutor: [],
+      other: []
+    },
+    'scarlet-violet': {
+      'level-up': [{ name: 'thunderbolt', displayName: 'Thunderbolt', level: 26 }],
+      machine: [{ name: 'thunder', displayName: 'Thunder' }],
+      egg: [],
+      tutor: [],
+      other: []
+    }
+  }
+};
+
+/**
+ * POST a query to /graphql
+ */
+const graphql = (query, variables) => request(app).post('/graphql').send({ query, variables });
+
+describe('GraphQL endpoint', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPokemonService.getPokemonSummary.mockImplementation((name) =>
+      Promise.resolve(POKEMON[String(name).toLowerCase()] || null)
+    );
+    mockPokemonService.getPokemonSpecies.mockImplementation((name) =>
+      Promise.resolve({
+        description: `About ${name}`,
+        genus: 'Mouse Pokémon',
+        color: 'yellow',
+        captureRate: 190,
+        baseHappiness: 50
+      })
+    );
+    mockPokemonService.getEvolutionChain.mockResolvedValue(chain);
+    mockPokemonService.getPokemonMoves.mockResolvedValue(learnsets);
+  });
+
+  it('should return only the requested fields', async () => {
+    const response = await graphql('{ pokemon(nameOrId: "pikachu") { name sprite types { name } } }');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      data: { pokemon: { name: 'pikachu', sprite: null, types: [{ name: 'electric' }] } }
+    });
+    expect(mockPokemonService.getPokemonSpecies).not.toHaveBeenCalled();
+  });
+
+  it('should accept GET requests with variables', async () => {
+    const response = await request(app)
+      .get('/graphql')
+      .query({
+        query: 'query ($id: String!) { pokemon(nameOrId: $id) { id } }',
+        variables: JSON.stringify({ id: '25' })
+      });
+
+    expect(response.status).toBe(200);
+    expect(mockPokemonService.getPokemonSummary).toHaveBeenCalledWith('25', { lang: 'en' });
+  });
+
+  it('should page through lists with clamped limits', async () => {
+    mockPokemonService.getAllPokemon.mockResolvedValue({
+      pokemon: [POKEMON.pikachu],
+      totalCount: 1,
+      currentPage: 2,
+      totalPages: 1,
+      hasNextPage: false,
+      hasPrevPage: true
+    });
+
+    const response = await graphql(
+      '{ pokemonList(page: 2, limit: 1000) { totalCount pokemon { name } } }'
+    );
+
+    expect(response.body.data.pokemonList).toEqual({
+      totalCount: 1,
+      pokemon: [{ name: 'pikachu' }]
+    });
+    expect(mockPokemonService.getAllPokemon).toHaveBeenCalledWith(2, 100, { lang: 'en' });
+  });
+
+  it('should resolve species and nested evolutions', async () => {
+    const response = await graphql(`{
+      pokemon(nameOrId: "pikachu") {
+        species { genus captureRate }
+        evolutions {
+          chain {
+            name
+            evolvesTo {
+              name
+              triggers { description conditions { name value } }
+              pokemon { species { description } }
+            }
+          }
+        }
+      }
+    }`);
+
+    const { pokemon } = response.body.data;
+    expect(pokemon.species).toEqual({ genus: 'Mouse Pokémon', captureRate: 190 });
+    expect(pokemon.evolutions.chain.name).toBe('pichu');
+    expect(pokemon.evolutions.chain.evolvesTo[0]).toEqual({
+      name: 'pikachu',
+      triggers: [{ description: 'Level up', conditions: [{ name: 'minHappiness', value: '220' }] }],
+      pokemon: { species: { description: 'About pikachu' } }
+    });
+  });
+
+  it('should load each Pokemon and species once per request, however often it is reached', async () => {
+    const response = await graphql(`{
+      a: pokemon(nameOrId: "pikachu") { species { genus } }
+      b: pokemon(nameOrId: "Pikachu") { species { genus } }
+      c: pokemon(nameOrId: "raichu") {
+        evolutions {
+          chain {
+            pokemon { name species { genus } }
+            evolvesTo {
+              pokemon { name species { genus } }
+              evolvesTo { pokemon { name species { genus } } }
+            }
+          }
+        }
+      }
+    }`);
+
+    expect(response.body.errors).toBeUndefined();
+    expect(mockPokemonService.getPokemonSummary.mock.calls.map(([name]) => name).sort()).toEqual([
+      'pichu',
+      'pikachu',
+      'raichu'
+    ]);
+    expect(mockPokemonService.getPokemonSpecies).toHaveBeenCalledTimes(3);
+    expect(mockPokemonService.getEvolutionChain).toHaveBeenCalledTimes(1);
+  });
+
+  it('should resolve learnsets by version group and method', async () => {
+    const response = await graphql(`{
+      pokemon(nameOrId: "pikachu") {
+        versionGroups { name }
+        latest: moves { name method level }
+        old: moves(versionGroup: "red-blue", method: LEVEL_UP) { name level }
+        missing: moves(versionGroup: "x-y") { name }
+      }
+    }`);
+
+    expect(response.body.data.pokemon).toEqual({
+      versionGroups: [{ name: 'red-blue' }, { name: 'scarlet-violet' }],
+      latest: [
+        { name: 'thunderbolt', method: 'LEVEL_UP', level: 26 },
+        { name: 'thunder', method: 'MACHINE', level: null }
+      ],
+      old: [{ name: 'thunder-shock', level: 1 }],
+      missing: []
+    });
+    expect(mockPokemonService.getPokemonMoves).toHaveBeenCalledTimes(1);
+  });
+
+  it('should resolve moves and abilities through the other services', async () => {
+    mockMoveService.getMoveDetails.mockResolvedValue({
+      id: 85,
+      name: 'thunderbolt',
+      displayName: 'Thunderbolt',
+      type: 'electric',
+      power: 90,
+      priority: 0,
+      learnedBy: [
+        { id: 25, name: 'pikachu', displayName: 'Pikachu' },
+        { id: 26, name: 'raichu', displayName: 'Raichu' }
+      ]
+    });
+    mockAbilityService.getAbilityDetails.mockResolvedValue({
+      id: 9,
+      name: 'static',
+      displayName: 'Static',
+      pokemon: {
+        normal: [{ id: 25, name: 'pikachu', displayName: 'Pikachu', isHidden: false }],
+        hidden: [{ id: 26, name: 'raichu', displayName: 'Raichu', isHidden: true }]
+      }
+    });
+
+    const response = await graphql(`{
+      move(name: "thunderbolt") { power type { displayName } learnedBy(limit: 1) { name } }
+      pokemon(nameOrId: "pikachu") {
+        abilities { slug ability { displayName pokemon(hidden: true) { name pokemon { id } } } }
+      }
+    }`);
+
+    expect(response.body.data).toEqual({
+      move: { power: 90, type: { displayName: 'Electric' }, learnedBy: [{ name: 'pikachu' }] },
+      pokemon: {
+        abilities: [
+          {
+            slug: 'static',
+            ability: { displayName: 'Static', pokemon: [{ name: 'raichu', pokemon: { id: 26 } }] }
+          }
+        ]
+      }
+    });
+  });
+
+  it('should cap Pokemon lists on moves and abilities', async () => {
+    const refs = Array.from({ length: 150 }, (_, index) => ({
+      id: index + 1,
+      name: `pokemon-${index + 1}`,
+      displayName: `Pokemon ${index + 1}`,
+      isHidden: false
+    }));
+    mockMoveService.getMoveDetails.mockResolvedValue({
+      id: 85,
+      name: 'thunderbolt',
+      type: 'electric',
+      learnedBy: refs
+    });
+    mockAbilityService.getAbilityDetails.mockResolvedValue({
+      id: 9,
+      name: 'static',
+      pokemon: { normal: refs, hidden: [] }
+    });
+
+    const response = await graphql(`{
+      move(name: "thunderbolt") { learnedBy { id } }
+      ability(name: "static") { pokemon(limit: 1000) { id } }
+    }`);
+
+    expect(response.body.data.move.learnedBy).toHaveLength(20);
+    expect(response.body.data.ability.pokemon).toHaveLength(100);
+  });
+
+  it('should answer in the request language', async () => {
+    const response = await request(app)
+      .post('/graphql?lang=ja')
+      .send({ query: '{ pokemon(nameOrId: "pikachu") { types { displayName } species { genus } } }' });
+
+    expect(response.body.data.pokemon.types).toEqual([{ displayName: 'でんき' }]);
+    expect(mockPokemonService.getPokemonSummary).toHaveBeenCalledWith('pikachu', { lang: 'ja' });
+    expect(mockPokemonService.getPokemonSpecies).toHaveBeenCalledWith('pikachu', { lang: 'ja' });
+  });
+
+  it('should list matchups as multipliers and chart buckets', async () => {
+    mockPokemonService.getTypeMatchups.mockResolvedValue({
+      types: ['electric', 'flying'],
+      multipliers: { ice: 2, ground: 0 },
+      chart: { '2x': ['ice'], '0x': ['ground'] }
+    });
+
+    const response = await graphql(
+      '{ typeMatchups(types: ["Flying", "electric"]) { multipliers { type multiplier } chart { multiplier types } } }'
+    );
+
+    expect(response.body.data.typeMatchups).toEqual({
+      multipliers: [
+        { type: 'ice', multiplier: 2 },
+        { type: 'ground', multiplier: 0 }
+      ],
+      chart: [
+        { multiplier: '2x', types: ['ice'] },
+        { multiplier: '0x', types: ['ground'] }
+      ]
+    });
+    expect(mockPokemonService.getTypeMatchups).toHaveBeenCalledWith(['electric', 'flying']);
+  });
+
+  it('should return null for a missing Pokemon', async () => {
+    const response = await graphql('{ pokemon(nameOrId: "missingno") { name } }');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ data: { pokemon: null } });
+  });
+
+  it('should report invalid arguments with the REST error codes', async () => {
+    const response = await graphql('{ pokemon(nameOrId: "bad name!") { name } }');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.pokemon).toBeNull();
+    expect(response.body.errors[0]).toMatchObject({
+      path: ['pokemon'],
+      extensions: { code: 'VALIDATION_ERROR', details: { field: 'nameOrId' } }
+    });
+  });
+
+  it('should return partial data when one field fails', async () => {
+    mockPokemonService.getPokemonSpecies.mockRejectedValue(new Error('upstream down'));
+
+    const response = await graphql('{ pokemon(nameOrId: "pikachu") { name species { genus } } }');
+
+    expect(response.body.data.pokemon).toEqual({ name: 'pikachu', species: null });
+    expect(response.body.errors[0].extensions.code).toBe('INTERNAL_ERROR');
+  });
+
+  it.each([
+    ['a missing query', {}, 'BAD_REQUEST'],
+    ['a syntax error', { query: '{ pokemon(' }, 'GRAPHQL_PARSE_FAILED'],
+    ['an unknown field', { query: '{ pokemon(nameOrId: "1") { nope } }' }, 'GRAPHQL_VALIDATION_FAILED'],
+    [
+      'a query nested too deep',
+      {
+        query:
+          '{ pokemon(nameOrId: "1") { evolutions { chain { pokemon { evolutions { chain { pokemon { evolutions { chain { pokemon { name } } } } } } } } } } }'
+      },
+      'GRAPHQL_VALIDATION_FAILED'
+    ],
+    [
+      'a query fanning out too wide',
+      { query: '{ types { pokemon(limit: 100) { pokemon { species { description } } } } }' },
+      'GRAPHQL_VALIDATION_FAILED'
+    ],
+    [
+      'a page size from a variable that could be too wide',
+      {
+        query:
+          'query ($n: Int) { types { pokemon(limit: $n) { pokemon { evolutions { id } } } } }',
+        variables: { n: 5 }
+      },
+      'GRAPHQL_VALIDATION_FAILED'
+    ]
+  ])('should return 400 for %s', async (_, body, code) => {
+    const response = await request(app).post('/graphql').send(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].extensions.code).toBe(code);
+    expect(mockPokemonService.getPokemonSummary).not.toHaveBeenCalled();
+  });
+});
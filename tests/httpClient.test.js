@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+
+// Mock axios before importing the client
+const mockAxios = {
+  get: jest.fn()
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios
+}));
+
+// Import after mocking
+const { createHttpClient, isRetryable } = await import('../src/http/index.js');
+const { createConcurrencyLimiter } = await import('../src/http/concurrencyLimiter.js');
+const { createCircuitBreaker } = await import('../src/http/circuitBreaker.js');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), {
+  response: { status, headers }
+});
+
+describe('HTTP client', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createHttpClient', () => {
+    const options = { timeout: 50, retries: 2, retryBaseDelay: 1, retryMaxDelay: 5 };
+
+    it('should pass the timeout and params to axios', async () => {
+      mockAxios.get.mockResolvedValue({ data: { ok: true } });
+      const client = createHttpClient(options);
+
+      expect(await client.get('http://api/pokemon', { limit: 1 })).toEqual({ ok: true });
+      expect(mockAxios.get).toHaveBeenCalledWith('http://api/pokemon', {
+        params: { limit: 1 },
+        timeout: 50
+      });
+    });
+
+    it('should retry 429 and 5xx responses', async () => {
+      mockAxios.get
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(429))
+        .mockResolvedValue({ data: 'ok' });
+      const client = createHttpClient(options);
+
+      expect(await client.get('http://api/pokemon/1')).toBe('ok');
+      expect(mockAxios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should give up after the configured retries', async () => {
+      mockAxios.get.mockRejectedValue(httpError(500));
+      const client = createHttpClient(options);
+
+      await expect(client.get('http://api/pokemon/1')).rejects.toThrow('HTTP 500');
+      expect(mockAxios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry client errors', async () => {
+      mockAxios.get.mockRejectedValue(httpError(404));
+      const client = createHttpClient(options);
+
+      await expect(client.get('http://api/pokemon/missingno')).rejects.toThrow('HTTP 404');
+      expect(mockAxios.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail fast once the circuit opens', async () => {
+      mockAxios.get.mockRejectedValue(httpError(500));
+      const client = createHttpClient({
+        ...options,
+        retries: 0,
+        circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 }
+      });
+
+      await expect(client.get('http://api/a')).rejects.toThrow('HTTP 500');
+      await expect(client.get('http://api/b')).rejects.toThrow('HTTP 500');
+      await expect(client.get('http://api/c')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      expect(mockAxios.get).toHaveBeenCalledTimes(2);
+      expect(client.getStats().circuit.state).toBe('open');
+    });
+  });
+
+  describe('isRetryable', () => {
+    it('should retry rate limits, server errors and timeouts only', () => {
+      expect(isRetryable(httpError(429))).toBe(true);
+      expect(isRetryable(httpError(502))).toBe(true);
+      expect(isRetryable(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' }))).toBe(true);
+      expect(isRetryable(httpError(404))).toBe(false);
+      expect(isRetryable(new Error('boom'))).toBe(false);
+    });
+  });
+
+  describe('createConcurrencyLimiter', () => {
+    it('should never run more tasks than allowed at once', async () => {
+      const limiter = createConcurrencyLimiter({ maxConcurrent: 2 });
+      let running = 0;
+      let peak = 0;
+      const task = async () => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        running -= 1;
+      };
+
+      await Promise.all(Array.from({ length: 6 }, () => limiter.run(task)));
+
+      expect(peak).toBe(2);
+      expect(limiter.getStats()).toMatchObject({ active: 0, pending: 0 });
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    it('should let a trial call through after the reset timeout', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+      const fail = () => Promise.reject(new Error('down'));
+
+      await expect(breaker.exec(fail)).rejects.toThrow('down');
+      now.mockReturnValue(999);
+      await expect(breaker.exec(fail)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      now.mockReturnValue(1000);
+      expect(await breaker.exec(() => Promise.resolve('up'))).toBe('up');
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+      now.mockRestore();
+    });
+
+    it('should ignore errors that are not failures', async () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 1, isFailure: () => false });
+
+      await expect(breaker.exec(() => Promise.reject(new Error('404')))).rejects.toThrow();
+
+      expect(breaker.getState().state).toBe('closed');
+    });
+
+    it('should close the circuit when the trial call fails with a non-failure error', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      const breaker = createCircuitBreaker({
+        failureThreshold: 1,
+        resetTimeout: 1000,
+        isFailure: (error) => error.message !== '404'
+      });
+
+      await expect(breaker.exec(() => Promise.reject(new Error('down')))).rejects.toThrow('down');
+      now.mockReturnValue(1000);
+      await expect(breaker.exec(() => Promise.reject(new Error('404')))).rejects.toThrow('404');
+
+      expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+      expect(await breaker.exec(() => Promise.resolve('up'))).toBe('up');
+      now.mockRestore();
+    });
+  });
+});
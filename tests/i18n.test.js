@@ -0,0 +1,80 @@
+import {
+  LANGUAGES,
+  createTranslator,
+  isSupportedLanguage,
+  messageSection,
+  pickLocalized,
+  statName,
+  typeName
+} from '../src/i18n/index.js';
+import en from '../src/i18n/messages/en.js';
+
+/**
+ * Dotted keys of every string in a message catalog
+ */
+const keysOf = (messages, prefix = '') =>
+  Object.entries(messages).flatMap(([key, value]) =>
+    typeof value === 'string' ? [`${prefix}${key}`] : keysOf(value, `${prefix}${key}.`)
+  );
+
+describe('Localization', () => {
+  describe('createTranslator', () => {
+    it('should translate and fill in parameters', () => {
+      const t = createTranslator('ja');
+
+      expect(t('nav.teams')).toBe('チーム');
+      expect(t('common.pageOf', { current: 2, total: 5 })).toBe('2 / 5 ページ');
+    });
+
+    it('should fall back to English, then to the key', () => {
+      expect(createTranslator('xx')('nav.teams')).toBe('Teams');
+      expect(createTranslator('de')('nav.missing')).toBe('nav.missing');
+    });
+
+    it('should leave unknown placeholders alone', () => {
+      expect(createTranslator('en')('compare.selected')).toBe('Selected so far: {name}');
+    });
+  });
+
+  it('should only accept the supported language codes', () => {
+    expect(Object.keys(LANGUAGES).every(isSupportedLanguage)).toBe(true);
+    expect(isSupportedLanguage('es')).toBe(false);
+    expect(isSupportedLanguage('toString')).toBe(false);
+    expect(isSupportedLanguage(['ja'])).toBe(false);
+  });
+
+  it.each(['ja', 'de', 'fr'])('should translate every English string into %s', async (lang) => {
+    const { default: messages } = await import(`../src/i18n/messages/${lang}.js`);
+
+    expect(keysOf(messages).sort()).toEqual(keysOf(en).sort());
+  });
+
+  it('should merge a section over the English one', () => {
+    expect(messageSection('fr', 'client')).toEqual(expect.objectContaining({ clear: 'Vider' }));
+    expect(Object.keys(messageSection('fr', 'client'))).toEqual(Object.keys(en.client));
+  });
+
+  it('should name types and stats', () => {
+    expect(typeName('water', 'ja')).toBe('みず');
+    expect(typeName('shadow', 'de')).toBe('Shadow');
+    expect(statName('special-attack', 'de')).toBe('Sp.-Angr.');
+    expect(statName('special-attack')).toBe('Sp. Atk');
+  });
+
+  describe('pickLocalized', () => {
+    const names = [
+      { language: { name: 'ja-Hrkt' }, name: 'フシギダネ' },
+      { language: { name: 'en' }, name: 'Bulbasaur' }
+    ];
+
+    it('should try the PokeAPI codes of a language in order', () => {
+      expect(pickLocalized(names, 'ja').name).toBe('フシギダネ');
+    });
+
+    it('should fall back to English, or null', () => {
+      expect(pickLocalized(names, 'fr').name).toBe('Bulbasaur');
+      expect(pickLocalized([], 'fr')).toBeNull();
+      expect(pickLocalized(undefined, 'fr')).toBeNull();
+    });
+  });
+});
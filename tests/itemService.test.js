@@ -0,0 +1,283 @@
+import { jest } from '@jest/globals';
+
+// Mock the repository
+const mockPokemonRepository = {
+  getItem: jest.fn(),
+  getItemList: jest.fn(),
+  getItemCategory: jest.fn(),
+  getItemCategoryList: jest.fn(),
+  getBerry: jest.fn()
+};
+
+jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
+
+// Import after mocking
+const itemService = await import('../src/services/itemService.js');
+const { decodeCursor, encodeCursor } = await import('../src/services/pagination.js');
+
+const en = { name: 'en' };
+const ja = { name: 'ja' };
+
+describe('Item Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const mockCheriBerry = {
+    id: 126,
+    name: 'cheri-berry',
+    cost: 80,
+    fling_power: 10,
+    fling_effect: { name: 'berry-effect' },
+    category: { name: 'medicine' },
+    attributes: [{ name: 'holdable' }, { name: 'consumable' }],
+    effect_entries: [
+      { language: en, effect: 'Held: cures paralysis.', short_effect: 'Cures paralysis.' }
+    ],
+    flavor_text_entries: [
+      { language: en, text: 'An old\ndescription.' },
+      { language: ja, text: 'まひを なおす' },
+      { language: en, text: 'Cures\fparalysis.' }
+    ],
+    names: [
+      { language: ja, name: 'クラボのみ' },
+      { language: en, name: 'Cheri Berry' }
+    ],
+    sprites: { default: 'https://example.com/cheri-berry.png' },
+    held_by_pokemon: [
+      {
+        pokemon: { name: 'raichu', url: 'https://pokeapi.co/api/v2/pokemon/26/' },
+        version_details: [{ rarity: 5, version: { name: 'sun' } }]
+      },
+      {
+        pokemon: { name: 'pikachu', url: 'https://pokeapi.co/api/v2/pokemon/25/' },
+        version_details: [
+          { rarity: 5, version: { name: 'red' } },
+          { rarity: 50, version: { name: 'ultra-sun' } }
+        ]
+      }
+    ]
+  };
+
+  describe('getItemDetails', () => {
+    it('should format an item', async () => {
+      mockPokemonRepository.getItem.mockResolvedValue(mockCheriBerry);
+
+      const item = await itemService.getItemDetails('cheri-berry');
+
+      expect(item).toEqual(
+        expect.objectContaining({
+          id: 126,
+          displayName: 'Cheri Berry',
+          sprite: 'https://example.com/cheri-berry.png',
+          cost: 80,
+          flingPower: 10,
+          flingEffect: 'Berry Effect',
+          category: 'medicine',
+          categoryName: 'Medicine',
+          attributes: ['Holdable', 'Consumable'],
+          shortEffect: 'Cures paralysis.',
+          flavorText: 'Cures paralysis.',
+          berry: 'cheri'
+        })
+      );
+    });
+
+    it('should list the wild Pokemon holding it by id, with the chance per version', async () => {
+      mockPokemonRepository.getItem.mockResolvedValue(mockCheriBerry);
+
+      const { heldBy } = await itemService.getItemDetails('cheri-berry');
+
+      expect(heldBy.map((poke) => poke.name)).toEqual(['pikachu', 'raichu']);
+      expect(heldBy[0].versions).toEqual([
+        { version: 'red', versionName: 'Red', rarity: 5 },
+        { version: 'ultra-sun', versionName: 'Ultra Sun', rarity: 50 }
+      ]);
+    });
+
+    it('should localize the name and text, falling back to English', async () => {
+      mockPokemonRepository.getItem.mockResolvedValue(mockCheriBerry);
+
+      const item = await itemService.getItemDetails('cheri-berry', { lang: 'ja' });
+
+      expect(item.displayName).toBe('クラボのみ');
+      expect(item.flavorText).toBe('まひを なおす');
+      expect(item.shortEffect).toBe('Cures paralysis.');
+    });
+
+    it('should handle items that are not berries or cannot be flung', async () => {
+      mockPokemonRepository.getItem.mockResolvedValue({
+        ...mockCheriBerry,
+        name: 'master-ball',
+        names: [],
+        fling_power: null,
+        fling_effect: null,
+        flavor_text_entries: [],
+        sprites: { default: null }
+      });
+
+      const item = await itemService.getItemDetails('master-ball');
+
+      expect(item).toEqual(
+        expect.objectContaining({
+          displayName: 'Master Ball',
+          sprite: null,
+          flingPower: null,
+          flingEffect: null,
+          flavorText: null,
+          berry: null
+        })
+      );
+    });
+
+    it('should return null for unknown items', async () => {
+      mockPokemonRepository.getItem.mockResolvedValue(null);
+
+      expect(await itemService.getItemDetails('missingno')).toBeNull();
+    });
+  });
+
+  describe('getItems', () => {
+    const entry = (name, id) => ({ name, url: `https://pokeapi.co/api/v2/item/${id}/` });
+
+    it('should page through every item', async () => {
+      mockPokemonRepository.getItemList.mockResolvedValue({
+        count: 45,
+        results: [entry('potion', 17)]
+      });
+
+      const data = await itemService.getItems({ page: 3, limit: 20 });
+
+      expect(mockPokemonRepository.getItemList).toHaveBeenCalledWith(20, 40);
+      expect(data.items).toEqual([
+        {
+          id: 17,
+          name: 'potion',
+          displayName: 'Potion',
+          sprite: 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/items/potion.png'
+        }
+      ]);
+      expect(data).toEqual(
+        expect.objectContaining({
+          category: null,
+          totalCount: 45,
+          currentPage: 3,
+          totalPages: 3,
+          hasNextPage: false,
+          hasPrevPage: true
+        })
+      );
+    });
+
+    it('should page through the items of a category by id', async () => {
+      mockPokemonRepository.getItemCategory.mockResolvedValue({
+        name: 'healing',
+        items: [entry('super-potion', 26), entry('potion', 17), entry('hyper-potion', 25)]
+      });
+
+      const data = await itemService.getItems({ category: 'healing', page: 1, limit: 2 });
+
+      expect(mockPokemonRepository.getItemList).not.toHaveBeenCalled();
+      expect(data.items.map((item) => item.name)).toEqual(['potion', 'hyper-potion']);
+      expect(data.category).toEqual({ name: 'healing', displayName: 'Healing' });
+      expect(data.totalCount).toBe(3);
+      expect(data.hasNextPage).toBe(true);
+    });
+
+    it('should start at a cursor offset and hand out cursors', async () => {
+      mockPokemonRepository.getItemList.mockResolvedValue({ count: 45, results: [] });
+
+      const data = await itemService.getItems({ limit: 20, offset: decodeCursor(encodeCursor(15)) });
+
+      expect(mockPokemonRepository.getItemList).toHaveBeenCalledWith(20, 15);
+      expect(decodeCursor(data.nextCursor)).toBe(35);
+      expect(decodeCursor(data.prevCursor)).toBe(0);
+    });
+
+    it('should return null for unknown categories', async () => {
+      mockPokemonRepository.getItemCategory.mockResolvedValue(null);
+
+      expect(await itemService.getItems({ category: 'plates' })).toBeNull();
+    });
+  });
+
+  describe('getItemCategories', () => {
+    it('should sort categories by display name', async () => {
+      mockPokemonRepository.getItemCategoryList.mockResolvedValue([
+        { name: 'healing', url: 'url' },
+        { name: 'baking-only', url: 'url' }
+      ]);
+
+      expect(await itemService.getItemCategories()).toEqual([
+        { name: 'baking-only', displayName: 'Baking Only' },
+        { name: 'healing', displayName: 'Healing' }
+      ]);
+    });
+  });
+
+  describe('getBerryDetails', () => {
+    const mockBerry = {
+      id: 1,
+      name: 'cheri',
+      growth_time: 3,
+      max_harvest: 5,
+      natural_gift_power: 60,
+      natural_gift_type: { name: 'fire' },
+      size: 20,
+      smoothness: 25,
+      soil_dryness: 15,
+      firmness: { name: 'soft' },
+      flavors: [
+        { potency: 0, flavor: { name: 'dry' } },
+        { potency: 10, flavor: { name: 'spicy' } },
+        { potency: 20, flavor: { name: 'sour' } }
+      ],
+      item: { name: 'cheri-berry', url: 'https://pokeapi.co/api/v2/item/126/' }
+    };
+
+    it('should format a berry with its item', async () => {
+      mockPokemonRepository.getBerry.mockResolvedValue(mockBerry);
+      mockPokemonRepository.getItem.mockResolvedValue(mockCheriBerry);
+
+      const berry = await itemService.getBerryDetails('cheri', { lang: 'ja' });
+
+      expect(mockPokemonRepository.getItem).toHaveBeenCalledWith('cheri-berry');
+      expect(berry).toEqual(
+        expect.objectContaining({
+          id: 1,
+          name: 'cheri',
+          displayName: 'クラボのみ',
+          growthTime: 3,
+          maxHarvest: 5,
+          naturalGiftPower: 60,
+          naturalGiftType: 'fire',
+          size: 20,
+          firmness: 'Soft',
+          flavors: [
+            { name: 'sour', potency: 20 },
+            { name: 'spicy', potency: 10 }
+          ]
+        })
+      );
+      expect(berry.item.name).toBe('cheri-berry');
+    });
+
+    it('should accept the item name of a berry', async () => {
+      mockPokemonRepository.getBerry.mockResolvedValue(mockBerry);
+      mockPokemonRepository.getItem.mockResolvedValue(null);
+
+      const berry = await itemService.getBerryDetails('cheri-berry');
+
+      expect(mockPokemonRepository.getBerry).toHaveBeenCalledWith('cheri');
+      expect(berry.displayName).toBe('Cheri Berry');
+      expect(berry.item).toBeNull();
+    });
+
+    it('should return null for unknown berries', async () => {
+      mockPokemonRepository.getBerry.mockResolvedValue(null);
+
+      expect(await itemService.getBerryDetails('missingno')).toBeNull();
+      expect(mockPokemonRepository.getItem).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+
+// Mock the repository
+const mockPokemonRepository = {
+  getMove: jest.fn(),
+  getMoveNameList: jest.fn()
+};
+
+jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
+
+// Import after mocking
+const moveService = await import('../src/services/moveService.js');
+
+describe('Move Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const mockMoveData = {
+    id: 85,
+    name: 'thunderbolt',
+    type: { name: 'electric' },
+    power: 90,
+    accuracy: 100,
+    pp: 15,
+    priority: 0,
+    effect_chance: 10,
+    damage_class: { name: 'special' },
+    target: { name: 'selected-pokemon' },
+    generation: { name: 'generation-i' },
+    effect_entries: [
+      {
+        language: { name: 'en' },
+        effect: 'Inflicts regular damage. Has a $effect_chance% chance to paralyze the target.',
+        short_effect: 'Has a $effect_chance% chance to paralyze the target.'
+      }
+    ],
+    flavor_text_entries: [
+      { language: { name: 'en' }, flavor_text: 'An old\ndescription.' },
+      { language: { name: 'ja' }, flavor_text: '...' },
+      { language: { name: 'en' }, flavor_text: 'A strong electric\fblast.' }
+    ],
+    learned_by_pokemon: [
+      { name: 'raichu', url: 'https://pokeapi.co/api/v2/pokemon/26/' },
+      { name: 'pikachu', url: 'https://pokeapi.co/api/v2/pokemon/25/' }
+    ]
+  };
+
+  describe('getMoveDetails', () => {
+    it('should return formatted move details', async () => {
+      mockPokemonRepository.getMove.mockResolvedValue(mockMoveData);
+
+      const result = await moveService.getMoveDetails('thunderbolt');
+
+      expect(result).toMatchObject({
+        id: 85,
+        displayName: 'Thunderbolt',
+        type: 'electric',
+        power: 90,
+        accuracy: 100,
+        pp: 15,
+        damageClass: 'special',
+        target: 'Selected Pokemon',
+        generation: 'Generation I',
+        shortEffect: 'Has a 10% chance to paralyze the target.',
+        flavorText: 'A strong electric blast.'
+      });
+      expect(result.learnedBy.map((p) => p.name)).toEqual(['pikachu', 'raichu']);
+    });
+
+    it('should return null for non-existent moves', async () => {
+      mockPokemonRepository.getMove.mockResolvedValue(null);
+
+      expect(await moveService.getMoveDetails('nonexistent')).toBeNull();
+    });
+  });
+
+  describe('searchMoves', () => {
+    it('should rank and paginate matching move names', async () => {
+      mockPokemonRepository.getMoveNameList.mockResolvedValue([
+        { name: 'thunder', url: 'https://pokeapi.co/api/v2/move/87/' },
+        { name: 'thunderbolt', url: 'https://pokeapi.co/api/v2/move/85/' },
+        { name: 'thunder-punch', url: 'https://pokeapi.co/api/v2/move/9/' },
+        { name: 'tackle', url: 'https://pokeapi.co/api/v2/move/33/' }
+      ]);
+
+      const result = await moveService.searchMoves('thunder', 1, 2);
+
+      expect(result.totalCount).toBe(3);
+      expect(result.moves[0]).toMatchObject({ name: 'thunder', matchType: 'exact' });
+      expect(result.moves).toHaveLength(2);
+      expect(result.hasNextPage).toBe(true);
+      expect(result.nextCursor).not.toBeNull();
+
+      const next = await moveService.searchMoves('thunder', 1, 2, { offset: 2 });
+      expect(next.moves).toHaveLength(1);
+      expect(next).toMatchObject({ currentPage: 2, hasNextPage: false, nextCursor: null });
+    });
+
+    it('should return no results for an empty query', async () => {
+      const result = await moveService.searchMoves('  ');
+
+      expect(result.moves).toEqual([]);
+      expect(mockPokemonRepository.getMoveNameList).not.toHaveBeenCalled();
+    });
+  });
+});
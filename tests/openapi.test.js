@@ -0,0 +1,693 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import request from 'supertest';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+/**
+ * Conformance test: calls every documented operation on the real app (services
+ * and repositories included, reading a small offline snapshot) and checks each
+ * response against the OpenAPI document.
+ */
+
+const API = 'https://pokeapi.co/api/v2';
+const entry = (resource, name, id) => ({ name, url: `${API}/${resource}/${id}/` });
+const en = { name: 'en' };
+
+const STAT_NAMES = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+const POKEMON = [
+  ['pichu', 172, [20, 40, 15, 35, 35, 60]],
+  ['pikachu', 25, [35, 55, 40, 50, 50, 90]],
+  ['raichu', 26, [60, 90, 55, 90, 80, 110]]
+];
+
+// Raichu's Alolan variety, listed in the raichu species' varieties
+const ALOLA = ['raichu-alola', 10100, [60, 85, 50, 95, 85, 110]];
+
+const pokemonFixture = ([name, id, stats]) => ({
+  id,
+  name,
+  is_default: true,
+  forms: [entry('pokemon-form', name, id)],
+  height: 4,
+  weight: 60,
+  species: entry('pokemon-species', name, id),
+  sprites: {
+    front_default: `https://img.example/${id}.png`,
+    other: { 'official-artwork': { front_default: null } }
+  },
+  types: [{ slot: 1, type: entry('type', 'electric', 13) }],
+  abilities: [
+    { ability: entry('ability', 'static', 9), is_hidden: false },
+    { ability: entry('ability', 'lightning-rod', 31), is_hidden: true }
+  ],
+  stats: stats.map((value, index) => ({ base_stat: value, stat: { name: STAT_NAMES[index] } })),
+  moves: [
+    {
+      move: entry('move', 'thunderbolt', 85),
+      version_group_details: [
+        {
+          level_learned_at: 26,
+          move_learn_method: { name: 'level-up' },
+          version_group: entry('version-group', 'scarlet-violet', 25)
+        },
+        {
+          level_learned_at: 0,
+          move_learn_method: { name: 'machine' },
+          version_group: entry('version-group', 'red-blue', 1)
+        }
+      ]
+    }
+  ]
+});
+
+const alolaFixture = {
+  ...pokemonFixture(ALOLA),
+  is_default: false,
+  species: entry('pokemon-species', 'raichu', 26),
+  types: [
+    { slot: 1, type: entry('type', 'electric', 13) },
+    { slot: 2, type: entry('type', 'psychic', 14) }
+  ]
+};
+
+const formFixture = ([name, id]) => ({
+  id,
+  name,
+  form_name: name === ALOLA[0] ? 'alola' : '',
+  is_default: true,
+  is_mega: false,
+  is_battle_only: false,
+  sprites: { front_default: `https://img.example/${id}.png` },
+  form_names: name === ALOLA[0] ? [{ name: 'Alola Form', language: en }] : []
+});
+
+const speciesFixture = ([name, id]) => ({
+  id,
+  name,
+  varieties: [
+    { is_default: true, pokemon: entry('pokemon', name, id) },
+    ...(name === 'raichu' ? [{ is_default: false, pokemon: entry('pokemon', ...ALOLA) }] : [])
+  ],
+  flavor_text_entries: [
+    { flavor_text: 'It stores\felectricity.', language: en, version: entry('version', 'red', 1) }
+  ],
+  genera: [
+    { genus: 'Mouse Pokémon', language: en },
+    { genus: 'ねずみポケモン', language: { name: 'ja' } }
+  ],
+  color: { name: 'yellow' },
+  capture_rate: 190,
+  base_happiness: 50,
+  is_baby: false,
+  is_legendary: false,
+  is_mythical: false,
+  egg_groups: [entry('egg-group', 'ground', 5), entry('egg-group', 'fairy', 6)],
+  gender_rate: 4,
+  hatch_counter: 10,
+  growth_rate: entry('growth-rate', 'medium-fast', 2),
+  habitat: null,
+  shape: entry('pokemon-shape', 'quadruped', 8),
+  generation: entry('generation', 'generation-i', 1),
+  evolution_chain: { url: `${API}/evolution-chain/10/` }
+});
+
+const evolutionFixture = {
+  id: 10,
+  chain: {
+    species: entry('pokemon-species', 'pichu', 172),
+    evolution_details: [],
+    evolves_to: [
+      {
+        species: entry('pokemon-species', 'pikachu', 25),
+        evolution_details: [{ trigger: { name: 'level-up' }, min_happiness: 220 }],
+        evolves_to: [
+          {
+            species: entry('pokemon-species', 'raichu', 26),
+            evolution_details: [
+              { trigger: { name: 'use-item' }, item: { name: 'thunder-stone' } }
+            ],
+            evolves_to: []
+          }
+        ]
+      }
+    ]
+  }
+};
+
+const relations = (doubleFrom = [], halfFrom = [], noneFrom = []) => ({
+  double_damage_from: doubleFrom.map((name) => ({ name })),
+  half_damage_from: halfFrom.map((name) => ({ name })),
+  no_damage_from: noneFrom.map((name) => ({ name }))
+});
+
+const TYPES = [
+  ['flying', 3, relations(['electric'], [], ['ground'])],
+  ['ground', 5, relations(['flying'], [], ['electric'])],
+  ['electric', 13, relations(['ground'], ['flying', 'electric'])]
+];
+
+const moveFixture = {
+  id: 85,
+  name: 'thunderbolt',
+  type: { name: 'electric' },
+  power: 90,
+  accuracy: 100,
+  pp: 15,
+  priority: 0,
+  damage_class: { name: 'special' },
+  target: { name: 'selected-pokemon' },
+  generation: { name: 'generation-i' },
+  effect_chance: 10,
+  effect_entries: [
+    { effect: 'Has a $effect_chance% chance to paralyze.', short_effect: 'May paralyze.', language: en }
+  ],
+  flavor_text_entries: [{ flavor_text: 'A strong\nelectric blast.', language: en }],
+  learned_by_pokemon: POKEMON.map(([name, id]) => entry('pokemon', name, id))
+};
+
+const abilityFixture = {
+  id: 9,
+  name: 'static',
+  generation: { name: 'generation-iii' },
+  effect_entries: [{ effect: 'May paralyze on contact.', short_effect: 'Paralyzes.', language: en }],
+  flavor_text_entries: [{ flavor_text: 'May cause paralysis.', language: en }],
+  pokemon: POKEMON.map(([name, id]) => ({ is_hidden: false, pokemon: entry('pokemon', name, id) }))
+};
+
+// Generations and Pokedexes list their Pokemon out of dex order
+const generationFixtures = [
+  {
+    id: 1,
+    name: 'generation-i',
+    names: [{ name: 'Generation I', language: en }],
+    main_region: entry('region', 'kanto', 1),
+    pokemon_species: [entry('pokemon-species', 'raichu', 26), entry('pokemon-species', 'pikachu', 25)]
+  },
+  {
+    id: 2,
+    name: 'generation-ii',
+    names: [{ name: '第二世代', language: { name: 'ja' } }],
+    main_region: entry('region', 'johto', 2),
+    pokemon_species: [entry('pokemon-species', 'pichu', 172)]
+  }
+];
+
+const pokedexFixture = {
+  id: 3,
+  name: 'original-johto',
+  names: [{ name: 'Johto', language: en }],
+  region: entry('region', 'johto', 2),
+  pokemon_entries: [
+    { entry_number: 23, pokemon_species: entry('pokemon-species', 'raichu', 26) },
+    { entry_number: 21, pokemon_species: entry('pokemon-species', 'pichu', 172) },
+    { entry_number: 22, pokemon_species: entry('pokemon-species', 'pikachu', 25) }
+  ]
+};
+
+const itemFixtures = [
+  {
+    id: 17,
+    name: 'potion',
+    cost: 200,
+    fling_power: 30,
+    fling_effect: null,
+    category: entry('item-category', 'healing', 27),
+    attributes: [entry('item-attribute', 'countable', 1)],
+    effect_entries: [
+      { effect: 'Restores 20 HP.', short_effect: 'Restores 20 HP.', language: en }
+    ],
+    flavor_text_entries: [{ text: 'A spray-type\nmedicine.', language: en }],
+    names: [{ name: 'Potion', language: en }],
+    sprites: { default: 'https://example.com/potion.png' },
+    held_by_pokemon: []
+  },
+  {
+    id: 126,
+    name: 'cheri-berry',
+    cost: 80,
+    fling_power: 10,
+    fling_effect: entry('item-fling-effect', 'berry-effect', 3),
+    category: entry('item-category', 'medicine', 3),
+    attributes: [],
+    effect_entries: [],
+    flavor_text_entries: [],
+    names: [{ name: 'クラボのみ', language: { name: 'ja' } }],
+    sprites: { default: null },
+    held_by_pokemon: [
+      {
+        pokemon: entry('pokemon', 'pikachu', 25),
+        version_details: [{ rarity: 5, version: entry('version', 'red', 1) }]
+      }
+    ]
+  }
+];
+
+const itemCategoryFixture = {
+  id: 27,
+  name: 'healing',
+  items: [entry('item', 'potion', 17)]
+};
+
+const berryFixture = {
+  id: 1,
+  name: 'cheri',
+  growth_time: 3,
+  max_harvest: 5,
+  natural_gift_power: 60,
+  natural_gift_type: entry('type', 'fire', 10),
+  size: 20,
+  smoothness: 25,
+  soil_dryness: 15,
+  firmness: entry('berry-firmness', 'soft', 2),
+  flavors: [
+    { potency: 10, flavor: entry('berry-flavor', 'spicy', 1) },
+    { potency: 0, flavor: entry('berry-flavor', 'dry', 2) }
+  ],
+  item: entry('item', 'cheri-berry', 126)
+};
+
+// Pikachu in Viridian Forest: two walking slots that merge into one row
+const encountersFixture = [
+  {
+    location_area: entry('location-area', 'viridian-forest-area', 321),
+    version_details: [
+      {
+        version: entry('version', 'yellow', 3),
+        max_chance: 10,
+        encounter_details: [
+          { min_level: 3, max_level: 3, chance: 5, condition_values: [], method: entry('encounter-method', 'walk', 1) },
+          { min_level: 5, max_level: 5, chance: 5, condition_values: [], method: entry('encounter-method', 'walk', 1) }
+        ]
+      }
+    ]
+  }
+];
+
+const natureFixtures = [
+  {
+    id: 1,
+    name: 'hardy',
+    increased_stat: null,
+    decreased_stat: null,
+    names: [{ name: 'Hardy', language: en }]
+  },
+  {
+    id: 3,
+    name: 'adamant',
+    increased_stat: entry('stat', 'attack', 2),
+    decreased_stat: entry('stat', 'special-attack', 4),
+    names: [{ name: 'いじっぱり', language: { name: 'ja' } }]
+  }
+];
+
+// ============================================
+// SETUP
+// ============================================
+
+const dir = await mkdtemp(join(tmpdir(), 'pokedex-openapi-'));
+const snapshotDir = join(dir, 'snapshot');
+
+const writeJson = async (path, data) => {
+  await mkdir(join(snapshotDir, path, '..'), { recursive: true });
+  await writeFile(join(snapshotDir, path), JSON.stringify(data));
+};
+
+const writeResource = async (resource, items) => {
+  await writeJson(`${resource}/index.json`, {
+    count: items.length,
+    results: items.map(({ name, id }) => entry(resource, name, id))
+  });
+  await Promise.all(items.map((item) => writeJson(`${resource}/${item.id}.json`, item)));
+};
+
+await writeResource('pokemon', [...POKEMON.map(pokemonFixture), alolaFixture]);
+await writeResource('pokemon-form', [...POKEMON, ALOLA].map(formFixture));
+await writeResource('pokemon-species', POKEMON.map(speciesFixture));
+await writeResource('evolution-chain', [{ ...evolutionFixture, name: '10' }]);
+await writeResource(
+  'type',
+  TYPES.map(([name, id, damageRelations]) => ({
+    id,
+    name,
+    damage_relations: damageRelations,
+    pokemon:
+      name === 'electric'
+        ? POKEMON.map(([pokemon, pokemonId]) => ({
+            slot: 1,
+            pokemon: entry('pokemon', pokemon, pokemonId)
+          }))
+        : []
+  }))
+);
+await writeJson('pokemon/25/encounters.json', encountersFixture);
+await writeResource('generation', generationFixtures);
+await writeResource('pokedex', [pokedexFixture]);
+await writeResource('move', [moveFixture]);
+await writeResource('ability', [abilityFixture]);
+await writeResource('item', itemFixtures);
+await writeResource('item-category', [itemCategoryFixture]);
+await writeResource('berry', [berryFixture]);
+await writeResource('nature', natureFixtures);
+
+process.env.POKEAPI_SOURCE = 'snapshot';
+process.env.POKEAPI_SNAPSHOT_DIR = snapshotDir;
+process.env.DATA_DIR = join(dir, 'data');
+
+// Import the app after pointing it at the snapshot
+const { default: app } = await import('../src/app.js');
+const { openapiDocument } = await import('../src/openapi/index.js');
+const { apiRoutes } = await import('../src/routes/index.js');
+
+// Stat sorts need the stat table
+const { refreshStatTable } = await import('../src/services/statTable.js');
+await refreshStatTable();
+
+// ============================================
+// SPEC HELPERS
+// ============================================
+
+// Formats are documentation only; "components" is embedded so $refs resolve
+const ajv = new Ajv2020({ strict: false, allErrors: true, validateFormats: false });
+const validators = new Map();
+
+const resolveResponse = (response) =>
+  response.$ref ? openapiDocument.components.responses[response.$ref.split('/').pop()] : response;
+
+// Operations whose responses have been checked, as "METHOD path status"
+const checked = new Set();
+
+/**
+ * Assert a supertest response matches the documented response for its status
+ */
+const expectToMatchSpec = (method, path, response) => {
+  const operation = openapiDocument.paths[path]?.[method];
+  expect(operation).toBeDefined();
+
+  const documented = operation.responses[response.status];
+  if (!documented) {
+    throw new Error(`${method.toUpperCase()} ${path} returned undocumented ${response.status}`);
+  }
+
+  const schema = resolveResponse(documented).content?.['application/json']?.schema;
+  if (!schema) {
+    expect(response.text).toBe('');
+  } else {
+    const key = `${method} ${path} ${response.status}`;
+    if (!validators.has(key)) {
+      validators.set(key, ajv.compile({ ...schema, components: openapiDocument.components }));
+    }
+    const validate = validators.get(key);
+    if (!validate(response.body)) {
+      throw new Error(
+        `${method.toUpperCase()} ${path} ${response.status} does not match the spec:\n` +
+          ajv.errorsText(validate.errors, { separator: '\n' })
+      );
+    }
+  }
+
+  checked.add(`${method.toUpperCase()} ${path} ${response.status}`);
+};
+
+/**
+ * Every route registered on an Express router, as "METHOD /path/{param}"
+ */
+const listRoutes = (router, routes = []) => {
+  router.stack.forEach((layer) => {
+    if (layer.route) {
+      const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+      Object.keys(layer.route.methods).forEach((method) =>
+        routes.push(`${method.toUpperCase()} ${path}`)
+      );
+    } else if (layer.handle?.stack) {
+      listRoutes(layer.handle, routes);
+    }
+  });
+  return routes;
+};
+
+const documentedOperations = Object.entries(openapiDocument.paths).flatMap(([path, methods]) =>
+  Object.keys(methods).map((method) => `${method.toUpperCase()} ${path}`)
+);
+
+// ============================================
+// TESTS
+// ============================================
+
+afterAll(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('OpenAPI document', () => {
+  it('should be served at /api/v1/openapi.json', async () => {
+    const response = await request(app).get('/api/v1/openapi.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body.openapi).toBe('3.1.0');
+    expect(response.body.servers.map((server) => server.url)).toEqual(['/api/v1', '/api']);
+    expect(response.body.paths['/pokemon'].get.operationId).toBe('apiGetAllPokemon');
+    expectToMatchSpec('get', '/openapi.json', response);
+  });
+
+  it('should render the docs page with every operation', async () => {
+    const response = await request(app).get('/docs');
+
+    expect(response.status).toBe(200);
+    Object.values(openapiDocument.paths)
+      .flatMap((methods) => Object.values(methods))
+      .forEach((operation) => expect(response.text).toContain(`id="${operation.operationId}"`));
+  });
+
+  it('should document exactly the API routes the app serves', () => {
+    const served = listRoutes(apiRoutes);
+
+    expect([...served].sort()).toEqual([...documentedOperations].sort());
+  });
+
+  it('should be a valid schema document', () => {
+    Object.keys(openapiDocument.components.schemas).forEach((name) => {
+      expect(() =>
+        ajv.compile({
+          $ref: `#/components/schemas/${name}`,
+          components: openapiDocument.components
+        })
+      ).not.toThrow();
+    });
+  });
+});
+
+describe('API responses match the OpenAPI document', () => {
+  it.each([
+    ['/pokemon', '/api/v1/pokemon', 200],
+    ['/pokemon', '/api/v1/pokemon?full=true&limit=2', 200],
+    ['/pokemon', '/api/v1/pokemon?page=0', 400],
+    ['/pokemon', '/api/v1/pokemon?limit=1&cursor=eyJvZmZzZXQiOjF9', 200],
+    ['/pokemon', '/api/v1/pokemon?cursor=nope', 400],
+    ['/pokemon', '/api/v1/pokemon?sort=speed&order=desc', 200],
+    ['/pokemon', '/api/v1/pokemon?sort=luck', 400],
+    ['/pokemon', '/api/pokemon?limit=2', 200],
+    ['/pokemon/search', '/api/v1/pokemon/search?q=pika', 200],
+    ['/pokemon/search', '/api/v1/pokemon/search?q=pikchu&full=true', 200],
+    ['/pokemon/filter', '/api/v1/pokemon/filter?types=electric&speed>=60&sort=speed', 200],
+    ['/pokemon/filter', '/api/v1/pokemon/filter?stats=luck>5', 400],
+    ['/pokemon/filter', '/api/v1/pokemon/filter?types=cosmic', 404],
+    ['/pokemon/{nameOrId}', '/api/v1/pokemon/pikachu', 200],
+    ['/pokemon/{nameOrId}', '/api/v1/pokemon/25', 200],
+    ['/pokemon/{nameOrId}', '/api/v1/pokemon/25?lang=ja', 200],
+    ['/pokemon/{nameOrId}', '/api/v1/pokemon/25?lang=xx', 400],
+    ['/pokemon/{nameOrId}', '/api/v1/pokemon/bad!name', 400],
+    ['/pokemon/{nameOrId}', '/api/v1/pokemon/missingno', 404],
+    ['/pokemon/{nameOrId}/evolutions', '/api/v1/pokemon/pikachu/evolutions', 200],
+    ['/pokemon/{nameOrId}/evolutions', '/api/v1/pokemon/missingno/evolutions', 404],
+    ['/pokemon/{nameOrId}/moves', '/api/v1/pokemon/pikachu/moves', 200],
+    ['/pokemon/{nameOrId}/forms', '/api/v1/pokemon/raichu/forms', 200],
+    ['/pokemon/{nameOrId}/forms', '/api/v1/pokemon/raichu-alola/forms?lang=ja', 200],
+    ['/pokemon/{nameOrId}/forms', '/api/v1/pokemon/missingno/forms', 404],
+    ['/pokemon/{nameOrId}/moves', '/api/v1/pokemon/missingno/moves', 404],
+    ['/pokemon/{nameOrId}/stats/calc', '/api/v1/pokemon/pikachu/stats/calc', 200],
+    [
+      '/pokemon/{nameOrId}/stats/calc',
+      '/api/v1/pokemon/pikachu/stats/calc?level=100&nature=adamant&evs=0,252,0,0,4,252&lang=ja',
+      200
+    ],
+    ['/pokemon/{nameOrId}/stats/calc', '/api/v1/pokemon/pikachu/stats/calc?nature=hardy', 200],
+    ['/pokemon/{nameOrId}/stats/calc', '/api/v1/pokemon/pikachu/stats/calc?ivs=31,31', 400],
+    [
+      '/pokemon/{nameOrId}/stats/calc',
+      '/api/v1/pokemon/pikachu/stats/calc?evs=252,252,252,0,0,0',
+      400
+    ],
+    ['/pokemon/{nameOrId}/stats/calc', '/api/v1/pokemon/pikachu/stats/calc?nature=sleepy', 400],
+    ['/pokemon/{nameOrId}/stats/calc', '/api/v1/pokemon/missingno/stats/calc', 404],
+    ['/natures', '/api/v1/natures?lang=ja', 200],
+    ['/pokemon/{nameOrId}/encounters', '/api/v1/pokemon/pikachu/encounters', 200],
+    ['/pokemon/{nameOrId}/encounters', '/api/v1/pokemon/pikachu/encounters?version=red', 200],
+    ['/pokemon/{nameOrId}/encounters', '/api/v1/pokemon/pikachu/encounters?version=a!', 400],
+    ['/pokemon/{nameOrId}/encounters', '/api/v1/pokemon/missingno/encounters', 404],
+    ['/types', '/api/v1/types', 200],
+    ['/types', '/api/v1/types?lang=de', 200],
+    ['/types/{type}', '/api/v1/types/electric?limit=1', 200],
+    ['/types/{type}', '/api/v1/types/electric?sort=name&order=desc', 200],
+    ['/types/{type}', '/api/v1/types/cosmic', 404],
+    ['/types/{type}/matchups', '/api/v1/types/electric,flying/matchups', 200],
+    ['/types/{type}/matchups', '/api/v1/types/a,b,c/matchups', 400],
+    ['/types/{type}/matchups', '/api/v1/types/cosmic/matchups', 404],
+    ['/moves', '/api/v1/moves?q=thunder', 200],
+    ['/moves', '/api/v1/moves?q=thunder&cursor=nope', 400],
+    ['/moves/{name}', '/api/v1/moves/thunderbolt', 200],
+    ['/moves/{name}', '/api/v1/moves/splash', 404],
+    ['/abilities/{name}', '/api/v1/abilities/static', 200],
+    ['/abilities/{name}', '/api/v1/abilities/levitate', 404],
+    ['/abilities/{name}/pokemon', '/api/v1/abilities/static/pokemon', 200],
+    ['/abilities/{name}/pokemon', '/api/v1/abilities/levitate/pokemon', 404],
+    ['/items', '/api/v1/items', 200],
+    ['/items', '/api/v1/items?category=healing&limit=1', 200],
+    ['/items', '/api/v1/items?category=healing&limit=1&cursor=eyJvZmZzZXQiOjF9', 200],
+    ['/items', '/api/v1/items?category=bad!', 400],
+    ['/items', '/api/v1/items?category=plates', 404],
+    ['/item-categories', '/api/v1/item-categories', 200],
+    ['/items/{name}', '/api/v1/items/potion', 200],
+    ['/items/{name}', '/api/v1/items/126?lang=ja', 200],
+    ['/items/{name}', '/api/v1/items/master-ball', 404],
+    ['/berries/{name}', '/api/v1/berries/cheri', 200],
+    ['/berries/{name}', '/api/v1/berries/cheri-berry', 200],
+    ['/berries/{name}', '/api/v1/berries/oran', 404],
+    ['/compare', '/api/v1/compare?ids=pikachu,raichu', 200],
+    ['/compare', '/api/v1/compare?ids=pikachu', 400],
+    ['/compare', '/api/v1/compare?ids=pikachu,missingno', 404],
+    ['/generations', '/api/v1/generations?lang=ja', 200],
+    ['/generations/{id}', '/api/v1/generations/1', 200],
+    ['/generations/{id}', '/api/v1/generations/generation-ii?full=true', 200],
+    ['/generations/{id}', '/api/v1/generations/9', 404],
+    ['/pokedexes', '/api/v1/pokedexes', 200],
+    ['/pokedexes/{name}', '/api/v1/pokedexes/original-johto?limit=2', 200],
+    ['/pokedexes/{name}', '/api/v1/pokedexes/original-johto?fields=luck', 400],
+    ['/pokedexes/{name}', '/api/v1/pokedexes/orre', 404],
+    ['/cache/stats', '/api/v1/cache/stats', 200]
+  ])('GET %s (%s) → %i', async (path, url, status) => {
+    const response = await request(app).get(url);
+
+    expect(response.status).toBe(status);
+    expectToMatchSpec('get', path, response);
+  });
+
+  it('should match for the team lifecycle', async () => {
+    const created = await request(app)
+      .post('/api/v1/teams')
+      .send({ name: 'Sparks', members: ['pikachu', 'raichu'] });
+    expect(created.status).toBe(201);
+    expectToMatchSpec('post', '/teams', created);
+
+    const invalid = await request(app).post('/api/v1/teams').send({ name: '' });
+    expect(invalid.status).toBe(400);
+    expectToMatchSpec('post', '/teams', invalid);
+
+    const { id } = created.body.data;
+    const steps = [
+      ['get', '/teams', '/api/v1/teams', 200],
+      ['get', '/teams/{id}', `/api/v1/teams/${id}`, 200],
+      ['get', '/teams/{id}/analysis', `/api/v1/teams/${id}/analysis`, 200],
+      ['delete', '/teams/{id}', `/api/v1/teams/${id}`, 204],
+      ['get', '/teams/{id}', `/api/v1/teams/${id}`, 404],
+      ['get', '/teams/{id}/analysis', `/api/v1/teams/${id}/analysis`, 404],
+      ['delete', '/teams/{id}', `/api/v1/teams/${id}`, 404]
+    ];
+
+    const updated = await request(app)
+      .put(`/api/v1/teams/${id}`)
+      .send({ name: 'Sparks', members: 'pichu,pikachu,raichu' });
+    expect(updated.status).toBe(200);
+    expectToMatchSpec('put', '/teams/{id}', updated);
+
+    for (const [method, path, url, status] of steps) {
+      const response = await request(app)[method](url);
+      expect(response.status).toBe(status);
+      expectToMatchSpec(method, path, response);
+    }
+
+    const missing = await request(app)
+      .put(`/api/v1/teams/${id}`)
+      .send({ name: 'Sparks', members: ['pikachu'] });
+    expect(missing.status).toBe(404);
+    expectToMatchSpec('put', '/teams/{id}', missing);
+  });
+
+  it('should match for the collection of a logged in user', async () => {
+    const anonymous = await request(app).get('/api/v1/me/collection');
+    expect(anonymous.status).toBe(401);
+    expectToMatchSpec('get', '/me/collection', anonymous);
+
+    const signup = await request(app)
+      .post('/signup')
+      .type('form')
+      .send({ username: 'ash', password: 'pikachu123' });
+    expect(signup.status).toBe(302);
+    const cookie = signup.headers['set-cookie'][0].split(';')[0];
+
+    const steps = [
+      ['patch', '/me/collection/{nameOrId}', '/api/v1/me/collection/pikachu', 200, { caught: true }],
+      ['patch', '/me/collection/{nameOrId}', '/api/v1/me/collection/raichu', 200, { favorite: true }],
+      ['patch', '/me/collection/{nameOrId}', '/api/v1/me/collection/pikachu', 400, {}],
+      ['patch', '/me/collection/{nameOrId}', '/api/v1/me/collection/missingno', 404, { seen: true }],
+      ['get', '/me/collection', '/api/v1/me/collection', 200],
+      ['get', '/me/collection', '/api/v1/me/collection?status=traded', 400],
+      ['delete', '/me/collection/{nameOrId}', '/api/v1/me/collection/raichu', 204],
+      ['delete', '/me/collection/{nameOrId}', '/api/v1/me/collection/raichu', 404]
+    ];
+
+    for (const [method, path, url, status, body] of steps) {
+      const response = await request(app)[method](url).set('Cookie', cookie).send(body);
+      expect(response.status).toBe(status);
+      expectToMatchSpec(method, path, response);
+    }
+
+    const collection = await request(app).get('/api/v1/me/collection').set('Cookie', cookie);
+    expect(collection.body.data).toEqual({
+      counts: { favorite: 0, seen: 1, caught: 1 },
+      entries: [expect.objectContaining({ id: 25, name: 'pikachu', seen: true, caught: true })]
+    });
+  });
+
+  it('should list a Pokedex by its own entry numbers', async () => {
+    const response = await request(app).get('/api/v1/pokedexes/original-johto');
+
+    expect(response.body.data.pokemon.map((p) => [p.entryNumber, p.name])).toEqual([
+      [21, 'pichu'],
+      [22, 'pikachu'],
+      [23, 'raichu']
+    ]);
+    expect(response.body.data.pokedex).toEqual({
+      id: 3,
+      name: 'original-johto',
+      displayName: 'Johto',
+      region: 'johto'
+    });
+  });
+
+  it('should walk a list with cursors and Link headers', async () => {
+    const first = await request(app).get('/api/v1/pokemon?limit=2');
+    expectToMatchSpec('get', '/pokemon', first);
+    expect(first.body.data.pokemon.map((p) => p.name)).toEqual(['pichu', 'pikachu']);
+    expect(first.body.data.prevCursor).toBeNull();
+    expect(first.headers.link).toBe(
+      `</api/v1/pokemon?limit=2&cursor=${first.body.data.nextCursor}>; rel="next"`
+    );
+
+    const next = first.headers.link.match(/<([^>]+)>; rel="next"/)[1];
+    const second = await request(app).get(next);
+    expectToMatchSpec('get', '/pokemon', second);
+    expect(second.body.data.pokemon.map((p) => p.name)).toEqual(['raichu', 'raichu-alola']);
+    expect(second.body.data).toMatchObject({ currentPage: 2, hasNextPage: false, nextCursor: null });
+    expect(second.headers.link).toMatch(/rel="prev"$/);
+    expect(second.headers.link).not.toContain('rel="next"');
+  });
+
+  it('should have checked a successful response of every documented operation', () => {
+    const succeeded = new Set(
+      [...checked].filter((key) => / 2\d\d$/.test(key)).map((key) => key.replace(/ \d+$/, ''))
+    );
+    const unchecked = documentedOperations.filter((operation) => !succeeded.has(operation));
+
+    expect(unchecked).toEqual([]);
+  });
+});
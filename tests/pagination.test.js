@@ -0,0 +1,62 @@
+import { decodeCursor, encodeCursor, pageInfo, resolveOffset } from '../src/services/pagination.js';
+
+describe('Pagination', () => {
+  describe('cursors', () => {
+    it('should round-trip an offset through an opaque, URL-safe cursor', () => {
+      const cursor = encodeCursor(40);
+
+      expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(cursor).not.toContain('40');
+      expect(decodeCursor(cursor)).toBe(40);
+    });
+
+    it('should reject cursors it did not issue', () => {
+      expect(decodeCursor('nope')).toBeNull();
+      expect(decodeCursor('')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"offset":-1}').toString('base64url'))).toBeNull();
+      expect(decodeCursor(Buffer.from('{"offset":"5"}').toString('base64url'))).toBeNull();
+    });
+  });
+
+  describe('resolveOffset', () => {
+    it('should prefer an explicit offset over the page number', () => {
+      expect(resolveOffset(3, 20)).toBe(40);
+      expect(resolveOffset(3, 20, 5)).toBe(5);
+      expect(resolveOffset(3, 20, 0)).toBe(0);
+    });
+  });
+
+  describe('pageInfo', () => {
+    it('should describe the first page', () => {
+      const info = pageInfo(0, 20, 45);
+
+      expect(info).toMatchObject({
+        totalCount: 45,
+        currentPage: 1,
+        totalPages: 3,
+        hasNextPage: true,
+        hasPrevPage: false,
+        prevCursor: null
+      });
+      expect(decodeCursor(info.nextCursor)).toBe(20);
+    });
+
+    it('should not step back past the start from an offset between pages', () => {
+      const info = pageInfo(5, 20, 45);
+
+      expect(info.currentPage).toBe(1);
+      expect(decodeCursor(info.prevCursor)).toBe(0);
+      expect(decodeCursor(info.nextCursor)).toBe(25);
+    });
+
+    it('should describe the last page and empty lists', () => {
+      expect(pageInfo(40, 20, 45)).toMatchObject({ currentPage: 3, nextCursor: null });
+      expect(pageInfo(0, 20, 0)).toMatchObject({
+        totalPages: 0,
+        hasNextPage: false,
+        nextCursor: null,
+        prevCursor: null
+      });
+    });
+  });
+});
@@ -33,7 +33,8 @@ describe('Pokemon Repository', () => {
       const result = await pokemonRepository.getAllPokemon();
 
       expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon', {
-        params: { limit: 20, offset: 0 }
+        params: { limit: 20, offset: 0 },
+        timeout: 10000
       });
       expect(result).toEqual(mockResponse.data);
     });
@@ -47,7 +48,8 @@ describe('Pokemon Repository', () => {
       await pokemonRepository.getAllPokemon(10, 20);
 
       expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon', {
-        params: { limit: 10, offset: 20 }
+        params: { limit: 10, offset: 20 },
+        timeout: 10000
       });
     });
 
@@ -73,7 +75,7 @@ describe('Pokemon Repository', () => {
 
       const result = await pokemonRepository.getPokemonByNameOrId('pikachu');
 
-      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon/pikachu');
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon/pikachu', { timeout: 10000 });
       expect(result).toEqual(mockPokemon.data);
     });
 
@@ -85,7 +87,7 @@ describe('Pokemon Repository', () => {
 
       const result = await pokemonRepository.getPokemonByNameOrId(25);
 
-      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon/25');
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon/25', { timeout: 10000 });
       expect(result).toEqual(mockPokemon.data);
     });
 
@@ -120,7 +122,8 @@ describe('Pokemon Repository', () => {
       const result = await pokemonRepository.getPokemonSpecies('pikachu');
 
       expect(mockAxios.get).toHaveBeenCalledWith(
-        'https://pokeapi.co/api/v2/pokemon-species/pikachu'
+        'https://pokeapi.co/api/v2/pokemon-species/pikachu',
+        { timeout: 10000 }
       );
       expect(result).toEqual(mockSpecies.data);
     });
@@ -134,10 +137,154 @@ describe('Pokemon Repository', () => {
     });
   });
 
-  describe('searchPokemon', () => {
-    it('should search and filter pokemon by query', async () => {
+  describe('getPokemonForm', () => {
+    it('should fetch a pokemon form', async () => {
+      const mockForm = { data: { id: 10100, name: 'raichu-alola', form_name: 'alola' } };
+      mockAxios.get.mockResolvedValue(mockForm);
+
+      const result = await pokemonRepository.getPokemonForm('Raichu-Alola');
+
+      expect(mockAxios.get).toHaveBeenCalledWith(
+        'https://pokeapi.co/api/v2/pokemon-form/raichu-alola',
+        { timeout: 10000 }
+      );
+      expect(result).toEqual(mockForm.data);
+    });
+
+    it('should return null for 404 errors', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+
+      expect(await pokemonRepository.getPokemonForm('nonexistent')).toBeNull();
+    });
+  });
+
+  describe('getPokedex', () => {
+    it('should fetch a pokedex', async () => {
+      const mockPokedex = { data: { id: 31, name: 'paldea', pokemon_entries: [] } };
+      mockAxios.get.mockResolvedValue(mockPokedex);
+
+      const result = await pokemonRepository.getPokedex('Paldea');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokedex/paldea', {
+        timeout: 10000
+      });
+      expect(result).toEqual(mockPokedex.data);
+    });
+
+    it('should return null for 404 errors', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+
+      expect(await pokemonRepository.getPokedex('orre')).toBeNull();
+    });
+  });
+
+  describe('getGenerationList and getPokedexList', () => {
+    it('should fetch every generation and pokedex in one request each', async () => {
+      mockAxios.get.mockResolvedValue({
+        data: { count: 1, results: [{ name: 'kanto', url: 'url1' }] }
+      });
+
+      expect(await pokemonRepository.getGenerationList()).toHaveLength(1);
+      expect(await pokemonRepository.getPokedexList()).toHaveLength(1);
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/generation', {
+        params: { limit: 100 },
+        timeout: 10000
+      });
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokedex', {
+        params: { limit: 100 },
+        timeout: 10000
+      });
+    });
+  });
+
+  describe('getItem and getBerry', () => {
+    it('should fetch an item', async () => {
+      mockAxios.get.mockResolvedValue({ data: { id: 17, name: 'potion' } });
+
+      const result = await pokemonRepository.getItem('Potion');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/item/potion', {
+        timeout: 10000
+      });
+      expect(result.name).toBe('potion');
+    });
+
+    it('should return null for 404 errors', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+
+      expect(await pokemonRepository.getItem('missingno')).toBeNull();
+      expect(await pokemonRepository.getBerry('missingno')).toBeNull();
+      expect(await pokemonRepository.getItemCategory('missingno')).toBeNull();
+    });
+  });
+
+  describe('getItemList', () => {
+    it('should fetch a page of items', async () => {
+      mockAxios.get.mockResolvedValue({ data: { count: 1, results: [] } });
+
+      await pokemonRepository.getItemList(20, 40);
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/item', {
+        params: { limit: 20, offset: 40 },
+        timeout: 10000
+      });
+    });
+  });
+
+  describe('getPokemonEncounters', () => {
+    it('should fetch the encounters of a pokemon', async () => {
+      mockAxios.get.mockResolvedValue({ data: [] });
+
+      const result = await pokemonRepository.getPokemonEncounters(25);
+
+      expect(mockAxios.get).toHaveBeenCalledWith(
+        'https://pokeapi.co/api/v2/pokemon/25/encounters',
+        { timeout: 10000 }
+      );
+      expect(result).toEqual([]);
+    });
+
+    it('should return null for 404 errors', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+
+      expect(await pokemonRepository.getPokemonEncounters('missingno')).toBeNull();
+    });
+  });
+
+  describe('getNature and getNatureList', () => {
+    it('should fetch a nature', async () => {
+      mockAxios.get.mockResolvedValue({ data: { id: 3, name: 'adamant' } });
+
+      const result = await pokemonRepository.getNature('Adamant');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/nature/adamant', {
+        timeout: 10000
+      });
+      expect(result.name).toBe('adamant');
+    });
+
+    it('should return null for 404 errors', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+
+      expect(await pokemonRepository.getNature('sleepy')).toBeNull();
+    });
+
+    it('should fetch every nature in one request', async () => {
+      mockAxios.get.mockResolvedValue({ data: { count: 1, results: [{ name: 'hardy' }] } });
+
+      expect(await pokemonRepository.getNatureList()).toEqual([{ name: 'hardy' }]);
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/nature', {
+        params: { limit: 100 },
+        timeout: 10000
+      });
+    });
+  });
+
+  describe('getPokemonNameList', () => {
+    it('should fetch every pokemon name in one request', async () => {
       const mockResponse = {
         data: {
+          count: 3,
           results: [
             { name: 'pikachu', url: 'url1' },
             { name: 'pichu', url: 'url2' },
@@ -147,11 +294,45 @@ describe('Pokemon Repository', () => {
       };
       mockAxios.get.mockResolvedValue(mockResponse);
 
-      const result = await pokemonRepository.searchPokemon('pik');
+      const result = await pokemonRepository.getPokemonNameList();
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon', {
+        params: { limit: 100000, offset: 0 },
+        timeout: 10000
+      });
+      expect(result).toHaveLength(3);
+    });
+
+    it('should throw error when API fails', async () => {
+      mockAxios.get.mockRejectedValue(new Error('Network Error'));
+
+      await expect(pokemonRepository.getPokemonNameList()).rejects.toThrow(
+        'Failed to fetch Pokemon names'
+      );
+    });
+
+    it('should raise UpstreamUnavailableError when PokeAPI fails', async () => {
+      mockAxios.get.mockRejectedValue(new Error('socket hang up'));
+
+      await expect(pokemonRepository.getPokemonNameList()).rejects.toMatchObject({
+        code: 'UPSTREAM_UNAVAILABLE',
+        status: 503,
+        message: 'Failed to fetch Pokemon names: socket hang up'
+      });
+    });
+  });
+
+  describe('getSpeciesCount', () => {
+    it('should read the species count from a one-item page', async () => {
+      mockAxios.get.mockResolvedValue({ data: { count: 1025, results: [] } });
 
-      expect(result.count).toBe(1);
-      expect(result.results).toHaveLength(1);
-      expect(result.results[0].name).toBe('pikachu');
+      const result = await pokemonRepository.getSpeciesCount();
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/pokemon-species', {
+        params: { limit: 1, offset: 0 },
+        timeout: 10000
+      });
+      expect(result).toBe(1025);
     });
   });
 
@@ -169,7 +350,7 @@ describe('Pokemon Repository', () => {
 
       const result = await pokemonRepository.getPokemonTypes();
 
-      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/type');
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/type', { timeout: 10000 });
       expect(result).toEqual(mockTypes.data.results);
     });
   });
@@ -188,7 +369,7 @@ describe('Pokemon Repository', () => {
 
       const result = await pokemonRepository.getPokemonByType('fire');
 
-      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/type/fire');
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/type/fire', { timeout: 10000 });
       expect(result).toHaveLength(2);
       expect(result[0].name).toBe('charmander');
     });
@@ -201,4 +382,111 @@ describe('Pokemon Repository', () => {
       expect(result).toBeNull();
     });
   });
-});
\ No newline at end of file
+
+  describe('getPokemonByAbility', () => {
+    it('should list pokemon with their hidden flag', async () => {
+      mockAxios.get.mockResolvedValue({
+        data: {
+          pokemon: [
+            { pokemon: { name: 'pikachu', url: 'url1' }, is_hidden: false },
+            { pokemon: { name: 'raichu', url: 'url2' }, is_hidden: true }
+          ]
+        }
+      });
+
+      const result = await pokemonRepository.getPokemonByAbility('Static');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/ability/static', { timeout: 10000 });
+      expect(result).toEqual([
+        { name: 'pikachu', url: 'url1', isHidden: false },
+        { name: 'raichu', url: 'url2', isHidden: true }
+      ]);
+    });
+
+    it('should return null for 404 errors', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+
+      expect(await pokemonRepository.getPokemonByAbility('nonexistent')).toBeNull();
+    });
+  });
+
+  describe('getEvolutionChain', () => {
+    it('should fetch an evolution chain by id', async () => {
+      const mockChain = { data: { id: 1, chain: { species: { name: 'bulbasaur' } } } };
+      mockAxios.get.mockResolvedValue(mockChain);
+
+      const result = await pokemonRepository.getEvolutionChain(1);
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/evolution-chain/1', { timeout: 10000 });
+      expect(result).toEqual(mockChain.data);
+    });
+
+    it('should return null for 404 errors', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+
+      const result = await pokemonRepository.getEvolutionChain(99999);
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getMove', () => {
+    it('should fetch a move by name', async () => {
+      const mockMove = { data: { id: 85, name: 'thunderbolt', power: 90 } };
+      mockAxios.get.mockResolvedValue(mockMove);
+
+      const result = await pokemonRepository.getMove('Thunderbolt');
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/move/thunderbolt', { timeout: 10000 });
+      expect(result).toEqual(mockMove.data);
+    });
+
+    it('should return null for 404 errors', async () => {
+      mockAxios.get.mockRejectedValue({ response: { status: 404 } });
+
+      const result = await pokemonRepository.getMove('nonexistent');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getMoveNameList', () => {
+    it('should fetch every move name in one request', async () => {
+      mockAxios.get.mockResolvedValue({
+        data: { count: 1, results: [{ name: 'pound', url: 'url1' }] }
+      });
+
+      const result = await pokemonRepository.getMoveNameList();
+
+      expect(mockAxios.get).toHaveBeenCalledWith('https://pokeapi.co/api/v2/move', {
+        params: { limit: 100000, offset: 0 },
+        timeout: 10000
+      });
+      expect(result).toHaveLength(1);
+    });
+  });
+
+  describe('getTypeDamageRelations', () => {
+    it('should load damage relations for every type', async () => {
+      const fireRelations = { double_damage_from: [{ name: 'water' }] };
+      const waterRelations = { double_damage_from: [{ name: 'grass' }] };
+      mockAxios.get.mockImplementation((url) => {
+        const responses = {
+          'https://pokeapi.co/api/v2/type': {
+            results: [
+              { name: 'fire', url: 'url1' },
+              { name: 'water', url: 'url2' }
+            ]
+          },
+          'https://pokeapi.co/api/v2/type/fire': { name: 'fire', damage_relations: fireRelations },
+          'https://pokeapi.co/api/v2/type/water': { name: 'water', damage_relations: waterRelations }
+        };
+        return Promise.resolve({ data: responses[url] });
+      });
+
+      const result = await pokemonRepository.getTypeDamageRelations();
+
+      expect(result).toEqual({ fire: fireRelations, water: waterRelations });
+    });
+  });
+});
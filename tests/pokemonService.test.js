@@ -5,24 +5,42 @@ const mockPokemonRepository = {
   getAllPokemon: jest.fn(),
   getPokemonByNameOrId: jest.fn(),
   getPokemonSpecies: jest.fn(),
-  searchPokemon: jest.fn(),
+  getPokemonNameList: jest.fn(),
   getPokemonTypes: jest.fn(),
-  getPokemonByType: jest.fn()
+  getPokemonByType: jest.fn(),
+  getGeneration: jest.fn(),
+  getAbility: jest.fn(),
+  getEvolutionChain: jest.fn(),
+  getItem: jest.fn(),
+  getMove: jest.fn(),
+  getTypeDamageRelations: jest.fn(),
+  getPokemonForm: jest.fn(),
+  getGenerationList: jest.fn(),
+  getPokedex: jest.fn(),
+  getPokedexList: jest.fn(),
+  getPokemonEncounters: jest.fn()
 };
 
 jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
 
+// No stat table unless a test provides one
+const mockStatTable = { getStatTable: jest.fn(() => Promise.resolve(null)) };
+jest.unstable_mockModule('../src/services/statTable.js', () => mockStatTable);
+
 // Import after mocking
 const pokemonService = await import('../src/services/pokemonService.js');
+const { decodeCursor } = await import('../src/services/pagination.js');
 
 describe('Pokemon Service', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockStatTable.getStatTable.mockResolvedValue(null);
   });
 
   const mockPokemonData = {
     id: 25,
     name: 'pikachu',
+    species: { name: 'pikachu' },
     sprites: {
       front_default: 'sprite.png',
       other: {
@@ -48,7 +66,9 @@ describe('Pokemon Service', () => {
     color: { name: 'yellow' },
     capture_rate: 190,
     base_happiness: 70,
-    flavor_text_entries: [{ language: { name: 'en' }, flavor_text: 'A mouse Pokemon.' }],
+    flavor_text_entries: [
+      { language: { name: 'en' }, version: { name: 'red' }, flavor_text: 'A mouse Pokemon.' }
+    ],
     genera: [{ language: { name: 'en' }, genus: 'Mouse Pokemon' }]
   };
 
@@ -91,6 +111,304 @@ describe('Pokemon Service', () => {
       expect(result.color).toBe('gray');
       expect(result.description).toBe('No description available.');
     });
+
+    it('should localize the name, genus, description and stats', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        ...mockSpeciesData,
+        names: [
+          { language: { name: 'ja-Hrkt' }, name: 'ピカチュウ' },
+          { language: { name: 'en' }, name: 'Pikachu' }
+        ],
+        genera: [...mockSpeciesData.genera, { language: { name: 'ja' }, genus: 'ねずみポケモン' }],
+        flavor_text_entries: [
+          ...mockSpeciesData.flavor_text_entries,
+          { language: { name: 'ja' }, version: { name: 'red' }, flavor_text: 'でんきを\fためる。' }
+        ]
+      });
+
+      const result = await pokemonService.getPokemonDetails('pikachu', { lang: 'ja' });
+
+      expect(result).toMatchObject({
+        name: 'pikachu',
+        displayName: 'ピカチュウ',
+        genus: 'ねずみポケモン',
+        description: 'でんきを ためる。',
+        stats: [
+          { name: 'HP', value: 35 },
+          { name: 'こうげき', value: 55 }
+        ]
+      });
+    });
+
+    it('should fall back to English where a language is missing', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue(mockSpeciesData);
+
+      const result = await pokemonService.getPokemonDetails('pikachu', { lang: 'de' });
+
+      expect(result).toMatchObject({
+        displayName: 'Pikachu',
+        genus: 'Mouse Pokemon',
+        description: 'A mouse Pokemon.'
+      });
+    });
+  });
+
+  describe('getPokemonSummary', () => {
+    it('should only load species data for other languages', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        names: [{ language: { name: 'fr' }, name: 'Pikachu (fr)' }]
+      });
+
+      expect((await pokemonService.getPokemonSummary('pikachu')).displayName).toBe('Pikachu');
+      expect(mockPokemonRepository.getPokemonSpecies).not.toHaveBeenCalled();
+
+      const summary = await pokemonService.getPokemonSummary('pikachu', { lang: 'fr' });
+      expect(summary.displayName).toBe('Pikachu (fr)');
+    });
+
+    it('should keep the form name of alternate forms', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue({
+        ...mockPokemonData,
+        name: 'pikachu-gmax',
+        is_default: false
+      });
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        names: [{ language: { name: 'ja' }, name: 'ピカチュウ' }]
+      });
+
+      const summary = await pokemonService.getPokemonSummary('pikachu-gmax', { lang: 'ja' });
+
+      expect(summary.displayName).toBe('Pikachu Gmax');
+    });
+  });
+
+  describe('getPokemonForms', () => {
+    const raichu = {
+      ...mockPokemonData,
+      id: 26,
+      name: 'raichu',
+      species: { name: 'raichu' },
+      forms: [{ name: 'raichu' }]
+    };
+    const varieties = {
+      raichu,
+      'raichu-alola': {
+        ...raichu,
+        id: 10100,
+        name: 'raichu-alola',
+        is_default: false,
+        types: [{ type: { name: 'electric' } }, { type: { name: 'psychic' } }],
+        forms: [{ name: 'raichu-alola' }]
+      },
+      'raichu-gmax': { ...raichu, id: 10200, name: 'raichu-gmax', is_default: false, forms: [] }
+    };
+    const forms = {
+      raichu: { name: 'raichu', form_name: '', is_default: true, is_mega: false, form_names: [] },
+      'raichu-alola': {
+        name: 'raichu-alola',
+        form_name: 'alola',
+        is_default: true,
+        is_mega: false,
+        is_battle_only: false,
+        sprites: { front_default: 'alola.png' },
+        form_names: [{ language: { name: 'en' }, name: 'Alola Form' }]
+      }
+    };
+
+    beforeEach(() => {
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((name) =>
+        Promise.resolve(varieties[name] || null)
+      );
+      mockPokemonRepository.getPokemonForm.mockImplementation((name) =>
+        Promise.resolve(forms[name] || null)
+      );
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        name: 'raichu',
+        varieties: [
+          { is_default: false, pokemon: { name: 'raichu-alola' } },
+          { is_default: true, pokemon: { name: 'raichu' } },
+          { is_default: false, pokemon: { name: 'raichu-gmax' } }
+        ]
+      });
+    });
+
+    it('should list every variety with its own types and stats, default first', async () => {
+      const result = await pokemonService.getPokemonForms('raichu-alola');
+
+      expect(result.species).toBe('raichu');
+      expect(result.current).toBe('raichu-alola');
+      expect(result.varieties.map((v) => [v.name, v.kind, v.formName])).toEqual([
+        ['raichu', 'default', null],
+        ['raichu-alola', 'regional', 'Alola Form'],
+        ['raichu-gmax', 'gigantamax', 'Gmax']
+      ]);
+      expect(result.varieties[1].types).toEqual(['electric', 'psychic']);
+      expect(result.varieties[1].forms).toEqual([
+        {
+          name: 'raichu-alola',
+          formName: 'alola',
+          displayName: 'Alola Form',
+          isDefault: true,
+          isMega: false,
+          isBattleOnly: false,
+          sprite: 'alola.png'
+        }
+      ]);
+    });
+
+    it('should return null for non-existent pokemon', async () => {
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue(null);
+
+      expect(await pokemonService.getPokemonForms('missingno')).toBeNull();
+    });
+  });
+
+  describe('species names', () => {
+    it('should resolve a species name to its default variety', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((name) =>
+        Promise.resolve(
+          name === 'deoxys-normal' ? { ...mockPokemonData, id: 386, name: 'deoxys-normal' } : null
+        )
+      );
+      mockPokemonRepository.getPokemonSpecies.mockImplementation((name) =>
+        Promise.resolve(
+          name === 'deoxys'
+            ? {
+                ...mockSpeciesData,
+                varieties: [
+                  { is_default: true, pokemon: { name: 'deoxys-normal' } },
+                  { is_default: false, pokemon: { name: 'deoxys-attack' } }
+                ]
+              }
+            : mockSpeciesData
+        )
+      );
+
+      const result = await pokemonService.getPokemonDetails('deoxys');
+
+      expect(result.name).toBe('deoxys-normal');
+    });
+
+    it('should resolve species names for every per-Pokemon lookup', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((name) =>
+        Promise.resolve(
+          name === 'deoxys-normal'
+            ? { ...mockPokemonData, id: 386, name: 'deoxys-normal', moves: [] }
+            : null
+        )
+      );
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        ...mockSpeciesData,
+        varieties: [{ is_default: true, pokemon: { name: 'deoxys-normal' } }]
+      });
+      mockPokemonRepository.getPokemonEncounters.mockResolvedValue([]);
+
+      expect((await pokemonService.getPokemonSummary('deoxys')).name).toBe('deoxys-normal');
+      expect(await pokemonService.getPokemonSpecies('deoxys')).not.toBeNull();
+      expect(await pokemonService.getPokemonMoves('deoxys')).not.toBeNull();
+      expect(await pokemonService.getPokemonEncounters('deoxys')).not.toBeNull();
+      expect(mockPokemonRepository.getPokemonEncounters).toHaveBeenCalledWith(386);
+    });
+  });
+
+  describe('getPokemonSpecies', () => {
+    it('should return only the species fields', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue(mockSpeciesData);
+
+      const result = await pokemonService.getPokemonSpecies('pikachu');
+
+      expect(result).toEqual({
+        description: 'A mouse Pokemon.',
+        genus: 'Mouse Pokemon',
+        color: 'yellow',
+        captureRate: 190,
+        baseHappiness: 70,
+        flavorTexts: [{ version: 'red', versionName: 'Red', text: 'A mouse Pokemon.' }],
+        eggGroups: [],
+        genderRatio: null,
+        hatchSteps: null,
+        growthRate: null,
+        habitat: null,
+        shape: null,
+        generation: null,
+        isLegendary: false,
+        isMythical: false,
+        isBaby: false
+      });
+      expect(mockPokemonRepository.getPokemonSpecies).toHaveBeenCalledWith('pikachu');
+    });
+
+    it('should return null for non-existent pokemon', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(null);
+
+      expect(await pokemonService.getPokemonSpecies('nonexistent')).toBeNull();
+    });
+
+    it('should format breeding, growth and classification data', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        ...mockSpeciesData,
+        egg_groups: [{ name: 'ground' }, { name: 'fairy' }],
+        gender_rate: 4,
+        hatch_counter: 10,
+        growth_rate: { name: 'medium-fast' },
+        habitat: { name: 'forest' },
+        shape: { name: 'quadruped' },
+        generation: { name: 'generation-i' },
+        is_baby: false,
+        is_legendary: false,
+        is_mythical: false
+      });
+
+      expect(await pokemonService.getPokemonSpecies('pikachu')).toMatchObject({
+        eggGroups: ['Ground', 'Fairy'],
+        genderRatio: { male: 50, female: 50 },
+        hatchSteps: 2805,
+        growthRate: 'Medium Fast',
+        habitat: 'Forest',
+        shape: 'Quadruped',
+        generation: 'Generation I'
+      });
+    });
+
+    it('should treat gender_rate -1 as genderless', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        ...mockSpeciesData,
+        gender_rate: -1
+      });
+
+      expect((await pokemonService.getPokemonSpecies('pikachu')).genderRatio).toBeNull();
+    });
+
+    it('should list one entry per version, in the language where there is one', async () => {
+      const entry = (language, version, text) => ({
+        language: { name: language },
+        version: { name: version },
+        flavor_text: text
+      });
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        ...mockSpeciesData,
+        flavor_text_entries: [
+          entry('en', 'red', 'Stores\nelectricity.'),
+          entry('fr', 'x', 'Il stocke\fde l’électricité.'),
+          entry('en', 'x', 'Stores electricity.'),
+          entry('ko', 'sword', '전기를 모은다.')
+        ]
+      });
+
+      const { flavorTexts } = await pokemonService.getPokemonSpecies('pikachu', { lang: 'fr' });
+
+      expect(flavorTexts).toEqual([
+        { version: 'red', versionName: 'Red', text: 'Stores electricity.' },
+        { version: 'x', versionName: 'X', text: 'Il stocke de l’électricité.' }
+      ]);
+    });
   });
 
   describe('getAllPokemon', () => {
@@ -112,6 +430,38 @@ describe('Pokemon Service', () => {
       expect(result.hasPrevPage).toBe(false);
     });
 
+    it('should load summaries without species data unless full details are asked for', async () => {
+      mockPokemonRepository.getAllPokemon.mockResolvedValue({
+        count: 1,
+        results: [{ name: 'pikachu', url: 'url' }]
+      });
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue(mockSpeciesData);
+
+      const summary = await pokemonService.getAllPokemon(1, 20);
+      expect(mockPokemonRepository.getPokemonSpecies).not.toHaveBeenCalled();
+      expect(summary.pokemon[0].types).toEqual(['electric']);
+      expect(summary.pokemon[0].genus).toBeUndefined();
+
+      const full = await pokemonService.getAllPokemon(1, 20, { full: true });
+      expect(mockPokemonRepository.getPokemonSpecies).toHaveBeenCalledWith('pikachu');
+      expect(full.pokemon[0].genus).toBe('Mouse Pokemon');
+    });
+
+    it('should share in-flight requests for the same pokemon', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue(mockSpeciesData);
+
+      await Promise.all([
+        pokemonService.getPokemonDetails('pikachu'),
+        pokemonService.getPokemonDetails('Pikachu'),
+        pokemonService.getPokemonSummary('pikachu')
+      ]);
+
+      expect(mockPokemonRepository.getPokemonByNameOrId).toHaveBeenCalledTimes(1);
+      expect(mockPokemonRepository.getPokemonSpecies).toHaveBeenCalledTimes(1);
+    });
+
     it('should calculate pagination correctly', async () => {
       mockPokemonRepository.getAllPokemon.mockResolvedValue({
         count: 100,
@@ -125,9 +475,83 @@ describe('Pokemon Service', () => {
       expect(result.hasNextPage).toBe(true);
       expect(result.hasPrevPage).toBe(true);
     });
+
+    it('should start at a cursor offset instead of the page, with neighbouring cursors', async () => {
+      mockPokemonRepository.getAllPokemon.mockResolvedValue({ count: 100, results: [] });
+
+      const result = await pokemonService.getAllPokemon(1, 10, { offset: 95 });
+
+      expect(mockPokemonRepository.getAllPokemon).toHaveBeenCalledWith(10, 95);
+      expect(result).toMatchObject({ currentPage: 10, hasNextPage: false, hasPrevPage: true });
+      expect(result.nextCursor).toBeNull();
+      expect(decodeCursor(result.prevCursor)).toBe(85);
+    });
+
+    it('should sort the whole list through the filter for other orders', async () => {
+      mockPokemonRepository.getPokemonNameList.mockResolvedValue([
+        { name: 'pikachu', url: 'https://pokeapi.co/api/v2/pokemon/25/' },
+        { name: 'bulbasaur', url: 'https://pokeapi.co/api/v2/pokemon/1/' },
+        { name: 'mew', url: 'https://pokeapi.co/api/v2/pokemon/151/' }
+      ]);
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((id) =>
+        Promise.resolve({ ...mockPokemonData, id, name: `pokemon-${id}` })
+      );
+
+      const result = await pokemonService.getAllPokemon(1, 2, { sort: 'name', order: 'desc' });
+
+      expect(mockPokemonRepository.getAllPokemon).not.toHaveBeenCalled();
+      expect(result.pokemon.map((p) => p.id)).toEqual([25, 151]);
+      expect(result).toMatchObject({ totalCount: 3, hasNextPage: true, truncated: false });
+    });
+
+    it('should refuse to sort by a stat before the stat table is built', async () => {
+      await expect(
+        pokemonService.getAllPokemon(1, 2, { sort: 'speed', order: 'desc' })
+      ).rejects.toMatchObject({ status: 503, code: 'UPSTREAM_UNAVAILABLE' });
+      expect(mockPokemonRepository.getPokemonNameList).not.toHaveBeenCalled();
+    });
+
+    it('should sort every Pokemon by a stat from the stat table', async () => {
+      const row = (id, speed) => ({ id, name: `pokemon-${id}`, height: 10, weight: 100, stats: [50, 50, 50, 50, 50, speed] });
+      mockStatTable.getStatTable.mockResolvedValue({
+        builtAt: 0,
+        pokemon: [row(1, 45), row(25, 90), row(151, 100)]
+      });
+      mockPokemonRepository.getPokemonNameList.mockResolvedValue([
+        { name: 'pikachu', url: 'https://pokeapi.co/api/v2/pokemon/25/' },
+        { name: 'bulbasaur', url: 'https://pokeapi.co/api/v2/pokemon/1/' },
+        { name: 'mew', url: 'https://pokeapi.co/api/v2/pokemon/151/' }
+      ]);
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((id) =>
+        Promise.resolve({ ...mockPokemonData, id, name: `pokemon-${id}` })
+      );
+
+      const result = await pokemonService.getAllPokemon(1, 2, { sort: 'speed', order: 'desc' });
+
+      expect(result.pokemon.map((p) => p.id)).toEqual([151, 25]);
+      expect(result).toMatchObject({ totalCount: 3, hasNextPage: true, truncated: false });
+      // Only the page itself is loaded
+      expect(mockPokemonRepository.getPokemonByNameOrId).toHaveBeenCalledTimes(2);
+    });
   });
 
   describe('searchPokemon', () => {
+    const nameList = [
+      { name: 'pichu', url: 'https://pokeapi.co/api/v2/pokemon/172/' },
+      { name: 'pikachu', url: 'https://pokeapi.co/api/v2/pokemon/25/' },
+      { name: 'raichu', url: 'https://pokeapi.co/api/v2/pokemon/26/' },
+      { name: 'pecharunt', url: 'https://pokeapi.co/api/v2/pokemon/1025/' }
+    ];
+
+    beforeEach(async () => {
+      mockPokemonRepository.getPokemonNameList.mockResolvedValue(nameList);
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((name) =>
+        Promise.resolve({ ...mockPokemonData, name })
+      );
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue(mockSpeciesData);
+      await pokemonService.refreshSearchIndex();
+    });
+
     it('should return empty results for empty query', async () => {
       const result = await pokemonService.searchPokemon('');
 
@@ -135,30 +559,42 @@ describe('Pokemon Service', () => {
       expect(result.totalCount).toBe(0);
     });
 
-    it('should return exact match when found', async () => {
-      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(mockPokemonData);
-      mockPokemonRepository.getPokemonSpecies.mockResolvedValue(mockSpeciesData);
-
+    it('should rank an exact match first', async () => {
       const result = await pokemonService.searchPokemon('pikachu');
 
-      expect(result.pokemon).toHaveLength(1);
-      expect(result.pokemon[0].name).toBe('pikachu');
+      expect(result.pokemon[0]).toMatchObject({ name: 'pikachu', matchType: 'exact', score: 1 });
     });
 
-    it('should search by partial name when no exact match', async () => {
-      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(null);
-      mockPokemonRepository.searchPokemon.mockResolvedValue({
-        count: 2,
-        results: [{ name: 'pikachu' }, { name: 'pichu' }]
-      });
-      mockPokemonRepository.getPokemonByNameOrId
-        .mockResolvedValueOnce(null)
-        .mockResolvedValue(mockPokemonData);
-      mockPokemonRepository.getPokemonSpecies.mockResolvedValue(mockSpeciesData);
+    it('should find pokemon past the first 1000', async () => {
+      const result = await pokemonService.searchPokemon('pecha');
+
+      expect(result.pokemon[0]).toMatchObject({ name: 'pecharunt', matchType: 'prefix' });
+    });
+
+    it('should find names with typos', async () => {
+      const result = await pokemonService.searchPokemon('pikchu');
+
+      expect(result.pokemon.map((p) => p.name)).toContain('pikachu');
+      expect(result.pokemon[0].matchType).toBe('fuzzy');
+    });
+
+    it('should paginate results', async () => {
+      const result = await pokemonService.searchPokemon('chu', 2, 2);
+
+      expect(result.totalCount).toBe(3);
+      expect(result.pokemon).toHaveLength(1);
+      expect(result.currentPage).toBe(2);
+      expect(result.totalPages).toBe(2);
+      expect(result.hasNextPage).toBe(false);
+      expect(result.hasPrevPage).toBe(true);
+    });
 
-      await pokemonService.searchPokemon('pik');
+    it('should build the index once', async () => {
+      await pokemonService.searchPokemon('pika');
+      await pokemonService.searchPokemon('rai');
 
-      expect(mockPokemonRepository.searchPokemon).toHaveBeenCalledWith('pik');
+      // Only the beforeEach refresh hit the repository
+      expect(mockPokemonRepository.getPokemonNameList).toHaveBeenCalledTimes(1);
     });
   });
 
@@ -179,6 +615,14 @@ describe('Pokemon Service', () => {
         { name: 'water', displayName: 'Water' }
       ]);
     });
+
+    it('should localize the type names', async () => {
+      mockPokemonRepository.getPokemonTypes.mockResolvedValue([{ name: 'fire', url: 'url1' }]);
+
+      expect(await pokemonService.getPokemonTypes({ lang: 'de' })).toEqual([
+        { name: 'fire', displayName: 'Feuer' }
+      ]);
+    });
   });
 
   describe('getPokemonByType', () => {
@@ -198,6 +642,21 @@ describe('Pokemon Service', () => {
       expect(result.totalPages).toBe(2);
     });
 
+    it('should sort through the filter and keep the type', async () => {
+      mockPokemonRepository.getPokemonByType.mockResolvedValue([
+        { name: 'charmander', url: 'https://pokeapi.co/api/v2/pokemon/4/' },
+        { name: 'charizard', url: 'https://pokeapi.co/api/v2/pokemon/6/' }
+      ]);
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((id) =>
+        Promise.resolve({ ...mockPokemonData, id })
+      );
+
+      const result = await pokemonService.getPokemonByType('fire', 1, 20, { sort: 'name' });
+
+      expect(result.type).toBe('fire');
+      expect(result.pokemon.map((p) => p.id)).toEqual([6, 4]);
+    });
+
     it('should return null for non-existent type', async () => {
       mockPokemonRepository.getPokemonByType.mockResolvedValue(null);
 
@@ -206,4 +665,529 @@ describe('Pokemon Service', () => {
       expect(result).toBeNull();
     });
   });
-});
\ No newline at end of file
+
+  describe('generations and Pokedexes', () => {
+    const species = (name, id) => ({ name, url: `https://pokeapi.co/api/v2/pokemon-species/${id}/` });
+
+    beforeEach(() => {
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((id) =>
+        Promise.resolve({ ...mockPokemonData, id: Number(id), name: `pokemon-${id}` })
+      );
+    });
+
+    it('should list generations in order with localized labels', async () => {
+      mockPokemonRepository.getGenerationList.mockResolvedValue([
+        { name: 'generation-ii', url: 'https://pokeapi.co/api/v2/generation/2/' },
+        { name: 'generation-i', url: 'https://pokeapi.co/api/v2/generation/1/' }
+      ]);
+
+      expect(await pokemonService.getGenerations()).toEqual([
+        { id: 1, name: 'generation-i', displayName: 'Gen I' },
+        { id: 2, name: 'generation-ii', displayName: 'Gen II' }
+      ]);
+      expect((await pokemonService.getGenerations({ lang: 'ja' }))[1].displayName).toBe(
+        '第2世代'
+      );
+    });
+
+    it('should page through a generation by national dex number', async () => {
+      mockPokemonRepository.getGeneration.mockResolvedValue({
+        id: 3,
+        name: 'generation-iii',
+        names: [{ name: 'Generation III', language: { name: 'en' } }],
+        main_region: { name: 'hoenn' },
+        pokemon_species: [species('deoxys', 386), species('treecko', 252), species('torchic', 255)]
+      });
+
+      const result = await pokemonService.getPokemonByGeneration('3', 1, 2);
+
+      // Species load by id, so "deoxys" works even though no Pokemon has that name
+      expect(result.pokemon.map((p) => p.id)).toEqual([252, 255]);
+      expect(result.totalCount).toBe(3);
+      expect(result.hasNextPage).toBe(true);
+      expect(result.generation).toEqual({
+        id: 3,
+        name: 'generation-iii',
+        displayName: 'Generation III',
+        region: 'hoenn'
+      });
+    });
+
+    it('should number Pokemon as in the regional Pokedex', async () => {
+      mockPokemonRepository.getPokedex.mockResolvedValue({
+        id: 31,
+        name: 'paldea',
+        names: [{ name: 'Paldea', language: { name: 'en' } }],
+        region: { name: 'paldea' },
+        pokemon_entries: [
+          { entry_number: 2, pokemon_species: species('floragato', 907) },
+          { entry_number: 1, pokemon_species: species('sprigatito', 906) },
+          { entry_number: 3, pokemon_species: species('meowscarada', 908) }
+        ]
+      });
+
+      const result = await pokemonService.getPokemonByPokedex('paldea', 1, 20, { offset: 1 });
+
+      expect(result.pokemon.map((p) => [p.entryNumber, p.id])).toEqual([
+        [2, 907],
+        [3, 908]
+      ]);
+      expect(result.pokedex).toMatchObject({ name: 'paldea', displayName: 'Paldea' });
+      expect(result.hasPrevPage).toBe(true);
+    });
+
+    it('should return null for an unknown generation or Pokedex', async () => {
+      mockPokemonRepository.getGeneration.mockResolvedValue(null);
+      mockPokemonRepository.getPokedex.mockResolvedValue(null);
+
+      expect(await pokemonService.getPokemonByGeneration('99')).toBeNull();
+      expect(await pokemonService.getPokemonByPokedex('orre')).toBeNull();
+    });
+
+    it('should list Pokedexes with display names', async () => {
+      mockPokemonRepository.getPokedexList.mockResolvedValue([
+        { name: 'national', url: 'https://pokeapi.co/api/v2/pokedex/1/' },
+        { name: 'original-johto', url: 'https://pokeapi.co/api/v2/pokedex/3/' }
+      ]);
+
+      expect(await pokemonService.getPokedexes()).toEqual([
+        { id: 1, name: 'national', displayName: 'National' },
+        { id: 3, name: 'original-johto', displayName: 'Original Johto' }
+      ]);
+    });
+  });
+
+  describe('filterPokemon', () => {
+    const entry = (name, id) => ({ name, url: `https://pokeapi.co/api/v2/pokemon/${id}/` });
+    const withStats = (name, id, speed, extra = {}) => ({
+      ...mockPokemonData,
+      id,
+      name,
+      species: { name },
+      stats: [
+        { stat: { name: 'hp' }, base_stat: 50 },
+        { stat: { name: 'speed' }, base_stat: speed }
+      ],
+      ...extra
+    });
+
+    const pokemonById = {
+      6: withStats('charizard', 6, 100),
+      142: withStats('aerodactyl', 142, 130),
+      146: withStats('moltres', 146, 90)
+    };
+
+    beforeEach(() => {
+      mockPokemonRepository.getPokemonByType.mockImplementation((type) =>
+        Promise.resolve(
+          {
+            fire: [entry('charizard', 6), entry('moltres', 146)],
+            flying: [entry('charizard', 6), entry('aerodactyl', 142), entry('moltres', 146)],
+            rock: [entry('aerodactyl', 142)]
+          }[type] || null
+        )
+      );
+      mockPokemonRepository.getPokemonByNameOrId.mockImplementation((id) =>
+        Promise.resolve(pokemonById[id] || null)
+      );
+      mockPokemonRepository.getPokemonSpecies.mockImplementation((name) =>
+        Promise.resolve({ ...mockSpeciesData, is_legendary: name === 'moltres' })
+      );
+    });
+
+    it('should intersect types in AND mode', async () => {
+      const result = await pokemonService.filterPokemon({ types: ['fire', 'flying'] });
+
+      expect(result.pokemon.map((p) => p.id)).toEqual([6, 146]);
+      expect(result.totalCount).toBe(2);
+    });
+
+    it('should combine types in OR mode', async () => {
+      const result = await pokemonService.filterPokemon({
+        types: ['fire', 'rock'],
+        typeMode: 'or'
+      });
+
+      expect(result.totalCount).toBe(3);
+    });
+
+    it('should filter by stat ranges and sort by stat', async () => {
+      const result = await pokemonService.filterPokemon({
+        types: ['flying'],
+        stats: [{ stat: 'speed', operator: '>=', value: 100 }],
+        sort: 'speed',
+        order: 'desc'
+      });
+
+      expect(result.pokemon.map((p) => p.id)).toEqual([142, 6]);
+    });
+
+    it('should filter by legendary flag from species data', async () => {
+      const result = await pokemonService.filterPokemon({ types: ['fire'], legendary: true });
+
+      expect(result.pokemon.map((p) => p.id)).toEqual([146]);
+    });
+
+    it('should narrow by generation and ability', async () => {
+      mockPokemonRepository.getGeneration.mockResolvedValue({
+        pokemon_species: [
+          { name: 'charizard', url: 'https://pokeapi.co/api/v2/pokemon-species/6/' },
+          { name: 'moltres', url: 'https://pokeapi.co/api/v2/pokemon-species/146/' }
+        ]
+      });
+      mockPokemonRepository.getAbility.mockResolvedValue({
+        pokemon: [{ pokemon: entry('moltres', 146) }]
+      });
+
+      const result = await pokemonService.filterPokemon({
+        types: ['flying'],
+        generation: '1',
+        ability: 'pressure'
+      });
+
+      expect(result.pokemon.map((p) => p.id)).toEqual([146]);
+    });
+
+    it('should paginate results', async () => {
+      const result = await pokemonService.filterPokemon({ types: ['flying'] }, 2, 2);
+
+      expect(result.totalCount).toBe(3);
+      expect(result.pokemon.map((p) => p.id)).toEqual([146]);
+      expect(result.hasPrevPage).toBe(true);
+      expect(result.hasNextPage).toBe(false);
+    });
+
+    it('should return null for a non-existent type', async () => {
+      const result = await pokemonService.filterPokemon({ types: ['cosmic'] });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getEvolutionChain', () => {
+    const speciesRef = (name, id) => ({
+      name,
+      url: `https://pokeapi.co/api/v2/pokemon-species/${id}/`
+    });
+    const detail = (trigger, extra = {}) => ({
+      trigger: { name: trigger },
+      min_level: null,
+      item: null,
+      min_happiness: null,
+      time_of_day: '',
+      ...extra
+    });
+
+    const eeveeChain = {
+      id: 67,
+      chain: {
+        species: speciesRef('eevee', 133),
+        evolution_details: [],
+        evolves_to: [
+          {
+            species: speciesRef('vaporeon', 134),
+            evolution_details: [detail('use-item', { item: { name: 'water-stone' } })],
+            evolves_to: []
+          },
+          {
+            species: speciesRef('espeon', 196),
+            evolution_details: [
+              detail('level-up', { min_happiness: 160, time_of_day: 'day' })
+            ],
+            evolves_to: []
+          },
+          {
+            species: speciesRef('umbreon', 197),
+            evolution_details: [
+              detail('level-up', { min_happiness: 160, time_of_day: 'night' })
+            ],
+            evolves_to: []
+          }
+        ]
+      }
+    };
+
+    beforeEach(() => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue({
+        ...mockPokemonData,
+        id: 133,
+        name: 'eevee',
+        species: { name: 'eevee' }
+      });
+      mockPokemonRepository.getPokemonSpecies.mockResolvedValue({
+        evolution_chain: { url: 'https://pokeapi.co/api/v2/evolution-chain/67/' }
+      });
+      mockPokemonRepository.getEvolutionChain.mockResolvedValue(eeveeChain);
+    });
+
+    it('should build a branching evolution tree', async () => {
+      const result = await pokemonService.getEvolutionChain('eevee');
+
+      expect(mockPokemonRepository.getEvolutionChain).toHaveBeenCalledWith(67);
+      expect(result.species).toBe('eevee');
+      expect(result.chain).toMatchObject({ id: 133, name: 'eevee', displayName: 'Eevee' });
+      expect(result.chain.evolvesTo.map((node) => node.name)).toEqual([
+        'vaporeon',
+        'espeon',
+        'umbreon'
+      ]);
+    });
+
+    it('should describe item and friendship triggers', async () => {
+      const result = await pokemonService.getEvolutionChain('eevee');
+      const [vaporeon, espeon, umbreon] = result.chain.evolvesTo;
+
+      expect(vaporeon.triggers[0]).toEqual({
+        trigger: 'use-item',
+        conditions: { item: 'water-stone' },
+        description: 'Use Water Stone'
+      });
+      expect(espeon.triggers[0].conditions).toEqual({ minHappiness: 160, timeOfDay: 'day' });
+      expect(espeon.triggers[0].description).toBe('Level up, high friendship, during the day');
+      expect(umbreon.triggers[0].description).toBe('Level up, high friendship, at night');
+    });
+
+    it('should describe level and trade triggers', async () => {
+      mockPokemonRepository.getEvolutionChain.mockResolvedValue({
+        id: 26,
+        chain: {
+          species: speciesRef('machop', 66),
+          evolution_details: [],
+          evolves_to: [
+            {
+              species: speciesRef('machoke', 67),
+              evolution_details: [detail('level-up', { min_level: 28 })],
+              evolves_to: [
+                {
+                  species: speciesRef('machamp', 68),
+                  evolution_details: [detail('trade')],
+                  evolves_to: []
+                }
+              ]
+            }
+          ]
+        }
+      });
+
+      const result = await pokemonService.getEvolutionChain('machop');
+      const machoke = result.chain.evolvesTo[0];
+
+      expect(machoke.triggers[0].description).toBe('Level 28');
+      expect(machoke.evolvesTo[0].triggers[0].description).toBe('Trade');
+    });
+
+    it('should localize species, items and trigger text', async () => {
+      const names = { eevee: 'イーブイ', vaporeon: 'シャワーズ', espeon: 'エーフィ' };
+      mockPokemonRepository.getPokemonSpecies.mockImplementation((name) =>
+        Promise.resolve({
+          evolution_chain: { url: 'https://pokeapi.co/api/v2/evolution-chain/67/' },
+          names: names[name] ? [{ name: names[name], language: { name: 'ja' } }] : []
+        })
+      );
+      mockPokemonRepository.getItem.mockResolvedValue({
+        names: [{ name: 'みずのいし', language: { name: 'ja' } }]
+      });
+
+      const result = await pokemonService.getEvolutionChain('eevee', { lang: 'ja' });
+      const [vaporeon, espeon, umbreon] = result.chain.evolvesTo;
+
+      expect(mockPokemonRepository.getItem).toHaveBeenCalledWith('water-stone');
+      expect(result.chain.displayName).toBe('イーブイ');
+      expect(vaporeon.displayName).toBe('シャワーズ');
+      expect(vaporeon.triggers[0].description).toBe('みずのいしを つかう');
+      expect(espeon.triggers[0].description).toBe('レベルアップ、なつきどが たかい、ひるに');
+      // No Japanese name loaded: the formatted name
+      expect(umbreon.displayName).toBe('Umbreon');
+    });
+
+    it('should not load names for English', async () => {
+      await pokemonService.getEvolutionChain('eevee');
+
+      expect(mockPokemonRepository.getItem).not.toHaveBeenCalled();
+      expect(mockPokemonRepository.getPokemonSpecies).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return null for non-existent pokemon', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(null);
+
+      const result = await pokemonService.getEvolutionChain('nonexistent');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('getTypeMatchups', () => {
+    const relation = (double = [], half = [], none = []) => ({
+      double_damage_from: double.map((name) => ({ name })),
+      half_damage_from: half.map((name) => ({ name })),
+      no_damage_from: none.map((name) => ({ name }))
+    });
+
+    beforeEach(() => {
+      mockPokemonRepository.getTypeDamageRelations.mockResolvedValue({
+        electric: relation(['ground'], ['electric', 'flying']),
+        ground: relation(['water'], [], ['electric']),
+        flying: relation(['electric'], [], ['ground']),
+        water: relation(['electric'], ['water']),
+        unknown: relation()
+      });
+    });
+
+    it('should return the chart for a type combination', async () => {
+      const result = await pokemonService.getTypeMatchups(['Water', 'Ground']);
+
+      expect(result.types).toEqual(['water', 'ground']);
+      expect(result.chart['0x']).toEqual(['electric']);
+      expect(result.multipliers.water).toBe(1);
+    });
+
+    it('should return null for unknown types', async () => {
+      expect(await pokemonService.getTypeMatchups(['cosmic'])).toBeNull();
+      expect(await pokemonService.getTypeMatchups(['unknown'])).toBeNull();
+    });
+  });
+
+  describe('getPokemonMoves', () => {
+    const learned = (versionGroup, id, method, level = 0) => ({
+      version_group: { name: versionGroup, url: `https://pokeapi.co/api/v2/version-group/${id}/` },
+      move_learn_method: { name: method },
+      level_learned_at: level
+    });
+
+    it('should group moves by version group and learn method', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue({
+        name: 'pikachu',
+        moves: [
+          {
+            move: { name: 'thunderbolt' },
+            version_group_details: [
+              learned('scarlet-violet', 25, 'machine'),
+              learned('red-blue', 1, 'level-up', 26)
+            ]
+          },
+          {
+            move: { name: 'thunder-shock' },
+            version_group_details: [learned('red-blue', 1, 'level-up', 1)]
+          },
+          {
+            move: { name: 'volt-tackle' },
+            version_group_details: [learned('scarlet-violet', 25, 'light-ball-egg')]
+          }
+        ]
+      });
+
+      const result = await pokemonService.getPokemonMoves('pikachu');
+
+      expect(result.versionGroups.map((vg) => vg.name)).toEqual(['red-blue', 'scarlet-violet']);
+      expect(result.learnsets['red-blue']['level-up']).toEqual([
+        { name: 'thunder-shock', displayName: 'Thunder Shock', level: 1 },
+        { name: 'thunderbolt', displayName: 'Thunderbolt', level: 26 }
+      ]);
+      expect(result.learnsets['scarlet-violet'].machine).toEqual([
+        { name: 'thunderbolt', displayName: 'Thunderbolt' }
+      ]);
+      expect(result.learnsets['scarlet-violet'].other[0].name).toBe('volt-tackle');
+      expect(result.learnsets['scarlet-violet'].egg).toEqual([]);
+    });
+
+    it('should return null for non-existent pokemon', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(null);
+
+      expect(await pokemonService.getPokemonMoves('nonexistent')).toBeNull();
+    });
+  });
+
+  describe('getPokemonEncounters', () => {
+    const slot = (method, minLevel, maxLevel, chance, conditions = []) => ({
+      method: { name: method },
+      min_level: minLevel,
+      max_level: maxLevel,
+      chance,
+      condition_values: conditions.map((name) => ({ name }))
+    });
+    const inVersion = (version, id, details) => ({
+      version: { name: version, url: `https://pokeapi.co/api/v2/version/${id}/` },
+      encounter_details: details
+    });
+
+    const mockEncounters = [
+      {
+        location_area: { name: 'viridian-forest-area' },
+        version_details: [
+          inVersion('yellow', 3, [slot('walk', 3, 3, 5), slot('walk', 5, 5, 5)]),
+          inVersion('red', 1, [slot('walk', 3, 5, 5)])
+        ]
+      },
+      {
+        location_area: { name: 'power-plant-area' },
+        version_details: [
+          inVersion('red', 1, [
+            slot('walk', 22, 22, 25),
+            slot('walk', 24, 24, 10),
+            slot('walk', 24, 24, 5, ['time-night'])
+          ])
+        ]
+      }
+    ];
+
+    beforeEach(() => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue({ id: 25, name: 'pikachu' });
+      mockPokemonRepository.getPokemonEncounters.mockResolvedValue(mockEncounters);
+    });
+
+    it('should group encounters by version, then location area', async () => {
+      const result = await pokemonService.getPokemonEncounters('Pikachu');
+
+      expect(mockPokemonRepository.getPokemonEncounters).toHaveBeenCalledWith(25);
+      expect(result.pokemon).toBe('pikachu');
+      expect(result.versions.map((version) => version.name)).toEqual(['red', 'yellow']);
+      expect(result.versions[0].locations.map((location) => location.displayName)).toEqual([
+        'Power Plant Area',
+        'Viridian Forest Area'
+      ]);
+    });
+
+    it('should merge slots with the same method and conditions', async () => {
+      const result = await pokemonService.getPokemonEncounters('pikachu');
+      const [red, yellow] = result.versions;
+
+      expect(yellow.locations[0].encounters).toEqual([
+        { method: 'walk', methodName: 'Walk', minLevel: 3, maxLevel: 5, chance: 10, conditions: [] }
+      ]);
+      expect(red.locations[0].encounters).toEqual([
+        { method: 'walk', methodName: 'Walk', minLevel: 22, maxLevel: 24, chance: 35, conditions: [] },
+        {
+          method: 'walk',
+          methodName: 'Walk',
+          minLevel: 24,
+          maxLevel: 24,
+          chance: 5,
+          conditions: ['Time Night']
+        }
+      ]);
+    });
+
+    it('should keep only the requested version', async () => {
+      const result = await pokemonService.getPokemonEncounters('pikachu', { version: 'yellow' });
+
+      expect(result.versions).toHaveLength(1);
+      expect(result.versions[0].locations).toHaveLength(1);
+    });
+
+    it('should return no versions for Pokemon not found in the wild', async () => {
+      mockPokemonRepository.getPokemonEncounters.mockResolvedValue([]);
+
+      expect(await pokemonService.getPokemonEncounters('pikachu')).toEqual({
+        pokemon: 'pikachu',
+        versions: []
+      });
+    });
+
+    it('should return null for non-existent pokemon', async () => {
+      mockPokemonRepository.getPokemonByNameOrId.mockResolvedValue(null);
+
+      expect(await pokemonService.getPokemonEncounters('nonexistent')).toBeNull();
+      expect(mockPokemonRepository.getPokemonEncounters).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { createSearchIndex, editDistance, normalizeQuery } from '../src/services/searchIndex.js';
+
+const entries = ['bulbasaur', 'pikachu', 'raichu', 'mr-mime', 'pichu'].map((name, i) => ({
+  name,
+  url: `https://pokeapi.co/api/v2/pokemon/${i + 1}/`
+}));
+
+describe('Search Index', () => {
+  const index = createSearchIndex(entries);
+
+  describe('normalizeQuery', () => {
+    it('should convert display names to slugs', () => {
+      expect(normalizeQuery('  Mr. Mime ')).toBe('mr-mime');
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions and substitutions', () => {
+      expect(editDistance('pikchu', 'pikachu')).toBe(1);
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+    });
+
+    it('should stop early past the maximum distance', () => {
+      expect(editDistance('bulbasaur', 'pikachu', 2)).toBe(Infinity);
+    });
+  });
+
+  describe('search', () => {
+    it('should match names and ids exactly', () => {
+      expect(index.search('Mr Mime')[0]).toMatchObject({ name: 'mr-mime', matchType: 'exact' });
+      expect(index.search('2')[0]).toMatchObject({ name: 'pikachu', matchType: 'exact' });
+    });
+
+    it('should rank prefix matches above substring matches', () => {
+      const results = index.search('pi');
+
+      expect(results.map((r) => r.matchType)).toEqual(['prefix', 'prefix']);
+      expect(results[0].name).toBe('pichu');
+    });
+
+    it('should rank substring matches above fuzzy matches', () => {
+      const results = index.search('achu');
+
+      expect(results[0]).toMatchObject({ name: 'pikachu', matchType: 'substring' });
+    });
+
+    it('should find typos within the edit distance', () => {
+      expect(index.search('bulbasuar')[0]).toMatchObject({ name: 'bulbasaur', matchType: 'fuzzy' });
+      expect(index.search('zzzzzz')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { mkdir, mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSnapshotSource, idFromUrl } from '../src/repositories/sources/snapshotSource.js';
+import { createSource } from '../src/repositories/sources/index.js';
+
+const URL = 'https://pokeapi.co/api/v2';
+
+describe('Snapshot Source', () => {
+  let dir;
+  let source;
+
+  const writeJson = async (path, data) => {
+    await mkdir(join(dir, path, '..'), { recursive: true });
+    await writeFile(join(dir, path), JSON.stringify(data));
+  };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'pokedex-snapshot-'));
+    await writeJson('pokemon/index.json', {
+      count: 3,
+      results: [
+        { name: 'bulbasaur', url: `${URL}/pokemon/1/` },
+        { name: 'ivysaur', url: `${URL}/pokemon/2/` },
+        { name: 'pikachu', url: `${URL}/pokemon/25/` }
+      ]
+    });
+    await writeJson('pokemon/25.json', { id: 25, name: 'pikachu' });
+    source = createSnapshotSource({ dir });
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should read a resource by id', async () => {
+    const result = await source.get('/pokemon/25');
+
+    expect(result).toEqual({ id: 25, name: 'pikachu' });
+  });
+
+  it('should read a resource by name through the index', async () => {
+    const result = await source.get('/pokemon/pikachu');
+
+    expect(result.id).toBe(25);
+  });
+
+  it('should read a sub-resource by id or name', async () => {
+    await writeJson('pokemon/25/encounters.json', [{ location_area: { name: 'viridian-forest' } }]);
+
+    expect(await source.get('/pokemon/25/encounters')).toHaveLength(1);
+    expect(await source.get('/pokemon/pikachu/encounters')).toHaveLength(1);
+    await expect(source.get('/pokemon/25/forms')).rejects.toMatchObject({
+      response: { status: 404 }
+    });
+  });
+
+  it('should paginate list endpoints like PokeAPI', async () => {
+    const result = await source.get('/pokemon', { limit: 1, offset: 1 });
+
+    expect(result.count).toBe(3);
+    expect(result.results).toEqual([{ name: 'ivysaur', url: `${URL}/pokemon/2/` }]);
+  });
+
+  it('should throw a 404-shaped error for missing resources', async () => {
+    await expect(source.get('/pokemon/mew')).rejects.toMatchObject({
+      response: { status: 404 }
+    });
+    await expect(source.get('/pokemon/2')).rejects.toMatchObject({
+      response: { status: 404 }
+    });
+  });
+
+  it('should throw a 404-shaped error for resources missing from the snapshot', async () => {
+    await expect(source.get('/type/fire')).rejects.toMatchObject({
+      response: { status: 404 }
+    });
+  });
+
+  describe('idFromUrl', () => {
+    it('should extract the id from a PokeAPI url', () => {
+      expect(idFromUrl(`${URL}/pokemon-species/133/`)).toBe('133');
+    });
+  });
+
+  describe('createSource', () => {
+    it('should select the source from config', () => {
+      expect(createSource({ source: 'snapshot', snapshotDir: dir }).name).toBe('snapshot');
+      expect(createSource({ source: 'remote', baseUrl: URL }).name).toBe('remote');
+    });
+  });
+});
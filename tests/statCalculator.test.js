@@ -0,0 +1,70 @@
+import {
+  calculateStat,
+  natureModifier,
+  percentileRank,
+  statRange
+} from '../src/services/statCalculator.js';
+
+const adamant = { increased: 'attack', decreased: 'special-attack' };
+
+describe('Stat Calculator', () => {
+  describe('calculateStat', () => {
+    // Garchomp: base HP 108, Attack 130
+    it('should match known final stats', () => {
+      const maxed = { iv: 31, ev: 252 };
+
+      expect(calculateStat('hp', 108, { ...maxed, level: 100 })).toBe(420);
+      expect(calculateStat('attack', 130, { ...maxed, level: 100, modifier: 1.1 })).toBe(394);
+      expect(calculateStat('attack', 130, { ...maxed, level: 50, modifier: 1.1 })).toBe(200);
+      expect(calculateStat('attack', 130, { iv: 0, ev: 0, level: 50, modifier: 0.9 })).toBe(121);
+    });
+
+    it('should round down after applying the nature', () => {
+      // (floor(2 × 100 × 50 / 100) + 5) × 0.9 = 94.5
+      expect(calculateStat('speed', 100, { iv: 0, ev: 0, level: 50, modifier: 0.9 })).toBe(94);
+      // Only every 4 EVs count
+      expect(calculateStat('speed', 100, { iv: 0, ev: 3, level: 100 })).toBe(205);
+      expect(calculateStat('speed', 100, { iv: 0, ev: 4, level: 100 })).toBe(206);
+    });
+
+    it('should give Shedinja 1 HP', () => {
+      expect(calculateStat('hp', 1, { iv: 31, ev: 252, level: 100 })).toBe(1);
+    });
+  });
+
+  describe('natureModifier', () => {
+    it('should raise one stat and lower another', () => {
+      expect(natureModifier('attack', adamant)).toBe(1.1);
+      expect(natureModifier('special-attack', adamant)).toBe(0.9);
+      expect(natureModifier('speed', adamant)).toBe(1);
+    });
+
+    it('should leave every stat alone for neutral natures', () => {
+      expect(natureModifier('attack', null)).toBe(1);
+      expect(natureModifier('attack', { increased: null, decreased: null })).toBe(1);
+      expect(natureModifier('attack', { increased: 'attack', decreased: 'attack' })).toBe(1);
+    });
+  });
+
+  describe('statRange', () => {
+    it('should span no investment and a lowering nature to full investment', () => {
+      expect(statRange('attack', 130, 100)).toEqual({ level: 100, min: 238, max: 394 });
+      expect(statRange('hp', 108, 50)).toEqual({ level: 50, min: 168, max: 215 });
+    });
+  });
+
+  describe('percentileRank', () => {
+    const totals = [200, 300, 300, 500, 600];
+
+    it('should count the values at or below', () => {
+      expect(percentileRank(300, totals)).toBe(60);
+      expect(percentileRank(100, totals)).toBe(0);
+      expect(percentileRank(600, totals)).toBe(100);
+      expect(percentileRank(550, [...totals, 700])).toBe(66.7);
+    });
+
+    it('should return null without values', () => {
+      expect(percentileRank(300, [])).toBeNull();
+    });
+  });
+});
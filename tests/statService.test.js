@@ -0,0 +1,168 @@
+import { jest } from '@jest/globals';
+
+// Mock the repository
+const mockPokemonRepository = {
+  getNature: jest.fn(),
+  getNatureList: jest.fn()
+};
+
+jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
+
+// Pokemon are looked up through pokemonService, which also resolves species names
+const mockPokemonService = {
+  loadPokemonOrDefaultVariety: jest.fn()
+};
+
+jest.unstable_mockModule('../src/services/pokemonService.js', () => mockPokemonService);
+
+// Mock the stat table (not built yet unless a test says otherwise)
+const mockStatTable = {
+  getStatTable: jest.fn(() => Promise.resolve(null))
+};
+
+jest.unstable_mockModule('../src/services/statTable.js', () => mockStatTable);
+
+// Import after mocking
+const statService = await import('../src/services/statService.js');
+
+const STAT_KEYS = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+const pokemonWithStats = (name, id, bases) => ({
+  id,
+  name,
+  stats: STAT_KEYS.map((stat, index) => ({ stat: { name: stat }, base_stat: bases[index] }))
+});
+
+// Base stat totals 320, 600 and 680
+const POKEMON = {
+  pikachu: pokemonWithStats('pikachu', 25, [35, 55, 40, 50, 50, 90]),
+  garchomp: pokemonWithStats('garchomp', 445, [108, 130, 95, 80, 85, 102]),
+  mewtwo: pokemonWithStats('mewtwo', 150, [106, 110, 90, 154, 90, 130])
+};
+
+// Stat table rows of the same Pokemon
+const statTable = {
+  builtAt: Date.now(),
+  pokemon: Object.values(POKEMON).map(({ id, name, stats }) => ({
+    id,
+    name,
+    height: 10,
+    weight: 100,
+    stats: stats.map((s) => s.base_stat)
+  }))
+};
+
+const natures = {
+  adamant: {
+    name: 'adamant',
+    increased_stat: { name: 'attack' },
+    decreased_stat: { name: 'special-attack' },
+    names: [{ name: 'いじっぱり', language: { name: 'ja' } }]
+  },
+  hardy: { name: 'hardy', increased_stat: null, decreased_stat: null, names: [] }
+};
+
+describe('Stat Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPokemonService.loadPokemonOrDefaultVariety.mockImplementation((key) =>
+      Promise.resolve(POKEMON[key] || null)
+    );
+    mockPokemonRepository.getNature.mockImplementation((name) =>
+      Promise.resolve(natures[name] || null)
+    );
+  });
+
+  describe('calculateStats', () => {
+    it('should calculate every stat with its ranges at levels 50 and 100', async () => {
+      const result = await statService.calculateStats('garchomp', {
+        level: 100,
+        nature: 'adamant',
+        ivs: [31, 31, 31, 31, 31, 31],
+        evs: [4, 252, 0, 0, 0, 252]
+      });
+
+      const attack = result.stats.find((stat) => stat.name === 'attack');
+      expect(result.level).toBe(100);
+      expect(result.nature).toEqual({
+        name: 'adamant',
+        displayName: 'Adamant',
+        increased: 'attack',
+        decreased: 'special-attack'
+      });
+      expect(attack).toEqual({
+        name: 'attack',
+        displayName: 'Attack',
+        base: 130,
+        iv: 31,
+        ev: 252,
+        modifier: 1.1,
+        value: 394,
+        ranges: [
+          { level: 50, min: 121, max: 200 },
+          { level: 100, min: 238, max: 394 }
+        ]
+      });
+      expect(result.stats.find((stat) => stat.name === 'special-attack').modifier).toBe(0.9);
+      expect(result.stats[0]).toEqual(expect.objectContaining({ name: 'hp', value: 358 }));
+      expect(result.baseStatTotal).toBe(600);
+    });
+
+    it('should default to level 50, a neutral nature, perfect IVs and no EVs', async () => {
+      const result = await statService.calculateStats('pikachu', { lang: 'de' });
+
+      expect(mockPokemonRepository.getNature).not.toHaveBeenCalled();
+      expect(result.level).toBe(50);
+      expect(result.nature).toBeNull();
+      expect(result.stats.map((stat) => stat.value)).toEqual([110, 75, 60, 70, 70, 110]);
+      expect(result.stats.every((stat) => stat.modifier === 1)).toBe(true);
+      expect(result.stats[3].displayName).toBe('Sp.-Angr.');
+    });
+
+    it('should rank the base stat total against the stat table', async () => {
+      expect((await statService.calculateStats('garchomp')).percentile).toBeNull();
+
+      mockStatTable.getStatTable.mockResolvedValueOnce(statTable);
+      const result = await statService.calculateStats('garchomp');
+
+      expect(result.percentile).toBe(66.7);
+    });
+
+    it('should reject unknown natures', async () => {
+      await expect(statService.calculateStats('pikachu', { nature: 'sleepy' })).rejects.toThrow(
+        expect.objectContaining({ status: 400, details: { field: 'nature' } })
+      );
+    });
+
+    it('should return null for non-existent pokemon', async () => {
+      expect(await statService.calculateStats('missingno')).toBeNull();
+    });
+  });
+
+  describe('getHighestBaseStats', () => {
+    it('should give the highest base of each stat once the table is built', async () => {
+      expect(await statService.getHighestBaseStats()).toBeNull();
+
+      mockStatTable.getStatTable.mockResolvedValueOnce(statTable);
+
+      expect(await statService.getHighestBaseStats()).toEqual([108, 130, 95, 154, 90, 130]);
+    });
+  });
+
+  describe('getNatures', () => {
+    it('should list natures by display name with the stats they change', async () => {
+      mockPokemonRepository.getNatureList.mockResolvedValue([
+        { name: 'hardy', url: 'url' },
+        { name: 'adamant', url: 'url' }
+      ]);
+
+      const result = await statService.getNatures();
+
+      expect(result).toEqual([
+        { name: 'adamant', displayName: 'Adamant', increased: 'attack', decreased: 'special-attack' },
+        { name: 'hardy', displayName: 'Hardy', increased: null, decreased: null }
+      ]);
+      expect((await statService.getNatures({ lang: 'ja' }))[0].displayName).toBe('Hardy');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+
+// Mock the repositories
+const mockPokemonRepository = {
+  getPokemonNameList: jest.fn()
+};
+
+jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
+
+const mockStatTableRepository = {
+  readStatTable: jest.fn(),
+  saveStatTable: jest.fn((table) => Promise.resolve(table)),
+  fetchPokemon: jest.fn()
+};
+
+jest.unstable_mockModule(
+  '../src/repositories/statTableRepository.js',
+  () => mockStatTableRepository
+);
+
+const STAT_KEYS = ['hp', 'attack', 'defense', 'special-attack', 'special-defense', 'speed'];
+
+const pikachu = {
+  id: 25,
+  name: 'pikachu',
+  height: 4,
+  weight: 60,
+  // Extra fields are left out of the table
+  sprites: {},
+  stats: STAT_KEYS.map((stat, index) => ({
+    stat: { name: stat },
+    base_stat: [35, 55, 40, 50, 50, 90][index]
+  }))
+};
+
+const pikachuRow = {
+  id: 25,
+  name: 'pikachu',
+  height: 4,
+  weight: 60,
+  stats: [35, 55, 40, 50, 50, 90]
+};
+
+/**
+ * A fresh copy of the module, since it keeps the table between calls
+ */
+const importStatTable = () => {
+  jest.resetModules();
+  return import('../src/services/statTable.js');
+};
+
+describe('Stat Table', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPokemonRepository.getPokemonNameList.mockResolvedValue([
+      { name: 'pikachu', url: 'https://pokeapi.co/api/v2/pokemon/25/' },
+      { name: 'missingno', url: 'https://pokeapi.co/api/v2/pokemon/0/' }
+    ]);
+    mockStatTableRepository.fetchPokemon.mockImplementation((id) =>
+      Promise.resolve(id === 25 ? pikachu : null)
+    );
+  });
+
+  it('should use the saved table without fetching anything', async () => {
+    const saved = { builtAt: Date.now(), pokemon: [pikachuRow] };
+    mockStatTableRepository.readStatTable.mockResolvedValue(saved);
+    const { getStatTable } = await importStatTable();
+
+    expect(await getStatTable()).toEqual(saved);
+    expect(await getStatTable()).toEqual(saved);
+    expect(mockStatTableRepository.readStatTable).toHaveBeenCalledTimes(1);
+    expect(mockStatTableRepository.fetchPokemon).not.toHaveBeenCalled();
+  });
+
+  it('should build and save a table in the background when none is saved', async () => {
+    mockStatTableRepository.readStatTable.mockResolvedValue({ builtAt: null, pokemon: [] });
+    const { getStatTable, refreshStatTable } = await importStatTable();
+
+    expect(await getStatTable()).toBeNull();
+    const built = await refreshStatTable();
+
+    expect(built.pokemon).toEqual([pikachuRow]);
+    expect(mockStatTableRepository.saveStatTable).toHaveBeenCalledWith(built);
+    expect(mockStatTableRepository.fetchPokemon).toHaveBeenCalledTimes(2);
+    expect(await getStatTable()).toBe(built);
+  });
+
+  it('should keep serving a stale table while a new one is built', async () => {
+    const stale = { builtAt: 0, pokemon: [] };
+    mockStatTableRepository.readStatTable.mockResolvedValue(stale);
+    const { getStatTable, refreshStatTable } = await importStatTable();
+
+    expect(await getStatTable()).toBe(stale);
+    expect(mockPokemonRepository.getPokemonNameList).toHaveBeenCalled();
+    expect((await refreshStatTable()).pokemon).toEqual([pikachuRow]);
+  });
+
+  it('should keep the previous table when a build fails', async () => {
+    const saved = { builtAt: 0, pokemon: [pikachuRow] };
+    mockStatTableRepository.readStatTable.mockResolvedValue(saved);
+    mockStatTableRepository.fetchPokemon.mockRejectedValue(new Error('PokeAPI is down'));
+    const { getStatTable, refreshStatTable } = await importStatTable();
+
+    await getStatTable();
+    await expect(refreshStatTable()).rejects.toThrow('PokeAPI is down');
+
+    expect(await getStatTable()).toBe(saved);
+  });
+});
@@ -0,0 +1,64 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Point storage at a temp dir before the repository reads its config
+const dataDir = await mkdtemp(join(tmpdir(), 'pokedex-teams-'));
+process.env.DATA_DIR = dataDir;
+
+const teamRepository = await import('../src/repositories/teamRepository.js');
+
+describe('Team Repository', () => {
+  afterAll(async () => {
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  it('should start with no teams', async () => {
+    expect(await teamRepository.getAllTeams()).toEqual([]);
+  });
+
+  it('should create and persist a team', async () => {
+    const team = await teamRepository.createTeam({
+      name: 'Kanto',
+      members: [{ id: 25, name: 'pikachu' }]
+    });
+
+    expect(team).toMatchObject({ name: 'Kanto', members: [{ id: 25, name: 'pikachu' }] });
+    expect(team.id).toBeDefined();
+
+    const saved = JSON.parse(await readFile(join(dataDir, 'teams.json'), 'utf8'));
+    expect(saved.teams).toHaveLength(1);
+    expect(await teamRepository.getTeamById(team.id)).toEqual(team);
+  });
+
+  it('should update a team', async () => {
+    const team = await teamRepository.createTeam({ name: 'Old', members: [] });
+
+    const updated = await teamRepository.updateTeam(team.id, { name: 'New' });
+
+    expect(updated.name).toBe('New');
+    expect(updated.createdAt).toBe(team.createdAt);
+  });
+
+  it('should return null when updating a missing team', async () => {
+    expect(await teamRepository.updateTeam('missing', { name: 'x' })).toBeNull();
+  });
+
+  it('should delete a team', async () => {
+    const team = await teamRepository.createTeam({ name: 'Gone', members: [] });
+
+    expect(await teamRepository.deleteTeam(team.id)).toBe(true);
+    expect(await teamRepository.deleteTeam(team.id)).toBe(false);
+    expect(await teamRepository.getTeamById(team.id)).toBeNull();
+  });
+
+  it('should not lose concurrent writes', async () => {
+    const before = (await teamRepository.getAllTeams()).length;
+
+    await Promise.all(
+      ['a', 'b', 'c'].map((name) => teamRepository.createTeam({ name, members: [] }))
+    );
+
+    expect(await teamRepository.getAllTeams()).toHaveLength(before + 3);
+  });
+});
@@ -0,0 +1,176 @@
+import { jest } from '@jest/globals';
+
+// Mock the modules the team service depends on
+const mockTeamRepository = {
+  getAllTeams: jest.fn(),
+  getTeamById: jest.fn(),
+  createTeam: jest.fn(),
+  updateTeam: jest.fn(),
+  deleteTeam: jest.fn()
+};
+
+const mockPokemonRepository = {
+  getTypeDamageRelations: jest.fn()
+};
+
+const mockPokemonService = {
+  getPokemonDetails: jest.fn()
+};
+
+jest.unstable_mockModule('../src/repositories/teamRepository.js', () => mockTeamRepository);
+jest.unstable_mockModule('../src/repositories/pokemonRepository.js', () => mockPokemonRepository);
+jest.unstable_mockModule('../src/services/pokemonService.js', () => mockPokemonService);
+
+// Import after mocking
+const teamService = await import('../src/services/teamService.js');
+
+describe('Team Service', () => {
+  const pokemon = {
+    pikachu: {
+      id: 25,
+      name: 'pikachu',
+      types: ['electric'],
+      stats: [
+        { name: 'HP', value: 35 },
+        { name: 'Speed', value: 90 }
+      ]
+    },
+    squirtle: {
+      id: 7,
+      name: 'squirtle',
+      types: ['water'],
+      stats: [
+        { name: 'HP', value: 44 },
+        { name: 'Speed', value: 43 }
+      ]
+    }
+  };
+
+  const relation = (double = [], half = [], none = []) => ({
+    double_damage_from: double.map((name) => ({ name })),
+    half_damage_from: half.map((name) => ({ name })),
+    no_damage_from: none.map((name) => ({ name }))
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPokemonService.getPokemonDetails.mockImplementation((nameOrId) =>
+      Promise.resolve(
+        Object.values(pokemon).find((p) => p.name === nameOrId || p.id === Number(nameOrId)) ||
+          null
+      )
+    );
+    mockPokemonRepository.getTypeDamageRelations.mockResolvedValue({
+      electric: relation(['ground'], ['electric']),
+      water: relation(['electric'], ['water']),
+      ground: relation(['water'], [], ['electric'])
+    });
+    mockTeamRepository.createTeam.mockImplementation((team) =>
+      Promise.resolve({ id: 'team-1', ...team })
+    );
+  });
+
+  describe('createTeam', () => {
+    it('should resolve members and save the team', async () => {
+      const result = await teamService.createTeam({ name: ' Starters ', members: 'Pikachu, 7' });
+
+      expect(mockTeamRepository.createTeam).toHaveBeenCalledWith({
+        name: 'Starters',
+        members: [
+          { id: 25, name: 'pikachu' },
+          { id: 7, name: 'squirtle' }
+        ]
+      });
+      expect(result.id).toBe('team-1');
+    });
+
+    it('should reject a missing name', async () => {
+      await expect(teamService.createTeam({ members: ['pikachu'] })).rejects.toMatchObject({
+        code: 'VALIDATION_ERROR',
+        field: 'name'
+      });
+      expect(mockTeamRepository.createTeam).not.toHaveBeenCalled();
+    });
+
+    it('should reject more than six members', async () => {
+      await expect(
+        teamService.createTeam({
+          name: 'Too many',
+          members: ['1', '2', '3', '4', '5', '6', '7']
+        })
+      ).rejects.toThrow('A team can have at most 6 members');
+    });
+
+    it('should reject members that are not PokeAPI names', async () => {
+      await expect(
+        teamService.createTeam({ name: 'Team', members: ['pikachu', '../type/fire'] })
+      ).rejects.toThrow('members may only contain letters, digits and hyphens');
+      expect(mockPokemonService.getPokemonDetails).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown pokemon', async () => {
+      await expect(
+        teamService.createTeam({ name: 'Team', members: ['missingno'] })
+      ).rejects.toThrow('Pokemon not found: missingno');
+    });
+  });
+
+  describe('updateTeam', () => {
+    it('should return null when the team does not exist', async () => {
+      mockTeamRepository.updateTeam.mockResolvedValue(null);
+
+      const result = await teamService.updateTeam('missing', { name: 'Team', members: [] });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('analyzeTeam', () => {
+    beforeEach(() => {
+      mockTeamRepository.getTeamById.mockResolvedValue({
+        id: 'team-1',
+        name: 'Starters',
+        members: [
+          { id: 25, name: 'pikachu' },
+          { id: 7, name: 'squirtle' }
+        ]
+      });
+    });
+
+    it('should combine weaknesses and resistances', async () => {
+      const result = await teamService.analyzeTeam('team-1');
+
+      expect(result.defense).toEqual([
+        { type: 'electric', weak: 1, resist: 1, immune: 0, net: 0 },
+        { type: 'water', weak: 0, resist: 1, immune: 0, net: -1 },
+        { type: 'ground', weak: 1, resist: 0, immune: 0, net: 1 }
+      ]);
+    });
+
+    it('should list offensive coverage', async () => {
+      const result = await teamService.analyzeTeam('team-1');
+
+      expect(result.coverage.covered).toEqual([
+        { type: 'water', coveredBy: ['pikachu'] },
+        { type: 'ground', coveredBy: ['squirtle'] }
+      ]);
+      expect(result.coverage.uncovered).toEqual(['electric']);
+    });
+
+    it('should average stats', async () => {
+      const result = await teamService.analyzeTeam('team-1');
+
+      expect(result.averages).toEqual([
+        { name: 'HP', value: 40 },
+        { name: 'Speed', value: 67 }
+      ]);
+      expect(result.averageTotal).toBe(106);
+    });
+
+    it('should return null for a missing team', async () => {
+      mockTeamRepository.getTeamById.mockResolvedValue(null);
+
+      expect(await teamService.analyzeTeam('missing')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { buildMatchupChart, getDamageMultiplier } from '../src/services/typeChart.js';
+
+// Minimal damage relations for a handful of types
+const ref = (...names) => names.map((name) => ({ name }));
+const relation = ({ double = [], half = [], none = [] }) => ({
+  double_damage_from: ref(...double),
+  half_damage_from: ref(...half),
+  no_damage_from: ref(...none)
+});
+
+const relations = {
+  fire: relation({ double: ['water', 'rock', 'ground'], half: ['fire', 'grass', 'bug'] }),
+  flying: relation({ double: ['rock', 'electric'], half: ['grass', 'bug'], none: ['ground'] }),
+  water: relation({ double: ['grass', 'electric'], half: ['fire', 'water'] }),
+  grass: relation({ double: ['fire', 'bug'], half: ['water', 'grass', 'ground', 'electric'] }),
+  rock: relation({ double: ['water', 'grass', 'ground'], half: ['fire'] }),
+  ground: relation({ double: ['water', 'grass'], half: ['rock'], none: ['electric'] }),
+  electric: relation({ double: ['ground'], half: ['electric', 'flying'] }),
+  bug: relation({ double: ['fire', 'flying', 'rock'], half: ['grass', 'ground'] }),
+  shadow: relation({})
+};
+
+describe('Type Chart', () => {
+  describe('getDamageMultiplier', () => {
+    it('should multiply effectiveness across dual types', () => {
+      expect(getDamageMultiplier('rock', ['fire', 'flying'], relations)).toBe(4);
+      expect(getDamageMultiplier('grass', ['fire', 'flying'], relations)).toBe(0.25);
+      expect(getDamageMultiplier('ground', ['fire', 'flying'], relations)).toBe(0);
+    });
+  });
+
+  describe('buildMatchupChart', () => {
+    it('should bucket every battle type by multiplier', () => {
+      const result = buildMatchupChart(['fire', 'flying'], relations);
+
+      expect(result.types).toEqual(['fire', 'flying']);
+      expect(result.chart).toEqual({
+        '4x': ['rock'],
+        '2x': ['water', 'electric'],
+        '1x': ['flying'],
+        '0.5x': ['fire'],
+        '0.25x': ['grass', 'bug'],
+        '0x': ['ground']
+      });
+      expect(result.multipliers).not.toHaveProperty('shadow');
+    });
+
+    it('should handle single types', () => {
+      const result = buildMatchupChart(['electric'], relations);
+
+      expect(result.chart['2x']).toEqual(['ground']);
+      expect(result.chart['0.5x']).toEqual(['flying', 'electric']);
+    });
+  });
+});
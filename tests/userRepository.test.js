@@ -0,0 +1,106 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Point storage at a temp dir before the repository reads its config
+const dataDir = await mkdtemp(join(tmpdir(), 'pokedex-users-'));
+process.env.DATA_DIR = dataDir;
+
+const userRepository = await import('../src/repositories/userRepository.js');
+
+describe('User Repository', () => {
+  const pikachu = { id: 25, name: 'pikachu' };
+  let user;
+
+  beforeAll(async () => {
+    user = await userRepository.createUser({ username: 'ash', passwordHash: 'scrypt:aa:bb' });
+  });
+
+  afterAll(async () => {
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  describe('users', () => {
+    it('should create and persist a user', async () => {
+      expect(user).toMatchObject({ username: 'ash', passwordHash: 'scrypt:aa:bb', collection: {} });
+
+      const saved = JSON.parse(await readFile(join(dataDir, 'users.json'), 'utf8'));
+      expect(saved.users).toHaveLength(1);
+      expect(await userRepository.getUserById(user.id)).toEqual(user);
+      expect(await userRepository.getUserByUsername('ash')).toEqual(user);
+    });
+
+    it('should refuse a taken username', async () => {
+      expect(await userRepository.createUser({ username: 'ash', passwordHash: 'x' })).toBeNull();
+      expect(await userRepository.getUserByUsername('misty')).toBeNull();
+    });
+  });
+
+  describe('sessions', () => {
+    const inOneHour = () => new Date(Date.now() + 3600 * 1000).toISOString();
+
+    it('should find live sessions and forget deleted ones', async () => {
+      await userRepository.createSession({
+        tokenHash: 'live',
+        userId: user.id,
+        expiresAt: inOneHour()
+      });
+
+      expect(await userRepository.getSession('live')).toMatchObject({ userId: user.id });
+      expect(await userRepository.deleteSession('live')).toBe(true);
+      expect(await userRepository.getSession('live')).toBeNull();
+      expect(await userRepository.deleteSession('live')).toBe(false);
+    });
+
+    it('should ignore expired sessions and drop them on the next login', async () => {
+      await userRepository.createSession({
+        tokenHash: 'old',
+        userId: user.id,
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      });
+      expect(await userRepository.getSession('old')).toBeNull();
+
+      await userRepository.createSession({ tokenHash: 'new', userId: user.id, expiresAt: inOneHour() });
+
+      const saved = JSON.parse(await readFile(join(dataDir, 'users.json'), 'utf8'));
+      expect(saved.sessions.map((session) => session.tokenHash)).toEqual(['new']);
+    });
+  });
+
+  describe('collection', () => {
+    it('should merge marks into an entry', async () => {
+      await userRepository.updateCollectionEntry(user.id, pikachu, { seen: true });
+      const entry = await userRepository.updateCollectionEntry(user.id, pikachu, {
+        favorite: true
+      });
+
+      expect(entry).toMatchObject({ id: 25, name: 'pikachu', favorite: true, seen: true });
+      expect(entry.caught).toBe(false);
+      expect((await userRepository.getUserById(user.id)).collection[25]).toEqual(entry);
+    });
+
+    it('should drop an entry with no marks left', async () => {
+      const entry = await userRepository.updateCollectionEntry(user.id, pikachu, {
+        favorite: false,
+        seen: false
+      });
+
+      expect(entry).toMatchObject({ favorite: false, seen: false, caught: false });
+      expect((await userRepository.getUserById(user.id)).collection).toEqual({});
+    });
+
+    it('should delete an entry', async () => {
+      await userRepository.updateCollectionEntry(user.id, pikachu, { caught: true });
+
+      expect(await userRepository.deleteCollectionEntry(user.id, 25)).toBe(true);
+      expect(await userRepository.deleteCollectionEntry(user.id, 25)).toBe(false);
+    });
+
+    it('should return null for a missing user', async () => {
+      expect(
+        await userRepository.updateCollectionEntry('missing', pikachu, { seen: true })
+      ).toBeNull();
+      expect(await userRepository.deleteCollectionEntry('missing', 25)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import { ValidationError } from '../src/errors/index.js';
+
+// Mock the repository the user service depends on
+const mockUserRepository = {
+  getUserById: jest.fn(),
+  getUserByUsername: jest.fn(),
+  createUser: jest.fn(),
+  createSession: jest.fn(),
+  getSession: jest.fn(),
+  deleteSession: jest.fn()
+};
+
+jest.unstable_mockModule('../src/repositories/userRepository.js', () => mockUserRepository);
+
+// Import after mocking
+const userService = await import('../src/services/userService.js');
+
+describe('User Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUserRepository.createUser.mockImplementation((user) =>
+      Promise.resolve({ id: 'user-1', ...user, collection: {} })
+    );
+  });
+
+  describe('passwords', () => {
+    it('should hash with a random salt and verify', async () => {
+      const first = await userService.hashPassword('pikachu123');
+      const second = await userService.hashPassword('pikachu123');
+
+      expect(first).toMatch(/^scrypt:[0-9a-f]{32}:[0-9a-f]{128}$/);
+      expect(first).not.toBe(second);
+      expect(await userService.verifyPassword('pikachu123', first)).toBe(true);
+      expect(await userService.verifyPassword('raichu123', first)).toBe(false);
+    });
+
+    it('should reject hashes it did not make', async () => {
+      expect(await userService.verifyPassword('pikachu123', 'plain')).toBe(false);
+      expect(await userService.verifyPassword('pikachu123', undefined)).toBe(false);
+    });
+  });
+
+  describe('signup', () => {
+    it('should save the normalized username and a password hash', async () => {
+      const user = await userService.signup({ username: ' Ash_K ', password: 'pikachu123' });
+
+      expect(user).toEqual({ id: 'user-1', username: 'ash_k', collection: {} });
+      const saved = mockUserRepository.createUser.mock.calls[0][0];
+      expect(saved.username).toBe('ash_k');
+      expect(await userService.verifyPassword('pikachu123', saved.passwordHash)).toBe(true);
+    });
+
+    it.each([
+      [{ username: 'a!', password: 'pikachu123' }, 'username'],
+      [{ username: 'ab', password: 'pikachu123' }, 'username'],
+      [{ username: 'ash', password: 'short' }, 'password'],
+      [{ username: 'ash' }, 'password'],
+      [undefined, 'username']
+    ])('should reject %j', async (input, field) => {
+      await expect(userService.signup(input)).rejects.toMatchObject({ field });
+      expect(mockUserRepository.createUser).not.toHaveBeenCalled();
+    });
+
+    it('should reject a taken username', async () => {
+      mockUserRepository.createUser.mockResolvedValue(null);
+
+      await expect(
+        userService.signup({ username: 'ash', password: 'pikachu123' })
+      ).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('login', () => {
+    beforeEach(async () => {
+      mockUserRepository.getUserByUsername.mockResolvedValue({
+        id: 'user-1',
+        username: 'ash',
+        passwordHash: await userService.hashPassword('pikachu123'),
+        collection: {}
+      });
+    });
+
+    it('should return the user without the password hash', async () => {
+      const user = await userService.login({ username: 'ASH', password: 'pikachu123' });
+
+      expect(user).toEqual({ id: 'user-1', username: 'ash', collection: {} });
+      expect(mockUserRepository.getUserByUsername).toHaveBeenCalledWith('ash');
+    });
+
+    it('should return null for a wrong password or unknown user', async () => {
+      expect(await userService.login({ username: 'ash', password: 'raichu123' })).toBeNull();
+
+      mockUserRepository.getUserByUsername.mockResolvedValue(null);
+      expect(await userService.login({ username: 'misty', password: 'pikachu123' })).toBeNull();
+    });
+  });
+
+  describe('sessions', () => {
+    it('should store only a hash of the token', async () => {
+      const token = await userService.createSession('user-1');
+
+      const { tokenHash, userId, expiresAt } = mockUserRepository.createSession.mock.calls[0][0];
+      expect(userId).toBe('user-1');
+      expect(tokenHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(tokenHash).not.toContain(token);
+      expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+    });
+
+    it('should find the user of a session', async () => {
+      const token = await userService.createSession('user-1');
+      const { tokenHash } = mockUserRepository.createSession.mock.calls[0][0];
+      mockUserRepository.getSession.mockResolvedValue({ tokenHash, userId: 'user-1' });
+      mockUserRepository.getUserById.mockResolvedValue({
+        id: 'user-1',
+        username: 'ash',
+        passwordHash: 'x'
+      });
+
+      expect(await userService.getSessionUser(token)).toEqual({ id: 'user-1', username: 'ash' });
+      expect(mockUserRepository.getSession).toHaveBeenCalledWith(tokenHash);
+    });
+
+    it('should return null without a live session', async () => {
+      mockUserRepository.getSession.mockResolvedValue(null);
+
+      expect(await userService.getSessionUser('unknown')).toBeNull();
+      expect(await userService.getSessionUser(undefined)).toBeNull();
+      expect(mockUserRepository.getUserById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { jest } from '@jest/globals';
+import { ValidationError } from '../src/errors/index.js';
+import {
+  boolean,
+  integer,
+  integerList,
+  name,
+  nameList,
+  nameSet,
+  oneOf,
+  subsetOf,
+  text
+} from '../src/validation/rules.js';
+import { validate } from '../src/middleware/validate.js';
+
+describe('Validation rules', () => {
+  describe('integer', () => {
+    const limit = integer({ min: 1, max: 100, defaultValue: 20, clamp: true });
+
+    it('should parse whole numbers and default missing values', () => {
+      expect(limit('10', 'limit')).toBe(10);
+      expect(limit(undefined, 'limit')).toBe(20);
+      expect(limit('', 'limit')).toBe(20);
+    });
+
+    it('should clamp values above the maximum when asked to', () => {
+      expect(limit('500', 'limit')).toBe(100);
+      expect(() => integer({ max: 10 })('11', 'page')).toThrow('page must be at most 10');
+    });
+
+    it('should reject non-numbers and values below the minimum, naming the field', () => {
+      expect(() => limit('abc', 'limit')).toThrow(ValidationError);
+      expect(() => limit('1.5', 'limit')).toThrow('limit must be a whole number');
+      expect(() => limit('0', 'limit')).toThrow('limit must be at least 1');
+      expect(() => limit(['1', '2'], 'limit')).toThrow(
+        expect.objectContaining({ details: { field: 'limit' } })
+      );
+    });
+  });
+
+  describe('boolean', () => {
+    it('should accept only true and false', () => {
+      const full = boolean({ defaultValue: false });
+      expect(full('true', 'full')).toBe(true);
+      expect(full('false', 'full')).toBe(false);
+      expect(full(undefined, 'full')).toBe(false);
+      expect(() => full('yes', 'full')).toThrow('full must be true or false');
+    });
+  });
+
+  describe('text', () => {
+    it('should cap the length and reject repeated parameters', () => {
+      const q = text({ maxLength: 5 });
+      expect(q('pika', 'q')).toBe('pika');
+      expect(q(undefined, 'q')).toBeUndefined();
+      expect(() => q('pikachu', 'q')).toThrow('q must be at most 5 characters');
+      expect(() => q(['a', 'b'], 'q')).toThrow('q must be a single value');
+    });
+  });
+
+  describe('name', () => {
+    it('should normalize resource names and ids', () => {
+      expect(name()('Mr-Mime', 'nameOrId')).toBe('mr-mime');
+      expect(name()('25', 'nameOrId')).toBe('25');
+      expect(name({ required: false })(undefined, 'version')).toBeUndefined();
+    });
+
+    it('should reject missing or malformed names', () => {
+      expect(() => name()(undefined, 'nameOrId')).toThrow('nameOrId is required');
+      expect(() => name()('bad name!', 'nameOrId')).toThrow(
+        'nameOrId may only contain letters, digits and hyphens'
+      );
+      expect(() => name()('a'.repeat(51), 'nameOrId')).toThrow(ValidationError);
+    });
+  });
+
+  describe('nameList', () => {
+    it('should accept up to max names joined by , or +', () => {
+      const types = nameList({ max: 2 });
+      expect(types('Fire,Flying', 'type')).toBe('fire,flying');
+      expect(types('fire+flying', 'type')).toBe('fire+flying');
+      expect(() => types('fire,water,grass', 'type')).toThrow(
+        'type must list between 1 and 2 names'
+      );
+      expect(() => types('fire,wat er', 'type')).toThrow(ValidationError);
+    });
+  });
+
+  describe('nameSet', () => {
+    const ids = nameSet({ max: 2 });
+
+    it('should split, lowercase and dedupe names over repeated parameters', () => {
+      expect(ids(['Pikachu,25', 'pikachu'], 'ids')).toEqual(['pikachu', '25']);
+      expect(ids(undefined, 'ids')).toEqual([]);
+    });
+
+    it('should reject paths and overlong values', () => {
+      expect(() => ids('../berry/1,pikachu', 'ids')).toThrow(
+        'ids may only contain letters, digits and hyphens'
+      );
+      expect(() => ids('a,'.repeat(60), 'ids')).toThrow('ids must be at most 102 characters');
+    });
+  });
+
+  describe('oneOf', () => {
+    it('should accept only the listed values', () => {
+      const order = oneOf(['asc', 'desc']);
+      expect(order('desc', 'order')).toBe('desc');
+      expect(order(undefined, 'order')).toBeUndefined();
+      expect(() => order('up', 'order')).toThrow('order must be one of: asc, desc');
+    });
+  });
+
+  describe('subsetOf', () => {
+    const fields = subsetOf(['id', 'name', 'types']);
+
+    it('should split, trim and dedupe the listed values', () => {
+      expect(fields('name, types,name', 'fields')).toEqual(['name', 'types']);
+      expect(fields(undefined, 'fields')).toBeUndefined();
+      expect(fields(',', 'fields')).toBeUndefined();
+    });
+
+    it('should name the unknown value', () => {
+      expect(() => fields('name,weight', 'fields')).toThrow(
+        expect.objectContaining({ details: { field: 'fields' } })
+      );
+      expect(() => fields('name,weight', 'fields')).toThrow('(got "weight")');
+    });
+  });
+
+  describe('integerList', () => {
+    const evs = integerList({ length: 3, min: 0, max: 252, total: 300, defaultValue: [0, 0, 0] });
+
+    it('should parse comma separated or repeated values, or default them', () => {
+      expect(evs('252, 4,0', 'evs')).toEqual([252, 4, 0]);
+      expect(evs(['0', '44', '0'], 'evs')).toEqual([0, 44, 0]);
+      expect(evs(undefined, 'evs')).toEqual([0, 0, 0]);
+    });
+
+    it('should reject the wrong count, bad numbers and too high a total', () => {
+      expect(() => evs('1,2', 'evs')).toThrow('evs must list 3 numbers');
+      expect(() => evs('1,,2', 'evs')).toThrow('evs must be whole numbers from 0 to 252');
+      expect(() => evs('1,2,253', 'evs')).toThrow(ValidationError);
+      expect(() => evs('1,2,-1', 'evs')).toThrow(ValidationError);
+      expect(() => evs('252,252,0', 'evs')).toThrow('evs may add up to at most 300');
+    });
+  });
+});
+
+describe('validate middleware', () => {
+  const schema = {
+    params: { nameOrId: name() },
+    query: { page: integer({ min: 1, defaultValue: 1 }), version: name({ required: false }) }
+  };
+
+  it('should coerce listed fields and leave others untouched', () => {
+    const req = { params: { nameOrId: 'Pikachu' }, query: { 'speed>': '100', version: '' } };
+    const next = jest.fn();
+
+    validate(schema)(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.params).toEqual({ nameOrId: 'pikachu' });
+    expect(req.query).toEqual({ 'speed>': '100', page: 1 });
+  });
+
+  it('should pass the first invalid field to the error middleware', () => {
+    const req = { params: { nameOrId: 'pikachu' }, query: { page: '-1' } };
+    const next = jest.fn();
+
+    validate(schema)(req, {}, next);
+
+    const [error] = next.mock.calls[0];
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual({ field: 'page' });
+  });
+});